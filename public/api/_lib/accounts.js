@@ -0,0 +1,127 @@
+// Accounts: an email address, the devices signed in to it, and the
+// one-time magic links that sign a device in.
+//
+// Keys:
+//   account:<id>           -> { id, email, createdAt }
+//   account-email:<hash>   -> id             (hash of the normalized email)
+//   account-devices:<id>   -> set of device ids
+//   session:<device id>    -> id             (read by store.js)
+//   magic:<hash>           -> { email }      (hash of the link token, short TTL)
+
+import { randomBytes } from 'crypto';
+import { kv } from '@vercel/kv';
+import { HttpError } from './http.js';
+import {
+  sha256,
+  deviceIdFromRequest,
+  accountIdForDevice,
+  accountUserId,
+  streakRules,
+  readUserData,
+  writeStreak,
+  replaceSubmissions,
+  writeSettings,
+  deleteUserData
+} from './store.js';
+import { removeFromCohorts } from './cohorts.js';
+import { mergeStreaks } from '../../src/lib/streak.js';
+
+const MAGIC_LINK_TTL_SECONDS = 15 * 60;
+const MAGIC_LINK_COOLDOWN_SECONDS = 60;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const normalizeEmail = (email) => {
+  const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!EMAIL.test(normalized) || normalized.length > 254) throw new HttpError(400, 'Enter a valid email address');
+  return normalized;
+};
+
+export const readAccount = (accountId) => kv.get(`account:${accountId}`);
+
+// The account the calling device is signed in to; 401 when signed out.
+export const requireAccount = async (req, message = 'Sign in first') => {
+  const accountId = await accountIdForDevice(deviceIdFromRequest(req));
+  const account = accountId && (await readAccount(accountId));
+  if (!account) throw new HttpError(401, message);
+  return account;
+};
+
+// Public view of an account.
+export const describeAccount = (account) => ({ email: account.email, createdAt: account.createdAt });
+
+// Returns a token for a new magic link. Only one link per address per
+// cooldown, so the endpoint cannot be used to flood someone's inbox.
+export const createMagicToken = async (email) => {
+  const allowed = await kv.set(`magic-cooldown:${sha256(email)}`, 1, { nx: true, ex: MAGIC_LINK_COOLDOWN_SECONDS });
+  if (!allowed) throw new HttpError(429, 'A sign-in link was just sent. Check your inbox or try again in a minute.');
+  const token = randomBytes(32).toString('hex');
+  await kv.set(`magic:${sha256(token)}`, { email }, { ex: MAGIC_LINK_TTL_SECONDS });
+  return token;
+};
+
+// Links work once: the email they were sent to, or an error.
+export const consumeMagicToken = async (token) => {
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) throw new HttpError(400, 'Malformed sign-in link');
+  const entry = await kv.getdel(`magic:${sha256(token)}`);
+  if (!entry) throw new HttpError(410, 'This sign-in link has expired or was already used. Request a new one.');
+  return entry.email;
+};
+
+export const findOrCreateAccount = async (email) => {
+  const emailKey = `account-email:${sha256(email)}`;
+  const existing = await kv.get(emailKey);
+  if (existing) return readAccount(existing);
+
+  const account = { id: randomBytes(16).toString('hex'), email, createdAt: new Date().toISOString() };
+  // Two first sign-ins racing for the same address: the first one wins.
+  if (!(await kv.set(emailKey, account.id, { nx: true }))) return readAccount(await kv.get(emailKey));
+  await kv.set(`account:${account.id}`, account);
+  return account;
+};
+
+// Moves everything the device recorded while signed out into the account,
+// then points the device at the account. Streaks are merged day by day (see
+// mergeStreaks); submission logs are interleaved by time; the account's
+// settings win if it has any.
+export const signInDevice = async (deviceId, account) => {
+  const target = accountUserId(account.id);
+  const [device, current] = await Promise.all([readUserData(deviceId), readUserData(target)]);
+  const countedDays = (log) => log.filter((entry) => entry.counted).map((entry) => entry.day);
+
+  const streak = mergeStreaks(
+    { state: current.streak, days: countedDays(current.submissions) },
+    { state: device.streak, days: countedDays(device.submissions) },
+    streakRules()
+  );
+  const submissions = [...current.submissions, ...device.submissions].sort((x, y) => (x.at < y.at ? 1 : x.at > y.at ? -1 : 0));
+
+  await Promise.all([
+    writeStreak(target, streak),
+    replaceSubmissions(target, submissions),
+    !current.settings && device.settings ? writeSettings(target, device.settings) : null
+  ]);
+  await deleteUserData(deviceId);
+  await kv.set(`session:${deviceId}`, account.id);
+  await kv.sadd(`account-devices:${account.id}`, deviceId);
+};
+
+// The device starts over as an anonymous one; the account keeps its data.
+export const signOutDevice = async (deviceId, accountId) => {
+  await kv.del(`session:${deviceId}`);
+  await kv.srem(`account-devices:${accountId}`, deviceId);
+};
+
+// Removes the account, its data, every device's session, its place in a
+// class and the classes it teaches (see cohorts.js).
+export const deleteAccount = async (account) => {
+  await removeFromCohorts(account.id);
+  const devices = (await kv.smembers(`account-devices:${account.id}`)) || [];
+  await deleteUserData(accountUserId(account.id));
+  await kv.del(
+    ...devices.map((deviceId) => `session:${deviceId}`),
+    `account-devices:${account.id}`,
+    `account-email:${sha256(account.email)}`,
+    `account:${account.id}`
+  );
+};
@@ -0,0 +1,128 @@
+// Cohorts: a class an instructor runs, which students join with a code.
+// Both sides are accounts (see accounts.js); a student is in at most one
+// class at a time.
+//
+// Keys:
+//   cohort:<id>                 -> { id, name, code, instructorId, createdAt, assignment }
+//   cohort-code:<code>          -> id
+//   cohort-members:<id>         -> hash: account id -> { name, joinedAt }
+//   account-cohort:<account>    -> id of the class the account is in
+//   instructor-cohorts:<account> -> set of class ids it teaches
+//
+// `assignment` is the daily challenge set by the instructor:
+//   { challengeId, title, topic, day, assignedAt }
+
+import { randomBytes } from 'crypto';
+import { kv } from '@vercel/kv';
+import { HttpError } from './http.js';
+import { accountUserId, readUserData } from './store.js';
+
+// No 0/O or 1/I/L, so codes survive being read off a projector.
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_NAME_LENGTH = 60;
+const MAX_COHORTS_PER_INSTRUCTOR = 20;
+
+export const cleanName = (name, what) => {
+  const text = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+  if (!text || text.length > MAX_NAME_LENGTH) throw new HttpError(400, `${what} must be 1-${MAX_NAME_LENGTH} characters`);
+  return text;
+};
+
+const newCode = () => Array.from(randomBytes(CODE_LENGTH), (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+
+export const readCohort = (id) => kv.get(`cohort:${id}`);
+
+// A class the caller teaches; 404 for anyone else, so ids cannot be probed.
+export const readOwnCohort = async (id, accountId) => {
+  const cohort = typeof id === 'string' && (await readCohort(id));
+  if (!cohort || cohort.instructorId !== accountId) throw new HttpError(404, 'No such class');
+  return cohort;
+};
+
+export const listMembers = async (id) => (await kv.hgetall(`cohort-members:${id}`)) || {};
+
+// Students see the class name and today's assignment, nothing else.
+export const describeForStudent = (cohort) => ({ id: cohort.id, name: cohort.name, assignment: cohort.assignment });
+
+export const describeForInstructor = async (cohort) => ({
+  ...describeForStudent(cohort),
+  code: cohort.code,
+  createdAt: cohort.createdAt,
+  members: Object.keys(await listMembers(cohort.id)).length
+});
+
+export const joinedCohort = async (accountId) => {
+  const id = await kv.get(`account-cohort:${accountId}`);
+  return id ? readCohort(id) : null;
+};
+
+export const taughtCohorts = async (accountId) => {
+  const ids = (await kv.smembers(`instructor-cohorts:${accountId}`)) || [];
+  return (await Promise.all(ids.map(readCohort))).filter(Boolean);
+};
+
+export const createCohort = async (accountId, name) => {
+  const ids = (await kv.smembers(`instructor-cohorts:${accountId}`)) || [];
+  if (ids.length >= MAX_COHORTS_PER_INSTRUCTOR) throw new HttpError(409, `You can run at most ${MAX_COHORTS_PER_INSTRUCTOR} classes`);
+  const id = randomBytes(12).toString('hex');
+  let code = newCode();
+  while (!(await kv.set(`cohort-code:${code}`, id, { nx: true }))) code = newCode();
+  const cohort = { id, name, code, instructorId: accountId, createdAt: new Date().toISOString(), assignment: null };
+  await kv.set(`cohort:${id}`, cohort);
+  await kv.sadd(`instructor-cohorts:${accountId}`, id);
+  return cohort;
+};
+
+export const leaveCohort = async (accountId) => {
+  const id = await kv.get(`account-cohort:${accountId}`);
+  if (!id) return;
+  await kv.hdel(`cohort-members:${id}`, accountId);
+  await kv.del(`account-cohort:${accountId}`);
+};
+
+// Joining another class leaves the current one.
+export const joinCohort = async (accountId, code, name) => {
+  const normalized = typeof code === 'string' ? code.trim().toUpperCase().replace(/[\s-]/g, '') : '';
+  const id = normalized && (await kv.get(`cohort-code:${normalized}`));
+  const cohort = id && (await readCohort(id));
+  if (!cohort) throw new HttpError(404, 'No class has that join code');
+  if (cohort.instructorId === accountId) throw new HttpError(409, 'You teach this class');
+  await leaveCohort(accountId);
+  await kv.hset(`cohort-members:${id}`, { [accountId]: { name, joinedAt: new Date().toISOString() } });
+  await kv.set(`account-cohort:${accountId}`, id);
+  return cohort;
+};
+
+export const assignChallenge = async (cohort, assignment) => {
+  const next = { ...cohort, assignment: { ...assignment, assignedAt: new Date().toISOString() } };
+  await kv.set(`cohort:${cohort.id}`, next);
+  return next;
+};
+
+export const deleteCohort = async (cohort) => {
+  const members = Object.keys(await listMembers(cohort.id));
+  await kv.del(
+    ...members.map((accountId) => `account-cohort:${accountId}`),
+    `cohort-members:${cohort.id}`,
+    `cohort-code:${cohort.code}`,
+    `cohort:${cohort.id}`
+  );
+  await kv.srem(`instructor-cohorts:${cohort.instructorId}`, cohort.id);
+};
+
+// Account deletion: leave the joined class and close the taught ones.
+export const removeFromCohorts = async (accountId) => {
+  await leaveCohort(accountId);
+  for (const cohort of await taughtCohorts(accountId)) await deleteCohort(cohort);
+  await kv.del(`instructor-cohorts:${accountId}`);
+};
+
+// Input for cohortDashboard (src/lib/cohortStats.js).
+export const readMemberData = async (id) =>
+  Promise.all(Object.entries(await listMembers(id)).map(async ([accountId, member]) => ({
+    id: accountId,
+    name: member.name,
+    joinedAt: member.joinedAt,
+    ...(await readUserData(accountUserId(accountId)))
+  })));
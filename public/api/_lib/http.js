@@ -0,0 +1,30 @@
+// Small helpers shared by the serverless handlers.
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+export const sendJSON = (res, status, body) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(status).json(body);
+};
+
+// Wraps a handler so thrown HttpErrors become JSON error responses and
+// anything unexpected becomes a 500 without leaking internals.
+export const withErrors = (methods, handler) => async (req, res) => {
+  if (!methods.includes(req.method)) {
+    res.setHeader('Allow', methods.join(', '));
+    return sendJSON(res, 405, { error: `Method ${req.method} not allowed` });
+  }
+  try {
+    await handler(req, res);
+  } catch (err) {
+    if (err instanceof HttpError) return sendJSON(res, err.status, { error: err.message });
+    console.error(err);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+};
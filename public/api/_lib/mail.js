@@ -0,0 +1,35 @@
+// Sign-in emails, sent through Resend's HTTP API.
+//
+// Configure RESEND_API_KEY and AUTH_EMAIL_FROM. For local development,
+// AUTH_DEV_LINKS=1 hands the link back to the browser instead of mailing it.
+// That only works where VERCEL_ENV is unset or "development": preview
+// deployments usually share production's KV store, and a link handed to
+// whoever asks would sign them in to any account.
+
+import { HttpError } from './http.js';
+
+export const mailConfigured = () => Boolean(process.env.RESEND_API_KEY && process.env.AUTH_EMAIL_FROM);
+
+export const devLinksAllowed = () =>
+  process.env.AUTH_DEV_LINKS === '1' && (!process.env.VERCEL_ENV || process.env.VERCEL_ENV === 'development');
+
+export const sendSignInEmail = async (email, link) => {
+  if (!mailConfigured()) throw new HttpError(503, 'Email sign-in is not configured on this server');
+  const res = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      from: process.env.AUTH_EMAIL_FROM,
+      to: [email],
+      subject: 'Your C-Streak Mentor sign-in link',
+      text: `Open this link on the device you want to sign in to C-Streak Mentor:\n\n${link}\n\nIt works once and expires in 15 minutes. If you did not ask for it, ignore this email.`
+    })
+  });
+  if (!res.ok) {
+    console.error('Sign-in email failed', res.status, await res.text().catch(() => ''));
+    throw new HttpError(502, 'Could not send the sign-in email. Try again in a minute.');
+  }
+};
@@ -0,0 +1,113 @@
+// Persistence for streaks, submission logs and synced history (Vercel KV /
+// Redis).
+//
+// Clients identify themselves with a random bearer token generated on first
+// use; only its SHA-256 hash is used as a key, so the stored data cannot be
+// used to impersonate anyone. A device that signed in (see accounts.js) is
+// linked to an account and reads and writes the account's data instead.
+
+import { createHash } from 'crypto';
+import { kv } from '@vercel/kv';
+import { HttpError } from './http.js';
+import { EMPTY_STREAK, DEFAULT_STREAK_RULES, DEFAULT_STREAK_SETTINGS, normalizeStreak } from '../../src/lib/streak.js';
+
+// Keep the per-user submission log bounded.
+const MAX_LOGGED_SUBMISSIONS = 500;
+
+// Offline submissions replayed later than this no longer count.
+const DEFAULT_CLAIM_WINDOW_HOURS = 24;
+
+export const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+export const deviceIdFromRequest = (req) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (token.length < 32) throw new HttpError(401, 'Missing or invalid device token');
+  return sha256(token);
+};
+
+// The account a device is signed in to, or null.
+export const accountIdForDevice = (deviceId) => kv.get(`session:${deviceId}`);
+
+export const accountUserId = (accountId) => `account:${accountId}`;
+
+// Whose data a request reads and writes: the account when the device is
+// signed in, the device itself otherwise.
+export const userIdFromRequest = async (req) => {
+  const deviceId = deviceIdFromRequest(req);
+  const accountId = await accountIdForDevice(deviceId);
+  return accountId ? accountUserId(accountId) : deviceId;
+};
+
+// How far back a replayed offline submission may claim to have been made.
+export const claimWindowHours = () => Number(process.env.STREAK_MAX_CLAIM_HOURS ?? DEFAULT_CLAIM_WINDOW_HOURS);
+
+// When a device last reached the server: live submissions and streak reads
+// stamp the server's time, an accepted offline claim its claimed time. A
+// claim from before that moment was not made offline and is refused. The key
+// outlives the claim window, after which every claim is refused anyway.
+export const readLastSeen = async (deviceId) => {
+  const at = await kv.get(`lastseen:${deviceId}`);
+  return at ? new Date(at) : null;
+};
+
+export const markSeen = async (deviceId, at) => {
+  const previous = await readLastSeen(deviceId);
+  if (previous && previous >= at) return;
+  await kv.set(`lastseen:${deviceId}`, at.toISOString(), { ex: Math.ceil(claimWindowHours() * 60 * 60) });
+};
+
+// Deployment-wide freeze rules, overridable per environment.
+export const streakRules = () => ({
+  freezeEveryDays: Number(process.env.STREAK_FREEZE_EVERY_DAYS ?? DEFAULT_STREAK_RULES.freezeEveryDays),
+  maxFreezes: Number(process.env.STREAK_MAX_FREEZES ?? DEFAULT_STREAK_RULES.maxFreezes)
+});
+
+export const readStreak = async (userId) => normalizeStreak((await kv.get(`streak:${userId}`)) || EMPTY_STREAK);
+
+export const writeStreak = (userId, state) => kv.set(`streak:${userId}`, state);
+
+export const logSubmission = async (userId, entry) => {
+  await kv.lpush(`submissions:${userId}`, entry);
+  await kv.ltrim(`submissions:${userId}`, 0, MAX_LOGGED_SUBMISSIONS - 1);
+};
+
+export const listSubmissions = (userId, limit = 30) =>
+  kv.lrange(`submissions:${userId}`, 0, limit - 1);
+
+export const readSettings = async (userId) => ({
+  ...DEFAULT_STREAK_SETTINGS,
+  ...(await kv.get(`settings:${userId}`))
+});
+
+export const writeSettings = (userId, settings) => kv.set(`settings:${userId}`, settings);
+
+// --- Whole-user data (account merge, export and delete) ---
+
+// Settings are null when the user never changed them.
+export const readUserData = async (userId) => {
+  const [streak, submissions, settings] = await Promise.all([
+    readStreak(userId),
+    kv.lrange(`submissions:${userId}`, 0, MAX_LOGGED_SUBMISSIONS - 1),
+    kv.get(`settings:${userId}`)
+  ]);
+  return { streak, submissions, settings };
+};
+
+// Newest first, as logSubmission keeps them.
+export const replaceSubmissions = async (userId, entries) => {
+  await kv.del(`submissions:${userId}`);
+  if (entries.length) await kv.rpush(`submissions:${userId}`, ...entries.slice(0, MAX_LOGGED_SUBMISSIONS));
+};
+
+export const deleteUserData = (userId) =>
+  kv.del(`streak:${userId}`, `submissions:${userId}`, `settings:${userId}`, `history:${userId}`);
+
+// --- Synced submission history ---
+// One hash field per record, keyed by the record's syncId:
+//   { syncId, updatedAt, receivedAt, record } or, once deleted on some
+//   device, { syncId, updatedAt, receivedAt, deleted: true }.
+
+export const readHistory = async (userId) => (await kv.hgetall(`history:${userId}`)) || {};
+
+export const writeHistory = (userId, entries) => kv.hset(`history:${userId}`, entries);
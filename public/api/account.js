@@ -0,0 +1,29 @@
+// GET    /api/account -> everything stored for the caller's account, as a
+//                       downloadable export.
+// DELETE /api/account -> delete the account, its data and all its sessions.
+//
+// Both require a signed-in device.
+
+import { withErrors, sendJSON } from './_lib/http.js';
+import { accountUserId, readUserData, readHistory } from './_lib/store.js';
+import { requireAccount, describeAccount, deleteAccount } from './_lib/accounts.js';
+
+export default withErrors(['GET', 'DELETE'], async (req, res) => {
+  const account = await requireAccount(req, 'Sign in to manage your account');
+
+  if (req.method === 'DELETE') {
+    await deleteAccount(account);
+    return sendJSON(res, 200, { deleted: true });
+  }
+
+  const userId = accountUserId(account.id);
+  const [{ streak, submissions, settings }, history] = await Promise.all([readUserData(userId), readHistory(userId)]);
+  sendJSON(res, 200, {
+    exportedAt: new Date().toISOString(),
+    account: describeAccount(account),
+    streak,
+    settings,
+    submissions,
+    history: Object.values(history).filter((entry) => !entry.deleted).map((entry) => entry.record)
+  });
+});
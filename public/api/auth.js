@@ -0,0 +1,63 @@
+// GET    /api/auth -> { account } for the calling device (null when signed out).
+// POST   /api/auth { action: 'request', email } -> email a one-time sign-in
+//        link to `${APP_URL}/?signin=<token>`. Local development with
+//        AUTH_DEV_LINKS=1 returns it as { devLink } instead (see mail.js).
+// POST   /api/auth { action: 'verify', token } -> sign the calling device in
+//        to the link's account, merging in what it recorded while signed out.
+// DELETE /api/auth -> sign the calling device out.
+
+import { withErrors, sendJSON, HttpError } from './_lib/http.js';
+import { deviceIdFromRequest, accountIdForDevice } from './_lib/store.js';
+import {
+  normalizeEmail,
+  readAccount,
+  describeAccount,
+  createMagicToken,
+  consumeMagicToken,
+  findOrCreateAccount,
+  signInDevice,
+  signOutDevice
+} from './_lib/accounts.js';
+import { sendSignInEmail, devLinksAllowed } from './_lib/mail.js';
+
+// Never derived from the request (Host, Origin): whoever sends it must not
+// choose where the token is delivered.
+const appUrl = () => {
+  if (!process.env.APP_URL) throw new HttpError(503, 'Email sign-in is not configured on this server');
+  return process.env.APP_URL.replace(/\/+$/, '');
+};
+
+export default withErrors(['GET', 'POST', 'DELETE'], async (req, res) => {
+  const deviceId = deviceIdFromRequest(req);
+  const accountId = await accountIdForDevice(deviceId);
+
+  if (req.method === 'GET') {
+    const account = accountId && (await readAccount(accountId));
+    return sendJSON(res, 200, { account: account ? describeAccount(account) : null });
+  }
+
+  if (req.method === 'DELETE') {
+    if (accountId) await signOutDevice(deviceId, accountId);
+    return sendJSON(res, 200, { account: null });
+  }
+
+  const { action, email, token } = req.body || {};
+
+  if (action === 'request') {
+    const address = normalizeEmail(email);
+    const link = `${appUrl()}/?signin=${await createMagicToken(address)}`;
+    if (devLinksAllowed()) return sendJSON(res, 200, { sent: false, devLink: link });
+    await sendSignInEmail(address, link);
+    return sendJSON(res, 200, { sent: true });
+  }
+
+  if (action === 'verify') {
+    const account = await findOrCreateAccount(await consumeMagicToken(token));
+    if (accountId === account.id) return sendJSON(res, 200, { account: describeAccount(account) });
+    if (accountId) await signOutDevice(deviceId, accountId);
+    await signInDevice(deviceId, account);
+    return sendJSON(res, 200, { account: describeAccount(account) });
+  }
+
+  throw new HttpError(400, 'action must be "request" or "verify"');
+});
@@ -0,0 +1,87 @@
+// GET  /api/cohorts -> { joined, teaching }: the class the caller is in and
+//                      the classes they teach.
+// GET  /api/cohorts?dashboard=<id> -> the instructor dashboard for a class
+//                      (see src/lib/cohortStats.js).
+// POST /api/cohorts { action, ... }:
+//   create { name }                        start a class; returns its join code
+//   join   { code, name }                  join as a student under a display name
+//   leave                                  leave the joined class
+//   assign { cohortId, challengeId, title, topic }
+//                                          set everyone's daily challenge for today
+//   delete { cohortId }                    close a class
+//
+// Classes need an account on both sides; only the instructor sees
+// members' streaks and logs.
+
+import { withErrors, sendJSON, HttpError } from './_lib/http.js';
+import { accountUserId, readSettings } from './_lib/store.js';
+import { requireAccount } from './_lib/accounts.js';
+import {
+  cleanName,
+  readOwnCohort,
+  describeForStudent,
+  describeForInstructor,
+  joinedCohort,
+  taughtCohorts,
+  createCohort,
+  joinCohort,
+  leaveCohort,
+  assignChallenge,
+  deleteCohort,
+  readMemberData
+} from './_lib/cohorts.js';
+import { dayInTimeZone } from '../src/lib/streak.js';
+import { cohortDashboard } from '../src/lib/cohortStats.js';
+
+const isShortString = (value, max = 100) => typeof value === 'string' && value.length > 0 && value.length <= max;
+
+export default withErrors(['GET', 'POST'], async (req, res) => {
+  const account = await requireAccount(req, 'Sign in to use classes');
+
+  if (req.method === 'GET') {
+    if (req.query?.dashboard) {
+      const cohort = await readOwnCohort(req.query.dashboard, account.id);
+      const members = await readMemberData(cohort.id);
+      return sendJSON(res, 200, {
+        cohort: await describeForInstructor(cohort),
+        ...cohortDashboard(members, { now: new Date(), assignment: cohort.assignment })
+      });
+    }
+    const [joined, teaching] = await Promise.all([joinedCohort(account.id), taughtCohorts(account.id)]);
+    return sendJSON(res, 200, {
+      joined: joined ? describeForStudent(joined) : null,
+      teaching: await Promise.all(teaching.map(describeForInstructor))
+    });
+  }
+
+  const { action, name, code, cohortId, challengeId, title, topic } = req.body || {};
+
+  switch (action) {
+    case 'create': {
+      const cohort = await createCohort(account.id, cleanName(name, 'The class name'));
+      return sendJSON(res, 200, { cohort: await describeForInstructor(cohort) });
+    }
+    case 'join': {
+      const cohort = await joinCohort(account.id, code, cleanName(name, 'Your display name'));
+      return sendJSON(res, 200, { joined: describeForStudent(cohort) });
+    }
+    case 'leave':
+      await leaveCohort(account.id);
+      return sendJSON(res, 200, { joined: null });
+    case 'assign': {
+      const cohort = await readOwnCohort(cohortId, account.id);
+      if (!isShortString(challengeId) || !isShortString(title, 200) || !isShortString(topic)) {
+        throw new HttpError(400, 'challengeId, title and topic are required');
+      }
+      const { timeZone } = await readSettings(accountUserId(account.id));
+      const day = dayInTimeZone(new Date(), timeZone);
+      const next = await assignChallenge(cohort, { challengeId, title, topic, day });
+      return sendJSON(res, 200, { cohort: await describeForInstructor(next) });
+    }
+    case 'delete':
+      await deleteCohort(await readOwnCohort(cohortId, account.id));
+      return sendJSON(res, 200, { deleted: true });
+    default:
+      throw new HttpError(400, 'Unknown action');
+  }
+});
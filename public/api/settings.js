@@ -0,0 +1,38 @@
+// GET /api/settings -> the caller's streak settings (time zone, grace hours).
+// PUT /api/settings -> update them.
+//
+// Changing the time zone shifts where day boundaries fall, so it is limited
+// to once per day to stop students hopping zones to bank extra days.
+
+import { withErrors, sendJSON, HttpError } from './_lib/http.js';
+import { userIdFromRequest, readSettings, writeSettings } from './_lib/store.js';
+import { isValidTimeZone, MAX_GRACE_HOURS } from '../src/lib/streak.js';
+
+const TIME_ZONE_CHANGE_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+export default withErrors(['GET', 'PUT'], async (req, res) => {
+  const userId = await userIdFromRequest(req);
+  const current = await readSettings(userId);
+
+  if (req.method === 'GET') {
+    return sendJSON(res, 200, current);
+  }
+
+  const { timeZone = current.timeZone, graceHours = current.graceHours } = req.body || {};
+  if (!isValidTimeZone(timeZone)) throw new HttpError(400, `Unknown time zone "${timeZone}"`);
+  if (!Number.isInteger(graceHours) || graceHours < 0 || graceHours > MAX_GRACE_HOURS) {
+    throw new HttpError(400, `graceHours must be an integer from 0 to ${MAX_GRACE_HOURS}`);
+  }
+
+  const next = { ...current, timeZone, graceHours };
+  if (timeZone !== current.timeZone) {
+    const last = current.timeZoneChangedAt ? Date.parse(current.timeZoneChangedAt) : 0;
+    if (Date.now() - last < TIME_ZONE_CHANGE_COOLDOWN_MS) {
+      throw new HttpError(429, 'The time zone can only be changed once a day');
+    }
+    next.timeZoneChangedAt = new Date().toISOString();
+  }
+
+  await writeSettings(userId, next);
+  sendJSON(res, 200, next);
+});
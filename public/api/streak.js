@@ -0,0 +1,30 @@
+// GET /api/streak -> the caller's streak as of the server's current date
+//                    in the caller's chosen time zone.
+//
+// Reading the streak counts as contact: offline claims from before it are
+// refused (see submissions.js).
+
+import { withErrors, sendJSON } from './_lib/http.js';
+import { deviceIdFromRequest, userIdFromRequest, readStreak, readSettings, streakRules, markSeen } from './_lib/store.js';
+import { dayInTimeZone, effectiveStreak } from '../src/lib/streak.js';
+
+export default withErrors(['GET'], async (req, res) => {
+  const userId = await userIdFromRequest(req);
+  const [state, settings] = await Promise.all([
+    readStreak(userId),
+    readSettings(userId),
+    markSeen(deviceIdFromRequest(req), new Date())
+  ]);
+  const today = dayInTimeZone(new Date(), settings.timeZone);
+
+  sendJSON(res, 200, {
+    streak: effectiveStreak(state, today),
+    longest: state.longest,
+    freezes: state.freezes,
+    frozenDays: state.frozenDays,
+    lastDay: state.lastDay,
+    today,
+    settings,
+    rules: streakRules()
+  });
+});
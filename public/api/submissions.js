@@ -0,0 +1,105 @@
+// POST /api/submissions -> record a submission at the server's time and
+//                          return the updated streak.
+// GET  /api/submissions -> the caller's most recent submission log entries.
+//
+// The day a submission counts for is derived from the server clock, read in
+// the caller's configured time zone. The one exception is a replay from the
+// offline queue: it carries `claimedAt`, the time the student submitted while
+// offline, which is accepted only if it is not in the future, no older than
+// the claim window, and later than the device's last contact with the server
+// (store.js markSeen): a device that was online since cannot have made it
+// offline. A claim on a day before the last counted day is logged but changes
+// nothing.
+// Challenge attempts ({ challengeId, passed }) are logged either way but only
+// count toward the streak when they passed. Reviewed submissions may carry
+// `categories`, the error category ids the review found
+// (src/lib/errorCategories.js), for the cohort dashboard.
+
+import { withErrors, sendJSON, HttpError } from './_lib/http.js';
+import {
+  deviceIdFromRequest,
+  userIdFromRequest,
+  readStreak,
+  writeStreak,
+  readSettings,
+  streakRules,
+  logSubmission,
+  listSubmissions,
+  claimWindowHours,
+  readLastSeen,
+  markSeen
+} from './_lib/store.js';
+import { resolveSubmissionDay, applySubmission, dayInTimeZone } from '../src/lib/streak.js';
+import { ERROR_CATEGORY_IDS } from '../src/lib/errorCategories.js';
+
+// Tolerated drift between a device clock and ours.
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const parseClaim = (claimedAt, now, lastSeen) => {
+  const time = typeof claimedAt === 'string' ? Date.parse(claimedAt) : NaN;
+  if (Number.isNaN(time)) throw new HttpError(400, 'claimedAt must be an ISO timestamp');
+  if (time > now.getTime() + CLOCK_SKEW_MS) throw new HttpError(400, 'claimedAt is in the future');
+  if (now.getTime() - time > claimWindowHours() * 60 * 60 * 1000) {
+    throw new HttpError(422, `Offline submissions must be synced within ${claimWindowHours()} hours`);
+  }
+  if (lastSeen && time < lastSeen.getTime() - CLOCK_SKEW_MS) {
+    throw new HttpError(422, 'This device was online after that time, so the submission cannot count as made offline');
+  }
+  return new Date(Math.min(time, now.getTime()));
+};
+
+export default withErrors(['GET', 'POST'], async (req, res) => {
+  const deviceId = deviceIdFromRequest(req);
+  const userId = await userIdFromRequest(req);
+
+  if (req.method === 'GET') {
+    return sendJSON(res, 200, { submissions: await listSubmissions(userId) });
+  }
+
+  const { codeHash, challengeId = null, passed = false, claimedAt, categories = [] } = req.body || {};
+  if (typeof codeHash !== 'string' || !/^[0-9a-f]{64}$/.test(codeHash)) {
+    throw new HttpError(400, 'codeHash must be a hex SHA-256 digest');
+  }
+  if (challengeId !== null && (typeof challengeId !== 'string' || challengeId.length > 100)) {
+    throw new HttpError(400, 'challengeId must be a short string');
+  }
+  if (!Array.isArray(categories) || !categories.every((id) => ERROR_CATEGORY_IDS.includes(id))) {
+    throw new HttpError(400, 'categories must be known error category ids');
+  }
+
+  const now = new Date();
+  const submittedAt = claimedAt === undefined ? now : parseClaim(claimedAt, now, await readLastSeen(deviceId));
+  await markSeen(deviceId, submittedAt);
+  const [previous, settings] = await Promise.all([readStreak(userId), readSettings(userId)]);
+  const day = resolveSubmissionDay(previous, submittedAt, settings);
+  const localDay = dayInTimeZone(submittedAt, settings.timeZone);
+  const eligible = challengeId === null || passed === true;
+  const { state, counted, freezesUsed } = eligible
+    ? applySubmission(previous, day, streakRules(), { rescuedOn: day === localDay ? null : localDay })
+    : { state: previous, counted: false, freezesUsed: 0 };
+
+  if (counted) await writeStreak(userId, state);
+  await logSubmission(userId, {
+    at: now.toISOString(),
+    claimedAt: claimedAt === undefined ? null : submittedAt.toISOString(),
+    day,
+    codeHash,
+    challengeId,
+    passed,
+    counted,
+    freezesUsed,
+    categories: [...new Set(categories)]
+  });
+
+  sendJSON(res, 200, {
+    streak: state.current,
+    longest: state.longest,
+    freezes: state.freezes,
+    freezesUsed,
+    frozenDays: state.frozenDays,
+    lastDay: state.lastDay,
+    day,
+    counted,
+    recordedAt: now.toISOString()
+  });
+});
@@ -0,0 +1,66 @@
+// POST /api/sync { since, records, deleted } -> { records, deleted, cursor }
+//
+// Two-way sync of the submission history (src/lib/historyStore.js) between
+// the devices signed in to one account. The client pushes the records it
+// changed and the syncIds it deleted ({ syncId, deletedAt }); each record
+// keeps whichever version was changed last, and a deletion wins over edits
+// made before it. The response holds everything that reached the server
+// since `since` (the previous response's `cursor`), minus what this push
+// just stored. Cursors overlap a little so racing pushes are not missed;
+// clients ignore versions they already have.
+
+import { withErrors, sendJSON, HttpError } from './_lib/http.js';
+import { deviceIdFromRequest, accountIdForDevice, accountUserId, readHistory, writeHistory } from './_lib/store.js';
+
+const MAX_PUSHED = 50;
+const MAX_RECORD_BYTES = 256 * 1024;
+const CURSOR_OVERLAP_MS = 60 * 1000;
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isSyncId = (value) => typeof value === 'string' && value.length > 0 && value.length <= 64;
+
+const validRecord = (record) =>
+  record && typeof record === 'object' && isSyncId(record.syncId) && isTimestamp(record.updatedAt) &&
+  JSON.stringify(record).length <= MAX_RECORD_BYTES;
+
+export default withErrors(['POST'], async (req, res) => {
+  const accountId = await accountIdForDevice(deviceIdFromRequest(req));
+  if (!accountId) throw new HttpError(401, 'Sign in to sync your history');
+  const userId = accountUserId(accountId);
+
+  const { since = null, records = [], deleted = [] } = req.body || {};
+  if (since !== null && !isTimestamp(since)) throw new HttpError(400, 'since must be an ISO timestamp');
+  if (!Array.isArray(records) || !Array.isArray(deleted) || records.length + deleted.length > MAX_PUSHED) {
+    throw new HttpError(400, `Push at most ${MAX_PUSHED} records and deletions at a time`);
+  }
+  if (!records.every(validRecord)) throw new HttpError(400, 'Each record needs a syncId and updatedAt, and must be under 256 KB');
+  if (!deleted.every((d) => d && isSyncId(d.syncId) && isTimestamp(d.deletedAt))) {
+    throw new HttpError(400, 'Each deletion needs a syncId and deletedAt');
+  }
+
+  const stored = await readHistory(userId);
+  const receivedAt = new Date().toISOString();
+  const incoming = [
+    ...records.map((record) => ({ syncId: record.syncId, updatedAt: record.updatedAt, receivedAt, record })),
+    ...deleted.map((d) => ({ syncId: d.syncId, updatedAt: d.deletedAt, receivedAt, deleted: true }))
+  ];
+  const accepted = {};
+  for (const entry of incoming) {
+    const current = accepted[entry.syncId] || stored[entry.syncId];
+    const newer = !current || entry.updatedAt > current.updatedAt || (entry.deleted && entry.updatedAt === current.updatedAt);
+    if (newer) accepted[entry.syncId] = entry;
+  }
+  if (Object.keys(accepted).length) await writeHistory(userId, accepted);
+
+  // A pushed version that lost to a newer one is answered with the winner.
+  const sent = new Set(incoming.map((entry) => entry.syncId));
+  const cutoff = since && new Date(Date.parse(since) - CURSOR_OVERLAP_MS).toISOString();
+  const changed = Object.values({ ...stored, ...accepted })
+    .filter((entry) => !accepted[entry.syncId] && (sent.has(entry.syncId) || !cutoff || entry.receivedAt > cutoff));
+
+  sendJSON(res, 200, {
+    records: changed.filter((entry) => !entry.deleted).map((entry) => entry.record),
+    deleted: changed.filter((entry) => entry.deleted).map((entry) => ({ syncId: entry.syncId, deletedAt: entry.updatedAt })),
+    cursor: receivedAt
+  });
+});
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// Prompt evaluation: replays a corpus of C programs with known outputs
+// (eval/corpus.json, outputs for the ILP32 model in lib/c/types.js; none of
+// the programs depend on the size of long or pointers, so they are also
+// what gcc on x86-64 prints) through every version of the
+// mentor prompt and reports, per version, how often the reply had the
+// right format and how often its Predicted Output was right.
+//
+//   node eval/run.mjs                          mock model (offline)
+//   node eval/run.mjs --recordings rec.json    replay recorded replies
+//   node eval/run.mjs --record rec.json --provider gemini [--model m]
+//                                              call a real provider and save its replies
+//
+// Options: --versions v1,v2   --corpus file   --json   --min-accuracy 0.8
+// Keys for --record come from LLM_API_KEY (and LLM_BASE_URL for openai/ollama).
+//
+// The mock runs each program through the step interpreter (lib/c) and
+// answers with its output, garbling the format of some replies on purpose
+// so the repair and re-ask paths run too. It scores the harness, not a
+// prompt; compare versions with recordings.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { promptTemplate, promptVersions } from '../src/lib/prompts/templates.js';
+import { askValidated } from '../src/lib/prompts/validate.js';
+import { extractPredictedOutput, outputsMatch } from '../src/runtime/outputDiff.js';
+import { scoreGuess } from '../src/lib/hints.js';
+import { buildReviewRequest } from '../src/lib/reviewRequest.js';
+import { parseProject } from '../src/lib/project.js';
+import { analyzeProject } from '../src/lib/c/analyzer.js';
+import { traceProgram } from '../src/lib/c/interpreter.js';
+import { createProvider, defaultSettingsFor, PROVIDERS, describeLLMError } from '../src/lib/llm/index.js';
+import { withRetry } from '../src/lib/llm/retry.js';
+
+const PROMPT_ID = 'mentor';
+
+const { values: options } = parseArgs({
+  options: {
+    corpus: { type: 'string', default: fileURLToPath(new URL('./corpus.json', import.meta.url)) },
+    versions: { type: 'string' },
+    recordings: { type: 'string' },
+    record: { type: 'string' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    'min-accuracy': { type: 'string' }
+  }
+});
+
+// --- Models: ask(template, entry, attempt, request) -> reply text ---
+
+const mockReview = (output, garbled) => {
+  const block = output === null ? 'No output (the interpreter could not run this program).' : ['```text', output.replace(/\n$/, ''), '```'].join('\n');
+  const [heading, intro] = garbled ? ['## Predicted Output:', "Sure! Here's my review:\n\n"] : ['### Predicted Output', ''];
+  return `${intro}${heading}\n${block}\n### Explanation\n- Traced by the mock model.\n### Improvements or Variations\n- None (mock model).`;
+};
+
+const mockModel = () => {
+  const outputs = new Map();
+  return async (template, entry, attempt) => {
+    if (!outputs.has(entry.id)) {
+      const trace = traceProgram(parseProject(entry.code), { stdin: entry.stdin, args: entry.args });
+      outputs.set(entry.id, trace.status === 'ok' ? trace.stdout : null);
+    }
+    const index = corpusIndex.get(entry.id);
+    // Every fifth reply forgets the output block the first time round.
+    if (index % 5 === 4 && attempt === 0) return mockReview(null, false).replace(/No output.*\n/, 'It prints a few lines.\n');
+    return mockReview(outputs.get(entry.id), index % 3 === 1);
+  };
+};
+
+const replayModel = (recordings) => async (template, entry, attempt) => {
+  const reply = recordings.replies[`${template.id}@${template.version}`]?.[entry.id]?.[attempt];
+  if (reply === undefined) throw new Error(`No recorded reply for ${template.id}@${template.version} ${entry.id} (attempt ${attempt + 1})`);
+  return reply;
+};
+
+const recordingModel = (settings, recordings) => {
+  const provider = createProvider(settings);
+  return async (template, entry, attempt, { messages }) => {
+    const reply = await withRetry(() => provider.generate({ system: template.system, messages }));
+    const key = `${template.id}@${template.version}`;
+    recordings.replies[key] = recordings.replies[key] || {};
+    (recordings.replies[key][entry.id] = recordings.replies[key][entry.id] || [])[attempt] = reply;
+    return reply;
+  };
+};
+
+// --- Run ---
+
+const evaluateCase = async (template, entry, model) => {
+  const request = buildReviewRequest(entry.code, { stdin: entry.stdin, args: entry.args }, analyzeProject(parseProject(entry.code)));
+  let attempt = 0;
+  const result = await askValidated(template, (retry) => {
+    const messages = retry
+      ? [{ role: 'user', text: request }, { role: 'assistant', text: retry.previous }, { role: 'user', text: retry.correction }]
+      : [{ role: 'user', text: request }];
+    return model(template, entry, attempt++, { messages });
+  });
+  const predicted = extractPredictedOutput(result.text);
+  return {
+    id: entry.id,
+    formatOk: result.ok && !result.repaired && !result.reasks,
+    repaired: result.ok && result.repaired && !result.reasks,
+    reasked: result.ok && result.reasks > 0,
+    invalid: !result.ok,
+    problems: result.problems,
+    exact: outputsMatch(predicted, entry.expected),
+    lineMatch: predicted === null ? 0 : scoreGuess(predicted, entry.expected).match
+  };
+};
+
+const summarize = (version, cases) => {
+  const count = (key) => cases.filter((c) => c[key]).length;
+  return {
+    version,
+    cases: cases.length,
+    formatOk: count('formatOk'),
+    repaired: count('repaired'),
+    reasked: count('reasked'),
+    invalid: count('invalid'),
+    exact: count('exact'),
+    accuracy: cases.length ? count('exact') / cases.length : 0,
+    lineMatch: cases.length ? Math.round(cases.reduce((sum, c) => sum + c.lineMatch, 0) / cases.length) : 0,
+    misses: cases.filter((c) => !c.exact).map((c) => (c.invalid ? `${c.id} (${c.problems.join(' ')})` : c.id))
+  };
+};
+
+const percent = (n) => `${Math.round(n * 100)}%`;
+
+const printReport = (source, reports) => {
+  console.log(`${PROMPT_ID} prompt, ${reports[0]?.cases ?? 0} programs, ${source}\n`);
+  const rows = [['version', 'format ok', 'repaired', 're-asked', 'invalid', 'exact', 'line match']];
+  for (const r of reports) {
+    rows.push([r.version, r.formatOk, r.repaired, r.reasked, r.invalid, `${r.exact} (${percent(r.accuracy)})`, `${r.lineMatch}%`].map(String));
+  }
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => row[i].length)));
+  for (const row of rows) console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+  for (const r of reports) {
+    if (r.misses.length) console.log(`\n${r.version} missed: ${r.misses.join(', ')}`);
+  }
+};
+
+const corpus = JSON.parse(readFileSync(options.corpus, 'utf8'));
+const corpusIndex = new Map(corpus.map((entry, i) => [entry.id, i]));
+const versions = options.versions ? options.versions.split(',').map((v) => v.trim()) : promptVersions(PROMPT_ID);
+
+let model;
+let source;
+let recordings = null;
+if (options.record) {
+  const providerId = options.provider || 'gemini';
+  if (!PROVIDERS[providerId]) throw new Error(`Unknown provider "${providerId}".`);
+  const settings = {
+    ...defaultSettingsFor(providerId),
+    ...(options.model && { model: options.model }),
+    ...(process.env.LLM_API_KEY && { apiKey: process.env.LLM_API_KEY }),
+    ...(process.env.LLM_BASE_URL && { baseUrl: process.env.LLM_BASE_URL })
+  };
+  recordings = { provider: providerId, model: settings.model, recordedAt: new Date().toISOString(), replies: {} };
+  model = recordingModel(settings, recordings);
+  source = `recording ${providerId}/${settings.model} to ${options.record}`;
+} else if (options.recordings) {
+  const recorded = JSON.parse(readFileSync(options.recordings, 'utf8'));
+  model = replayModel(recorded);
+  source = `replaying ${recorded.provider}/${recorded.model} (recorded ${recorded.recordedAt})`;
+} else {
+  model = mockModel();
+  source = 'mock model';
+}
+
+const reports = [];
+try {
+  for (const version of versions) {
+    const template = promptTemplate(PROMPT_ID, version);
+    const cases = [];
+    for (const entry of corpus) cases.push(await evaluateCase(template, entry, model));
+    reports.push(summarize(version, cases));
+  }
+} catch (err) {
+  console.error(err.code ? describeLLMError(err, err.message) : err.message);
+  process.exitCode = 2;
+} finally {
+  if (recordings) writeFileSync(options.record, `${JSON.stringify(recordings, null, 2)}\n`);
+}
+
+if (reports.length === versions.length) {
+  if (options.json) console.log(JSON.stringify({ prompt: PROMPT_ID, source, reports }, null, 2));
+  else printReport(source, reports);
+
+  const minAccuracy = options['min-accuracy'] === undefined ? null : Number(options['min-accuracy']);
+  if (minAccuracy !== null && reports.some((r) => r.accuracy < minAccuracy)) {
+    console.error(`\nAccuracy below ${percent(minAccuracy)} for ${reports.filter((r) => r.accuracy < minAccuracy).map((r) => r.version).join(', ')}.`);
+    process.exitCode = 1;
+  }
+}
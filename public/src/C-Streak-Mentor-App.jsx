@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useDeferredValue } from 'react';
 import { 
   Terminal, 
   Send, 
@@ -11,78 +11,75 @@ import {
   AlertCircle,
   Sparkles,
   Wrench,
-  Lightbulb,
   ShieldCheck,
-  Globe
+  Globe,
+  Settings,
+  Snowflake,
+  History,
+  Square,
+  Undo2,
+  Redo2,
+  CloudOff,
+  RefreshCw,
+  Lightbulb,
+  Footprints,
+  UserRound,
+  Users,
+  Award,
+  X
 } from 'lucide-react';
+import { runC } from './runtime/runC.js';
+import { extractPredictedOutput } from './runtime/outputDiff.js';
+import ActualOutputSection from './components/ActualOutputSection.jsx';
+import { buildReviewRequest, parseArgs } from './lib/reviewRequest.js';
+import InputPanel from './components/InputPanel.jsx';
+import { createClient, reviewCacheKey, loadLLMSettings, saveLLMSettings, describeLLMError, isAbortError, LLM_ERROR_CODES } from './lib/llm/index.js';
+import SettingsModal from './components/SettingsModal.jsx';
+import { splitSections } from './lib/markdown.js';
+import Markdown from './components/Markdown.jsx';
+import CodeEditor from './components/CodeEditor.jsx';
+import DiagnosticsList from './components/DiagnosticsList.jsx';
+import { collectDiagnostics } from './lib/diagnostics.js';
+import { analyzeProject } from './lib/c/analyzer.js';
+import { DEFAULT_FILE, serializeProject, parseProject, isMultiFile, mainFile, sortFiles, projectFromEntries, hasSameFiles, HEADER_TEMPLATE, SOURCE_TEMPLATE } from './lib/project.js';
+import { createZip, readZip } from './lib/zip.js';
+import FileTree from './components/FileTree.jsx';
+import FileTabs from './components/FileTabs.jsx';
+import { buildChatHistory, formatQuestion, trimQuote } from './lib/chat.js';
+import ChatThread from './components/ChatThread.jsx';
+import { newHintSession, scoreGuess, parseHints, FULL_ANSWER_LEVEL } from './lib/hints.js';
+import HintLadder from './components/HintLadder.jsx';
+import AutoFixReview from './components/AutoFixReview.jsx';
+import { parseChallengeResponse, gradeSolution } from './lib/challenges.js';
+import ChallengeCard from './components/ChallengeCard.jsx';
+import { fetchStreak, recordSubmission, readCachedStreak, isOfflineError } from './lib/streakApi.js';
+import StreakDetailsModal from './components/StreakDetailsModal.jsx';
+import { addSubmission, updateSubmission, getLatestSubmission, listSubmissions, localDay } from './lib/historyStore.js';
+import { pickDailyChallenge } from './lib/scheduler.js';
+import { topicLabel, findCatalogChallenge } from './lib/catalog.js';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import { queueSubmission, replayQueue, countQueued } from './lib/offlineQueue.js';
+import { registerServiceWorker } from './lib/pwa.js';
+import { traceC } from './runtime/traceC.js';
+import ExecutionVisualizer from './components/ExecutionVisualizer.jsx';
+import { readCachedAccount, fetchAccount, takeSignInToken, completeSignIn, signOut, deleteAccount } from './lib/account.js';
+import { syncHistory, lastSyncedAt } from './lib/sync.js';
+import AccountModal from './components/AccountModal.jsx';
+import { readCachedCohorts, clearCachedCohorts, fetchCohorts } from './lib/cohortApi.js';
+import { isCurrentAssignment } from './lib/cohortStats.js';
+import { categorizeReview } from './lib/errorCategories.js';
+import CohortModal from './components/CohortModal.jsx';
+import CohortDashboard from './components/CohortDashboard.jsx';
+import { achievementProfile } from './lib/achievements.js';
+import ProfilePage from './components/ProfilePage.jsx';
+import { promptTemplate } from './lib/prompts/templates.js';
+import { askValidated, validateResponse } from './lib/prompts/validate.js';
+
+// Analyzer findings for a (possibly multi-file) program text.
+const analyzeCode = (text) => analyzeProject(parseProject(text));
 
-// --- System Prompt Configuration ---
-
-// 1. Main Mentor Prompt
-const MENTOR_SYSTEM_PROMPT = `
-You are an assistant embedded inside a web app called “C‑Streak Mentor”.  
-Users paste C programs into the app once per day to maintain a coding streak and get help understanding their code.  
-
-Your job is to:
-- Predict what the given C program will print when compiled and run with no input (unless the user clearly specifies input).  
-- Briefly explain the program’s behavior and any important C concepts involved.  
-- Point out compilation errors, undefined behavior, or logical bugs if they exist.  
-- Always encourage the user to understand and modify the code, not just copy answers.
-
-### Rules about code and output
-
-1. **When the user sends a C program, always do these steps in order:**
-   - Check if the code is likely to compile (missing headers, main function, syntax errors).  
-   - If it should compile, mentally “execute” it and write the exact text that would appear on stdout (including newlines and spaces) as clearly as possible.  
-   - If it will not compile, describe the errors and show how to fix them.  
-   - If it has undefined behavior, explain why and what could happen.
-
-2. **Output format (Strict Markdown):**
-   - Use a level 3 header for sections (###).
-   - Section 1: ### Predicted Output
-     - If it runs, show the exact output in a code block.
-     - If it doesn’t compile, say "No output (does not compile)" and explain.
-   - Section 2: ### Explanation
-     - 3–8 short sentences or bullet points explaining how the code works, important lines, and any tricky parts.
-   - Section 3: ### Improvements or Variations
-     - Suggest 1–3 small improvements, refactors, or variations the user could try.
-
-3. **Never claim to have actually executed the code.** - Use language like “This code will likely print:” or “The expected output is:”.  
-   - If you are not sure about the exact output, say you are unsure.
-
-4. **Do not write entire new solutions unless explicitly asked.** ### Streak app context
-- Always respond in a way that **teaches** something new.
-- Tone: friendly, concise, and technically correct.  
-- Audience: beginner–intermediate C learners (engineering students).  
-- Focus on control flow, data types, memory basics, and common pitfalls.
-`;
-
-// 2. Challenge Generator Prompt
-const CHALLENGE_SYSTEM_PROMPT = `
-You are a creative C programming instructor. 
-Generate a single, fun, and concise coding challenge for a beginner/intermediate C student.
-The challenge should be described in 1-2 sentences max.
-Do NOT provide code, only the problem description.
-Example: "Write a program that takes a user's birth year and calculates their age on other planets."
-`;
-
-// 3. Auto-Fix Prompt
-const AUTOFIX_SYSTEM_PROMPT = `
-You are an expert C code formatter and debugger.
-Your task is to take the provided C code and fix any syntax errors, logical bugs, or bad formatting.
-Return ONLY the corrected C code. 
-Do NOT use Markdown code blocks (no backticks).
-Do NOT include any explanations or conversational text.
-Just the raw C code string.
-`;
-
-// 4. Anti-Cheat Time Check Prompt
-const TIME_CHECK_SYSTEM_PROMPT = `
-You are a precise time-keeping server. 
-Use the Google Search tool to find the current date in UTC.
-Return the date in strict JSON format: { "current_utc_date": "YYYY-MM-DD" }.
-Do not explain. Only return JSON.
-`;
+// Signed-in devices also sync history on this interval (see lib/sync.js).
+const HISTORY_SYNC_INTERVAL_MS = 5 * 60 * 1000;
 
 const INITIAL_CODE = `#include <stdio.h>
 
@@ -95,204 +92,976 @@ int main() {
 }`;
 
 export default function TechchatApp() {
-  const [code, setCode] = useState(INITIAL_CODE);
+  // The project's files; `code` is their serialized form (lib/project.js),
+  // which is what history, reviews, grading and the streak server see.
+  const [files, setFiles] = useState([{ name: DEFAULT_FILE, content: INITIAL_CODE }]);
+  const [activeFile, setActiveFile] = useState(DEFAULT_FILE);
+  const [openFiles, setOpenFiles] = useState([DEFAULT_FILE]);
+  const [showFileTree, setShowFileTree] = useState(false);
+  const code = useMemo(() => serializeProject(files), [files]);
+  const activeContent = files.find((f) => f.name === activeFile)?.content ?? '';
   const [response, setResponse] = useState(null);
   const [loading, setLoading] = useState(false);
   const [streak, setStreak] = useState(0);
-  const [lastSubmissionDate, setLastSubmissionDate] = useState(null);
+  const [streakInfo, setStreakInfo] = useState(null);
+  const [showStreakDetails, setShowStreakDetails] = useState(false);
   const [error, setError] = useState(null);
   
   // New States for Features
   const [challenge, setChallenge] = useState(null);
+  const [challengeGrade, setChallengeGrade] = useState(null);
+  const [grading, setGrading] = useState(false);
   const [loadingChallenge, setLoadingChallenge] = useState(false);
   const [loadingFix, setLoadingFix] = useState(false);
   const [timeVerified, setTimeVerified] = useState(false);
+  const [streakError, setStreakError] = useState(null);
+  const [execution, setExecution] = useState(null);
+  const [stdin, setStdin] = useState('');
+  const [argsText, setArgsText] = useState('');
+  const [llmSettings, setLlmSettings] = useState(loadLLMSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [pendingAutoFixes, setPendingAutoFixes] = useState([]);
+  const [fixProposal, setFixProposal] = useState(null);
+  const [editorHistory, setEditorHistory] = useState({ undo: 0, redo: 0 });
+  const [queuedCount, setQueuedCount] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const [offlineNotice, setOfflineNotice] = useState(null);
+  // Request layer feedback: backoff in progress, review served from the cache
+  const [retryNotice, setRetryNotice] = useState(null);
+  const [reviewCached, setReviewCached] = useState(false);
+  // What the shown review was about ({ historyId, code, stdin, argsText }),
+  // and the follow-up conversation under it.
+  const [reviewSubject, setReviewSubject] = useState(null);
+  const [thread, setThread] = useState([]);
+  const [chatting, setChatting] = useState(false);
+  // Hint mode: guess the output before the review is shown (lib/hints.js).
+  const [hintMode, setHintMode] = useState(() => localStorage.getItem('techchat_hint_mode') === 'on');
+  const [hintSession, setHintSession] = useState(null);
+  const [loadingHints, setLoadingHints] = useState(false);
+  const [hintsError, setHintsError] = useState(null);
+  // Step-through visualizer: the trace and what it was run on
+  // ({ result, code, stdin, argsText }), and the step being shown.
+  const [trace, setTrace] = useState(null);
+  const [traceStep, setTraceStep] = useState(0);
+  const [tracing, setTracing] = useState(false);
+  // Signed-in account ({ email, createdAt }) and history sync status
+  const [account, setAccount] = useState(readCachedAccount);
+  const [showAccount, setShowAccount] = useState(false);
+  const [accountNotice, setAccountNotice] = useState(null);
+  const [historySyncing, setHistorySyncing] = useState(false);
+  const [syncedAt, setSyncedAt] = useState(lastSyncedAt);
+  // Classes: { joined, teaching } and the dashboard being viewed
+  const [cohorts, setCohorts] = useState(readCachedCohorts);
+  const [showCohorts, setShowCohorts] = useState(false);
+  const [dashboardCohort, setDashboardCohort] = useState(null);
+  // Achievements are replayed from the history (null until first loaded)
+  const [achievementHistory, setAchievementHistory] = useState(null);
+  const [showProfile, setShowProfile] = useState(false);
+  const [unlockedBadges, setUnlockedBadges] = useState([]);
+  const runIdRef = useRef(0);
+  const syncRef = useRef(null);
+  const controllersRef = useRef({});
+  const editorRef = useRef(null);
+
+  // Static analysis runs on every edit (deferred so typing stays smooth);
+  // its findings show up before anything is submitted.
+  const analyzedCode = useDeferredValue(code);
+  const analysis = useMemo(() => analyzeCode(analyzedCode), [analyzedCode]);
+
+  // Gutter markers for the analyzer, the last review and compile; CodeMirror
+  // keeps them attached to the right lines while the student edits.
+  // Notes that do not name a file belong to the one with main().
+  // In hint mode the mentor's notes stay hidden until the answer is revealed.
+  const reviewHidden = Boolean(hintSession && !hintSession.revealed);
 
-  // Load streak from local storage on mount
+  const profile = useMemo(
+    () => achievementProfile(achievementHistory || [], { longestStreak: streakInfo?.longest || 0 }),
+    [achievementHistory, streakInfo?.longest]
+  );
+  const diagnostics = useMemo(() => {
+    const fallback = mainFile(files);
+    return collectDiagnostics(
+      loading || reviewHidden ? null : response,
+      loading || execution?.status === 'running' ? null : execution,
+      analysis
+    ).map((d) => (d.file ? d : { ...d, file: fallback }));
+  }, [response, execution, loading, analysis, files, reviewHidden]);
+  const editorDiagnostics = useMemo(() => diagnostics.filter((d) => d.file === activeFile), [diagnostics, activeFile]);
+
+  // The visualizer's current line, highlighted while its file is open.
+  const traceStale = Boolean(trace) && (trace.code !== code || trace.stdin !== stdin || trace.argsText !== argsText);
+  const currentStep = trace?.result.steps[traceStep];
+  const traceFile = currentStep && (currentStep.file || mainFile(files));
+  const executionLine = !traceStale && currentStep && traceFile === activeFile ? currentStep.line : null;
+  const diagnosticCounts = useMemo(() => {
+    const counts = new Map();
+    for (const d of diagnostics) {
+      const count = counts.get(d.file) || { errors: 0, warnings: 0 };
+      if (d.severity === 'error') count.errors += 1;
+      if (d.severity === 'warning') count.warnings += 1;
+      counts.set(d.file, count);
+    }
+    return counts;
+  }, [diagnostics]);
+
+  // Announce badges earned since they were last seen. The first load only
+  // records what is already earned.
   useEffect(() => {
-    const storedStreak = localStorage.getItem('techchat_streak');
-    const storedDate = localStorage.getItem('techchat_last_date');
-    
-    if (storedStreak) setStreak(parseInt(storedStreak, 10));
-    if (storedDate) setLastSubmissionDate(storedDate);
+    if (!achievementHistory) return;
+    const earned = profile.badges.filter((b) => b.earned).map((b) => b.id);
+    const stored = localStorage.getItem('techchat_badges');
+    const seen = new Set(stored ? JSON.parse(stored) : earned);
+    const fresh = profile.badges.filter((b) => b.earned && !seen.has(b.id));
+    if (fresh.length) setUnlockedBadges((prev) => [...prev, ...fresh]);
+    localStorage.setItem('techchat_badges', JSON.stringify([...new Set([...seen, ...earned])]));
+  }, [profile]);
+
+  // Load streak on mount: cached value first, then the server's answer
+  useEffect(() => {
+    const cached = readCachedStreak();
+    if (cached) {
+      setStreak(cached.streak);
+      setStreakInfo(cached);
+    }
+    refreshStreak();
+
+    // Restore the active challenge
+    try {
+      const storedChallenge = JSON.parse(localStorage.getItem('techchat_challenge'));
+      if (storedChallenge) setChallenge(storedChallenge);
+    } catch (e) {
+      console.warn("Ignoring corrupt saved challenge", e);
+    }
+    refreshAchievements();
+
+    // Restore the last submission together with the input it was run with
+    getLatestSubmission()
+      .then((lastSubmission) => {
+        if (lastSubmission) loadIntoEditor(lastSubmission);
+      })
+      .catch((err) => console.warn("Could not read submission history", err));
+
+    // Offline support: cache the app shell and replay queued submissions
+    // now and whenever the connection comes back.
+    registerServiceWorker();
+    countQueued()
+      .then(setQueuedCount)
+      .catch((err) => console.warn("Could not read the offline queue", err));
+    const onOnline = () => syncRef.current();
+    window.addEventListener('online', onOnline);
+
+    // Opened from a sign-in link: finish signing in before the first sync.
+    const signInToken = takeSignInToken();
+    if (signInToken) {
+      completeSignIn(signInToken)
+        .then((signedIn) => {
+          setAccount(signedIn);
+          setSyncedAt(lastSyncedAt());
+          setAccountNotice({ text: `Signed in as ${signedIn.email}. Your streak and history from this browser were merged into your account.` });
+          refreshCohorts();
+        })
+        .catch((err) => setAccountNotice({ error: true, text: err.message }))
+        .finally(() => {
+          setShowAccount(true);
+          onOnline();
+        });
+    } else {
+      // The account may have been signed out or deleted from another device.
+      if (readCachedAccount()) {
+        fetchAccount().then(setAccount).catch((err) => console.warn("Could not check the account", err));
+        refreshCohorts();
+      }
+      onOnline();
+    }
+    return () => window.removeEventListener('online', onOnline);
   }, []);
 
+  // Signed in: sync history now and then, and whenever the tab is hidden.
+  useEffect(() => {
+    if (!account) return undefined;
+    const onHidden = () => document.visibilityState === 'hidden' && syncAccountHistory();
+    const timer = setInterval(syncAccountHistory, HISTORY_SYNC_INTERVAL_MS);
+    document.addEventListener('visibilitychange', onHidden);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', onHidden);
+    };
+  }, [account]);
+
   // --- API Helper ---
-  const callGeminiAPI = async (userText, systemPrompt, useSearch = false, jsonMode = false) => {
-    const apiKey = ""; // API Key injected by environment
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
+  // Provider-agnostic: the adapter chosen in Settings decides the wire format.
+  // Pass `onText` to stream; `signal` cancels the request. `history` holds
+  // earlier turns for multi-turn calls. Goes through the request layer
+  // (lib/llm/index.js createClient): `cacheKey` / `fresh` / `validate` /
+  // `onCached` use the review cache, and transient errors are retried with
+  // backoff.
+  const callModel = (userText, systemPrompt, { json = false, schema, signal, onText, history = [], cacheKey, fresh, validate, onCached } = {}) => {
+    const client = createClient(llmSettings);
+    return client.generate({
+      system: systemPrompt,
+      messages: [...history, { role: 'user', text: userText }],
+      json,
+      schema,
+      signal,
+      onText,
+      cacheKey,
+      fresh,
+      validate,
+      onCached,
+      onRetry: ({ attempt, delayMs, error }) => setRetryNotice(
+        `${error.code === LLM_ERROR_CODES.RATE_LIMIT ? 'The model provider is rate limiting requests' : 'The model provider had an error'}; trying again in ${Math.ceil(delayMs / 1000)}s (retry ${attempt}).`
+      )
+    }).finally(() => setRetryNotice(null));
+  };
 
-    const payload = {
-      contents: [{ parts: [{ text: userText }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] }
+  // callModel with a prompt template (lib/prompts/templates.js): the reply is
+  // checked against the template's format, repaired, and re-asked once with
+  // the problems listed if it cannot be. Only replies that pass are cached.
+  // Resolves with the validation result ({ ok, text, problems, reasks, ... })
+  // and the template's version.
+  const callPrompt = async (id, userText, { history = [], ...options } = {}) => {
+    const template = promptTemplate(id);
+    const structured = {
+      json: template.format === 'json',
+      schema: template.schema || undefined,
+      validate: (text) => validateResponse(template, text).ok
     };
+    const result = await askValidated(template, (retry) => (retry
+      ? callModel(retry.correction, template.system, {
+          ...options,
+          ...structured,
+          fresh: true,
+          history: [...history, { role: 'user', text: userText }, { role: 'assistant', text: retry.previous }]
+        })
+      : callModel(userText, template.system, { ...options, ...structured, history })));
+    if (!result.ok) console.warn(`${id}@${template.version} reply still malformed:`, result.problems);
+    return { ...result, version: template.version };
+  };
 
-    // Add tools for search grounding (used for time check)
-    if (useSearch) {
-      payload.tools = [{ google_search: {} }];
-    }
-
-    // Add JSON schema for structured output (used for time check)
-    if (jsonMode) {
-      payload.generationConfig = {
-        responseMimeType: "application/json",
-        responseSchema: {
-          type: "OBJECT",
-          properties: {
-            current_utc_date: { type: "STRING" }
-          }
-        }
-      };
-    }
+  // One in-flight request per feature ('review', 'fix', 'challenge', 'chat', 'hints');
+  // starting a new one cancels the previous.
+  const beginRequest = (name) => {
+    controllersRef.current[name]?.abort();
+    const controller = new AbortController();
+    controllersRef.current[name] = controller;
+    return controller;
+  };
 
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
+  const stopRequest = (name) => controllersRef.current[name]?.abort();
 
-    if (!res.ok) throw new Error(`API Error: ${res.status}`);
-    const data = await res.json();
-    const resultText = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    
-    if (!resultText) throw new Error("No response generated.");
-    return resultText;
+  const saveSettings = (settings) => {
+    saveLLMSettings(settings);
+    setLlmSettings(settings);
+    setShowSettings(false);
   };
 
-  // --- Core Logic: Streak Update with Anti-Cheat ---
-  const handleStreakUpdate = (verifiedDateString) => {
-    // verifiedDateString should be "YYYY-MM-DD" from Gemini
-    
-    // Convert current stored date to comparable string if it exists
-    // We assume lastSubmissionDate is stored as "YYYY-MM-DD" or "Date String"
-    // To be safe, we normalize comparisons using the string from Gemini.
+  // Reading the streak tells the server this device is online, after which
+  // it refuses offline claims from before now (api/submissions.js), so it
+  // waits until the queue is empty; syncOfflineQueue reads it afterwards.
+  const refreshStreak = async () => {
+    try {
+      if (await countQueued()) return;
+      const state = await fetchStreak();
+      setStreak(state.streak);
+      setStreakInfo(state);
+    } catch (err) {
+      console.warn("Could not load streak from server", err);
+    }
+  };
 
-    if (lastSubmissionDate === verifiedDateString) {
-      return; // Already submitted today (verified by server)
+  // --- Core Logic: Server-Verified Streak ---
+  // The streak server stamps the submission with its own clock and returns
+  // the authoritative streak; nothing here trusts the local date. If the
+  // server is unreachable the submission is queued with its time as a
+  // pending claim (`historyId` may be a promise of the history record id).
+  const handleStreakUpdate = async (submittedCode, challengeResult, { historyId, claimedAt } = {}) => {
+    // Older offline submissions must reach the server first, so this one
+    // joins the queue behind them.
+    if (claimedAt && (await countQueued().catch(() => 0))) {
+      try {
+        await queueSubmission({ historyId: await historyId, code: submittedCode, ...challengeResult, claimedAt, needsReview: false });
+        setQueuedCount((n) => n + 1);
+        syncRef.current();
+        return null;
+      } catch (queueErr) {
+        console.warn("Could not queue submission", queueErr);
+      }
+    }
+    try {
+      const result = await recordSubmission(submittedCode, challengeResult);
+      setStreak(result.streak);
+      setStreakInfo((prev) => ({ ...prev, ...result }));
+      setTimeVerified(true);
+      return result;
+    } catch (err) {
+      console.error(err);
+      if (isOfflineError(err) && claimedAt) {
+        try {
+          await queueSubmission({ historyId: await historyId, code: submittedCode, ...challengeResult, claimedAt, needsReview: false });
+          setQueuedCount((n) => n + 1);
+          setOfflineNotice("The streak server is unreachable, so this submission is queued. It will count for the day you made it once you're back online.");
+          return null;
+        } catch (queueErr) {
+          console.warn("Could not queue submission", queueErr);
+        }
+      }
+      setStreakError("Your review is ready, but the streak server could not record this submission.");
+      return null;
     }
+  };
 
-    let newStreak = streak;
-    
-    if (lastSubmissionDate) {
-      // Calculate difference between dates
-      const lastDate = new Date(lastSubmissionDate);
-      const todayDate = new Date(verifiedDateString);
-      
-      const diffTime = Math.abs(todayDate - lastDate);
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)); 
-
-      if (diffDays === 1) {
-        // Consecutive day
-        newStreak += 1;
-      } else if (diffDays > 1) {
-        // Streak broken
-        newStreak = 1;
+  // --- Offline Queue ---
+  // Review and record everything submitted while offline, oldest first.
+  const syncOfflineQueue = async () => {
+    if (!navigator.onLine) return;
+    setSyncing(true);
+    try {
+      const { replayed, remaining, streak: latest } = await replayQueue({
+        review: async (entry) => {
+          const findings = analyzeCode(entry.code);
+          const input = { stdin: entry.stdin, args: parseArgs(entry.argsText) };
+          const { text, version } = await callPrompt('mentor', buildReviewRequest(entry.code, input, findings), {
+            cacheKey: reviewCacheKey(entry.code, input)
+          });
+          return { text, categories: categorizeReview(text, findings), promptVersion: `mentor@${version}` };
+        }
+      });
+      setQueuedCount(remaining);
+      if (latest) {
+        setStreak(latest.streak);
+        setStreakInfo((prev) => ({ ...prev, ...latest }));
       }
-      // If diffDays === 0, caught by the first if check
-    } else {
-      // First ever submission
-      newStreak = 1;
+      if (!remaining) refreshStreak();
+      if (replayed) {
+        setOfflineNotice(`Back online: ${replayed} queued submission(s) reviewed and synced. Their reviews are in History.`);
+        refreshAchievements();
+      }
+      await syncAccountHistory();
+    } catch (err) {
+      console.warn("Could not sync offline submissions", err);
+    } finally {
+      setSyncing(false);
     }
+  };
+  syncRef.current = syncOfflineQueue;
 
-    setStreak(newStreak);
-    setLastSubmissionDate(verifiedDateString);
-    localStorage.setItem('techchat_streak', newStreak.toString());
-    localStorage.setItem('techchat_last_date', verifiedDateString);
-    setTimeVerified(true);
+  // --- Accounts ---
+  // History sync is best effort; the next run picks up whatever failed.
+  const syncAccountHistory = async () => {
+    if (!readCachedAccount() || !navigator.onLine) return;
+    setHistorySyncing(true);
+    try {
+      await syncHistory();
+      setSyncedAt(lastSyncedAt());
+      refreshAchievements();
+    } catch (err) {
+      console.warn("Could not sync history", err);
+    } finally {
+      setHistorySyncing(false);
+    }
+  };
+
+  // After signing out or deleting the account this device has its own
+  // (fresh) streak again.
+  const leaveAccount = async (action) => {
+    await action();
+    setAccount(null);
+    setAccountNotice(null);
+    setSyncedAt(null);
+    setShowAccount(false);
+    setCohorts(clearCachedCohorts());
+    refreshStreak();
+    refreshAchievements();
   };
 
+  // --- Achievements ---
+  const refreshAchievements = () => listSubmissions()
+    .then(setAchievementHistory)
+    .catch((err) => console.warn("Could not load history for achievements", err));
+
+  // --- Classes ---
+  const refreshCohorts = () => fetchCohorts()
+    .then(setCohorts)
+    .catch((err) => console.warn("Could not load classes", err));
+
   // --- Main Submission Handler ---
-  const handleSubmit = async () => {
-    if (!code.trim()) return;
+  // Defaults to the editor contents; history replays pass a stored submission.
+  // Unchanged code gets its earlier review from the cache unless `fresh`.
+  const handleSubmit = async (submission = { code, stdin, argsText }, { fresh = false } = {}) => {
+    if (!submission.code.trim()) return;
     
     setLoading(true);
     setError(null);
     setResponse(null);
+    setReviewCached(false);
     setTimeVerified(false);
+    setStreakError(null);
+    setOfflineNotice(null);
+    setExecution({ status: 'running' });
+    stopRequest('chat');
+    setThread([]);
+    stopRequest('hints');
+    setHintSession(hintMode ? newHintSession() : null);
+    setHintsError(null);
+
+    const input = { stdin: submission.stdin, args: parseArgs(submission.argsText) };
+    const submittedAt = new Date().toISOString();
+
+    // Archive first so even failed reviews show up in history
+    const recordId = addSubmission({
+      createdAt: submittedAt,
+      code: submission.code,
+      stdin: submission.stdin,
+      argsText: submission.argsText,
+      autoFixes: pendingAutoFixes
+    }).catch((err) => {
+      console.warn("Could not save submission to history", err);
+      return null;
+    });
+    const saveToHistory = (patch) => recordId
+      .then((id) => id && updateSubmission(id, patch))
+      .catch((err) => console.warn("Could not update submission history", err));
+    setPendingAutoFixes([]);
+    setReviewSubject({ historyId: recordId, code: submission.code, stdin: submission.stdin, argsText: submission.argsText });
+
+    // Compile & run locally alongside the review; never blocks the mentor.
+    const runId = ++runIdRef.current;
+    runC(submission.code, input).then((result) => {
+      saveToHistory({ execution: result }).then(refreshAchievements);
+      if (runId === runIdRef.current) setExecution(result);
+    });
+
+    // Offline: keep the code and its date claim; the review and the streak
+    // follow when the connection comes back (see syncOfflineQueue).
+    const queueForLater = async () => {
+      try {
+        await queueSubmission({
+          historyId: await recordId,
+          code: submission.code,
+          stdin: submission.stdin,
+          argsText: submission.argsText,
+          claimedAt: submittedAt
+        });
+        setQueuedCount((n) => n + 1);
+        setOfflineNotice("You're offline. Your code is saved and will be reviewed and counted for the day you wrote it once you reconnect.");
+        return true;
+      } catch (err) {
+        console.warn("Could not queue submission", err);
+        return false;
+      }
+    };
+
+    if (!navigator.onLine) {
+      if (!(await queueForLater())) setError("You're offline, and this submission could not be saved for later.");
+      setLoading(false);
+      return;
+    }
+
+    const controller = beginRequest('review');
+    let partialReview = '';
 
     try {
-      // Execute tasks in parallel for speed
-      // 1. Get Code Review
-      const reviewPromise = callGeminiAPI(code, MENTOR_SYSTEM_PROMPT);
-      
-      // 2. Get Real Time (Anti-Cheat)
-      // We ask specifically for the date to prevent system clock manipulation
-      const timePromise = callGeminiAPI(
-        "What is the current UTC date?", 
-        TIME_CHECK_SYSTEM_PROMPT, 
-        true, // Enable Search
-        true  // JSON Mode
+      // 1. Get Code Review (streamed section by section)
+      const findings = analyzeCode(submission.code);
+      const review = await callPrompt('mentor', buildReviewRequest(submission.code, input, findings), {
+        signal: controller.signal,
+        cacheKey: reviewCacheKey(submission.code, input),
+        fresh,
+        onCached: () => setReviewCached(true),
+        onText: (text) => {
+          partialReview = text;
+          setResponse(text);
+        }
+      });
+      const reviewText = review.text;
+      // A re-asked review came from the model, not the cache.
+      if (review.reasks) setReviewCached(false);
+      setResponse(reviewText);
+      saveToHistory({ review: reviewText, promptVersion: `mentor@${review.version}` }).then(refreshAchievements);
+
+      // 2. Count it toward the streak (server-side date, anti-cheat)
+      const recorded = await handleStreakUpdate(
+        submission.code,
+        { categories: categorizeReview(reviewText, findings) },
+        { historyId: recordId, claimedAt: submittedAt }
       );
+      if (recorded) saveToHistory({ day: recorded.day, verified: true }).then(refreshAchievements).then(syncAccountHistory);
+    } catch (err) {
+      if (isAbortError(err)) {
+        // Keep whatever arrived; a stopped review does not count toward the streak.
+        setError("Review stopped before it finished.");
+        saveToHistory({ review: partialReview || null, error: "Stopped before the review finished." });
+        return;
+      }
+      console.error(err);
+      if (err.code === LLM_ERROR_CODES.NETWORK && (await queueForLater())) {
+        setResponse(null);
+        return;
+      }
+      const message = describeLLMError(err, "Connection failed. Please check your internet and try again.");
+      setError(message);
+      saveToHistory({ error: message });
+    } finally {
+      if (controllersRef.current.review === controller) setLoading(false);
+    }
+  };
 
-      const [reviewText, timeJsonString] = await Promise.all([reviewPromise, timePromise]);
-      
-      // Process Review
-      setResponse(reviewText);
+  // --- Project Files ---
+  // Replace the whole project from its serialized text (history, starter
+  // code, auto-fix, reset); every file opens in a tab.
+  const setCode = (text) => {
+    const next = parseProject(text);
+    const names = sortFiles(next).map((f) => f.name);
+    setFiles(next);
+    setOpenFiles(names);
+    setActiveFile((current) => (names.includes(current) ? current : mainFile(next)));
+    if (isMultiFile(next)) setShowFileTree(true);
+  };
 
-      // Process Time
-      try {
-        const timeData = JSON.parse(timeJsonString);
-        if (timeData.current_utc_date) {
-          handleStreakUpdate(timeData.current_utc_date);
-        } else {
-          console.warn("Date format unexpected", timeData);
-          // Fallback if AI fails format: don't break app, just use local but warn console
-          handleStreakUpdate(new Date().toISOString().split('T')[0]);
+  const updateActiveFile = (content) =>
+    setFiles((prev) => prev.map((f) => (f.name === activeFile ? { ...f, content } : f)));
+
+  const openFile = (name) => {
+    setOpenFiles((prev) => (prev.includes(name) ? prev : [...prev, name]));
+    setActiveFile(name);
+  };
+
+  const closeTab = (name) => {
+    const remaining = openFiles.filter((n) => n !== name);
+    if (!remaining.length) return;
+    setOpenFiles(remaining);
+    if (name === activeFile) setActiveFile(remaining[Math.max(0, openFiles.indexOf(name) - 1)]);
+  };
+
+  const createFile = (name) => {
+    const content = name.endsWith('.h') ? HEADER_TEMPLATE(name) : SOURCE_TEMPLATE(name, files);
+    setFiles((prev) => [...prev, { name, content }]);
+    openFile(name);
+  };
+
+  const renameFile = (from, to) => {
+    setFiles((prev) => prev.map((f) => (f.name === from ? { ...f, name: to } : f)));
+    setOpenFiles((prev) => prev.map((n) => (n === from ? to : n)));
+    if (activeFile === from) setActiveFile(to);
+  };
+
+  const deleteFile = (name) => {
+    const remaining = files.filter((f) => f.name !== name);
+    if (!remaining.length) return;
+    setFiles(remaining);
+    const tabs = openFiles.filter((n) => n !== name);
+    setOpenFiles(tabs.length ? tabs : [mainFile(remaining)]);
+    if (activeFile === name) setActiveFile(tabs[0] || mainFile(remaining));
+  };
+
+  // Diagnostics can point into a file that is not open yet.
+  const jumpToDiagnostic = (d) => {
+    if (d.file && d.file !== activeFile) {
+      openFile(d.file);
+      requestAnimationFrame(() => editorRef.current?.jumpToLine(d.line));
+    } else {
+      editorRef.current?.jumpToLine(d.line);
+    }
+  };
+
+  // --- Step-through Visualizer ---
+  const startTrace = async () => {
+    const subject = { code, stdin, argsText };
+    setTracing(true);
+    const result = await traceC(subject.code, { stdin: subject.stdin, args: parseArgs(subject.argsText) });
+    setTracing(false);
+    setTrace({ ...subject, result });
+    showTraceStep(0, result.steps);
+  };
+
+  // Follow the step into its file, so the highlighted line stays visible.
+  const showTraceStep = (index, steps = trace.result.steps) => {
+    const step = steps[index];
+    if (!step) return;
+    setTraceStep(index);
+    if (step.file && step.file !== activeFile && files.some((f) => f.name === step.file)) openFile(step.file);
+  };
+
+  // Forward to the next step on the line under the editor's cursor,
+  // wrapping around to the start.
+  const runToCursor = () => {
+    const line = editorRef.current?.getCursorLine();
+    const { steps } = trace.result;
+    const fallback = mainFile(files);
+    const onLine = (s) => s.line === line && (s.file || fallback) === activeFile && s.event === 'line';
+    const ahead = steps.findIndex((s, i) => i > traceStep && onLine(s));
+    const index = ahead !== -1 ? ahead : steps.findIndex(onLine);
+    if (index !== -1) showTraceStep(index);
+  };
+
+  const importProject = async (zipFile) => {
+    const { files: imported, skipped } = projectFromEntries(await readZip(zipFile));
+    if (!imported.length) throw new Error('That zip has no .c or .h files.');
+    setCode(serializeProject(imported));
+    return { skipped };
+  };
+
+  const exportProject = () => {
+    const url = URL.createObjectURL(createZip(sortFiles(files)));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `c-streak-project-${localDay(new Date())}.zip`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  // --- Feature: Submission History ---
+  const loadIntoEditor = (record) => {
+    setCode(record.code);
+    setStdin(record.stdin || '');
+    setArgsText(record.argsText || '');
+  };
+
+  const openFromHistory = (record) => {
+    loadIntoEditor(record);
+    setResponse(record.review);
+    setExecution(record.execution);
+    stopRequest('chat');
+    setReviewSubject({ historyId: record.id, code: record.code, stdin: record.stdin || '', argsText: record.argsText || '' });
+    setReviewCached(false);
+    setThread(record.followUps || []);
+    stopRequest('hints');
+    setHintSession(record.hintSession || null);
+    setHintsError(null);
+    setError(null);
+    setTimeVerified(false);
+    setStreakError(null);
+    setOfflineNotice(null);
+    setShowHistory(false);
+  };
+
+  const rerunFromHistory = (record) => {
+    loadIntoEditor(record);
+    setShowHistory(false);
+    handleSubmit({ code: record.code, stdin: record.stdin || '', argsText: record.argsText || '' });
+  };
+
+  // --- Feature: Follow-up Chat ---
+  // Multi-turn questions about the current review; answered turns are kept
+  // on the history record as `followUps`.
+  const askFollowUp = async (question, quote) => {
+    if (!response || !reviewSubject) return;
+    const controller = beginRequest('chat');
+    const turn = { id: Date.now(), question, quote: quote && trimQuote(quote), answer: '', error: null, at: new Date().toISOString() };
+    const patchTurn = (patch) => setThread((prev) => prev.map((t) => (t.id === turn.id ? { ...t, ...patch } : t)));
+    const { historyId, code: reviewedCode, stdin: reviewedStdin, argsText: reviewedArgs } = reviewSubject;
+    const history = buildChatHistory({
+      reviewRequest: buildReviewRequest(reviewedCode, { stdin: reviewedStdin, args: parseArgs(reviewedArgs) }, analyzeCode(reviewedCode)),
+      review: response,
+      execution,
+      turns: thread
+    });
+    let partial = '';
+
+    setThread((prev) => [...prev, turn]);
+    setChatting(true);
+    try {
+      const { text: answer } = await callPrompt('followup', formatQuestion(turn), {
+        history,
+        signal: controller.signal,
+        onText: (text) => {
+          partial = text;
+          patchTurn({ answer: text });
         }
-      } catch (e) {
-        console.error("Failed to parse verified time", e);
-        // Fallback for robustness
-        handleStreakUpdate(new Date().toISOString().split('T')[0]);
+      });
+      patchTurn({ answer });
+      const followUps = [...thread, { ...turn, answer }].filter((t) => t.answer);
+      Promise.resolve(historyId)
+        .then((id) => id && updateSubmission(id, { followUps }))
+        .catch((err) => console.warn("Could not save the follow-up to history", err));
+    } catch (err) {
+      if (isAbortError(err)) {
+        patchTurn(partial ? { answer: partial } : { error: "Stopped before the mentor answered." });
+        return;
       }
+      console.error(err);
+      patchTurn({ answer: '', error: describeLLMError(err, "The mentor could not answer that question.") });
+    } finally {
+      if (controllersRef.current.chat === controller) setChatting(false);
+    }
+  };
+
+  // The editor's selected lines, labelled with their file in projects.
+  const quoteSelection = () => {
+    const selection = editorRef.current?.getSelection();
+    return selection && { ...selection, file: files.length > 1 ? activeFile : null };
+  };
+
+  // --- Feature: Hint Mode ---
+  // The review arrives as usual but stays hidden; the student's guesses are
+  // scored against the real output (or the mentor's prediction when the
+  // program could not run) and hints unlock one level at a time.
+  const toggleHintMode = () => {
+    const next = !hintMode;
+    localStorage.setItem('techchat_hint_mode', next ? 'on' : 'off');
+    setHintMode(next);
+  };
+
+  const hintTarget = () => {
+    if (execution?.status === 'ok' || execution?.status === 'runtime_error') {
+      return { target: 'actual', expected: execution.stdout };
+    }
+    const predicted = response && extractPredictedOutput(response);
+    return predicted != null ? { target: 'predicted', expected: predicted } : null;
+  };
+
+  const submitGuess = (text) => {
+    const goal = hintTarget();
+    if (!goal) {
+      setHintsError("There is nothing to compare with: the program did not run and the mentor made no prediction. Reveal the review instead.");
+      return;
+    }
+    setHintsError(null);
+    setHintSession((s) => ({
+      ...s,
+      target: goal.target,
+      guesses: [...s.guesses, { text, ...scoreGuess(text, goal.expected), levelAtGuess: s.level, at: new Date().toISOString() }]
+    }));
+  };
 
+  // All three hints come from one request, made when the first is unlocked
+  // so they can be aimed at the student's guess.
+  const unlockHint = async () => {
+    if (!hintSession || !reviewSubject) return;
+    if (hintSession.hints) {
+      setHintSession((s) => ({ ...s, level: Math.min(s.level + 1, FULL_ANSWER_LEVEL - 1) }));
+      return;
+    }
+    const controller = beginRequest('hints');
+    const { code: reviewedCode, stdin: reviewedStdin, argsText: reviewedArgs } = reviewSubject;
+    const goal = hintTarget();
+    const lastGuess = hintSession.guesses[hintSession.guesses.length - 1];
+    const request = [
+      buildReviewRequest(reviewedCode, { stdin: reviewedStdin, args: parseArgs(reviewedArgs) }, analyzeCode(reviewedCode)),
+      goal?.target === 'actual' && `## Actual output (for you only; do not reveal it)\n\`\`\`text\n${goal.expected}\n\`\`\``,
+      lastGuess && `## The student's guess\n\`\`\`text\n${lastGuess.text}\n\`\`\``
+    ].filter(Boolean).join('\n\n');
+
+    setLoadingHints(true);
+    setHintsError(null);
+    try {
+      const { text: json } = await callPrompt('hints', request, { signal: controller.signal });
+      const hints = parseHints(json);
+      setHintSession((s) => s && { ...s, hints, level: Math.max(s.level, 1) });
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error(err);
-      setError("Connection failed. Please check your internet and try again.");
+      setHintsError(describeLLMError(err, "The mentor could not come up with a hint. Try again, or reveal the review."));
     } finally {
-      setLoading(false);
+      if (controllersRef.current.hints === controller) setLoadingHints(false);
     }
   };
 
+  // Revealing after a correct guess costs nothing; otherwise it counts as
+  // using the full answer.
+  const revealAnswer = () => {
+    stopRequest('hints');
+    setHintSession((s) => {
+      const solved = s.guesses[s.guesses.length - 1]?.match === 100;
+      return { ...s, revealed: true, level: solved ? s.level : FULL_ANSWER_LEVEL };
+    });
+  };
+
+  // Keep the session on the history record as it changes.
+  useEffect(() => {
+    if (!hintSession?.guesses.length || !reviewSubject) return;
+    Promise.resolve(reviewSubject.historyId)
+      .then((id) => id && updateSubmission(id, { hintSession }))
+      .then(refreshAchievements)
+      .catch((err) => console.warn("Could not save the hint session to history", err));
+  }, [hintSession]);
+
   // --- Feature: Daily Challenge ---
-  const generateChallenge = async () => {
+  // The daily pick comes from the bundled catalog, scheduled from the local
+  // history; the model is only used for an optional fresh challenge.
+  const showChallenge = (next) => {
+    setChallenge(next);
+    setChallengeGrade(null);
+    if (next) localStorage.setItem('techchat_challenge', JSON.stringify(next));
+    else localStorage.removeItem('techchat_challenge');
+  };
+
+  // A challenge assigned by the student's instructor replaces the scheduled one.
+  const dailyChallenge = async () => {
+    const assignment = cohorts?.joined?.assignment;
+    const assigned = isCurrentAssignment(assignment, localDay(new Date())) && findCatalogChallenge(assignment.challengeId);
+    if (assigned) {
+      showChallenge({ ...assigned, schedule: { reason: 'assigned', topic: assigned.topic, cohort: cohorts.joined.name } });
+      return;
+    }
+    let history = [];
+    try {
+      history = await listSubmissions();
+    } catch (err) {
+      console.warn("History unavailable; scheduling from scratch", err);
+    }
+    const pick = pickDailyChallenge(history, localDay(new Date()));
+    if (!pick?.challenge) return;
+    showChallenge({
+      ...pick.challenge,
+      schedule: { reason: pick.reason, topic: pick.topic, lapses: pick.state.lapses }
+    });
+  };
+
+  const generateChallenge = async (topic) => {
+    const controller = beginRequest('challenge');
     setLoadingChallenge(true);
-    setChallenge(null);
+    showChallenge(null);
+    const ask = topic ? `Give me a challenge about ${topicLabel(topic).toLowerCase()}` : "Give me a challenge";
     try {
-      const challengeText = await callGeminiAPI("Give me a challenge", CHALLENGE_SYSTEM_PROMPT);
-      setChallenge(challengeText);
+      const { text: challengeJson } = await callPrompt('challenge', ask, { signal: controller.signal });
+      showChallenge({ ...parseChallengeResponse(challengeJson), source: 'generated' });
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error(err);
-      setError("Could not generate a challenge.");
+      setError(describeLLMError(err, "Could not generate a challenge."));
     } finally {
-      setLoadingChallenge(false);
+      if (controllersRef.current.challenge === controller) setLoadingChallenge(false);
+    }
+  };
+
+  // Grade the editor contents against every test case. Only a full pass
+  // counts toward the streak; failed attempts are logged for pass rates.
+  const submitSolution = async () => {
+    if (!challenge || !code.trim()) return;
+    setGrading(true);
+    setChallengeGrade(null);
+    setError(null);
+    setStreakError(null);
+    setOfflineNotice(null);
+    const submittedAt = new Date().toISOString();
+    try {
+      const grade = await gradeSolution(code, challenge);
+      setChallengeGrade(grade);
+
+      const recordId = addSubmission({
+        createdAt: submittedAt,
+        code,
+        stdin: '',
+        argsText: '',
+        challenge: { id: challenge.id, title: challenge.title, topic: challenge.topic, source: challenge.source || 'generated' },
+        grade: { passed: grade.passed, cases: grade.cases.map((c) => ({ id: c.id, passed: c.passed, status: c.status })) },
+        review: null
+      }).catch((err) => {
+        console.warn("Could not save solution to history", err);
+        return null;
+      });
+      recordId.then(refreshAchievements);
+
+      if (grade.passed) {
+        const recorded = await handleStreakUpdate(
+          code,
+          { challengeId: challenge.id, passed: true },
+          { historyId: recordId, claimedAt: submittedAt }
+        );
+        if (recorded) {
+          recordId
+            .then((id) => id && updateSubmission(id, { day: recorded.day, verified: true }))
+            .then(refreshAchievements)
+            .catch((err) => console.warn("Could not update submission history", err));
+        }
+      } else {
+        recordSubmission(code, { challengeId: challenge.id, passed: false })
+          .catch((err) => console.warn("Could not log the failed attempt", err));
+      }
+    } catch (err) {
+      console.error(err);
+      setError(`Could not grade your solution: ${err.message}`);
+    } finally {
+      setGrading(false);
     }
   };
 
   // --- Feature: Auto-Fix ---
+  // The fix is streamed into a review panel instead of the editor; the
+  // student picks which changes to keep (see AutoFixReview).
   const autoFixCode = async () => {
     if (!code.trim()) return;
+    const controller = beginRequest('fix');
+    const original = code;
+    const clean = (text) => text.replace(/```c/g, '').replace(/```/g, '').trim();
+    setFixProposal({ original, fixed: '', streaming: true, explanations: null, explaining: false });
     setLoadingFix(true);
     try {
-      const fixedCode = await callGeminiAPI(code, AUTOFIX_SYSTEM_PROMPT);
-      const cleanCode = fixedCode.replace(/```c/g, '').replace(/```/g, '').trim();
-      setCode(cleanCode);
+      const { text: fixedCode } = await callPrompt('autofix', original, {
+        signal: controller.signal,
+        onText: (text) => setFixProposal((p) => p && { ...p, fixed: clean(text) })
+      });
+      // A multi-file fix has to come back with the same files.
+      const originalFiles = parseProject(original);
+      if (isMultiFile(originalFiles) && !hasSameFiles(originalFiles, parseProject(clean(fixedCode)))) {
+        setFixProposal(null);
+        setError("The auto-fix did not keep the project's file boundaries, so it was discarded. Try again.");
+        return;
+      }
+      setFixProposal((p) => p && { ...p, fixed: clean(fixedCode), streaming: false });
     } catch (err) {
+      setFixProposal(null);
+      if (isAbortError(err)) return;
       console.error(err);
-      setError("Failed to auto-fix code.");
+      setError(describeLLMError(err, "Failed to auto-fix code."));
     } finally {
-      setLoadingFix(false);
+      if (controllersRef.current.fix === controller) setLoadingFix(false);
+    }
+  };
+
+  const explainFix = async (hunks) => {
+    const original = fixProposal.original;
+    const changeList = hunks.map((h) => [
+      `Change ${h.id} (at line ${h.oldStart}):`,
+      'Before:',
+      ...(h.oldLines.length ? h.oldLines : ['(nothing)']),
+      'After:',
+      ...(h.newLines.length ? h.newLines : ['(removed)'])
+    ].join('\n')).join('\n\n');
+
+    setFixProposal((p) => p && { ...p, explaining: true });
+    try {
+      const { text: json } = await callPrompt('autofix-explain', `Original program:\n${original}\n\nChanges:\n${changeList}`);
+      const explanations = {};
+      for (const change of JSON.parse(json).changes || []) {
+        if (change?.id != null && change.explanation) explanations[change.id] = change.explanation;
+      }
+      setFixProposal((p) => (p?.original === original ? { ...p, explanations, explaining: false } : p));
+    } catch (err) {
+      console.error(err);
+      setFixProposal((p) => p && { ...p, explaining: false });
+      setError(describeLLMError(err, "Could not explain the auto-fix changes."));
     }
   };
 
-  // Helper to parse the Markdown output simply for rendering
+  const applyFix = (newCode, explanations) => {
+    setPendingAutoFixes((fixes) => [
+      ...fixes,
+      { before: fixProposal.original, after: newCode, at: new Date().toISOString(), explanations }
+    ]);
+    setCode(newCode);
+    setFixProposal(null);
+  };
+
+  const discardFix = () => {
+    stopRequest('fix');
+    setFixProposal(null);
+  };
+
+  // Render the review as one card per "###" section (see lib/markdown.js
+  // for how sections are detected), with the real output after the prediction.
   const renderResponseSection = (text) => {
-    const parts = text.split('###');
-    return parts.map((part, index) => {
-      if (!part.trim()) return null;
-      
-      const lines = part.trim().split('\n');
-      const title = lines[0].trim();
-      const content = lines.slice(1).join('\n').trim();
+    const sections = splitSections(text);
+    const hasPrediction = sections.some((section) => section.title?.includes("Predicted"));
+
+    const cards = sections.map((section, index) => {
+      const { title, body } = section;
+      if (!title) {
+        return body ? <div key={index} className="mb-6"><Markdown text={body} /></div> : null;
+      }
+      const isPredicted = title.includes("Predicted");
       
       let icon = <BookOpen className="w-5 h-5 text-blue-400" />;
       if (title.includes("Predicted")) icon = <Terminal className="w-5 h-5 text-green-400" />;
@@ -300,19 +1069,29 @@ export default function TechchatApp() {
       if (title.includes("Improvements")) icon = <Sparkles className="w-5 h-5 text-yellow-400" />;
 
       return (
-        <div key={index} className="mb-6 bg-slate-800/50 rounded-lg p-4 border border-slate-700">
-          <h3 className="flex items-center gap-2 text-lg font-semibold text-slate-200 mb-3">
-            {icon}
-            {title}
-          </h3>
-          <div className="prose prose-invert max-w-none text-slate-300 text-sm leading-relaxed whitespace-pre-wrap">
-            {content}
+        <React.Fragment key={index}>
+          <div className="mb-6 bg-slate-800/50 rounded-lg p-4 border border-slate-700">
+            <h3 className="flex items-center gap-2 text-lg font-semibold text-slate-200 mb-3">
+              {icon}
+              {title}
+            </h3>
+            <Markdown text={body} />
           </div>
-        </div>
+          {isPredicted && (
+            <ActualOutputSection execution={execution} predicted={extractPredictedOutput(text)} />
+          )}
+        </React.Fragment>
       );
     });
+
+    // The mentor skipped the prediction: still show what the program printed.
+    if (!hasPrediction && !loading) {
+      cards.push(<ActualOutputSection key="actual" execution={execution} predicted={null} />);
+    }
+    return cards;
   };
 
+
   return (
     <div className="min-h-screen bg-slate-950 text-slate-100 font-sans selection:bg-blue-500/30">
       {/* Header */}
@@ -332,8 +1111,7 @@ export default function TechchatApp() {
           
           <div className="flex items-center gap-4">
             <button 
-              onClick={generateChallenge}
-              disabled={loadingChallenge}
+              onClick={() => (loadingChallenge ? stopRequest('challenge') : dailyChallenge())}
               className="hidden md:flex items-center gap-2 px-3 py-1.5 rounded-full bg-slate-800 hover:bg-slate-700 border border-slate-700 transition-all text-xs font-semibold text-purple-300 hover:text-purple-200 disabled:opacity-50"
             >
               {loadingChallenge ? (
@@ -341,20 +1119,92 @@ export default function TechchatApp() {
               ) : (
                 <Sparkles className="w-3 h-3" />
               )}
-              {loadingChallenge ? "Generating..." : "Get Daily Challenge"}
+              {loadingChallenge ? "Stop Generating" : "Get Daily Challenge"}
+            </button>
+
+            {(queuedCount > 0 || syncing) && (
+              <button
+                onClick={() => syncOfflineQueue()}
+                disabled={syncing}
+                className="flex items-center gap-1 px-2 py-1 rounded-full text-xs font-semibold text-amber-300 bg-amber-900/20 border border-amber-700/50 hover:bg-amber-900/30 disabled:opacity-60"
+                title="Submissions waiting to sync"
+              >
+                {syncing ? <RefreshCw className="w-3 h-3 animate-spin" /> : <CloudOff className="w-3 h-3" />}
+                {queuedCount}
+              </button>
+            )}
+
+            <button
+              onClick={() => setShowHistory(true)}
+              className="p-2 rounded-full text-slate-400 hover:text-slate-200 hover:bg-slate-800 transition-colors"
+              title="Submission history"
+            >
+              <span className="sr-only">History</span>
+              <History className="w-4 h-4" />
+            </button>
+
+            <button
+              onClick={() => {
+                setShowCohorts(true);
+                if (account) refreshCohorts();
+              }}
+              className={`p-2 rounded-full hover:bg-slate-800 transition-colors ${cohorts?.joined || cohorts?.teaching?.length ? 'text-purple-400 hover:text-purple-300' : 'text-slate-400 hover:text-slate-200'}`}
+              title={cohorts?.joined ? `Class: ${cohorts.joined.name}` : 'Classes'}
+            >
+              <span className="sr-only">Classes</span>
+              <Users className="w-4 h-4" />
+            </button>
+
+            <button
+              onClick={() => setShowAccount(true)}
+              className={`p-2 rounded-full hover:bg-slate-800 transition-colors ${account ? 'text-blue-400 hover:text-blue-300' : 'text-slate-400 hover:text-slate-200'}`}
+              title={account ? `Signed in as ${account.email}` : 'Sign in to sync across devices'}
+            >
+              <span className="sr-only">Account</span>
+              {historySyncing ? <RefreshCw className="w-4 h-4 animate-spin" /> : <UserRound className="w-4 h-4" />}
+            </button>
+
+            <button
+              onClick={() => setShowSettings(true)}
+              className="p-2 rounded-full text-slate-400 hover:text-slate-200 hover:bg-slate-800 transition-colors"
+              title={`Model: ${llmSettings.model}`}
+            >
+              <span className="sr-only">Settings</span>
+              <Settings className="w-4 h-4" />
+            </button>
+
+            <button
+              onClick={() => setShowProfile(true)}
+              className="flex items-center gap-2 px-3 py-1.5 rounded-full border border-slate-800 bg-slate-900 hover:border-slate-700 transition-colors"
+              title={`${profile.xp} XP · ${profile.level.needed - profile.level.into} XP to level ${profile.level.level + 1}`}
+            >
+              <Award className="w-4 h-4 text-yellow-400" />
+              <span className="text-xs font-bold text-slate-200">Lv {profile.level.level}</span>
+              <span className="hidden sm:block w-12 h-1.5 rounded-full bg-slate-800 overflow-hidden">
+                <span className="block h-full bg-gradient-to-r from-yellow-500 to-orange-500" style={{ width: `${Math.round(profile.level.progress * 100)}%` }} />
+              </span>
             </button>
 
-            <div className={`
+            <button
+              onClick={() => setShowStreakDetails(true)}
+              title={streakInfo ? `Longest streak: ${streakInfo.longest} days` : undefined}
+              className={`
               flex items-center gap-2 px-3 py-1.5 rounded-full border shadow-sm transition-colors duration-500
-              ${timeVerified ? 'bg-blue-900/30 border-blue-700/50' : 'bg-slate-900 border-slate-800'}
+              ${timeVerified ? 'bg-blue-900/30 border-blue-700/50' : 'bg-slate-900 border-slate-800 hover:border-slate-700'}
             `}>
               <Flame className={`w-4 h-4 ${streak > 0 ? 'text-orange-500 fill-orange-500' : 'text-slate-600'}`} />
               <span className="font-bold text-slate-200">{streak}</span>
               <span className="text-xs text-slate-500 uppercase tracking-wider font-semibold mr-1">Day Streak</span>
               {timeVerified && (
-                <ShieldCheck className="w-3 h-3 text-blue-400 ml-1" title="Time verified by Gemini Server" />
+                <ShieldCheck className="w-3 h-3 text-blue-400 ml-1" title="Recorded by the streak server" />
               )}
-            </div>
+              {streakInfo?.freezes > 0 && (
+                <span className="flex items-center gap-0.5 text-xs font-semibold text-cyan-300 ml-1" title="Streak freezes available">
+                  <Snowflake className="w-3 h-3" />
+                  {streakInfo.freezes}
+                </span>
+              )}
+            </button>
           </div>
         </div>
       </header>
@@ -372,8 +1222,8 @@ export default function TechchatApp() {
             </h2>
             <div className="flex items-center gap-3">
               <button 
-                onClick={autoFixCode}
-                disabled={loadingFix || !code.trim()}
+                onClick={() => (loadingFix ? stopRequest('fix') : autoFixCode())}
+                disabled={!loadingFix && !code.trim()}
                 className="text-xs text-emerald-400 hover:text-emerald-300 flex items-center gap-1 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                 title="Automatically fix syntax and logical errors"
               >
@@ -382,7 +1232,7 @@ export default function TechchatApp() {
                 ) : (
                   <Wrench className="w-3 h-3" /> 
                 )}
-                ✨ Auto-Fix
+                {loadingFix ? "Stop Fix" : "✨ Auto-Fix"}
               </button>
               <button 
                 onClick={() => setCode(INITIAL_CODE)}
@@ -390,25 +1240,118 @@ export default function TechchatApp() {
               >
                 <RotateCcw className="w-3 h-3" /> Reset
               </button>
+              <div className="flex items-center gap-1 border-l border-slate-800 pl-3">
+                <button
+                  onClick={() => editorRef.current?.undo()}
+                  disabled={!editorHistory.undo || loadingFix}
+                  className="p-1 text-slate-500 hover:text-blue-400 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                  title="Undo (Ctrl+Z)"
+                >
+                  <Undo2 className="w-3 h-3" />
+                </button>
+                <button
+                  onClick={() => editorRef.current?.redo()}
+                  disabled={!editorHistory.redo || loadingFix}
+                  className="p-1 text-slate-500 hover:text-blue-400 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                  title="Redo (Ctrl+Shift+Z)"
+                >
+                  <Redo2 className="w-3 h-3" />
+                </button>
+              </div>
             </div>
           </div>
 
+          {/* Project Files */}
+          <FileTabs
+            openFiles={openFiles}
+            activeFile={activeFile}
+            counts={diagnosticCounts}
+            showTree={showFileTree}
+            onToggleTree={() => setShowFileTree(!showFileTree)}
+            onSelect={setActiveFile}
+            onClose={closeTab}
+          />
+
           {/* Editor Area */}
-          <div className="flex-1 relative group">
-            <div className="absolute inset-0 bg-gradient-to-br from-blue-500/10 to-purple-500/5 rounded-xl blur-xl opacity-0 group-hover:opacity-100 transition-opacity duration-500"></div>
-            <textarea
-              value={code}
-              onChange={(e) => setCode(e.target.value)}
-              className="relative w-full h-full bg-slate-900 p-6 rounded-xl border border-slate-800 text-sm font-mono text-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 resize-none shadow-inner custom-scrollbar leading-6"
-              spellCheck="false"
-              placeholder="// Paste your C code here for your daily review..."
-            />
+          <div className="flex-1 flex gap-3 min-h-0">
+            {showFileTree && (
+              <FileTree
+                files={files}
+                activeFile={activeFile}
+                counts={diagnosticCounts}
+                onOpen={openFile}
+                onCreate={createFile}
+                onRename={renameFile}
+                onDelete={deleteFile}
+                onImport={importProject}
+                onExport={exportProject}
+              />
+            )}
+            <div className="flex-1 relative group">
+              <div className="absolute inset-0 bg-gradient-to-br from-blue-500/10 to-purple-500/5 rounded-xl blur-xl opacity-0 group-hover:opacity-100 transition-opacity duration-500"></div>
+              <div className="relative w-full h-full bg-slate-900 py-3 rounded-xl border border-slate-800 focus-within:ring-2 focus-within:ring-blue-500/50 focus-within:border-blue-500/50 shadow-inner overflow-hidden">
+                <CodeEditor
+                  ref={editorRef}
+                  value={activeContent}
+                  path={activeFile}
+                  onChange={updateActiveFile}
+                  onHistoryChange={setEditorHistory}
+                  readOnly={loadingFix}
+                  diagnostics={editorDiagnostics}
+                  executionLine={executionLine}
+                  placeholder="// Paste your C code here for your daily review..."
+                />
+              </div>
+            </div>
           </div>
 
+          {/* Line Diagnostics */}
+          <DiagnosticsList
+            diagnostics={diagnostics}
+            showFiles={files.length > 1}
+            onJump={jumpToDiagnostic}
+          />
+
+          {/* Program Input */}
+          <InputPanel
+            stdin={stdin}
+            argsText={argsText}
+            onStdinChange={setStdin}
+            onArgsTextChange={setArgsText}
+          />
+
           {/* Submit Action */}
-          <div className="flex justify-end pt-2">
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              onClick={toggleHintMode}
+              className={`mr-auto flex items-center gap-2 px-3 py-3 rounded-lg text-xs font-semibold border transition-colors ${
+                hintMode ? 'text-amber-300 bg-amber-900/20 border-amber-900/50' : 'text-slate-500 border-slate-800 hover:text-slate-300'
+              }`}
+              title="Guess the output before the review is shown, with hints if you get stuck"
+            >
+              <Lightbulb className="w-4 h-4" />
+              Hint mode {hintMode ? 'on' : 'off'}
+            </button>
+            <button
+              onClick={startTrace}
+              disabled={tracing || !code.trim()}
+              className="flex items-center gap-2 px-4 py-3 rounded-lg font-semibold text-sm text-emerald-300 bg-slate-800 hover:bg-slate-700 border border-slate-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Run the program line by line and watch the stack, heap and pointers"
+            >
+              <Footprints className={`w-4 h-4 ${tracing ? 'animate-pulse' : ''}`} />
+              {tracing ? 'Tracing...' : 'Step Through'}
+            </button>
+            {loading && (
+              <button
+                onClick={() => stopRequest('review')}
+                className="flex items-center gap-2 px-4 py-3 rounded-lg font-semibold text-sm text-slate-300 bg-slate-800 hover:bg-slate-700 border border-slate-700 transition-colors"
+              >
+                <Square className="w-4 h-4 fill-current" />
+                Stop
+              </button>
+            )}
             <button
-              onClick={handleSubmit}
+              onClick={() => handleSubmit()}
               disabled={loading || !code.trim()}
               className={`
                 flex items-center gap-2 px-6 py-3 rounded-lg font-semibold text-sm transition-all duration-200
@@ -421,7 +1364,7 @@ export default function TechchatApp() {
               {loading ? (
                 <>
                   <div className="w-4 h-4 border-2 border-slate-400 border-t-transparent rounded-full animate-spin"></div>
-                  Verifying & Analyzing...
+                  Analyzing & Recording...
                 </>
               ) : (
                 <>
@@ -443,43 +1386,45 @@ export default function TechchatApp() {
             
             {/* Mobile-only Challenge Button */}
             <button 
-              onClick={generateChallenge}
-              disabled={loadingChallenge}
+              onClick={() => (loadingChallenge ? stopRequest('challenge') : dailyChallenge())}
               className="md:hidden flex items-center gap-1 text-xs text-purple-400"
             >
               <Sparkles className="w-3 h-3" />
-              {loadingChallenge ? "..." : "Challenge"}
+              {loadingChallenge ? "Stop" : "Challenge"}
             </button>
           </div>
 
           <div className="flex-1 bg-slate-900 rounded-xl border border-slate-800 shadow-sm overflow-y-auto custom-scrollbar p-6 relative">
             
+            {/* Step-through Visualizer */}
+            {trace && (
+              <ExecutionVisualizer
+                trace={trace.result}
+                step={traceStep}
+                stale={traceStale}
+                running={tracing}
+                onStep={(i) => showTraceStep(i)}
+                onRunToCursor={runToCursor}
+                onRerun={startTrace}
+                onClose={() => setTrace(null)}
+              />
+            )}
+
             {/* Challenge Card (if active) */}
             {challenge && (
-              <div className="mb-6 p-4 rounded-lg bg-gradient-to-r from-purple-900/20 to-blue-900/20 border border-purple-500/30 animate-in fade-in slide-in-from-top-2">
-                <div className="flex items-start justify-between gap-4">
-                  <div>
-                    <h3 className="text-purple-300 font-semibold text-sm flex items-center gap-2 mb-2">
-                      <Lightbulb className="w-4 h-4" />
-                      Daily Challenge
-                    </h3>
-                    <p className="text-slate-300 text-sm leading-relaxed">
-                      {challenge}
-                    </p>
-                  </div>
-                  <button 
-                    onClick={() => setChallenge(null)}
-                    className="text-slate-500 hover:text-slate-400"
-                  >
-                    <span className="sr-only">Dismiss</span>
-                    &times;
-                  </button>
-                </div>
-              </div>
+              <ChallengeCard
+                challenge={challenge}
+                grade={challengeGrade}
+                grading={grading}
+                onUseStarter={() => setCode(challenge.starterCode)}
+                onSubmitSolution={submitSolution}
+                onGenerate={() => generateChallenge(challenge.schedule?.topic || challenge.topic)}
+                onDismiss={() => showChallenge(null)}
+              />
             )}
 
             {/* Empty State */}
-            {!response && !loading && !error && !challenge && (
+            {!response && !loading && !error && !challenge && !offlineNotice && !trace && (
               <div className="h-full flex flex-col items-center justify-center text-center text-slate-500 space-y-4">
                 <div className="p-4 bg-slate-800/50 rounded-full">
                   <Cpu className="w-8 h-8 text-slate-600" />
@@ -498,7 +1443,13 @@ export default function TechchatApp() {
                         <Wrench className="w-3 h-3 text-emerald-400" /> Auto-Fix Code
                       </p>
                       <p className="flex items-center gap-2">
-                        <ShieldCheck className="w-3 h-3 text-blue-400" /> Anti-Cheat Time Verification
+                        <Terminal className="w-3 h-3 text-cyan-400" /> Real In-Browser Execution
+                      </p>
+                      <p className="flex items-center gap-2">
+                        <Footprints className="w-3 h-3 text-emerald-400" /> Step-Through Visualizer
+                      </p>
+                      <p className="flex items-center gap-2">
+                        <ShieldCheck className="w-3 h-3 text-blue-400" /> Server-Verified Streaks
                       </p>
                     </div>
                   </div>
@@ -514,13 +1465,45 @@ export default function TechchatApp() {
               </div>
             )}
 
-            {/* Loading State */}
-            {loading && (
+            {/* Offline queue notice */}
+            {offlineNotice && (
+              <div className="mb-6 flex items-start gap-2 text-xs text-amber-300 bg-amber-900/20 px-4 py-2 rounded-lg border border-amber-900/30">
+                <CloudOff className="w-4 h-4 shrink-0" />
+                {offlineNotice}
+              </div>
+            )}
+            {offlineNotice && !response && execution && execution.status !== 'running' && (
+              <ActualOutputSection execution={execution} predicted={null} />
+            )}
+
+            {/* Hint mode: guess first, review later */}
+            {hintSession && (loading || response) && (
+              <HintLadder
+                key={hintSession.startedAt}
+                session={hintSession}
+                ready={!loading && Boolean(response) && Boolean(execution) && execution.status !== 'running'}
+                loadingHints={loadingHints}
+                hintsError={hintsError}
+                onGuess={submitGuess}
+                onUnlock={unlockHint}
+                onReveal={revealAnswer}
+                onJumpToLine={(line) => jumpToDiagnostic({ line: line.number, file: line.file || null })}
+              />
+            )}
+
+            {/* Loading State (until the first streamed chunk arrives) */}
+            {loading && !response && !reviewHidden && (
               <div className="space-y-6 animate-pulse">
                 <div className="flex items-center gap-2 text-xs text-blue-400 mb-4">
                   <Globe className="w-3 h-3 animate-spin" />
-                  Verifying date with Google Servers...
+                  Reviewing your code...
                 </div>
+                {retryNotice && (
+                  <div className="flex items-center gap-2 text-xs text-amber-300">
+                    <RefreshCw className="w-3 h-3" />
+                    {retryNotice}
+                  </div>
+                )}
                 <div className="h-4 bg-slate-800 rounded w-1/3"></div>
                 <div className="space-y-2">
                   <div className="h-32 bg-slate-800 rounded-lg"></div>
@@ -530,24 +1513,65 @@ export default function TechchatApp() {
             )}
 
             {/* Success State - AI Response */}
-            {response && !loading && (
+            {response && !reviewHidden && (
               <div className="animate-in fade-in slide-in-from-bottom-4 duration-500">
-                {/* Success Banner */}
-                <div className="mb-6 flex items-center justify-between text-green-400 bg-green-900/20 px-4 py-2 rounded-lg border border-green-900/30">
-                  <div className="flex items-center gap-2">
-                    <CheckCircle2 className="w-4 h-4" />
-                    <span className="text-xs font-bold tracking-wide uppercase">Submission Reviewed</span>
+                {/* Streaming indicator */}
+                {loading && (
+                  <div className="mb-6 flex items-center gap-2 text-xs text-blue-400 px-4 py-2 rounded-lg border border-blue-900/30 bg-blue-900/10">
+                    <div className="w-3 h-3 border-2 border-current border-t-transparent rounded-full animate-spin"></div>
+                    Mentor is writing...
                   </div>
-                  {timeVerified && (
-                    <div className="flex items-center gap-1 text-xs text-blue-400/80 border-l border-green-900/30 pl-3">
-                      <ShieldCheck className="w-3 h-3" />
-                      Verified
+                )}
+
+                {/* Success Banner */}
+                {!loading && !error && (
+                  <div className="mb-6 flex items-center justify-between text-green-400 bg-green-900/20 px-4 py-2 rounded-lg border border-green-900/30">
+                    <div className="flex items-center gap-2">
+                      <CheckCircle2 className="w-4 h-4" />
+                      <span className="text-xs font-bold tracking-wide uppercase">Submission Reviewed</span>
                     </div>
-                  )}
-                </div>
+                    {timeVerified && (
+                      <div className="flex items-center gap-1 text-xs text-blue-400/80 border-l border-green-900/30 pl-3">
+                        <ShieldCheck className="w-3 h-3" />
+                        Verified
+                      </div>
+                    )}
+                  </div>
+                )}
                 
+                {reviewCached && !loading && (
+                  <div className="mb-6 flex items-center justify-between gap-3 text-xs text-slate-400 bg-slate-800/50 px-4 py-2 rounded-lg border border-slate-700">
+                    <span>This code was reviewed before, so this is the saved review.</span>
+                    <button
+                      onClick={() => handleSubmit({ code: reviewSubject.code, stdin: reviewSubject.stdin, argsText: reviewSubject.argsText }, { fresh: true })}
+                      className="flex items-center gap-1 shrink-0 font-semibold text-blue-400 hover:text-blue-300"
+                    >
+                      <RefreshCw className="w-3 h-3" />
+                      Review again
+                    </button>
+                  </div>
+                )}
+
+                {streakError && (
+                  <div className="mb-6 flex items-start gap-2 text-xs text-yellow-300 bg-yellow-900/20 px-4 py-2 rounded-lg border border-yellow-900/30">
+                    <AlertCircle className="w-4 h-4 shrink-0" />
+                    {streakError}
+                  </div>
+                )}
+
                 {/* Parsed Content */}
                 {renderResponseSection(response)}
+
+                {/* Follow-up questions */}
+                {!loading && (
+                  <ChatThread
+                    turns={thread}
+                    busy={chatting}
+                    onAsk={askFollowUp}
+                    onStop={() => stopRequest('chat')}
+                    onQuote={quoteSelection}
+                  />
+                )}
               </div>
             )}
 
@@ -556,6 +1580,120 @@ export default function TechchatApp() {
 
       </main>
 
+      {showSettings && (
+        <SettingsModal
+          settings={llmSettings}
+          onSave={saveSettings}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
+      {fixProposal && (
+        <AutoFixReview
+          proposal={fixProposal}
+          onApply={applyFix}
+          onDiscard={discardFix}
+          onStop={discardFix}
+          onExplain={explainFix}
+        />
+      )}
+
+      {showHistory && (
+        <HistoryPanel
+          onOpen={openFromHistory}
+          onRerun={rerunFromHistory}
+          onClose={() => {
+            setShowHistory(false);
+            refreshAchievements();
+          }}
+        />
+      )}
+
+      {showAccount && (
+        <AccountModal
+          account={account}
+          syncing={historySyncing}
+          syncedAt={syncedAt}
+          notice={accountNotice}
+          onSync={syncAccountHistory}
+          onSignOut={() => leaveAccount(signOut)}
+          onDelete={() => leaveAccount(deleteAccount)}
+          onClose={() => {
+            setShowAccount(false);
+            setAccountNotice(null);
+          }}
+        />
+      )}
+
+      {showCohorts && (
+        <CohortModal
+          account={account}
+          cohorts={cohorts}
+          onCohortsChange={setCohorts}
+          onOpenDashboard={(cohort) => {
+            setShowCohorts(false);
+            setDashboardCohort(cohort);
+          }}
+          onSignIn={() => {
+            setShowCohorts(false);
+            setShowAccount(true);
+          }}
+          onClose={() => setShowCohorts(false)}
+        />
+      )}
+
+      {showProfile && (
+        <ProfilePage
+          profile={profile}
+          history={achievementHistory || []}
+          account={account}
+          onClose={() => setShowProfile(false)}
+        />
+      )}
+
+      {unlockedBadges.length > 0 && (
+        <div className="fixed bottom-4 right-4 z-40 grid gap-2">
+          {unlockedBadges.map((badge) => (
+            <div key={badge.id} className="flex items-center gap-3 pl-3 pr-2 py-2 rounded-lg border border-yellow-700/50 bg-slate-900 shadow-xl">
+              <Award className="w-5 h-5 text-yellow-400" />
+              <button
+                onClick={() => {
+                  setUnlockedBadges([]);
+                  setShowProfile(true);
+                }}
+                className="text-left"
+              >
+                <p className="text-xs text-yellow-400 font-semibold">Badge unlocked</p>
+                <p className="text-sm text-slate-200">{badge.label}</p>
+              </button>
+              <button
+                onClick={() => setUnlockedBadges((prev) => prev.filter((b) => b.id !== badge.id))}
+                className="p-1 text-slate-500 hover:text-slate-300"
+              >
+                <span className="sr-only">Dismiss</span>
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {dashboardCohort && (
+        <CohortDashboard
+          cohort={dashboardCohort}
+          onCohortsChange={setCohorts}
+          onClose={() => setDashboardCohort(null)}
+        />
+      )}
+
+      {showStreakDetails && (
+        <StreakDetailsModal
+          info={streakInfo}
+          onClose={() => setShowStreakDetails(false)}
+          onSettingsSaved={refreshStreak}
+        />
+      )}
+
       <style jsx global>{`
         .custom-scrollbar::-webkit-scrollbar {
           width: 8px;
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { UserRound, X, Mail, RefreshCw, Download, LogOut, Trash2, Link2 } from 'lucide-react';
+import { requestSignInLink, exportAccount } from '../lib/account.js';
+import { localDay } from '../lib/historyStore.js';
+
+const inputClass = "bg-slate-950 rounded-md border border-slate-800 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-blue-500/50";
+const buttonClass = "flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-sm font-semibold border transition-colors disabled:opacity-50";
+
+const downloadJSON = (data, name) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Sign in by email link; once signed in: sync status, export, sign out and
+// account deletion. `notice` carries the outcome of opening a sign-in link.
+export default function AccountModal({ account, syncing, syncedAt, notice, onSync, onSignOut, onDelete, onClose }) {
+  const [email, setEmail] = useState('');
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState('');
+  const [deleting, setDeleting] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sendLink = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError(null);
+    try {
+      setSent(await requestSignInLink(email));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const download = () => run(async () => downloadJSON(await exportAccount(), `c-streak-account-${localDay(new Date())}.json`));
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-slate-950/80 backdrop-blur-sm p-4">
+      <div className="w-full max-w-md bg-slate-900 rounded-xl border border-slate-800 shadow-xl">
+        <div className="flex items-center justify-between px-5 py-4 border-b border-slate-800">
+          <h2 className="flex items-center gap-2 font-semibold text-slate-200">
+            <UserRound className="w-4 h-4 text-blue-400" />
+            {account ? 'Your Account' : 'Sign In'}
+          </h2>
+          <button onClick={onClose} className="text-slate-500 hover:text-slate-300">
+            <span className="sr-only">Close</span>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-5 grid gap-4 text-sm">
+          {notice && (
+            <p className={`text-xs px-3 py-2 rounded-md border ${notice.error ? 'text-red-300 bg-red-900/20 border-red-900/40' : 'text-green-300 bg-green-900/20 border-green-900/40'}`}>
+              {notice.text}
+            </p>
+          )}
+
+          {!account && !sent && (
+            <form onSubmit={sendLink} className="grid gap-3">
+              <p className="text-slate-400">
+                Sign in to keep your streak and history when you switch between the lab PC and your laptop.
+                Whatever this browser has recorded so far is merged into your account.
+              </p>
+              <label className="grid gap-1 text-xs text-slate-400">
+                Email
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className={inputClass}
+                  placeholder="you@university.edu"
+                  autoComplete="email"
+                  required
+                />
+              </label>
+              <button type="submit" disabled={sending || !email.trim()} className={`${buttonClass} text-white bg-blue-600 hover:bg-blue-500 border-blue-600`}>
+                <Mail className="w-4 h-4" />
+                {sending ? 'Sending...' : 'Email me a sign-in link'}
+              </button>
+            </form>
+          )}
+
+          {!account && sent?.sent && (
+            <p className="text-slate-300">
+              Check <span className="font-semibold">{email}</span> for a sign-in link and open it on this device.
+              It works once and expires in 15 minutes.
+            </p>
+          )}
+
+          {!account && sent?.devLink && (
+            <div className="grid gap-2">
+              <p className="text-xs text-amber-300 bg-amber-900/20 px-3 py-2 rounded-md border border-amber-900/40">
+                Development sign-in links are turned on for this server, so here is the link the email would contain.
+              </p>
+              <a href={sent.devLink} className={`${buttonClass} text-slate-200 bg-slate-800 hover:bg-slate-700 border-slate-700`}>
+                <Link2 className="w-4 h-4" />
+                Open sign-in link
+              </a>
+            </div>
+          )}
+
+          {account && (
+            <>
+              <div>
+                <p className="text-slate-400 text-xs">Signed in as</p>
+                <p className="font-semibold text-slate-200">{account.email}</p>
+                <p className="mt-1 text-xs text-slate-500">
+                  {syncing ? 'Syncing history...' : syncedAt ? `History last synced ${new Date(syncedAt).toLocaleString()}` : 'History not synced yet'}
+                </p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                <button onClick={onSync} disabled={syncing} className={`${buttonClass} text-slate-200 bg-slate-800 hover:bg-slate-700 border-slate-700`}>
+                  <RefreshCw className={`w-4 h-4 ${syncing ? 'animate-spin' : ''}`} />
+                  Sync now
+                </button>
+                <button onClick={download} disabled={busy} className={`${buttonClass} text-slate-200 bg-slate-800 hover:bg-slate-700 border-slate-700`}>
+                  <Download className="w-4 h-4" />
+                  Export my data
+                </button>
+                <button onClick={() => run(onSignOut)} disabled={busy} className={`${buttonClass} col-span-2 text-slate-300 border-slate-700 hover:bg-slate-800`}>
+                  <LogOut className="w-4 h-4" />
+                  Sign out on this device
+                </button>
+                <p className="col-span-2 text-xs text-slate-500">
+                  Signing out removes this account's history from this browser. It stays in your account.
+                </p>
+              </div>
+
+              <div className="pt-4 border-t border-slate-800 grid gap-2">
+                <p className="text-xs text-slate-500">
+                  Deleting the account erases its streak and synced history on the server and signs out every device.
+                  The history stored in this browser is removed too.
+                </p>
+                <input
+                  value={confirmDelete}
+                  onChange={(e) => setConfirmDelete(e.target.value)}
+                  className={`${inputClass} text-xs`}
+                  placeholder={`Type ${account.email} to confirm`}
+                  autoComplete="off"
+                />
+                <button
+                  onClick={async () => {
+                    setDeleting(true);
+                    await run(onDelete);
+                    setDeleting(false);
+                  }}
+                  disabled={deleting || confirmDelete.trim().toLowerCase() !== account.email}
+                  className={`${buttonClass} text-red-300 border-red-900/50 hover:bg-red-900/20`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                  {deleting ? 'Deleting...' : 'Delete account'}
+                </button>
+              </div>
+            </>
+          )}
+
+          {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
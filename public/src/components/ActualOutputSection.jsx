@@ -0,0 +1,109 @@
+import React from 'react';
+import { Play, AlertCircle, CheckCircle2, GitCompare } from 'lucide-react';
+import { outputsMatch, diffLines } from '../runtime/outputDiff.js';
+
+const STATUS_LABELS = {
+  ok: 'Exited normally',
+  runtime_error: 'Runtime error',
+  compile_error: 'Did not compile',
+  timeout: 'Timed out',
+  unavailable: 'Runtime unavailable'
+};
+
+// "Actual Output" card shown beside the mentor's "Predicted Output".
+export default function ActualOutputSection({ execution, predicted }) {
+  if (!execution) return null;
+
+  if (execution.status === 'running') {
+    return (
+      <div className="mb-6 bg-slate-800/50 rounded-lg p-4 border border-slate-700">
+        <h3 className="flex items-center gap-2 text-lg font-semibold text-slate-200 mb-3">
+          <Play className="w-5 h-5 text-cyan-400" />
+          Actual Output
+        </h3>
+        <div className="flex items-center gap-2 text-xs text-cyan-400">
+          <div className="w-3 h-3 border-2 border-current border-t-transparent rounded-full animate-spin"></div>
+          Compiling and running in your browser...
+        </div>
+      </div>
+    );
+  }
+
+  const ran = execution.status === 'ok' || execution.status === 'runtime_error';
+  const hasPrediction = predicted != null;
+  const matches = ran && hasPrediction && outputsMatch(predicted, execution.stdout);
+
+  return (
+    <div className="mb-6 bg-slate-800/50 rounded-lg p-4 border border-slate-700">
+      <h3 className="flex items-center justify-between gap-2 text-lg font-semibold text-slate-200 mb-3">
+        <span className="flex items-center gap-2">
+          <Play className="w-5 h-5 text-cyan-400" />
+          Actual Output
+        </span>
+        <span className="text-xs font-medium text-slate-400">
+          {STATUS_LABELS[execution.status]}
+          {execution.exitCode != null && ` · exit code ${execution.exitCode}`}
+        </span>
+      </h3>
+
+      {ran && (
+        <pre className="bg-slate-950 rounded-md p-3 text-sm font-mono text-slate-200 whitespace-pre-wrap overflow-x-auto">
+          {execution.stdout || <span className="text-slate-500 italic">(no output)</span>}
+        </pre>
+      )}
+
+      {execution.stderr && (
+        <pre className="mt-3 bg-red-950/30 border border-red-900/40 rounded-md p-3 text-xs font-mono text-red-200 whitespace-pre-wrap overflow-x-auto">
+          {execution.stderr}
+        </pre>
+      )}
+
+      {execution.warnings && (
+        <pre className="mt-3 bg-yellow-950/20 border border-yellow-900/40 rounded-md p-3 text-xs font-mono text-yellow-200 whitespace-pre-wrap overflow-x-auto">
+          {execution.warnings}
+        </pre>
+      )}
+
+      {ran && hasPrediction && matches && (
+        <p className="mt-3 flex items-center gap-2 text-xs text-green-400">
+          <CheckCircle2 className="w-3 h-3" />
+          Matches the predicted output.
+        </p>
+      )}
+
+      {ran && hasPrediction && !matches && (
+        <div className="mt-3">
+          <p className="flex items-center gap-2 text-xs text-yellow-400 mb-2">
+            <GitCompare className="w-3 h-3" />
+            The prediction differs from what the program actually printed:
+          </p>
+          <pre className="bg-slate-950 rounded-md p-3 text-xs font-mono overflow-x-auto">
+            {diffLines(predicted, execution.stdout).map((line, i) => (
+              <div
+                key={i}
+                className={
+                  line.type === 'removed' ? 'text-red-300 bg-red-900/20' :
+                  line.type === 'added' ? 'text-green-300 bg-green-900/20' :
+                  'text-slate-400'
+                }
+              >
+                {line.type === 'removed' ? '- ' : line.type === 'added' ? '+ ' : '  '}
+                {line.text}
+              </div>
+            ))}
+          </pre>
+          <p className="mt-2 text-[11px] text-slate-500">
+            <span className="text-red-300">-</span> predicted only · <span className="text-green-300">+</span> actually printed
+          </p>
+        </div>
+      )}
+
+      {execution.status === 'unavailable' && (
+        <p className="mt-3 flex items-center gap-2 text-xs text-slate-400">
+          <AlertCircle className="w-3 h-3" />
+          Only the mentor's prediction is available for this submission.
+        </p>
+      )}
+    </div>
+  );
+}
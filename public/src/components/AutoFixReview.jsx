@@ -0,0 +1,191 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { Wrench, X, Check, Undo2, Columns2, Rows2, MessageSquareText, Square } from 'lucide-react';
+import { buildHunks, applyHunks } from '../lib/lineDiff.js';
+
+const DiffLine = ({ kind, text }) => (
+  <div className={
+    kind === 'removed' ? 'bg-red-900/20 text-red-200' :
+    kind === 'added' ? 'bg-green-900/20 text-green-200' :
+    'text-slate-500'
+  }>
+    <span className="select-none inline-block w-4 text-slate-600">
+      {kind === 'removed' ? '-' : kind === 'added' ? '+' : ' '}
+    </span>
+    {text || ' '}
+  </div>
+);
+
+// Unchanged runs longer than this are collapsed to their edges.
+const CONTEXT_LINES = 2;
+
+const ContextRun = ({ lines, isFirst, isLast }) => {
+  if (lines.length <= CONTEXT_LINES * 2 + 1) {
+    return lines.map((l, i) => <DiffLine key={i} kind="same" text={l} />);
+  }
+  const head = isFirst ? [] : lines.slice(0, CONTEXT_LINES);
+  const tail = isLast ? [] : lines.slice(-CONTEXT_LINES);
+  const hidden = lines.length - head.length - tail.length;
+  return (
+    <>
+      {head.map((l, i) => <DiffLine key={`h${i}`} kind="same" text={l} />)}
+      <div className="text-[11px] text-slate-600 italic py-0.5">⋯ {hidden} unchanged line(s)</div>
+      {tail.map((l, i) => <DiffLine key={`t${i}`} kind="same" text={l} />)}
+    </>
+  );
+};
+
+// Review panel for an auto-fix proposal: per-hunk accept/reject, inline or
+// side-by-side, with optional "why" notes from the mentor.
+export default function AutoFixReview({ proposal, onApply, onDiscard, onStop, onExplain }) {
+  const segments = useMemo(
+    () => (proposal.streaming ? [] : buildHunks(proposal.original, proposal.fixed)),
+    [proposal.original, proposal.fixed, proposal.streaming]
+  );
+  const hunks = segments.filter((s) => s.type === 'change');
+  const [accepted, setAccepted] = useState(new Set());
+  const [sideBySide, setSideBySide] = useState(false);
+
+  // Everything starts accepted once the fix is complete.
+  useEffect(() => {
+    setAccepted(new Set(hunks.map((h) => h.id)));
+  }, [segments]);
+
+  const toggle = (id) => {
+    const next = new Set(accepted);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setAccepted(next);
+  };
+
+  const explanations = proposal.explanations || {};
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-slate-950/80 backdrop-blur-sm p-4">
+      <div className="w-full max-w-4xl max-h-full flex flex-col bg-slate-900 rounded-xl border border-slate-800 shadow-xl">
+        <div className="flex items-center justify-between px-5 py-4 border-b border-slate-800">
+          <h2 className="flex items-center gap-2 font-semibold text-slate-200">
+            <Wrench className="w-4 h-4 text-emerald-400" />
+            Review Auto-Fix
+            {!proposal.streaming && (
+              <span className="text-xs font-normal text-slate-500">
+                {hunks.length} change(s) · {accepted.size} accepted
+              </span>
+            )}
+          </h2>
+          <div className="flex items-center gap-3">
+            {!proposal.streaming && hunks.length > 0 && (
+              <button
+                onClick={() => setSideBySide(!sideBySide)}
+                className="flex items-center gap-1 text-xs text-slate-400 hover:text-slate-200"
+              >
+                {sideBySide ? <Rows2 className="w-3 h-3" /> : <Columns2 className="w-3 h-3" />}
+                {sideBySide ? "Inline" : "Side by side"}
+              </button>
+            )}
+            <button onClick={onDiscard} className="text-slate-500 hover:text-slate-300">
+              <span className="sr-only">Close</span>
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-5 font-mono text-xs leading-5">
+          {proposal.streaming && (
+            <>
+              <div className="mb-3 flex items-center gap-2 font-sans text-emerald-400">
+                <div className="w-3 h-3 border-2 border-current border-t-transparent rounded-full animate-spin"></div>
+                Preparing a fix...
+              </div>
+              <pre className="text-slate-400 whitespace-pre-wrap">{proposal.fixed}</pre>
+            </>
+          )}
+
+          {!proposal.streaming && hunks.length === 0 && (
+            <p className="font-sans text-sm text-slate-400">The mentor found nothing to change. Nice work!</p>
+          )}
+
+          {!proposal.streaming && hunks.length > 0 && segments.map((segment, i) => {
+            if (segment.type === 'same') {
+              return <ContextRun key={i} lines={segment.lines} isFirst={i === 0} isLast={i === segments.length - 1} />;
+            }
+            const isAccepted = accepted.has(segment.id);
+            return (
+              <div key={i} className={`my-2 rounded-md border ${isAccepted ? 'border-emerald-700/50' : 'border-slate-700 opacity-70'}`}>
+                <div className="flex items-center justify-between px-3 py-1.5 border-b border-slate-800 font-sans">
+                  <span className="text-[11px] text-slate-500">Change {segment.id} · line {segment.oldStart}</span>
+                  <button
+                    onClick={() => toggle(segment.id)}
+                    className={`flex items-center gap-1 text-[11px] font-semibold ${isAccepted ? 'text-emerald-400 hover:text-emerald-300' : 'text-slate-400 hover:text-slate-200'}`}
+                  >
+                    {isAccepted ? <Check className="w-3 h-3" /> : <Undo2 className="w-3 h-3" />}
+                    {isAccepted ? "Accepted" : "Rejected (keep mine)"}
+                  </button>
+                </div>
+                {sideBySide ? (
+                  <div className="grid grid-cols-2 divide-x divide-slate-800">
+                    <div className="p-2">{segment.oldLines.map((l, j) => <DiffLine key={j} kind="removed" text={l} />)}</div>
+                    <div className="p-2">{segment.newLines.map((l, j) => <DiffLine key={j} kind="added" text={l} />)}</div>
+                  </div>
+                ) : (
+                  <div className="p-2">
+                    {segment.oldLines.map((l, j) => <DiffLine key={`o${j}`} kind="removed" text={l} />)}
+                    {segment.newLines.map((l, j) => <DiffLine key={`n${j}`} kind="added" text={l} />)}
+                  </div>
+                )}
+                {explanations[segment.id] && (
+                  <p className="px-3 py-2 border-t border-slate-800 font-sans text-xs text-slate-300 flex items-start gap-2">
+                    <MessageSquareText className="w-3 h-3 mt-0.5 shrink-0 text-purple-400" />
+                    {explanations[segment.id]}
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex items-center justify-between gap-2 px-5 py-4 border-t border-slate-800">
+          <div className="flex items-center gap-3 text-xs">
+            {proposal.streaming ? (
+              <button onClick={onStop} className="flex items-center gap-1 text-slate-300 hover:text-white">
+                <Square className="w-3 h-3 fill-current" /> Stop
+              </button>
+            ) : hunks.length > 0 && (
+              <>
+                <button onClick={() => setAccepted(new Set(hunks.map((h) => h.id)))} className="text-emerald-400 hover:text-emerald-300">
+                  Accept all
+                </button>
+                <button onClick={() => setAccepted(new Set())} className="text-slate-400 hover:text-slate-200">
+                  Reject all
+                </button>
+                <button
+                  onClick={() => onExplain(hunks)}
+                  disabled={proposal.explaining || Object.keys(explanations).length > 0}
+                  className="flex items-center gap-1 text-purple-400 hover:text-purple-300 disabled:opacity-50"
+                >
+                  {proposal.explaining ? (
+                    <div className="w-3 h-3 border-2 border-current border-t-transparent rounded-full animate-spin"></div>
+                  ) : (
+                    <MessageSquareText className="w-3 h-3" />
+                  )}
+                  Explain changes
+                </button>
+              </>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            <button onClick={onDiscard} className="px-4 py-2 rounded-lg text-sm text-slate-400 hover:text-slate-200">
+              Discard
+            </button>
+            <button
+              onClick={() => onApply(applyHunks(segments, accepted), explanations)}
+              disabled={proposal.streaming || accepted.size === 0}
+              className="px-4 py-2 rounded-lg text-sm font-semibold bg-emerald-600 hover:bg-emerald-500 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Apply {accepted.size > 0 && accepted.size < hunks.length ? "selected" : "fix"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
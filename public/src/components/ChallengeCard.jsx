@@ -0,0 +1,145 @@
+import React from 'react';
+import { Lightbulb, FileCode2, FlaskConical, CheckCircle2, XCircle, EyeOff, Trophy, Sparkles, Repeat } from 'lucide-react';
+import Markdown from './Markdown.jsx';
+import { visibleTests } from '../lib/challenges.js';
+import { topicLabel } from '../lib/catalog.js';
+
+const DIFFICULTY_STYLES = {
+  easy: 'text-green-300 border-green-700/50 bg-green-900/20',
+  medium: 'text-yellow-300 border-yellow-700/50 bg-yellow-900/20',
+  hard: 'text-red-300 border-red-700/50 bg-red-900/20'
+};
+
+// Why the scheduler picked this challenge today.
+const scheduleNote = ({ reason, topic, lapses, cohort }) => {
+  const label = topicLabel(topic).toLowerCase();
+  if (reason === 'assigned') return `Assigned by your instructor for ${cohort}.`;
+  if (reason === 'review') {
+    return lapses > 0 ? `Review: ${label} tripped you up before, so it's back.` : `Review: ${label} is due for a refresher.`;
+  }
+  if (reason === 'new') return `New topic: ${label}.`;
+  return `Extra practice: nothing is due, so here's more ${label}.`;
+};
+
+const Snippet = ({ label, text }) => (
+  <div>
+    <p className="text-[10px] uppercase tracking-wider text-slate-500 mb-1">{label}</p>
+    <pre className="bg-slate-950 rounded-md p-2 text-xs font-mono text-slate-300 whitespace-pre-wrap">
+      {text || <span className="italic text-slate-600">(empty)</span>}
+    </pre>
+  </div>
+);
+
+// Daily challenge with its visible test cases and the latest grading result.
+export default function ChallengeCard({ challenge, grade, grading, onUseStarter, onSubmitSolution, onGenerate, onDismiss }) {
+  const tests = visibleTests(challenge);
+  const hiddenCount = challenge.tests.length - tests.length;
+
+  return (
+    <div className="mb-6 p-4 rounded-lg bg-gradient-to-r from-purple-900/20 to-blue-900/20 border border-purple-500/30 animate-in fade-in slide-in-from-top-2">
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <h3 className="text-purple-300 font-semibold text-sm flex items-center gap-2 mb-2">
+            <Lightbulb className="w-4 h-4" />
+            Daily Challenge: {challenge.title}
+          </h3>
+          <div className="flex items-center gap-2 mb-3 text-[11px]">
+            <span className={`px-2 py-0.5 rounded-full border capitalize ${DIFFICULTY_STYLES[challenge.difficulty]}`}>
+              {challenge.difficulty}
+            </span>
+            <span className="px-2 py-0.5 rounded-full border border-slate-700 bg-slate-800 text-slate-400">
+              {topicLabel(challenge.topic)}
+            </span>
+          </div>
+          {challenge.schedule && (
+            <p className="flex items-center gap-1 mb-3 text-[11px] text-slate-500">
+              <Repeat className="w-3 h-3" /> {scheduleNote(challenge.schedule)}
+            </p>
+          )}
+          <Markdown text={challenge.description} />
+        </div>
+        <button
+          onClick={onDismiss}
+          className="text-slate-500 hover:text-slate-400"
+        >
+          <span className="sr-only">Dismiss</span>
+          &times;
+        </button>
+      </div>
+
+      {/* Visible test cases */}
+      <div className="mt-4 space-y-3">
+        {tests.map((test, i) => (
+          <div key={test.id} className="grid sm:grid-cols-2 gap-2">
+            <Snippet label={`Example ${i + 1} input${test.args.length ? ` (args: ${test.args.join(' ')})` : ''}`} text={test.stdin} />
+            <Snippet label="Expected output" text={test.expectedOutput} />
+          </div>
+        ))}
+        {hiddenCount > 0 && (
+          <p className="flex items-center gap-1 text-[11px] text-slate-500">
+            <EyeOff className="w-3 h-3" /> Plus {hiddenCount} hidden test(s).
+          </p>
+        )}
+      </div>
+
+      {/* Actions */}
+      <div className="mt-4 flex items-center gap-4 text-xs">
+        {challenge.starterCode && (
+          <button onClick={onUseStarter} className="flex items-center gap-1 text-blue-400 hover:text-blue-300">
+            <FileCode2 className="w-3 h-3" /> Use starter code
+          </button>
+        )}
+        <button onClick={onGenerate} className="flex items-center gap-1 text-purple-400 hover:text-purple-300">
+          <Sparkles className="w-3 h-3" /> Fresh AI challenge
+        </button>
+        <button
+          onClick={onSubmitSolution}
+          disabled={grading}
+          className="ml-auto flex items-center gap-2 px-3 py-1.5 rounded-lg font-semibold bg-purple-600 hover:bg-purple-500 text-white disabled:opacity-50"
+        >
+          {grading ? (
+            <div className="w-3 h-3 border-2 border-current border-t-transparent rounded-full animate-spin"></div>
+          ) : (
+            <FlaskConical className="w-3 h-3" />
+          )}
+          {grading ? "Running tests..." : "Submit as solution"}
+        </button>
+      </div>
+
+      {/* Grading result */}
+      {grade && !grading && (
+        <div className="mt-4 border-t border-purple-500/20 pt-3 space-y-2">
+          {grade.passed ? (
+            <p className="flex items-center gap-2 text-sm font-semibold text-green-400">
+              <Trophy className="w-4 h-4" /> All tests passed — counted toward your streak!
+            </p>
+          ) : (
+            <p className="flex items-center gap-2 text-sm font-semibold text-red-300">
+              <XCircle className="w-4 h-4" />
+              {grade.compileError ? "Your code did not compile." : "Not quite yet — this attempt does not count toward your streak."}
+            </p>
+          )}
+          {(grade.compileError || grade.runtimeError) && (
+            <pre className="bg-red-950/30 border border-red-900/40 rounded-md p-2 text-xs font-mono text-red-200 whitespace-pre-wrap">
+              {grade.compileError || grade.runtimeError}
+            </pre>
+          )}
+          {!grade.compileError && grade.cases.map((c, i) => (
+            <details key={c.id} className="text-xs">
+              <summary className={`flex items-center gap-2 cursor-pointer ${c.passed ? 'text-green-300' : 'text-red-300'}`}>
+                {c.passed ? <CheckCircle2 className="w-3 h-3" /> : <XCircle className="w-3 h-3" />}
+                Test {i + 1} {c.hidden && '(hidden)'} · {c.passed ? 'passed' : c.status === 'ok' ? 'wrong output' : c.status.replace('_', ' ')}
+              </summary>
+              {!c.hidden && !c.passed && (
+                <div className="mt-2 grid sm:grid-cols-2 gap-2">
+                  <Snippet label="Expected" text={c.expectedOutput} />
+                  <Snippet label="Your output" text={c.stdout} />
+                </div>
+              )}
+            </details>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MessagesSquare, Send, Square, TextQuote, X, AlertCircle } from 'lucide-react';
+import Markdown from './Markdown.jsx';
+import { quoteLabel } from '../lib/chat.js';
+
+const QuoteBlock = ({ quote, onRemove }) => (
+  <div className="rounded-md border border-slate-700 bg-slate-950/60 text-xs">
+    <div className="flex items-center justify-between px-2 py-1 border-b border-slate-800 text-slate-500">
+      <span className="flex items-center gap-1">
+        <TextQuote className="w-3 h-3" />
+        {quoteLabel(quote)}
+      </span>
+      {onRemove && (
+        <button onClick={onRemove} className="p-0.5 hover:text-slate-300" title="Remove quote">
+          <X className="w-3 h-3" />
+        </button>
+      )}
+    </div>
+    <pre className="px-2 py-1 max-h-32 overflow-auto custom-scrollbar font-mono text-slate-300 whitespace-pre">{quote.text}</pre>
+  </div>
+);
+
+// Follow-up conversation under a review. `onQuote` returns the editor's
+// selected range (or null); `onAsk(question, quote)` sends a turn.
+export default function ChatThread({ turns, busy, onAsk, onStop, onQuote }) {
+  const [question, setQuestion] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [hint, setHint] = useState(null);
+  const endRef = useRef(null);
+
+  const lastAnswer = turns[turns.length - 1]?.answer;
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [turns.length, lastAnswer]);
+
+  const quoteSelection = () => {
+    const selected = onQuote();
+    setQuote(selected);
+    setHint(selected ? null : 'Select some lines in the editor first, then quote them.');
+  };
+
+  const send = () => {
+    if (!question.trim() || busy) return;
+    onAsk(question.trim(), quote);
+    setQuestion('');
+    setQuote(null);
+    setHint(null);
+  };
+
+  return (
+    <div className="mt-8 border-t border-slate-800 pt-6">
+      <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-300 mb-4">
+        <MessagesSquare className="w-4 h-4 text-blue-400" />
+        Ask a follow-up
+      </h3>
+
+      <div className="space-y-4">
+        {turns.map((turn) => (
+          <div key={turn.id} className="space-y-2">
+            <div className="ml-8 space-y-2 rounded-lg bg-blue-900/20 border border-blue-900/30 px-3 py-2">
+              {turn.quote && <QuoteBlock quote={turn.quote} />}
+              <p className="text-sm text-slate-200 whitespace-pre-wrap">{turn.question}</p>
+            </div>
+            <div className="mr-8 rounded-lg bg-slate-800/50 border border-slate-700 px-3 py-2">
+              {turn.answer ? (
+                <Markdown text={turn.answer} />
+              ) : turn.error ? (
+                <p className="flex items-start gap-2 text-xs text-red-300">
+                  <AlertCircle className="w-3 h-3 mt-0.5 shrink-0" />
+                  {turn.error}
+                </p>
+              ) : (
+                <div className="flex items-center gap-2 text-xs text-blue-400">
+                  <div className="w-3 h-3 border-2 border-current border-t-transparent rounded-full animate-spin"></div>
+                  Mentor is thinking...
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+        <div ref={endRef} />
+      </div>
+
+      <div className="mt-4 space-y-2">
+        {quote && <QuoteBlock quote={quote} onRemove={() => setQuote(null)} />}
+        <div className="flex items-end gap-2">
+          <textarea
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                send();
+              }
+            }}
+            rows={2}
+            placeholder='e.g. "Why does line 6 print 0?"'
+            className="flex-1 bg-slate-950 rounded-md border border-slate-800 px-3 py-2 text-sm text-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500/50 resize-y custom-scrollbar"
+          />
+          <div className="flex flex-col gap-1">
+            <button
+              onClick={quoteSelection}
+              className="p-2 rounded-md text-slate-400 hover:text-blue-300 bg-slate-800 hover:bg-slate-700 border border-slate-700"
+              title="Quote the lines selected in the editor"
+            >
+              <TextQuote className="w-4 h-4" />
+            </button>
+            {busy ? (
+              <button
+                onClick={onStop}
+                className="p-2 rounded-md text-slate-300 bg-slate-800 hover:bg-slate-700 border border-slate-700"
+                title="Stop"
+              >
+                <Square className="w-4 h-4 fill-current" />
+              </button>
+            ) : (
+              <button
+                onClick={send}
+                disabled={!question.trim()}
+                className="p-2 rounded-md text-white bg-blue-600 hover:bg-blue-500 disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Send (Enter)"
+              >
+                <Send className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        </div>
+        {hint && <p className="text-xs text-slate-500">{hint}</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Copy, Check } from 'lucide-react';
+import { tokenize } from '../lib/c/lexer.js';
+
+const C_LANGS = new Set(['c', 'h', 'cpp', 'c++', 'cc']);
+
+const TOKEN_CLASSES = {
+  keyword: 'text-purple-300',
+  number: 'text-orange-300',
+  string: 'text-green-300',
+  char: 'text-green-300',
+  comment: 'text-slate-500 italic',
+  preprocessor: 'text-pink-300',
+  invalid: 'text-red-400'
+};
+
+const highlightC = (source) =>
+  tokenize(source).map((token, i) => {
+    const className = TOKEN_CLASSES[token.type];
+    return className ? <span key={i} className={className}>{token.value}</span> : token.value;
+  });
+
+// Fenced code block with C highlighting and a copy button.
+export default function CodeBlock({ code, lang = '' }) {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.warn("Clipboard unavailable", err);
+    }
+  };
+
+  return (
+    <div className="relative group/code my-3">
+      <button
+        onClick={copy}
+        className="absolute top-2 right-2 flex items-center gap-1 px-2 py-1 rounded-md text-[11px] text-slate-400 bg-slate-800/80 border border-slate-700 opacity-0 group-hover/code:opacity-100 focus:opacity-100 transition-opacity hover:text-slate-200"
+        title="Copy to clipboard"
+      >
+        {copied ? <Check className="w-3 h-3 text-green-400" /> : <Copy className="w-3 h-3" />}
+        {copied ? "Copied" : "Copy"}
+      </button>
+      {lang && (
+        <span className="absolute top-2 left-3 text-[10px] uppercase tracking-wider text-slate-600">{lang}</span>
+      )}
+      <pre className={`bg-slate-950 rounded-md p-3 ${lang ? 'pt-7' : ''} text-sm font-mono text-slate-200 overflow-x-auto custom-scrollbar`}>
+        <code>{C_LANGS.has(lang) ? highlightC(code) : code}</code>
+      </pre>
+    </div>
+  );
+}
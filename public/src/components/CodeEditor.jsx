@@ -0,0 +1,199 @@
+import React, { useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
+import { EditorState, Compartment, StateEffect, StateField } from '@codemirror/state';
+import {
+  EditorView,
+  Decoration,
+  keymap,
+  lineNumbers,
+  highlightActiveLine,
+  highlightActiveLineGutter,
+  drawSelection,
+  placeholder as placeholderExt
+} from '@codemirror/view';
+import { defaultKeymap, history, historyKeymap, indentWithTab, undo, redo, undoDepth, redoDepth } from '@codemirror/commands';
+import { indentOnInput, bracketMatching, foldGutter, syntaxHighlighting, defaultHighlightStyle } from '@codemirror/language';
+import { closeBrackets, closeBracketsKeymap } from '@codemirror/autocomplete';
+import { lintGutter, setDiagnostics } from '@codemirror/lint';
+import { cpp } from '@codemirror/lang-cpp';
+import { oneDark } from '@codemirror/theme-one-dark';
+
+// Blend CodeMirror into the slate card it sits in.
+const techchatTheme = EditorView.theme({
+  '&': { height: '100%', backgroundColor: 'transparent', fontSize: '0.875rem' },
+  '.cm-scroller': { fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace', lineHeight: '1.5rem' },
+  '.cm-gutters': { backgroundColor: 'transparent', borderRight: '1px solid #1e293b', color: '#475569' },
+  '.cm-activeLine, .cm-activeLineGutter': { backgroundColor: 'rgba(59, 130, 246, 0.06)' },
+  '&.cm-focused': { outline: 'none' },
+  '.cm-executionLine': { backgroundColor: 'rgba(16, 185, 129, 0.15)', boxShadow: 'inset 3px 0 0 #10b981' }
+}, { dark: true });
+
+// The line the step-through visualizer is about to run.
+const setExecutionLine = StateEffect.define();
+const executionLineField = StateField.define({
+  create: () => Decoration.none,
+  update(decorations, tr) {
+    for (const effect of tr.effects) {
+      if (!effect.is(setExecutionLine)) continue;
+      const n = effect.value;
+      if (!n || n > tr.state.doc.lines) return Decoration.none;
+      return Decoration.set([Decoration.line({ class: 'cm-executionLine' }).range(tr.state.doc.line(n).from)]);
+    }
+    return decorations.map(tr.changes);
+  },
+  provide: (field) => EditorView.decorations.from(field)
+});
+
+// Map our { line, col, severity, message } diagnostics onto document ranges.
+// Lines past the end of the document (stale mentor notes) are dropped.
+const toCmDiagnostics = (doc, diagnostics) =>
+  diagnostics
+    .filter((d) => d.line >= 1 && d.line <= doc.lines)
+    .map((d) => {
+      const line = doc.line(d.line);
+      const from = d.col ? Math.min(line.from + d.col - 1, line.to) : line.from;
+      return {
+        from,
+        to: d.col ? Math.min(from + 1, line.to) : line.to,
+        severity: d.severity,
+        message: d.message,
+        source: d.source
+      };
+    });
+
+// Controlled CodeMirror 6 editor for C. The parent can call
+// ref.current.jumpToLine(n) to move the cursor to a diagnostic,
+// ref.current.getSelection() to quote the selected lines,
+// ref.current.getCursorLine() for the line the cursor is on, and
+// ref.current.undo() / redo() to walk the editor's undo stack. Value
+// changes pushed in from outside (auto-fix, reset, history) are single
+// undoable steps, just like typing. `path` names the project file being
+// edited; switching it swaps in that file's own state and undo history.
+// `executionLine` highlights the line the visualizer is stopped at.
+const CodeEditor = forwardRef(function CodeEditor(
+  { value, path = 'main.c', onChange, onHistoryChange, readOnly = false, diagnostics = [], executionLine = null, placeholder = '' },
+  ref
+) {
+  const hostRef = useRef(null);
+  const viewRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  const onHistoryChangeRef = useRef(onHistoryChange);
+  const readOnlyCompartment = useRef(new Compartment());
+  const statesRef = useRef(new Map());
+  const pathRef = useRef(path);
+  onChangeRef.current = onChange;
+  onHistoryChangeRef.current = onHistoryChange;
+
+  const reportHistory = (state) => onHistoryChangeRef.current?.({ undo: undoDepth(state), redo: redoDepth(state) });
+
+  const createState = (doc) => EditorState.create({
+    doc,
+    extensions: [
+      lineNumbers(),
+      foldGutter(),
+      lintGutter(),
+      highlightActiveLineGutter(),
+      highlightActiveLine(),
+      drawSelection(),
+      history(),
+      indentOnInput(),
+      bracketMatching(),
+      closeBrackets(),
+      cpp(),
+      syntaxHighlighting(defaultHighlightStyle, { fallback: true }),
+      oneDark,
+      techchatTheme,
+      placeholderExt(placeholder),
+      executionLineField,
+      EditorState.tabSize.of(4),
+      keymap.of([...closeBracketsKeymap, ...defaultKeymap, ...historyKeymap, indentWithTab]),
+      readOnlyCompartment.current.of(EditorState.readOnly.of(readOnly)),
+      EditorView.updateListener.of((update) => {
+        if (update.docChanged) onChangeRef.current(update.state.doc.toString());
+        if (update.transactions.length) reportHistory(update.state);
+      })
+    ]
+  });
+
+  useEffect(() => {
+    const view = new EditorView({ parent: hostRef.current, state: createState(value) });
+    viewRef.current = view;
+    return () => view.destroy();
+  }, []);
+
+  // Switch files: park the current state and restore (or start) the other's.
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view || pathRef.current === path) return;
+    statesRef.current.set(pathRef.current, view.state);
+    pathRef.current = path;
+    view.setState(statesRef.current.get(path) || createState(value));
+    view.dispatch({ effects: readOnlyCompartment.current.reconfigure(EditorState.readOnly.of(readOnly)) });
+    const current = view.state.doc.toString();
+    if (current !== value) view.dispatch({ changes: { from: 0, to: current.length, insert: value } });
+    reportHistory(view.state);
+  }, [path]);
+
+  // Push external value changes (reset, auto-fix, history) into the editor.
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view) return;
+    const current = view.state.doc.toString();
+    if (current !== value) {
+      view.dispatch({ changes: { from: 0, to: current.length, insert: value } });
+    }
+  }, [value]);
+
+  useEffect(() => {
+    viewRef.current?.dispatch({
+      effects: readOnlyCompartment.current.reconfigure(EditorState.readOnly.of(readOnly))
+    });
+  }, [readOnly]);
+
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view) return;
+    view.dispatch(setDiagnostics(view.state, toCmDiagnostics(view.state.doc, diagnostics)));
+  }, [diagnostics, path]);
+
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view) return;
+    const effects = [setExecutionLine.of(executionLine)];
+    if (executionLine && executionLine <= view.state.doc.lines) {
+      effects.push(EditorView.scrollIntoView(view.state.doc.line(executionLine).from, { y: 'nearest' }));
+    }
+    view.dispatch({ effects });
+  }, [executionLine, path]);
+
+  useImperativeHandle(ref, () => ({
+    jumpToLine: (lineNumber) => {
+      const view = viewRef.current;
+      if (!view) return;
+      const line = view.state.doc.line(Math.max(1, Math.min(lineNumber, view.state.doc.lines)));
+      view.dispatch({ selection: { anchor: line.from, head: line.to }, scrollIntoView: true });
+      view.focus();
+    },
+    // The selected lines, widened to whole lines, or null without a selection.
+    getSelection: () => {
+      const view = viewRef.current;
+      const range = view?.state.selection.main;
+      if (!range || range.empty) return null;
+      const { doc } = view.state;
+      // A selection that ends at the start of a line does not include it.
+      const end = range.to === doc.lineAt(range.to).from ? range.to - 1 : range.to;
+      const from = doc.lineAt(range.from);
+      const to = doc.lineAt(Math.max(range.from, end));
+      return { fromLine: from.number, toLine: to.number, text: doc.sliceString(from.from, to.to) };
+    },
+    getCursorLine: () => {
+      const view = viewRef.current;
+      return view ? view.state.doc.lineAt(view.state.selection.main.head).number : null;
+    },
+    undo: () => viewRef.current && undo(viewRef.current),
+    redo: () => viewRef.current && redo(viewRef.current)
+  }), []);
+
+  return <div ref={hostRef} className="h-full overflow-hidden" />;
+});
+
+export default CodeEditor;
@@ -0,0 +1,364 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  LayoutDashboard, X, RefreshCw, Download, Flame, AlertTriangle, Clock, Target, Bug, Send, Trash2, Users, CalendarCheck
+} from 'lucide-react';
+import { fetchDashboard, assignChallenge, deleteCohort } from '../lib/cohortApi.js';
+import { dashboardCsv } from '../lib/cohortStats.js';
+import { categoryLabel } from '../lib/errorCategories.js';
+import { TOPICS, catalogByTopic, findCatalogChallenge, topicLabel } from '../lib/catalog.js';
+import { localDay } from '../lib/historyStore.js';
+
+const card = "bg-slate-800/50 rounded-lg p-4 border border-slate-700";
+const buttonClass = "flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs font-semibold border transition-colors disabled:opacity-50";
+
+const RISK_STYLES = {
+  broken: 'text-red-300 bg-red-900/20 border-red-900/40',
+  due: 'text-amber-300 bg-amber-900/20 border-amber-900/40'
+};
+
+const ASSIGNMENT_STYLES = {
+  passed: 'text-green-400',
+  attempted: 'text-amber-300',
+  'not started': 'text-slate-500'
+};
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+const timeAgo = (iso) => {
+  if (!iso) return 'never';
+  const minutes = Math.round((Date.now() - Date.parse(iso)) / 60000);
+  if (minutes < 60) return `${Math.max(minutes, 1)} min ago`;
+  if (minutes < 60 * 24) return `${Math.round(minutes / 60)} h ago`;
+  return `${Math.round(minutes / (60 * 24))} d ago`;
+};
+
+const challengeTitle = (id) => findCatalogChallenge(id)?.title || id;
+
+const Tile = ({ icon: Icon, label, value, tone = 'text-slate-200' }) => (
+  <div className={card}>
+    <p className="flex items-center gap-1 text-[10px] uppercase tracking-wider text-slate-500">
+      <Icon className="w-3 h-3" />
+      {label}
+    </p>
+    <p className={`mt-1 text-2xl font-bold ${tone}`}>{value}</p>
+  </div>
+);
+
+const Bar = ({ rate, tone = 'bg-blue-500' }) => (
+  <div className="h-1.5 w-full rounded-full bg-slate-800 overflow-hidden">
+    <div className={`h-full ${tone}`} style={{ width: `${Math.round(rate * 100)}%` }} />
+  </div>
+);
+
+// Instructor view of one class: today's assignment, streaks, when students
+// submit, pass rates per challenge, common error categories and who needs
+// a nudge. Numbers come from api/cohorts.js (lib/cohortStats.js).
+export default function CohortDashboard({ cohort, onCohortsChange, onClose }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pick, setPick] = useState('');
+  const [assigning, setAssigning] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const load = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setData(await fetchDashboard(cohort.id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [cohort.id]);
+
+  const assign = async () => {
+    const challenge = findCatalogChallenge(pick);
+    if (!challenge) return;
+    setAssigning(true);
+    setError(null);
+    try {
+      await assignChallenge(cohort.id, challenge);
+      setPick('');
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setAssigning(false);
+    }
+  };
+
+  const remove = async () => {
+    try {
+      onCohortsChange(await deleteCohort(cohort.id));
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const exportCsv = () => {
+    const url = URL.createObjectURL(new Blob([dashboardCsv(data)], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${cohort.name.replace(/[^\w-]+/g, '-')}-${localDay(new Date())}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const students = useMemo(
+    () => (data ? [...data.students].sort((a, b) => Boolean(b.risk && b.risk.level !== 'inactive') - Boolean(a.risk && a.risk.level !== 'inactive') || b.streak - a.streak) : []),
+    [data]
+  );
+  const atRisk = students.filter((s) => s.risk && s.risk.level !== 'inactive');
+  const inactive = students.filter((s) => s.risk?.level === 'inactive');
+  const maxHour = data ? Math.max(1, ...data.hours) : 1;
+  const maxCategory = data?.categories[0]?.students || 1;
+  const assignmentCounts = students.reduce((counts, s) => ({ ...counts, [s.assignment]: (counts[s.assignment] || 0) + 1 }), {});
+
+  return (
+    <div className="fixed inset-0 z-30 bg-slate-950/95 backdrop-blur-sm overflow-y-auto custom-scrollbar">
+      <div className="max-w-6xl mx-auto p-6 grid gap-6">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h2 className="flex items-center gap-2 text-xl font-semibold text-slate-200">
+              <LayoutDashboard className="w-5 h-5 text-blue-400" />
+              {cohort.name}
+            </h2>
+            <p className="text-xs text-slate-500 mt-1">
+              Join code <span className="font-mono tracking-widest text-blue-300">{cohort.code}</span>
+              {data && <> · updated {new Date(data.generatedAt).toLocaleTimeString()}</>}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button onClick={load} disabled={loading} className={`${buttonClass} text-slate-300 border-slate-700 hover:bg-slate-800`}>
+              <RefreshCw className={`w-3 h-3 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+            <button onClick={exportCsv} disabled={!data} className={`${buttonClass} text-slate-300 border-slate-700 hover:bg-slate-800`}>
+              <Download className="w-3 h-3" />
+              Export CSV
+            </button>
+            <button onClick={onClose} className="p-2 text-slate-500 hover:text-slate-300">
+              <span className="sr-only">Close</span>
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-300 bg-red-900/20 border border-red-900/50 rounded-lg px-4 py-2">{error}</p>}
+
+        {/* Daily assignment */}
+        <div className={`${card} flex flex-wrap items-center gap-3`}>
+          <CalendarCheck className="w-5 h-5 text-purple-400" />
+          <div className="flex-1 min-w-[12rem] text-sm">
+            {cohort.assignment || data?.assignment ? (
+              <>
+                <p className="text-slate-200">
+                  Assigned: <span className="font-semibold text-purple-300">{(data?.assignment || cohort.assignment).title}</span>
+                  <span className="text-slate-500"> for {(data?.assignment || cohort.assignment).day}</span>
+                </p>
+                {data && (
+                  <p className="text-xs text-slate-500">
+                    {assignmentCounts.passed || 0} passed · {assignmentCounts.attempted || 0} still trying · {assignmentCounts['not started'] || 0} not started
+                  </p>
+                )}
+              </>
+            ) : (
+              <p className="text-slate-400">No challenge assigned. Students get their own scheduled daily challenge.</p>
+            )}
+          </div>
+          <select
+            value={pick}
+            onChange={(e) => setPick(e.target.value)}
+            className="bg-slate-950 rounded-md border border-slate-800 px-2 py-1.5 text-xs text-slate-200 max-w-xs"
+          >
+            <option value="">Choose today's challenge...</option>
+            {TOPICS.map((topic) => (
+              <optgroup key={topic.id} label={topic.label}>
+                {catalogByTopic(topic.id).map((c) => (
+                  <option key={c.id} value={c.id}>{c.title} ({c.difficulty})</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+          <button onClick={assign} disabled={!pick || assigning} className={`${buttonClass} text-white bg-purple-600 hover:bg-purple-500 border-purple-600`}>
+            <Send className="w-3 h-3" />
+            {assigning ? 'Assigning...' : 'Assign to everyone'}
+          </button>
+        </div>
+
+        {data && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <Tile icon={Users} label="Students" value={data.summary.students} />
+              <Tile icon={Send} label="Submitted today" value={data.summary.activeToday} tone="text-green-400" />
+              <Tile icon={AlertTriangle} label="At risk" value={data.summary.atRisk} tone={data.summary.atRisk ? 'text-red-400' : 'text-slate-200'} />
+              <Tile icon={Flame} label="Average streak" value={data.summary.averageStreak} tone="text-orange-400" />
+            </div>
+
+            {/* At risk */}
+            {(atRisk.length > 0 || inactive.length > 0) && (
+              <div className={card}>
+                <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-200 mb-3">
+                  <AlertTriangle className="w-4 h-4 text-red-400" />
+                  Needs a nudge
+                </h3>
+                <div className="flex flex-wrap gap-2">
+                  {atRisk.map((s) => (
+                    <span key={s.id} className={`text-xs px-2 py-1 rounded-md border ${RISK_STYLES[s.risk.level]}`}>
+                      <span className="font-semibold">{s.name}</span>: {s.risk.message}
+                    </span>
+                  ))}
+                </div>
+                {inactive.length > 0 && (
+                  <p className="mt-3 text-xs text-slate-500">No submissions yet: {inactive.map((s) => s.name).join(', ')}</p>
+                )}
+              </div>
+            )}
+
+            {/* Students */}
+            <div className={`${card} overflow-x-auto`}>
+              <table className="w-full text-xs text-left">
+                <thead className="text-[10px] uppercase tracking-wider text-slate-500">
+                  <tr className="border-b border-slate-700">
+                    <th className="py-2 pr-3">Student</th>
+                    <th className="py-2 pr-3">Streak</th>
+                    <th className="py-2 pr-3">Longest</th>
+                    <th className="py-2 pr-3">Last submission</th>
+                    <th className="py-2 pr-3">Last 7 days</th>
+                    <th className="py-2 pr-3">Usually at</th>
+                    <th className="py-2 pr-3">Challenges</th>
+                    <th className="py-2 pr-3">Assigned</th>
+                    <th className="py-2">Common errors</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {students.map((s) => (
+                    <tr key={s.id} className="border-b border-slate-800 last:border-b-0 text-slate-300">
+                      <td className="py-2 pr-3 font-semibold text-slate-200">{s.name}</td>
+                      <td className="py-2 pr-3">
+                        <span className="flex items-center gap-1">
+                          <Flame className={`w-3 h-3 ${s.streak > 0 ? 'text-orange-500' : 'text-slate-600'}`} />
+                          {s.streak}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-3">{s.longest}</td>
+                      <td className="py-2 pr-3" title={s.lastSubmittedAt || undefined}>{timeAgo(s.lastSubmittedAt)}</td>
+                      <td className="py-2 pr-3">{s.recentSubmissions}</td>
+                      <td className="py-2 pr-3">{s.usualHour === null ? '–' : `${String(s.usualHour).padStart(2, '0')}:00`}</td>
+                      <td className="py-2 pr-3">{s.passes}/{s.attempts}</td>
+                      <td className={`py-2 pr-3 ${ASSIGNMENT_STYLES[s.assignment] || ''}`}>{s.assignment || '–'}</td>
+                      <td className="py-2 text-slate-400">{s.categories.map(categoryLabel).join(', ') || '–'}</td>
+                    </tr>
+                  ))}
+                  {!students.length && (
+                    <tr>
+                      <td colSpan={9} className="py-6 text-center text-slate-500">
+                        Nobody has joined yet. Share the join code <span className="font-mono text-blue-300">{cohort.code}</span>.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid md:grid-cols-3 gap-4">
+              {/* Submission times */}
+              <div className={card}>
+                <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-200 mb-3">
+                  <Clock className="w-4 h-4 text-cyan-400" />
+                  When students submit
+                </h3>
+                <div className="flex items-end gap-0.5 h-24">
+                  {data.hours.map((count, hour) => (
+                    <div
+                      key={hour}
+                      className="flex-1 bg-cyan-500/70 rounded-t-sm"
+                      style={{ height: `${(count / maxHour) * 100}%`, minHeight: count ? 2 : 0 }}
+                      title={`${String(hour).padStart(2, '0')}:00 · ${count} submission(s)`}
+                    />
+                  ))}
+                </div>
+                <div className="flex justify-between text-[10px] text-slate-500 mt-1">
+                  <span>00</span><span>06</span><span>12</span><span>18</span><span>23</span>
+                </div>
+                <p className="mt-2 text-[11px] text-slate-500">Last 14 days, in each student's time zone.</p>
+              </div>
+
+              {/* Pass rates */}
+              <div className={card}>
+                <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-200 mb-3">
+                  <Target className="w-4 h-4 text-green-400" />
+                  Pass rate per challenge
+                </h3>
+                {data.challenges.length ? (
+                  <ul className="space-y-2">
+                    {data.challenges.slice(0, 8).map((c) => (
+                      <li key={c.challengeId} className="text-xs">
+                        <div className="flex justify-between gap-2 text-slate-300">
+                          <span className="truncate" title={topicLabel(findCatalogChallenge(c.challengeId)?.topic)}>{challengeTitle(c.challengeId)}</span>
+                          <span className="shrink-0 text-slate-400">
+                            {percent(c.passRate)} of {c.students} · first try {percent(c.firstTryRate)}
+                          </span>
+                        </div>
+                        <Bar rate={c.passRate} tone="bg-green-500" />
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-xs text-slate-500">No challenge attempts yet.</p>
+                )}
+              </div>
+
+              {/* Error categories */}
+              <div className={card}>
+                <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-200 mb-3">
+                  <Bug className="w-4 h-4 text-red-400" />
+                  Common errors
+                </h3>
+                {data.categories.length ? (
+                  <ul className="space-y-2">
+                    {data.categories.slice(0, 8).map((c) => (
+                      <li key={c.id} className="text-xs">
+                        <div className="flex justify-between gap-2 text-slate-300">
+                          <span>{categoryLabel(c.id)}</span>
+                          <span className="text-slate-400">{c.students} student{c.students === 1 ? '' : 's'} · {c.submissions}×</span>
+                        </div>
+                        <Bar rate={c.students / maxCategory} tone="bg-red-500/80" />
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-xs text-slate-500">No errors found in reviews in the last 14 days.</p>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end">
+          {confirmDelete ? (
+            <div className="flex items-center gap-2 text-xs text-slate-400">
+              Close this class for everyone? Students keep their streaks.
+              <button onClick={remove} className={`${buttonClass} text-red-300 border-red-900/50 hover:bg-red-900/20`}>
+                <Trash2 className="w-3 h-3" />
+                Close class
+              </button>
+              <button onClick={() => setConfirmDelete(false)} className="px-2 text-slate-400 hover:text-slate-200">Cancel</button>
+            </div>
+          ) : (
+            <button onClick={() => setConfirmDelete(true)} className="text-xs text-slate-500 hover:text-red-300">
+              Close class...
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { Users, X, LogIn, LogOut, Plus, LayoutDashboard, Copy, Check } from 'lucide-react';
+import { joinCohort, leaveCohort, createCohort } from '../lib/cohortApi.js';
+
+const inputClass = "bg-slate-950 rounded-md border border-slate-800 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-blue-500/50";
+const buttonClass = "flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-sm font-semibold border transition-colors disabled:opacity-50";
+
+const CopyCode = ({ code }) => {
+  const [copied, setCopied] = useState(false);
+  return (
+    <button
+      onClick={() => navigator.clipboard.writeText(code).then(() => setCopied(true))}
+      className="flex items-center gap-1 font-mono text-sm tracking-widest text-blue-300 hover:text-blue-200"
+      title="Copy the join code"
+    >
+      {code}
+      {copied ? <Check className="w-3 h-3 text-green-400" /> : <Copy className="w-3 h-3" />}
+    </button>
+  );
+};
+
+// Join a class as a student, or create and open classes as an instructor.
+// `cohorts` is { joined, teaching } from lib/cohortApi.js.
+export default function CohortModal({ account, cohorts, onCohortsChange, onOpenDashboard, onSignIn, onClose }) {
+  const [code, setCode] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [className, setClassName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = (action) => async (e) => {
+    e?.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      onCohortsChange(await action());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const joined = cohorts?.joined;
+  const teaching = cohorts?.teaching || [];
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-slate-950/80 backdrop-blur-sm p-4">
+      <div className="w-full max-w-md bg-slate-900 rounded-xl border border-slate-800 shadow-xl max-h-full overflow-y-auto custom-scrollbar">
+        <div className="flex items-center justify-between px-5 py-4 border-b border-slate-800">
+          <h2 className="flex items-center gap-2 font-semibold text-slate-200">
+            <Users className="w-4 h-4 text-blue-400" />
+            Classes
+          </h2>
+          <button onClick={onClose} className="text-slate-500 hover:text-slate-300">
+            <span className="sr-only">Close</span>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {!account ? (
+          <div className="p-5 grid gap-3 text-sm text-slate-400">
+            <p>Classes need an account, so your instructor sees the same streak on every device you use.</p>
+            <button onClick={onSignIn} className={`${buttonClass} text-white bg-blue-600 hover:bg-blue-500 border-blue-600`}>
+              <LogIn className="w-4 h-4" />
+              Sign in
+            </button>
+          </div>
+        ) : (
+          <div className="p-5 grid gap-6 text-sm">
+            {/* Student */}
+            <section className="grid gap-3">
+              <p className="text-[10px] uppercase tracking-wider text-slate-500">Your class</p>
+              {joined ? (
+                <div className="rounded-lg border border-slate-800 bg-slate-950/40 p-3 grid gap-2">
+                  <p className="font-semibold text-slate-200">{joined.name}</p>
+                  <p className="text-xs text-slate-400">
+                    {joined.assignment
+                      ? <>Assigned challenge: <span className="text-purple-300">{joined.assignment.title}</span> ({joined.assignment.day})</>
+                      : 'No challenge assigned yet; the daily challenge is picked for you.'}
+                  </p>
+                  <p className="text-[11px] text-slate-500">
+                    Your instructor sees your streak, when you submit, your challenge results and the kinds of errors your reviews find. Never your code.
+                  </p>
+                  <button onClick={run(leaveCohort)} disabled={busy} className={`${buttonClass} justify-self-start text-slate-300 border-slate-700 hover:bg-slate-800 text-xs`}>
+                    <LogOut className="w-3 h-3" />
+                    Leave class
+                  </button>
+                </div>
+              ) : (
+                <form onSubmit={run(() => joinCohort(code, displayName))} className="grid gap-2">
+                  <div className="grid grid-cols-2 gap-2">
+                    <input
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      className={`${inputClass} font-mono uppercase tracking-widest`}
+                      placeholder="Join code"
+                      autoComplete="off"
+                      spellCheck="false"
+                    />
+                    <input
+                      value={displayName}
+                      onChange={(e) => setDisplayName(e.target.value)}
+                      className={inputClass}
+                      placeholder="Your name"
+                      autoComplete="name"
+                    />
+                  </div>
+                  <button type="submit" disabled={busy || !code.trim() || !displayName.trim()} className={`${buttonClass} text-white bg-blue-600 hover:bg-blue-500 border-blue-600`}>
+                    <LogIn className="w-4 h-4" />
+                    Join class
+                  </button>
+                </form>
+              )}
+            </section>
+
+            {/* Instructor */}
+            <section className="grid gap-3 pt-4 border-t border-slate-800">
+              <p className="text-[10px] uppercase tracking-wider text-slate-500">Classes you teach</p>
+              {teaching.map((cohort) => (
+                <div key={cohort.id} className="flex items-center justify-between gap-3 rounded-lg border border-slate-800 bg-slate-950/40 p-3">
+                  <div className="min-w-0">
+                    <p className="font-semibold text-slate-200 truncate">{cohort.name}</p>
+                    <p className="flex items-center gap-2 text-xs text-slate-500">
+                      <CopyCode code={cohort.code} />
+                      · {cohort.members} student{cohort.members === 1 ? '' : 's'}
+                    </p>
+                  </div>
+                  <button onClick={() => onOpenDashboard(cohort)} className={`${buttonClass} text-slate-200 bg-slate-800 hover:bg-slate-700 border-slate-700 text-xs`}>
+                    <LayoutDashboard className="w-3 h-3" />
+                    Dashboard
+                  </button>
+                </div>
+              ))}
+              <form
+                onSubmit={run(async () => {
+                  const next = await createCohort(className);
+                  setClassName('');
+                  return next;
+                })}
+                className="flex gap-2"
+              >
+                <input
+                  value={className}
+                  onChange={(e) => setClassName(e.target.value)}
+                  className={`${inputClass} flex-1`}
+                  placeholder="New class, e.g. Lab section B"
+                />
+                <button type="submit" disabled={busy || !className.trim()} className={`${buttonClass} text-slate-200 bg-slate-800 hover:bg-slate-700 border-slate-700`}>
+                  <Plus className="w-4 h-4" />
+                  Create
+                </button>
+              </form>
+            </section>
+
+            {error && <p className="text-xs text-red-400">{error}</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React from 'react';
+import { AlertCircle, AlertTriangle, Info } from 'lucide-react';
+
+const SEVERITY_STYLES = {
+  error: { icon: AlertCircle, className: 'text-red-400' },
+  warning: { icon: AlertTriangle, className: 'text-yellow-400' },
+  info: { icon: Info, className: 'text-blue-400' }
+};
+
+// Clickable list of line diagnostics shown under the editor; `showFiles`
+// prefixes each line number with its file in multi-file projects.
+export default function DiagnosticsList({ diagnostics, showFiles = false, onJump }) {
+  if (!diagnostics.length) return null;
+
+  return (
+    <div className="bg-slate-900 rounded-xl border border-slate-800 max-h-36 overflow-y-auto custom-scrollbar">
+      {diagnostics.map((d, i) => {
+        const { icon: Icon, className } = SEVERITY_STYLES[d.severity] || SEVERITY_STYLES.info;
+        return (
+          <button
+            key={i}
+            onClick={() => onJump(d)}
+            className="w-full flex items-start gap-2 px-4 py-1.5 text-left text-xs hover:bg-slate-800/60 transition-colors"
+          >
+            <Icon className={`w-3 h-3 mt-0.5 shrink-0 ${className}`} />
+            <span className="font-mono text-slate-500 shrink-0">{showFiles && d.file ? `${d.file}:` : 'L'}{d.line}</span>
+            <span className="text-slate-300">{d.message}</span>
+            <span className="ml-auto shrink-0 text-[10px] uppercase tracking-wider text-slate-600">{d.source}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,312 @@
+import React, { useLayoutEffect, useRef, useState } from 'react';
+import {
+  Footprints, X, ChevronsLeft, ChevronLeft, ChevronRight, ChevronsRight, TextCursor, RefreshCw, AlertCircle, CornerDownLeft
+} from 'lucide-react';
+
+const STATUS_NOTES = {
+  limit: 'text-yellow-300 bg-yellow-900/20 border-yellow-900/40',
+  error: 'text-red-300 bg-red-900/20 border-red-900/40',
+  unsupported: 'text-slate-300 bg-slate-800 border-slate-700'
+};
+
+const POINTER_STATES = {
+  freed: 'points to freed memory',
+  dangling: 'dangling: the variable is gone',
+  invalid: 'points outside any variable'
+};
+
+// One value from the trace (see lib/c/interpreter.js for the View shapes).
+// Cells carry data-addr so pointer arrows can find their targets.
+const ValueView = ({ value, field = false }) => {
+  if (value.kind === 'array') {
+    return (
+      <div data-addr={value.address} className="inline-block">
+        <div className="flex flex-wrap">
+          {value.elements.map((element, i) => (
+            <div key={i} className="flex flex-col items-center border border-slate-700 -ml-px first:ml-0 min-w-[2rem]">
+              <span className="px-1 text-[9px] text-slate-500 border-b border-slate-800 w-full text-center">{i}</span>
+              <span className="px-1.5 py-0.5">
+                <ValueView value={element} />
+              </span>
+            </div>
+          ))}
+          {value.more > 0 && <span className="self-end px-1 text-[10px] text-slate-500">+{value.more} more</span>}
+        </div>
+        {value.string != null && <div className="mt-0.5 text-[10px] text-emerald-300/80">"{value.string}"</div>}
+      </div>
+    );
+  }
+  if (value.kind === 'struct') {
+    return (
+      <table data-addr={value.address} className="border border-slate-700 text-left">
+        <tbody>
+          {value.fields.map((f) => (
+            <tr key={f.name} className="border-b border-slate-800 last:border-b-0">
+              <td className="px-1.5 py-0.5 text-slate-400 border-r border-slate-800">{f.name}</td>
+              <td className="px-1.5 py-0.5">
+                <ValueView value={f.value} field />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+  if (value.kind === 'pointer') {
+    const pointing = value.target != null && value.state === 'ok';
+    return (
+      <span
+        data-addr={value.address}
+        data-field={field || undefined}
+        data-target={pointing ? value.target : undefined}
+        className={`inline-flex items-center gap-1 ${value.state === 'ok' || value.state === 'function' ? 'text-sky-300' : 'text-red-300'}`}
+        title={value.text}
+      >
+        {value.target == null ? 'NULL' : <>→ {value.label}</>}
+        {pointing && <span className="w-1.5 h-1.5 rounded-full bg-emerald-400" />}
+        {POINTER_STATES[value.state] && <span className="text-[10px]">({POINTER_STATES[value.state]})</span>}
+        {value.string != null && <span className="text-emerald-300/80">"{value.string}"</span>}
+      </span>
+    );
+  }
+  return (
+    <span
+      data-addr={value.address}
+      data-field={field || undefined}
+      className={value.uninit ? 'text-slate-500' : 'text-slate-100'}
+      title={value.uninit ? 'Not initialized yet' : undefined}
+    >
+      {value.text}
+    </span>
+  );
+};
+
+const VariableRow = ({ variable }) => (
+  <div className="flex items-start gap-2 py-1">
+    <span className="shrink-0 text-slate-300" title={variable.type}>
+      {variable.name}
+      <span className="ml-1 text-[10px] text-slate-500">{variable.type}</span>
+    </span>
+    <span className="ml-auto text-right">
+      <ValueView value={variable.value} />
+    </span>
+  </div>
+);
+
+const FrameBox = ({ title, subtitle, variables, active, returnValue }) => (
+  <div className={`rounded-md border px-2 py-1.5 ${active ? 'border-emerald-700/70 bg-emerald-950/10' : 'border-slate-800 bg-slate-950/40'}`}>
+    <div className="flex items-center justify-between text-[11px] mb-1">
+      <span className={active ? 'text-emerald-300 font-semibold' : 'text-slate-400'}>{title}</span>
+      <span className="text-slate-500">{subtitle}</span>
+    </div>
+    {variables.length ? (
+      variables.map((v, i) => <VariableRow key={`${v.name}-${i}`} variable={v} />)
+    ) : (
+      <p className="text-[11px] text-slate-600 italic">no variables yet</p>
+    )}
+    {returnValue != null && (
+      <p className="mt-1 flex items-center gap-1 text-[11px] text-emerald-300">
+        <CornerDownLeft className="w-3 h-3" />
+        returns {returnValue}
+      </p>
+    )}
+  </div>
+);
+
+// Pointer arrows, drawn over the stack and heap after each step.
+const usePointerArrows = (containerRef, deps) => {
+  const [arrows, setArrows] = useState([]);
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const measure = () => {
+      const box = container.getBoundingClientRect();
+      const next = [];
+      for (const source of container.querySelectorAll('[data-target]')) {
+        const matches = [...container.querySelectorAll(`[data-addr="${source.dataset.target}"]`)];
+        const target = matches.filter((m) => !m.dataset.field).pop() || matches.pop();
+        if (!target) continue;
+        const s = source.getBoundingClientRect();
+        const t = target.getBoundingClientRect();
+        const from = { x: s.right - box.left, y: s.top + s.height / 2 - box.top };
+        const leftward = t.left + t.width / 2 < s.right;
+        const to = { x: (leftward ? t.right : t.left) - box.left, y: t.top + Math.min(t.height / 2, 10) - box.top };
+        next.push({ from, to, leftward });
+      }
+      setArrows(next);
+    };
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, deps);
+  return arrows;
+};
+
+// Python Tutor-style view of a trace from lib/c/interpreter.js: call stack,
+// locals, heap blocks and pointer arrows for the current step. The editor
+// highlights the step's line (see the App); `onRunToCursor` jumps to the
+// next step on the line under the editor's cursor.
+export default function ExecutionVisualizer({ trace, step, stale, running, onStep, onRunToCursor, onRerun, onClose }) {
+  const containerRef = useRef(null);
+  const { steps } = trace;
+  const current = steps[step];
+  const arrows = usePointerArrows(containerRef, [trace, step]);
+  const atEnd = step >= steps.length - 1;
+  const note = trace.error && (atEnd || !steps.length) ? trace.error : null;
+  const multiFile = steps.some((s) => s.file && s.file !== steps[0].file);
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowRight') onStep(Math.min(step + 1, steps.length - 1));
+    else if (e.key === 'ArrowLeft') onStep(Math.max(step - 1, 0));
+    else return;
+    e.preventDefault();
+  };
+
+  const controlClass = 'p-1.5 rounded-md text-slate-300 bg-slate-800 hover:bg-slate-700 border border-slate-700 disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div className="mb-6 bg-slate-800/50 rounded-lg p-4 border border-emerald-900/40 focus:outline-none" tabIndex={0} onKeyDown={onKeyDown}>
+      <h3 className="flex items-center justify-between gap-2 text-lg font-semibold text-slate-200 mb-3">
+        <span className="flex items-center gap-2">
+          <Footprints className="w-5 h-5 text-emerald-400" />
+          Step Through
+        </span>
+        <button onClick={onClose} className="p-1 text-slate-500 hover:text-slate-300" title="Close the visualizer">
+          <X className="w-4 h-4" />
+        </button>
+      </h3>
+
+      {stale && (
+        <div className="mb-3 flex items-center justify-between gap-2 text-xs text-amber-300 bg-amber-900/20 px-3 py-2 rounded-md border border-amber-900/40">
+          The code or input changed since this trace.
+          <button onClick={onRerun} disabled={running} className="flex items-center gap-1 font-semibold hover:text-amber-200 disabled:opacity-50">
+            <RefreshCw className={`w-3 h-3 ${running ? 'animate-spin' : ''}`} />
+            Trace again
+          </button>
+        </div>
+      )}
+
+      {steps.length > 0 && (
+        <div className="flex items-center gap-2 mb-3">
+          <button onClick={() => onStep(0)} disabled={step === 0} className={controlClass} title="First step">
+            <ChevronsLeft className="w-4 h-4" />
+          </button>
+          <button onClick={() => onStep(step - 1)} disabled={step === 0} className={controlClass} title="Back (←)">
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <button onClick={() => onStep(step + 1)} disabled={atEnd} className={controlClass} title="Forward (→)">
+            <ChevronRight className="w-4 h-4" />
+          </button>
+          <button onClick={() => onStep(steps.length - 1)} disabled={atEnd} className={controlClass} title="Last step">
+            <ChevronsRight className="w-4 h-4" />
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={steps.length - 1}
+            value={step}
+            onChange={(e) => onStep(Number(e.target.value))}
+            className="flex-1 accent-emerald-500"
+            aria-label="Step"
+          />
+          <button onClick={onRunToCursor} disabled={stale} className={`${controlClass} flex items-center gap-1 text-xs`} title="Run until the line the editor cursor is on">
+            <TextCursor className="w-4 h-4" />
+            To cursor
+          </button>
+        </div>
+      )}
+
+      {current && (
+        <p className="mb-3 text-xs text-slate-400">
+          Step {step + 1} of {steps.length}
+          {current.line != null && ` · about to run ${multiFile && current.file ? `${current.file} ` : ''}line ${current.line}`}
+          {current.event === 'return' && ' · returning'}
+        </p>
+      )}
+
+      {note && (
+        <div className={`mb-3 flex items-start gap-2 text-xs px-3 py-2 rounded-md border ${STATUS_NOTES[trace.status]}`}>
+          <AlertCircle className="w-4 h-4 shrink-0" />
+          <span>
+            {trace.error.line != null && trace.status !== 'limit' && <span className="font-semibold">Line {trace.error.line}: </span>}
+            {trace.error.message}
+          </span>
+        </div>
+      )}
+
+      {current && (
+        <div ref={containerRef} className="relative grid grid-cols-1 sm:grid-cols-2 gap-6 text-xs font-mono">
+          <div className="space-y-2">
+            <p className="text-[10px] uppercase tracking-wider text-slate-500">Stack</p>
+            {current.globals.length > 0 && <FrameBox title="Globals" subtitle="" variables={current.globals} active={false} />}
+            {current.frames.map((frame, i) => {
+              const top = i === current.frames.length - 1;
+              return (
+                <FrameBox
+                  key={frame.id}
+                  title={`${frame.name}()`}
+                  subtitle={`line ${frame.line}${multiFile && frame.file ? ` · ${frame.file}` : ''}`}
+                  variables={frame.variables}
+                  active={top}
+                  returnValue={top && current.event === 'return' ? current.returnValue : null}
+                />
+              );
+            })}
+          </div>
+          <div className="space-y-2">
+            <p className="text-[10px] uppercase tracking-wider text-slate-500">Heap</p>
+            {current.heap.length === 0 && <p className="text-[11px] text-slate-600 italic">nothing allocated</p>}
+            {current.heap.map((block) => (
+              <div key={block.id} className={`rounded-md border px-2 py-1.5 ${block.freed ? 'border-slate-800 opacity-50' : 'border-slate-700 bg-slate-950/40'}`}>
+                <div className="flex items-center justify-between text-[11px] mb-1">
+                  <span className={block.freed ? 'text-slate-500 line-through' : 'text-slate-300'}>{block.label}</span>
+                  <span className="text-slate-500">
+                    {block.freed ? 'freed' : `${block.type || 'untyped'} · ${block.size} B`} · line {block.line}
+                  </span>
+                </div>
+                {block.value ? (
+                  <ValueView value={block.value} />
+                ) : (
+                  !block.freed && <p data-addr={block.address} className="text-[11px] text-slate-500 italic">{block.size} bytes, not used through a typed pointer yet</p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <svg className="absolute inset-0 w-full h-full pointer-events-none overflow-visible">
+            <defs>
+              <marker id="trace-arrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+                <path d="M0,0 L8,4 L0,8 z" fill="#34d399" />
+              </marker>
+            </defs>
+            {arrows.map(({ from, to, leftward }, i) => {
+              const bend = leftward ? 40 : Math.max(24, (to.x - from.x) / 2);
+              const c2x = leftward ? to.x + 40 : to.x - bend;
+              return (
+                <path
+                  key={i}
+                  d={`M${from.x},${from.y} C${from.x + bend},${from.y} ${c2x},${to.y} ${to.x},${to.y}`}
+                  fill="none"
+                  stroke="#34d399"
+                  strokeWidth="1.5"
+                  strokeOpacity="0.8"
+                  markerEnd="url(#trace-arrow)"
+                />
+              );
+            })}
+          </svg>
+        </div>
+      )}
+
+      {current && (
+        <div className="mt-4">
+          <p className="text-[10px] uppercase tracking-wider text-slate-500 mb-1">Output so far</p>
+          <pre className="bg-slate-950 rounded-md p-3 text-sm font-mono text-slate-200 whitespace-pre-wrap overflow-x-auto max-h-40 custom-scrollbar">
+            {trace.stdout.slice(0, current.stdout) || <span className="text-slate-500 italic">(nothing yet)</span>}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
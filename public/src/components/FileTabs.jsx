@@ -0,0 +1,47 @@
+import React from 'react';
+import { X, FolderTree } from 'lucide-react';
+
+// One tab per open project file, above the editor. Closing a tab keeps the
+// file in the project; the last open tab cannot be closed.
+export default function FileTabs({ openFiles, activeFile, counts, showTree, onToggleTree, onSelect, onClose }) {
+  return (
+    <div className="flex items-center gap-1 overflow-x-auto custom-scrollbar">
+      <button
+        onClick={onToggleTree}
+        className={`p-1.5 rounded-md shrink-0 transition-colors ${showTree ? 'text-blue-400 bg-slate-800' : 'text-slate-500 hover:text-blue-400'}`}
+        title={showTree ? 'Hide files' : 'Show files'}
+      >
+        <FolderTree className="w-3 h-3" />
+      </button>
+      {openFiles.map((name) => {
+        const count = counts.get(name);
+        const active = name === activeFile;
+        return (
+          <div
+            key={name}
+            onClick={() => onSelect(name)}
+            className={`group flex items-center gap-1.5 pl-3 pr-1.5 py-1 rounded-t-md border-b-2 text-xs font-mono cursor-pointer shrink-0 ${
+              active ? 'border-blue-500 bg-slate-900 text-slate-200' : 'border-transparent text-slate-500 hover:text-slate-300'
+            }`}
+          >
+            {name}
+            {count?.errors > 0 && <span className="w-1.5 h-1.5 rounded-full bg-red-500" />}
+            {!count?.errors && count?.warnings > 0 && <span className="w-1.5 h-1.5 rounded-full bg-yellow-500" />}
+            {openFiles.length > 1 && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onClose(name);
+                }}
+                className={`p-0.5 rounded hover:bg-slate-700 ${active ? 'text-slate-400' : 'opacity-0 group-hover:opacity-100'}`}
+                title="Close tab"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import React, { useState, useRef } from 'react';
+import { FolderTree, FileCode2, FileType2, FilePlus2, Pencil, Trash2, Upload, Download, Check, X } from 'lucide-react';
+import { isHeader, sortFiles, validateFileName, MAX_FILES } from '../lib/project.js';
+
+// Inline name field used for both "new file" and "rename".
+function NameInput({ initial, files, current, onSubmit, onCancel }) {
+  const [name, setName] = useState(initial);
+  const [touched, setTouched] = useState(false);
+  const error = validateFileName(name.trim(), files, current);
+
+  const submit = () => {
+    setTouched(true);
+    if (!error) onSubmit(name.trim());
+  };
+
+  return (
+    <div className="px-2 py-1">
+      <div className="flex items-center gap-1">
+        <input
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submit();
+            if (e.key === 'Escape') onCancel();
+          }}
+          className="min-w-0 flex-1 bg-slate-950 rounded border border-slate-700 px-1.5 py-0.5 text-xs font-mono text-blue-100 focus:outline-none focus:ring-1 focus:ring-blue-500/50"
+          spellCheck="false"
+        />
+        <button onClick={submit} className="p-0.5 text-emerald-400 hover:text-emerald-300" title="Save">
+          <Check className="w-3 h-3" />
+        </button>
+        <button onClick={onCancel} className="p-0.5 text-slate-500 hover:text-slate-300" title="Cancel">
+          <X className="w-3 h-3" />
+        </button>
+      </div>
+      {touched && error && <p className="mt-1 text-[10px] text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+// Sidebar listing the project's headers and sources. Files can be added,
+// renamed and deleted here; the whole project can be imported from or
+// exported to a zip.
+export default function FileTree({ files, activeFile, counts, onOpen, onCreate, onRename, onDelete, onImport, onExport }) {
+  const [editing, setEditing] = useState(null); // { mode: 'create' } | { mode: 'rename', name }
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const importZip = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const { skipped } = await onImport(file);
+      setMessage(skipped.length ? { tone: 'info', text: `Skipped ${skipped.join(', ')}` } : null);
+    } catch (err) {
+      setMessage({ tone: 'error', text: err.message });
+    }
+  };
+
+  const groups = [
+    { label: 'Headers', files: sortFiles(files).filter((f) => isHeader(f.name)) },
+    { label: 'Sources', files: sortFiles(files).filter((f) => !isHeader(f.name)) }
+  ];
+
+  return (
+    <div className="w-44 shrink-0 flex flex-col bg-slate-900 rounded-xl border border-slate-800 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-slate-800">
+        <span className="flex items-center gap-1.5 text-xs font-semibold text-slate-400 uppercase tracking-wider">
+          <FolderTree className="w-3 h-3 text-blue-400" />
+          Files
+        </span>
+        <span className="flex items-center gap-1">
+          <button
+            onClick={() => setEditing({ mode: 'create' })}
+            disabled={files.length >= MAX_FILES}
+            className="p-1 text-slate-500 hover:text-blue-400 disabled:opacity-30"
+            title={files.length >= MAX_FILES ? `Projects are limited to ${MAX_FILES} files` : 'New file'}
+          >
+            <FilePlus2 className="w-3 h-3" />
+          </button>
+          <button onClick={() => fileInputRef.current?.click()} className="p-1 text-slate-500 hover:text-blue-400" title="Import project from .zip">
+            <Upload className="w-3 h-3" />
+          </button>
+          <button onClick={onExport} className="p-1 text-slate-500 hover:text-blue-400" title="Export project as .zip">
+            <Download className="w-3 h-3" />
+          </button>
+          <input ref={fileInputRef} type="file" accept=".zip,application/zip" className="hidden" onChange={importZip} />
+        </span>
+      </div>
+
+      <div className="flex-1 overflow-y-auto custom-scrollbar py-1">
+        {groups.map((group) => group.files.length > 0 && (
+          <div key={group.label} className="mb-1">
+            <p className="px-3 pt-1 pb-0.5 text-[10px] uppercase tracking-wider text-slate-600">{group.label}</p>
+            {group.files.map((file) => {
+              if (editing?.mode === 'rename' && editing.name === file.name) {
+                return (
+                  <NameInput
+                    key={file.name}
+                    initial={file.name}
+                    files={files}
+                    current={file.name}
+                    onSubmit={(name) => {
+                      if (name !== file.name) onRename(file.name, name);
+                      setEditing(null);
+                    }}
+                    onCancel={() => setEditing(null)}
+                  />
+                );
+              }
+              if (confirmDelete === file.name) {
+                return (
+                  <div key={file.name} className="flex items-center gap-1 px-3 py-1 text-xs text-red-300">
+                    <span className="flex-1 truncate">Delete {file.name}?</span>
+                    <button
+                      onClick={() => {
+                        onDelete(file.name);
+                        setConfirmDelete(null);
+                      }}
+                      className="p-0.5 text-red-400 hover:text-red-300"
+                      title="Delete"
+                    >
+                      <Check className="w-3 h-3" />
+                    </button>
+                    <button onClick={() => setConfirmDelete(null)} className="p-0.5 text-slate-500 hover:text-slate-300" title="Keep">
+                      <X className="w-3 h-3" />
+                    </button>
+                  </div>
+                );
+              }
+              const Icon = isHeader(file.name) ? FileType2 : FileCode2;
+              const count = counts.get(file.name);
+              return (
+                <div
+                  key={file.name}
+                  className={`group flex items-center gap-1.5 px-3 py-1 text-xs cursor-pointer ${
+                    file.name === activeFile ? 'bg-blue-900/30 text-blue-200' : 'text-slate-400 hover:bg-slate-800/60 hover:text-slate-200'
+                  }`}
+                  onClick={() => onOpen(file.name)}
+                  onDoubleClick={() => setEditing({ mode: 'rename', name: file.name })}
+                >
+                  <Icon className={`w-3 h-3 shrink-0 ${isHeader(file.name) ? 'text-purple-400' : 'text-cyan-400'}`} />
+                  <span className="flex-1 truncate font-mono">{file.name}</span>
+                  {count?.errors > 0 && <span className="text-[10px] font-semibold text-red-400">{count.errors}</span>}
+                  {!count?.errors && count?.warnings > 0 && <span className="text-[10px] font-semibold text-yellow-400">{count.warnings}</span>}
+                  <span className="hidden group-hover:flex items-center">
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setEditing({ mode: 'rename', name: file.name });
+                      }}
+                      className="p-0.5 text-slate-500 hover:text-blue-400"
+                      title="Rename"
+                    >
+                      <Pencil className="w-3 h-3" />
+                    </button>
+                    {files.length > 1 && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setConfirmDelete(file.name);
+                        }}
+                        className="p-0.5 text-slate-500 hover:text-red-400"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-3 h-3" />
+                      </button>
+                    )}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+
+        {editing?.mode === 'create' && (
+          <NameInput
+            initial=""
+            files={files}
+            onSubmit={(name) => {
+              onCreate(name);
+              setEditing(null);
+            }}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+      </div>
+
+      {message && (
+        <p className={`px-3 py-2 border-t border-slate-800 text-[10px] ${message.tone === 'error' ? 'text-red-400' : 'text-slate-500'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+}
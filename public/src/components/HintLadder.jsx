@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { Lightbulb, Lock, Unlock, Check, X, Target, Eye } from 'lucide-react';
+import Markdown from './Markdown.jsx';
+import { HINT_LEVELS, FULL_ANSWER_LEVEL, sessionScore } from '../lib/hints.js';
+
+const GuessResult = ({ guess, target }) => (
+  <div className="mt-3 rounded-md border border-slate-700 bg-slate-950/60 p-3">
+    <p className="flex items-center justify-between text-xs mb-2">
+      <span className={guess.match === 100 ? 'text-green-400 font-semibold' : 'text-yellow-300 font-semibold'}>
+        {guess.match === 100 ? 'Exactly right!' : `${guess.match}% of the lines match`}
+      </span>
+      <span className="text-slate-500">
+        compared with {target === 'actual' ? 'what the program really printed' : "the mentor's prediction (it could not be run)"}
+      </span>
+    </p>
+    <pre className="text-xs font-mono whitespace-pre-wrap">
+      {guess.lines.map((line, i) => (
+        <div key={i} className={line.ok ? 'text-green-300' : 'text-red-300'}>
+          {line.ok ? <Check className="inline w-3 h-3 mr-2" /> : <X className="inline w-3 h-3 mr-2" />}
+          {line.text || ' '}
+        </div>
+      ))}
+    </pre>
+    {guess.missing > 0 && <p className="mt-2 text-xs text-slate-500">{guess.missing} line(s) of output are missing from your guess.</p>}
+  </div>
+);
+
+// Hint mode: guess the output first, then climb the hint ladder
+// (concept → relevant line → partial trace → full answer).
+export default function HintLadder({ session, ready, loadingHints, hintsError, onGuess, onUnlock, onReveal, onJumpToLine }) {
+  const lastGuess = session.guesses[session.guesses.length - 1];
+  const [draft, setDraft] = useState(lastGuess?.text || '');
+  const solved = lastGuess?.match === 100;
+  const nextLevel = session.level + 1;
+
+  const renderHint = (level) => {
+    const { hints } = session;
+    if (level === 1) return hints?.concept ? <Markdown text={hints.concept} /> : null;
+    if (level === 2 && hints?.line) {
+      return (
+        <div className="text-sm text-slate-300">
+          <button
+            onClick={() => onJumpToLine(hints.line)}
+            className="font-mono text-blue-300 hover:text-blue-200 underline decoration-dotted mr-2"
+          >
+            {hints.line.file ? `${hints.line.file}:` : 'Line '}{hints.line.number}
+          </button>
+          {hints.line.hint}
+        </div>
+      );
+    }
+    if (level === 3) return hints?.trace ? <Markdown text={hints.trace} /> : null;
+    return null;
+  };
+
+  return (
+    <div className="mb-6 bg-slate-800/50 rounded-lg p-4 border border-amber-900/40">
+      <h3 className="flex items-center justify-between gap-2 text-lg font-semibold text-slate-200 mb-1">
+        <span className="flex items-center gap-2">
+          <Lightbulb className="w-5 h-5 text-amber-400" />
+          Hint Mode
+        </span>
+        {lastGuess && (
+          <span className="flex items-center gap-1 text-xs font-medium text-amber-300" title="Match of your last guess, reduced by the hints unlocked before it">
+            <Target className="w-3 h-3" />
+            Score {sessionScore(session)}
+          </span>
+        )}
+      </h3>
+      <p className="text-xs text-slate-400 mb-3">
+        Before you see the review: what exactly will your program print?
+      </p>
+
+      {!solved && !session.revealed && (
+        <>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={4}
+            placeholder="Type the output, one line per line..."
+            className="w-full bg-slate-950 rounded-md border border-slate-800 px-3 py-2 text-sm font-mono text-blue-100 focus:outline-none focus:ring-2 focus:ring-amber-500/40 resize-y custom-scrollbar"
+            spellCheck="false"
+          />
+          <div className="mt-2 flex items-center justify-between">
+            <span className="text-xs text-slate-500">
+              {ready ? (lastGuess ? `Guess ${session.guesses.length + 1}` : 'First guess') : 'Waiting for your program to run and the mentor to finish...'}
+            </span>
+            <button
+              onClick={() => onGuess(draft)}
+              disabled={!ready}
+              className="px-3 py-1.5 rounded-md text-xs font-semibold text-slate-950 bg-amber-400 hover:bg-amber-300 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              Check my guess
+            </button>
+          </div>
+        </>
+      )}
+
+      {lastGuess && <GuessResult guess={lastGuess} target={session.target} />}
+
+      {/* The ladder */}
+      {lastGuess && (
+        <ol className="mt-4 space-y-2">
+          {HINT_LEVELS.map(({ level, label, description }) => {
+            const unlocked = level <= session.level;
+            const isNext = level === nextLevel && !session.revealed;
+            if (level === FULL_ANSWER_LEVEL) {
+              if (session.revealed) return null;
+              return (
+                <li key={level} className="flex items-center justify-between rounded-md border border-slate-700 px-3 py-2 text-sm">
+                  <span className="flex items-center gap-2 text-slate-300">
+                    <Eye className="w-4 h-4 text-slate-500" />
+                    {label}
+                    <span className="text-xs text-slate-500">{description}</span>
+                  </span>
+                  <button
+                    onClick={onReveal}
+                    className="px-2 py-1 rounded text-xs font-semibold text-slate-200 bg-slate-700 hover:bg-slate-600"
+                  >
+                    {solved ? 'See the review' : 'Show'}
+                  </button>
+                </li>
+              );
+            }
+            return (
+              <li key={level} className={`rounded-md border px-3 py-2 text-sm ${unlocked ? 'border-amber-900/50 bg-amber-950/10' : 'border-slate-800'}`}>
+                <div className="flex items-center justify-between">
+                  <span className="flex items-center gap-2 text-slate-300">
+                    {unlocked ? <Unlock className="w-4 h-4 text-amber-400" /> : <Lock className="w-4 h-4 text-slate-600" />}
+                    {level}. {label}
+                    {!unlocked && <span className="text-xs text-slate-500">{description}</span>}
+                  </span>
+                  {isNext && !solved && level < FULL_ANSWER_LEVEL && (
+                    <button
+                      onClick={onUnlock}
+                      disabled={loadingHints}
+                      className="px-2 py-1 rounded text-xs font-semibold text-amber-300 border border-amber-800 hover:bg-amber-900/30 disabled:opacity-50"
+                    >
+                      {loadingHints ? 'Thinking...' : 'Unlock'}
+                    </button>
+                  )}
+                </div>
+                {unlocked && <div className="mt-2">{renderHint(level)}</div>}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {hintsError && <p className="mt-2 text-xs text-red-400">{hintsError}</p>}
+    </div>
+  );
+}
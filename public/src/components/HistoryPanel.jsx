@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { History, X, ChevronLeft, ChevronRight, ShieldCheck, FolderOpen, RotateCcw, Trash2, Wrench, CloudOff, Lightbulb } from 'lucide-react';
+import { sessionScore, FULL_ANSWER_LEVEL } from '../lib/hints.js';
+import { listSubmissions, deleteSubmission, submissionDay } from '../lib/historyStore.js';
+
+const WEEKDAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+const monthKey = (year, month) => `${year}-${String(month + 1).padStart(2, '0')}`;
+
+const firstCodeLine = (code) =>
+  code.split('\n').map((l) => l.trim()).find((l) => l && !l.startsWith('#') && !l.startsWith('//')) || '(empty)';
+
+// Drawer with a month calendar of submission days and the matching list.
+export default function HistoryPanel({ onOpen, onRerun, onClose }) {
+  const [records, setRecords] = useState(null);
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [cursor, setCursor] = useState(() => {
+    const now = new Date();
+    return { year: now.getFullYear(), month: now.getMonth() };
+  });
+
+  useEffect(() => {
+    listSubmissions()
+      .then(setRecords)
+      .catch((err) => {
+        console.error(err);
+        setRecords([]);
+      });
+  }, []);
+
+  const byDay = useMemo(() => {
+    const map = new Map();
+    for (const r of records || []) {
+      const day = submissionDay(r);
+      if (!map.has(day)) map.set(day, []);
+      map.get(day).push(r);
+    }
+    return map;
+  }, [records]);
+
+  const shiftMonth = (delta) => {
+    const d = new Date(cursor.year, cursor.month + delta, 1);
+    setCursor({ year: d.getFullYear(), month: d.getMonth() });
+  };
+
+  const remove = async (id) => {
+    await deleteSubmission(id);
+    setRecords(records.filter((r) => r.id !== id));
+  };
+
+  const daysInMonth = new Date(cursor.year, cursor.month + 1, 0).getDate();
+  const leadingBlanks = new Date(cursor.year, cursor.month, 1).getDay();
+  const prefix = monthKey(cursor.year, cursor.month);
+  const visible = selectedDay ? byDay.get(selectedDay) || [] : records || [];
+
+  return (
+    <div className="fixed inset-0 z-20 flex justify-end bg-slate-950/70 backdrop-blur-sm">
+      <div className="w-full max-w-md h-full bg-slate-900 border-l border-slate-800 flex flex-col">
+        <div className="flex items-center justify-between px-5 py-4 border-b border-slate-800">
+          <h2 className="flex items-center gap-2 font-semibold text-slate-200">
+            <History className="w-4 h-4 text-blue-400" />
+            Submission History
+          </h2>
+          <button onClick={onClose} className="text-slate-500 hover:text-slate-300">
+            <span className="sr-only">Close</span>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Calendar */}
+        <div className="px-5 py-4 border-b border-slate-800">
+          <div className="flex items-center justify-between mb-3">
+            <button onClick={() => shiftMonth(-1)} className="p-1 text-slate-400 hover:text-slate-200">
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span className="text-sm font-semibold text-slate-300">
+              {new Date(cursor.year, cursor.month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+            </span>
+            <button onClick={() => shiftMonth(1)} className="p-1 text-slate-400 hover:text-slate-200">
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="grid grid-cols-7 gap-1 text-center text-[11px]">
+            {WEEKDAYS.map((d) => <span key={d} className="text-slate-500 font-semibold">{d}</span>)}
+            {Array.from({ length: leadingBlanks }, (_, i) => <span key={`blank-${i}`} />)}
+            {Array.from({ length: daysInMonth }, (_, i) => {
+              const day = `${prefix}-${String(i + 1).padStart(2, '0')}`;
+              const count = byDay.get(day)?.length || 0;
+              const selected = day === selectedDay;
+              return (
+                <button
+                  key={day}
+                  disabled={!count}
+                  onClick={() => setSelectedDay(selected ? null : day)}
+                  title={count ? `${count} submission(s)` : undefined}
+                  className={`
+                    h-8 rounded-md text-xs transition-colors
+                    ${selected ? 'bg-blue-600 text-white' : count ? 'bg-orange-500/20 text-orange-200 hover:bg-orange-500/30' : 'text-slate-600'}
+                  `}
+                >
+                  {i + 1}
+                </button>
+              );
+            })}
+          </div>
+          {selectedDay && (
+            <button onClick={() => setSelectedDay(null)} className="mt-2 text-[11px] text-blue-400 hover:text-blue-300">
+              Show all days
+            </button>
+          )}
+        </div>
+
+        {/* List */}
+        <div className="flex-1 overflow-y-auto custom-scrollbar px-5 py-4 space-y-3">
+          {records === null && <p className="text-xs text-slate-500">Loading...</p>}
+          {records && visible.length === 0 && (
+            <p className="text-xs text-slate-500">No submissions yet. Your reviews will be archived here.</p>
+          )}
+          {visible.map((r) => (
+            <div key={r.id} className="bg-slate-800/50 rounded-lg p-3 border border-slate-700">
+              <div className="flex items-center justify-between text-[11px] text-slate-500">
+                <span>{new Date(r.createdAt).toLocaleString()}</span>
+                <span className="flex items-center gap-2">
+                  {r.queued && (
+                    <span className="flex items-center gap-1 text-amber-300" title="Waiting to sync">
+                      <CloudOff className="w-3 h-3" /> queued
+                    </span>
+                  )}
+                  {r.autoFixes?.length > 0 && (
+                    <span className="flex items-center gap-1 text-emerald-400" title="Auto-fix applied">
+                      <Wrench className="w-3 h-3" /> {r.autoFixes.length}
+                    </span>
+                  )}
+                  {r.verified && (
+                    <span className="flex items-center gap-1 text-blue-400" title={`Counted for ${r.day}`}>
+                      <ShieldCheck className="w-3 h-3" /> {r.day}
+                    </span>
+                  )}
+                </span>
+              </div>
+              <p className="mt-1 text-sm font-mono text-slate-300 truncate">{firstCodeLine(r.code)}</p>
+              {r.challenge && (
+                <p className={`mt-1 text-[11px] ${r.grade?.passed ? 'text-green-400' : 'text-red-300'}`}>
+                  Challenge “{r.challenge.title}” · {r.grade?.passed ? 'all tests passed' : 'not passed'}
+                </p>
+              )}
+              {r.hintSession?.guesses.length > 0 && (
+                <p className="mt-1 flex items-center gap-1 text-[11px] text-amber-300">
+                  <Lightbulb className="w-3 h-3" />
+                  Guess scored {sessionScore(r.hintSession)} · hints used {r.hintSession.level}/{FULL_ANSWER_LEVEL}
+                </p>
+              )}
+              {!r.review && !r.challenge && !r.queued && (
+                <p className="mt-1 text-[11px] text-red-300">{r.error || 'No review saved.'}</p>
+              )}
+              <div className="mt-2 flex items-center gap-3 text-xs">
+                <button onClick={() => onOpen(r)} className="flex items-center gap-1 text-blue-400 hover:text-blue-300">
+                  <FolderOpen className="w-3 h-3" /> Open
+                </button>
+                <button onClick={() => onRerun(r)} className="flex items-center gap-1 text-purple-400 hover:text-purple-300">
+                  <RotateCcw className="w-3 h-3" /> Re-run review
+                </button>
+                <button onClick={() => remove(r.id)} className="ml-auto flex items-center gap-1 text-slate-500 hover:text-red-400">
+                  <Trash2 className="w-3 h-3" />
+                  <span className="sr-only">Delete</span>
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Keyboard, ChevronDown, ChevronRight } from 'lucide-react';
+
+// Collapsible stdin / argv editor shown under the code editor.
+export default function InputPanel({ stdin, argsText, onStdinChange, onArgsTextChange }) {
+  const [open, setOpen] = useState(Boolean(stdin || argsText));
+  const summary = [
+    argsText.trim() && 'args',
+    stdin && `${stdin.split('\n').length} line(s) of stdin`
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="bg-slate-900 rounded-xl border border-slate-800">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between px-4 py-2 text-xs font-semibold text-slate-400 uppercase tracking-wider hover:text-slate-300"
+      >
+        <span className="flex items-center gap-2">
+          <Keyboard className="w-3 h-3 text-cyan-400" />
+          Program Input
+        </span>
+        <span className="flex items-center gap-2 normal-case tracking-normal font-normal text-slate-500">
+          {summary || 'none'}
+          {open ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+        </span>
+      </button>
+
+      {open && (
+        <div className="px-4 pb-4 grid gap-3">
+          <label className="grid gap-1 text-xs text-slate-400">
+            Command-line arguments
+            <input
+              value={argsText}
+              onChange={(e) => onArgsTextChange(e.target.value)}
+              className="bg-slate-950 rounded-md border border-slate-800 px-3 py-2 text-sm font-mono text-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500/50"
+              spellCheck="false"
+              placeholder='e.g. 5 "hello world"'
+            />
+          </label>
+          <label className="grid gap-1 text-xs text-slate-400">
+            Standard input (stdin)
+            <textarea
+              value={stdin}
+              onChange={(e) => onStdinChange(e.target.value)}
+              rows={3}
+              className="bg-slate-950 rounded-md border border-slate-800 px-3 py-2 text-sm font-mono text-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500/50 resize-y custom-scrollbar"
+              spellCheck="false"
+              placeholder="Text your scanf/getchar calls will read..."
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React from 'react';
+import { parseMarkdown, parseInline } from '../lib/markdown.js';
+import CodeBlock from './CodeBlock.jsx';
+
+const renderInline = (nodes) =>
+  nodes.map((node, i) => {
+    switch (node.type) {
+      case 'code':
+        return <code key={i} className="px-1 py-0.5 rounded bg-slate-800 text-cyan-200 font-mono text-[0.85em]">{node.text}</code>;
+      case 'strong':
+        return <strong key={i} className="font-semibold text-slate-100">{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={i}>{renderInline(node.children)}</em>;
+      case 'link':
+        return (
+          <a key={i} href={node.href} target="_blank" rel="noopener noreferrer" className="text-blue-400 underline hover:text-blue-300">
+            {renderInline(node.children)}
+          </a>
+        );
+      default:
+        return node.text.split('\n').flatMap((part, j) => (j ? [<br key={`${i}-${j}`} />, part] : [part]));
+    }
+  });
+
+const HEADING_CLASSES = {
+  1: 'text-lg', 2: 'text-base', 3: 'text-sm', 4: 'text-sm', 5: 'text-xs', 6: 'text-xs'
+};
+
+const renderBlocks = (blocks) =>
+  blocks.map((block, i) => {
+    switch (block.type) {
+      case 'heading': {
+        const Tag = `h${Math.min(block.level + 1, 6)}`;
+        return <Tag key={i} className={`${HEADING_CLASSES[block.level]} font-semibold text-slate-200 mt-4 mb-2`}>{renderInline(parseInline(block.text))}</Tag>;
+      }
+      case 'code':
+        return <CodeBlock key={i} code={block.text} lang={block.lang} />;
+      case 'list': {
+        const Tag = block.ordered ? 'ol' : 'ul';
+        return (
+          <Tag
+            key={i}
+            start={block.ordered ? block.start : undefined}
+            className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-5 my-2 space-y-1`}
+          >
+            {block.items.map((item, j) => <li key={j}>{renderBlocks(item)}</li>)}
+          </Tag>
+        );
+      }
+      case 'blockquote':
+        return <blockquote key={i} className="border-l-2 border-slate-600 pl-3 my-2 text-slate-400">{renderBlocks(block.children)}</blockquote>;
+      case 'hr':
+        return <hr key={i} className="my-4 border-slate-700" />;
+      default:
+        return <p key={i} className="my-2 first:mt-0 last:mb-0">{renderInline(parseInline(block.text))}</p>;
+    }
+  });
+
+// Renders untrusted Markdown as React elements (never as raw HTML).
+export default function Markdown({ text }) {
+  return <div className="text-slate-300 text-sm leading-relaxed">{renderBlocks(parseMarkdown(text))}</div>;
+}
@@ -0,0 +1,189 @@
+import React, { useMemo } from 'react';
+import { Award, X, Flame, MousePointer2, Repeat, Lock, Star, CalendarDays, Zap } from 'lucide-react';
+import { activityHeatmap, XP_REASONS } from '../lib/achievements.js';
+import { localDay } from '../lib/historyStore.js';
+
+const card = "bg-slate-800/50 rounded-lg p-4 border border-slate-700";
+
+const BADGE_ICONS = { streak: Flame, pointers: MousePointer2, recursion: Repeat };
+
+const HEAT_COLORS = ['bg-slate-800', 'bg-green-900', 'bg-green-700', 'bg-green-500', 'bg-green-400'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const heatColor = (count, max) => HEAT_COLORS[count ? Math.min(4, Math.ceil((count / Math.max(max, 1)) * 4)) : 0];
+
+const formatDate = (value) => (value ? new Date(value.length === 10 ? `${value}T12:00:00` : value).toLocaleDateString() : null);
+
+const LevelBar = ({ level }) => (
+  <div>
+    <div className="flex items-baseline justify-between text-xs text-slate-400 mb-1">
+      <span>{level.into} / {level.needed} XP</span>
+      <span>Level {level.level + 1}</span>
+    </div>
+    <div className="h-2 rounded-full bg-slate-800 overflow-hidden">
+      <div className="h-full bg-gradient-to-r from-yellow-500 to-orange-500" style={{ width: `${Math.round(level.progress * 100)}%` }} />
+    </div>
+  </div>
+);
+
+const Badge = ({ badge }) => {
+  const Icon = BADGE_ICONS[badge.kind] || Award;
+  return (
+    <div className={`rounded-lg border p-3 flex gap-3 ${badge.earned ? 'border-yellow-700/50 bg-yellow-900/10' : 'border-slate-800 bg-slate-950/40'}`}>
+      <div className={`shrink-0 w-10 h-10 rounded-full flex items-center justify-center ${badge.earned ? 'bg-yellow-500/20 text-yellow-400' : 'bg-slate-800 text-slate-600'}`}>
+        {badge.earned ? <Icon className="w-5 h-5" /> : <Lock className="w-4 h-4" />}
+      </div>
+      <div className="min-w-0 flex-1">
+        <p className={`text-sm font-semibold ${badge.earned ? 'text-slate-200' : 'text-slate-400'}`}>{badge.label}</p>
+        <p className="text-xs text-slate-500">{badge.description}</p>
+        {badge.earned ? (
+          badge.earnedAt && <p className="text-[11px] text-yellow-500/80 mt-1">Earned {formatDate(badge.earnedAt)}</p>
+        ) : (
+          badge.kind === 'streak' && (
+            <div className="mt-2 h-1 rounded-full bg-slate-800 overflow-hidden">
+              <div className="h-full bg-orange-500/70" style={{ width: `${Math.round(badge.progress * 100)}%` }} />
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+const Heatmap = ({ heatmap }) => {
+  const monthLabels = heatmap.weeks.map((week, i) => {
+    const first = week[0]?.day;
+    if (!first) return null;
+    const month = Number(first.slice(5, 7)) - 1;
+    const previous = heatmap.weeks[i - 1]?.[0]?.day;
+    return !previous || Number(previous.slice(5, 7)) - 1 !== month ? MONTHS[month] : null;
+  });
+
+  return (
+    <div className="overflow-x-auto custom-scrollbar">
+      <div className="inline-flex gap-1">
+        <div className="grid grid-rows-[auto_repeat(7,0.75rem)] gap-[3px] pr-1 text-[9px] text-slate-500">
+          <span className="h-3" />
+          {['', 'Mon', '', 'Wed', '', 'Fri', ''].map((label, i) => <span key={i} className="leading-3">{label}</span>)}
+        </div>
+        {heatmap.weeks.map((week, i) => (
+          <div key={i} className="grid grid-rows-[auto_repeat(7,0.75rem)] gap-[3px]">
+            <span className="h-3 text-[9px] text-slate-500 whitespace-nowrap">{monthLabels[i]}</span>
+            {week.map((cell, d) => (cell ? (
+              <span
+                key={d}
+                className={`w-3 h-3 rounded-sm ${heatColor(cell.count, heatmap.max)}`}
+                title={`${cell.count} submission${cell.count === 1 ? '' : 's'} on ${formatDate(cell.day)}`}
+              />
+            ) : (
+              <span key={d} className="w-3 h-3" />
+            )))}
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center justify-end gap-1 mt-2 text-[10px] text-slate-500">
+        Less
+        {HEAT_COLORS.map((color) => <span key={color} className={`w-3 h-3 rounded-sm ${color}`} />)}
+        More
+      </div>
+    </div>
+  );
+};
+
+// Level, XP, badges and a year of submission days (lib/achievements.js).
+export default function ProfilePage({ profile, history, account, onClose }) {
+  const heatmap = useMemo(() => activityHeatmap(history, localDay(new Date())), [history]);
+  const earned = profile.badges.filter((b) => b.earned).length;
+
+  return (
+    <div className="fixed inset-0 z-30 bg-slate-950/95 backdrop-blur-sm overflow-y-auto custom-scrollbar">
+      <div className="max-w-4xl mx-auto p-6 grid gap-6">
+        <div className="flex items-center justify-between gap-3">
+          <h2 className="flex items-center gap-2 text-xl font-semibold text-slate-200">
+            <Award className="w-5 h-5 text-yellow-400" />
+            {account ? account.email : 'Your profile'}
+          </h2>
+          <button onClick={onClose} className="p-2 text-slate-500 hover:text-slate-300">
+            <span className="sr-only">Close</span>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className={`${card} grid md:grid-cols-[auto_1fr] gap-6 items-center`}>
+          <div className="flex items-center gap-4">
+            <div className="w-16 h-16 rounded-full bg-gradient-to-br from-yellow-500 to-orange-600 flex flex-col items-center justify-center text-slate-950">
+              <span className="text-[9px] font-bold uppercase tracking-wider">Level</span>
+              <span className="text-2xl font-black leading-none">{profile.level.level}</span>
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-slate-200">{profile.xp} XP</p>
+              <p className="text-xs text-slate-500">{earned} of {profile.badges.length} badges</p>
+            </div>
+          </div>
+          <div className="grid gap-3">
+            <LevelBar level={profile.level} />
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-xs">
+              <p className="text-slate-400"><span className="block text-lg font-bold text-slate-200">{profile.stats.submissions}</span>submissions</p>
+              <p className="text-slate-400"><span className="block text-lg font-bold text-green-400">{profile.stats.challengesPassed}</span>challenges passed</p>
+              <p className="text-slate-400"><span className="block text-lg font-bold text-purple-300">{profile.stats.ubFixed}</span>UB fixes</p>
+              <p className="text-slate-400"><span className="block text-lg font-bold text-orange-400">{profile.stats.longestStreak}</span>longest streak</p>
+            </div>
+          </div>
+        </div>
+
+        <div className={card}>
+          <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-200 mb-3">
+            <CalendarDays className="w-4 h-4 text-green-400" />
+            {heatmap.total} submission{heatmap.total === 1 ? '' : 's'} on {heatmap.activeDays} day{heatmap.activeDays === 1 ? '' : 's'} in the last year
+          </h3>
+          <Heatmap heatmap={heatmap} />
+        </div>
+
+        <div className={card}>
+          <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-200 mb-3">
+            <Star className="w-4 h-4 text-yellow-400" />
+            Badges
+          </h3>
+          <div className="grid sm:grid-cols-2 gap-3">
+            {profile.badges.map((badge) => <Badge key={badge.id} badge={badge} />)}
+          </div>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-4">
+          <div className={card}>
+            <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-200 mb-3">
+              <Zap className="w-4 h-4 text-yellow-400" />
+              Where your XP comes from
+            </h3>
+            <ul className="space-y-1 text-xs">
+              {Object.entries(XP_REASONS).map(([reason, label]) => (
+                <li key={reason} className="flex justify-between text-slate-400">
+                  <span>{label}</span>
+                  <span className="font-semibold text-slate-200">{profile.breakdown[reason] || 0} XP</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div className={card}>
+            <h3 className="text-sm font-semibold text-slate-200 mb-3">Recent XP</h3>
+            {profile.recent.length ? (
+              <ul className="space-y-1 text-xs">
+                {profile.recent.map((event) => (
+                  <li key={`${event.id}-${event.at}`} className="flex justify-between gap-2 text-slate-400">
+                    <span className="truncate">
+                      {formatDate(event.at)} · {Object.keys(event.reasons).map((r) => XP_REASONS[r].toLowerCase()).join(', ')}
+                    </span>
+                    <span className="shrink-0 font-semibold text-yellow-400">+{event.xp}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-xs text-slate-500">Submit some code to start earning XP.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { Settings, X, KeyRound, Gauge } from 'lucide-react';
+import { PROVIDERS, defaultSettingsFor, quotaUsage, clearCache } from '../lib/llm/index.js';
+
+const inputClass = "bg-slate-950 rounded-md border border-slate-800 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-blue-500/50";
+
+// Provider / model / key picker. Settings only leave this browser when they
+// are sent to the chosen provider.
+export default function SettingsModal({ settings, onSave, onClose }) {
+  const [draft, setDraft] = useState(settings);
+  const [cacheCleared, setCacheCleared] = useState(false);
+  const meta = PROVIDERS[draft.provider];
+  const usage = quotaUsage();
+
+  const update = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+
+  const changeProvider = (e) => {
+    const provider = e.target.value;
+    // Keep the key only when staying on the same provider; keys are not portable.
+    setDraft(provider === settings.provider ? settings : defaultSettingsFor(provider));
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-slate-950/80 backdrop-blur-sm p-4">
+      <div className="w-full max-w-md bg-slate-900 rounded-xl border border-slate-800 shadow-xl">
+        <div className="flex items-center justify-between px-5 py-4 border-b border-slate-800">
+          <h2 className="flex items-center gap-2 font-semibold text-slate-200">
+            <Settings className="w-4 h-4 text-blue-400" />
+            Model Settings
+          </h2>
+          <button onClick={onClose} className="text-slate-500 hover:text-slate-300">
+            <span className="sr-only">Close</span>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-5 grid gap-4">
+          <label className="grid gap-1 text-xs text-slate-400">
+            Provider
+            <select value={draft.provider} onChange={changeProvider} className={inputClass}>
+              {Object.entries(PROVIDERS).map(([id, p]) => (
+                <option key={id} value={id}>{p.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="grid gap-1 text-xs text-slate-400">
+            Model
+            <input value={draft.model} onChange={update('model')} className={`${inputClass} font-mono`} spellCheck="false" />
+          </label>
+
+          {meta.needsBaseUrl && (
+            <label className="grid gap-1 text-xs text-slate-400">
+              Base URL
+              <input value={draft.baseUrl} onChange={update('baseUrl')} className={`${inputClass} font-mono`} spellCheck="false" />
+            </label>
+          )}
+
+          {meta.needsKey && (
+            <label className="grid gap-1 text-xs text-slate-400">
+              <span className="flex items-center gap-1">
+                <KeyRound className="w-3 h-3" /> API Key
+              </span>
+              <input
+                type="password"
+                value={draft.apiKey}
+                onChange={update('apiKey')}
+                className={`${inputClass} font-mono`}
+                placeholder={draft.provider === 'gemini' ? 'Leave empty to use the environment key' : ''}
+                autoComplete="off"
+              />
+              <span className="text-[11px] text-slate-500">Stored in this browser's localStorage only.</span>
+            </label>
+          )}
+
+          <div className="flex items-center justify-between gap-3 pt-3 border-t border-slate-800 text-[11px] text-slate-500">
+            <span className="flex items-center gap-1" title="Requests to providers that need an API key, counted in this browser">
+              <Gauge className="w-3 h-3" />
+              {usage.day} of {usage.limits.perDay} requests today, at most {usage.limits.perMinute} a minute
+            </span>
+            <button
+              onClick={() => {
+                clearCache();
+                setCacheCleared(true);
+              }}
+              disabled={cacheCleared}
+              className="shrink-0 text-slate-400 hover:text-slate-200 disabled:text-slate-600"
+            >
+              {cacheCleared ? 'Saved reviews cleared' : 'Clear saved reviews'}
+            </button>
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 px-5 py-4 border-t border-slate-800">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm text-slate-400 hover:text-slate-200">
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            className="px-4 py-2 rounded-lg text-sm font-semibold bg-blue-600 hover:bg-blue-500 text-white"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
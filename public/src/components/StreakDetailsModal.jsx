@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { Flame, Trophy, Snowflake, Clock, X } from 'lucide-react';
+import { fetchStreakSettings, updateStreakSettings } from '../lib/streakApi.js';
+import { MAX_GRACE_HOURS } from '../lib/streak.js';
+
+const inputClass = "bg-slate-950 rounded-md border border-slate-800 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-blue-500/50";
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const allTimeZones = () =>
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [browserTimeZone(), 'UTC'];
+
+// Streak stats plus the settings that decide where a "day" starts and ends.
+export default function StreakDetailsModal({ info, onClose, onSettingsSaved }) {
+  const [settings, setSettings] = useState(info?.settings || null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (settings) return;
+    fetchStreakSettings()
+      .then(setSettings)
+      .catch(() => setMessage("Could not load your streak settings."));
+  }, []);
+
+  const save = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const saved = await updateStreakSettings({ timeZone: settings.timeZone, graceHours: settings.graceHours });
+      setSettings(saved);
+      setMessage("Saved.");
+      onSettingsSaved();
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const zones = allTimeZones();
+  const rules = info?.rules;
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-slate-950/80 backdrop-blur-sm p-4">
+      <div className="w-full max-w-md bg-slate-900 rounded-xl border border-slate-800 shadow-xl">
+        <div className="flex items-center justify-between px-5 py-4 border-b border-slate-800">
+          <h2 className="flex items-center gap-2 font-semibold text-slate-200">
+            <Flame className="w-4 h-4 text-orange-500" />
+            Your Streak
+          </h2>
+          <button onClick={onClose} className="text-slate-500 hover:text-slate-300">
+            <span className="sr-only">Close</span>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-5 grid grid-cols-3 gap-3 text-center">
+          <div className="bg-slate-800/50 rounded-lg p-3 border border-slate-700">
+            <Flame className="w-4 h-4 mx-auto text-orange-500" />
+            <p className="mt-1 text-xl font-bold text-slate-100">{info?.streak ?? 0}</p>
+            <p className="text-[11px] uppercase tracking-wider text-slate-500">Current</p>
+          </div>
+          <div className="bg-slate-800/50 rounded-lg p-3 border border-slate-700">
+            <Trophy className="w-4 h-4 mx-auto text-yellow-400" />
+            <p className="mt-1 text-xl font-bold text-slate-100">{info?.longest ?? 0}</p>
+            <p className="text-[11px] uppercase tracking-wider text-slate-500">Longest</p>
+          </div>
+          <div className="bg-slate-800/50 rounded-lg p-3 border border-slate-700">
+            <Snowflake className="w-4 h-4 mx-auto text-cyan-300" />
+            <p className="mt-1 text-xl font-bold text-slate-100">{info?.freezes ?? 0}</p>
+            <p className="text-[11px] uppercase tracking-wider text-slate-500">Freezes</p>
+          </div>
+        </div>
+
+        {rules && (
+          <p className="px-5 -mt-2 text-xs text-slate-500">
+            You earn a streak freeze every {rules.freezeEveryDays} days (up to {rules.maxFreezes}).
+            A freeze is used automatically to cover a missed day.
+          </p>
+        )}
+
+        <div className="p-5 grid gap-4">
+          <h3 className="flex items-center gap-2 text-xs font-semibold text-slate-400 uppercase tracking-wider">
+            <Clock className="w-3 h-3" /> Day boundaries
+          </h3>
+          {!settings ? (
+            <p className="text-xs text-slate-500">{message || "Loading..."}</p>
+          ) : (
+            <>
+              <label className="grid gap-1 text-xs text-slate-400">
+                Time zone
+                <select
+                  value={settings.timeZone}
+                  onChange={(e) => setSettings({ ...settings, timeZone: e.target.value })}
+                  className={inputClass}
+                >
+                  {!zones.includes(settings.timeZone) && <option value={settings.timeZone}>{settings.timeZone}</option>}
+                  {zones.map((z) => <option key={z} value={z}>{z}</option>)}
+                </select>
+                {settings.timeZone !== browserTimeZone() && (
+                  <button
+                    onClick={() => setSettings({ ...settings, timeZone: browserTimeZone() })}
+                    className="justify-self-start text-[11px] text-blue-400 hover:text-blue-300"
+                  >
+                    Use this device's time zone ({browserTimeZone()})
+                  </button>
+                )}
+              </label>
+              <label className="grid gap-1 text-xs text-slate-400">
+                Grace period after midnight
+                <select
+                  value={settings.graceHours}
+                  onChange={(e) => setSettings({ ...settings, graceHours: parseInt(e.target.value, 10) })}
+                  className={inputClass}
+                >
+                  {Array.from({ length: MAX_GRACE_HOURS + 1 }, (_, h) => (
+                    <option key={h} value={h}>{h === 0 ? 'None' : `${h} hour${h > 1 ? 's' : ''}`}</option>
+                  ))}
+                </select>
+                <span className="text-[11px] text-slate-500">
+                  A late-night submission in this window still counts for the previous day if you missed it.
+                </span>
+              </label>
+              <div className="flex items-center justify-between">
+                <span className="text-xs text-slate-400">{message}</span>
+                <button
+                  onClick={save}
+                  disabled={saving}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-blue-600 hover:bg-blue-500 text-white disabled:opacity-50"
+                >
+                  {saving ? "Saving..." : "Save"}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
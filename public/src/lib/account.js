@@ -0,0 +1,88 @@
+// Accounts (see public/api/auth.js): sign in by email link so the streak
+// and history follow the student across devices. The device token stays
+// the credential; signing in links it to the account on the server.
+
+import { request } from './streakApi.js';
+import { markAllDirty, clearHistory } from './historyStore.js';
+import { syncHistory, resetSync } from './sync.js';
+
+const ACCOUNT_KEY = 'techchat_account';
+const SIGN_IN_PARAM = 'signin';
+
+// Last known account ({ email, createdAt }), for painting the header offline.
+export const readCachedAccount = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ACCOUNT_KEY));
+  } catch (e) {
+    return null;
+  }
+};
+
+const cache = (account) => {
+  if (account) localStorage.setItem(ACCOUNT_KEY, JSON.stringify(account));
+  else localStorage.removeItem(ACCOUNT_KEY);
+  return account;
+};
+
+export const fetchAccount = async () => cache((await request('/api/auth')).account);
+
+// Resolves with { sent } or, in local development with AUTH_DEV_LINKS=1,
+// { devLink }: the link the email would have contained.
+export const requestSignInLink = (email) => request('/api/auth', {
+  method: 'POST',
+  body: JSON.stringify({ action: 'request', email })
+});
+
+// The token from a sign-in link this page was opened with, removed from
+// the address bar so a reload does not try to use it twice.
+export const takeSignInToken = () => {
+  const url = new URL(window.location.href);
+  const token = url.searchParams.get(SIGN_IN_PARAM);
+  if (!token) return null;
+  url.searchParams.delete(SIGN_IN_PARAM);
+  window.history.replaceState(null, '', url);
+  return token;
+};
+
+// Signs this device in. The server merges the device's streak into the
+// account; every local record is pushed again so the account's history
+// gains what this device has and this device gets the rest. Signing out
+// clears the device, so the records adopted here are only ones made while
+// no one was signed in.
+export const completeSignIn = async (token) => {
+  const { account } = await request('/api/auth', {
+    method: 'POST',
+    body: JSON.stringify({ action: 'verify', token })
+  });
+  cache(account);
+  resetSync();
+  await markAllDirty();
+  await syncHistory().catch((err) => console.warn("First history sync failed", err));
+  return account;
+};
+
+// The account's history leaves the device with it (after pushing what the
+// server does not have yet), so whoever signs in next on a shared computer
+// does not adopt it.
+const forgetAccount = async () => {
+  resetSync();
+  cache(null);
+  await clearHistory();
+};
+
+export const signOut = async () => {
+  await syncHistory();
+  await request('/api/auth', { method: 'DELETE' });
+  await forgetAccount();
+};
+
+// Everything the server holds for the account, after pushing local changes.
+export const exportAccount = async () => {
+  await syncHistory();
+  return request('/api/account');
+};
+
+export const deleteAccount = async () => {
+  await request('/api/account', { method: 'DELETE' });
+  await forgetAccount();
+};
@@ -0,0 +1,135 @@
+// Tests for signing accounts in and out of a shared device. Run with
+// `node --test public/src`. IndexedDB, localStorage and the server are
+// small in-memory stand-ins.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (k) => storage.get(k) ?? null,
+  setItem: (k, v) => storage.set(k, v),
+  removeItem: (k) => storage.delete(k)
+};
+
+// Just the parts of IndexedDB that historyStore.js uses.
+const fakeIndexedDB = () => {
+  const stores = new Map();
+  const request = (fn) => {
+    const req = {};
+    queueMicrotask(() => {
+      try {
+        req.result = fn();
+        req.onsuccess?.({ target: req });
+      } catch (err) {
+        req.error = err;
+        req.onerror?.({ target: req });
+      }
+    });
+    return req;
+  };
+  const objectStore = (name) => {
+    const s = stores.get(name);
+    const put = (value, add) => {
+      const key = value[s.keyPath] ?? s.next;
+      if (add && s.rows.has(key)) throw new Error(`${name}: key ${key} exists`);
+      s.next = Math.max(s.next, typeof key === 'number' ? key + 1 : s.next);
+      s.rows.set(key, structuredClone({ ...value, [s.keyPath]: key }));
+      return key;
+    };
+    const ordered = (path) => [...s.rows.values()].sort((a, b) => (a[path] < b[path] ? -1 : a[path] > b[path] ? 1 : 0));
+    return {
+      indexNames: { contains: (index) => s.indexes.has(index) },
+      createIndex: (index, path) => s.indexes.set(index, path),
+      add: (value) => request(() => put(value, true)),
+      put: (value) => request(() => put(value, false)),
+      get: (key) => request(() => structuredClone(s.rows.get(key))),
+      getAll: () => request(() => structuredClone([...s.rows.values()])),
+      delete: (key) => request(() => void s.rows.delete(key)),
+      clear: () => request(() => s.rows.clear()),
+      openCursor: () => request(() => null),
+      index: (index) => {
+        const path = s.indexes.get(index);
+        return {
+          get: (key) => request(() => structuredClone(ordered(path).find((r) => r[path] === key))),
+          getAll: () => request(() => structuredClone(ordered(path))),
+          openCursor: (range, direction) => request(() => {
+            const value = direction === 'prev' ? ordered(path).at(-1) : ordered(path)[0];
+            return value ? { value: structuredClone(value) } : null;
+          })
+        };
+      }
+    };
+  };
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name, { keyPath, autoIncrement = false }) => {
+      stores.set(name, { keyPath, autoIncrement, rows: new Map(), next: 1, indexes: new Map() });
+      return objectStore(name);
+    },
+    transaction: (name) => ({ objectStore: () => objectStore(name) })
+  };
+  return {
+    open: () => {
+      const req = {};
+      queueMicrotask(() => {
+        req.result = db;
+        req.transaction = { objectStore };
+        req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    }
+  };
+};
+globalThis.indexedDB = fakeIndexedDB();
+
+// Sign-in tokens name the account they sign in to; /api/sync keeps each
+// account's history by syncId.
+const server = { linked: null, accounts: { a: [], b: [] } };
+globalThis.fetch = async (path, init = {}) => {
+  const body = init.body ? JSON.parse(init.body) : {};
+  const reply = (json) => ({ ok: true, status: 200, json: async () => json });
+  if (path === '/api/auth' && init.method === 'DELETE') {
+    server.linked = null;
+    return reply({});
+  }
+  if (path === '/api/auth') {
+    server.linked = body.token;
+    return reply({ account: { email: `${body.token}@example.com` } });
+  }
+  if (path === '/api/sync') {
+    const history = server.accounts[server.linked];
+    const pushed = new Set(body.records.map((r) => r.syncId));
+    const pulled = body.since ? [] : history.filter((r) => !pushed.has(r.syncId));
+    server.accounts[server.linked] = [...history.filter((r) => !pushed.has(r.syncId)), ...body.records];
+    return reply({ records: pulled, deleted: [], cursor: 'now' });
+  }
+  throw new Error(`unexpected request to ${path}`);
+};
+
+const { completeSignIn, signOut } = await import('./account.js');
+const { addSubmission, listSubmissions } = await import('./historyStore.js');
+
+const codes = (records) => records.map((r) => r.code).sort();
+
+describe('accounts on a shared device', () => {
+  it("does not hand one account's history to the next", async () => {
+    const at = '2024-03-01T10:00:00.000Z';
+    server.accounts.a = [{ syncId: 'a-elsewhere', createdAt: at, updatedAt: at, code: 'A, other device' }];
+
+    await addSubmission({ code: 'before anyone signed in' });
+    await completeSignIn('a');
+    assert.deepEqual(codes(await listSubmissions()), ['A, other device', 'before anyone signed in']);
+    await addSubmission({ code: 'A, this device' });
+
+    await signOut();
+    assert.deepEqual(await listSubmissions(), []);
+    assert.deepEqual(codes(server.accounts.a), ['A, other device', 'A, this device', 'before anyone signed in']);
+
+    await addSubmission({ code: 'signed out' });
+    await completeSignIn('b');
+    assert.deepEqual(codes(server.accounts.b), ['signed out']);
+    assert.deepEqual(codes(await listSubmissions()), ['signed out']);
+  });
+});
@@ -0,0 +1,187 @@
+// Achievements: XP, levels and badges, replayed from the local submission
+// history (lib/historyStore.js) like the scheduler does, so they follow the
+// history to every device it syncs to.
+//
+// XP per submission, oldest first:
+//   submission     reviewed or graded code
+//   challenge      first pass of each challenge
+//   ub             a clean review right after one that flagged undefined behavior
+//   hints          hint mode guesses, more for fewer hints unlocked first
+//
+// Streak badges use the longer of the server's longest streak and the
+// longest run of verified days in the history; only the latter can say
+// when a badge was earned.
+
+import { addDays, daysBetween } from './streak.js';
+import { submissionDay } from './historyStore.js';
+import { reviewFlagsUB } from './diagnostics.js';
+import { programFeatures } from './c/analyzer.js';
+import { parseProject } from './project.js';
+
+export const XP = {
+  submission: 10,
+  challenge: 25,
+  ub: 20,
+  hints: [15, 10, 5, 0, 0] // by hints unlocked before the last guess
+};
+
+export const XP_REASONS = {
+  submission: 'Submissions',
+  challenge: 'Challenges passed',
+  ub: 'Undefined behavior fixed',
+  hints: 'Guesses with few hints'
+};
+
+export const BADGES = [
+  { id: 'streak-7', kind: 'streak', target: 7, label: 'Week One', description: 'Keep a 7-day streak' },
+  { id: 'streak-30', kind: 'streak', target: 30, label: 'Monthly Habit', description: 'Keep a 30-day streak' },
+  { id: 'streak-100', kind: 'streak', target: 100, label: 'Centurion', description: 'Keep a 100-day streak' },
+  { id: 'first-pointer', kind: 'pointers', label: 'Pointer Wrangler', description: 'Run a program that declares and uses a pointer' },
+  { id: 'first-recursion', kind: 'recursion', label: 'Down the Rabbit Hole', description: 'Run a program with a recursive function' }
+];
+
+// Level L starts at 50·L·(L−1) XP: 0, 100, 300, 600, 1000, ...
+const levelStart = (level) => 50 * level * (level - 1);
+
+export const levelFor = (xp) => {
+  let level = 1;
+  while (xp >= levelStart(level + 1)) level += 1;
+  const start = levelStart(level);
+  const next = levelStart(level + 1);
+  return { level, xp, into: xp - start, needed: next - start, progress: (xp - start) / (next - start) };
+};
+
+const byTime = (a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0);
+
+const ran = (record) => record.execution?.status === 'ok' || Boolean(record.grade?.passed);
+
+// XP earned by each record: [{ id, at, day, xp, reasons: { reason: xp } }]
+const xpEvents = (history) => {
+  const passed = new Set();
+  let previousFlaggedUB = false;
+  const events = [];
+  for (const record of history) {
+    const reasons = {};
+    if (record.review || record.grade) reasons.submission = XP.submission;
+    if (record.grade?.passed && record.challenge && !passed.has(record.challenge.id)) {
+      passed.add(record.challenge.id);
+      reasons.challenge = XP.challenge;
+    }
+    if (record.review) {
+      const flagged = reviewFlagsUB(record.review);
+      if (previousFlaggedUB && !flagged) reasons.ub = XP.ub;
+      previousFlaggedUB = flagged;
+    }
+    const guesses = record.hintSession?.guesses || [];
+    if (guesses.length) {
+      const last = guesses[guesses.length - 1];
+      const bonus = XP.hints[last.levelAtGuess ?? record.hintSession.level] || 0;
+      if (bonus) reasons.hints = bonus;
+    }
+    const xp = Object.values(reasons).reduce((sum, n) => sum + n, 0);
+    if (xp) events.push({ id: record.id, at: record.createdAt, day: submissionDay(record), xp, reasons });
+  }
+  return events;
+};
+
+// First record (oldest first) that ran and uses each feature. Stops parsing
+// once both have been found.
+const firstFeatures = (history) => {
+  const found = {};
+  for (const record of history) {
+    if (found.pointers && found.recursion) break;
+    if (!ran(record) || !record.code) continue;
+    const features = programFeatures(parseProject(record.code));
+    for (const kind of ['pointers', 'recursion']) {
+      if (features[kind] && !found[kind]) found[kind] = record.createdAt;
+    }
+  }
+  return found;
+};
+
+// Day each streak length was first reached by consecutive verified days.
+const streakMilestones = (history) => {
+  const days = [...new Set(history.filter((r) => r.verified && r.day).map((r) => r.day))].sort();
+  const reachedOn = [];
+  let run = 0;
+  days.forEach((day, i) => {
+    run = i > 0 && daysBetween(days[i - 1], day) === 1 ? run + 1 : 1;
+    if (!reachedOn[run]) reachedOn[run] = day;
+  });
+  return reachedOn;
+};
+
+// Everything the profile shows. `longestStreak` is the server's.
+// Returns {
+//   xp, level: { level, into, needed, progress }, breakdown: { reason: xp },
+//   badges: [{ ...badge, earned, earnedAt, progress }], recent: [event], stats
+// }
+export const achievementProfile = (history, { longestStreak = 0 } = {}) => {
+  const records = [...history].sort(byTime);
+  const events = xpEvents(records);
+  const xp = events.reduce((sum, e) => sum + e.xp, 0);
+  const breakdown = {};
+  for (const e of events) {
+    for (const [reason, n] of Object.entries(e.reasons)) breakdown[reason] = (breakdown[reason] || 0) + n;
+  }
+
+  const features = firstFeatures(records);
+  const reachedOn = streakMilestones(records);
+  const longest = Math.max(longestStreak, reachedOn.length - 1, 0);
+  const badges = BADGES.map((badge) => {
+    if (badge.kind === 'streak') {
+      const earned = longest >= badge.target;
+      return { ...badge, earned, earnedAt: reachedOn[badge.target] || null, progress: Math.min(1, longest / badge.target) };
+    }
+    const earnedAt = features[badge.kind] || null;
+    return { ...badge, earned: Boolean(earnedAt), earnedAt, progress: earnedAt ? 1 : 0 };
+  });
+
+  return {
+    xp,
+    level: levelFor(xp),
+    breakdown,
+    badges,
+    recent: events.slice(-10).reverse(),
+    stats: {
+      submissions: records.length,
+      challengesPassed: breakdown.challenge ? breakdown.challenge / XP.challenge : 0,
+      ubFixed: breakdown.ub ? breakdown.ub / XP.ub : 0,
+      longestStreak: longest
+    }
+  };
+};
+
+// GitHub-style contribution grid ending today: `weeks` columns of seven
+// days, Sunday first. Cells after today are null.
+// Returns { weeks: [[{ day, count } | null]], max, total, activeDays }
+export const activityHeatmap = (history, today, weeks = 53) => {
+  const counts = new Map();
+  for (const record of history) {
+    const day = submissionDay(record);
+    counts.set(day, (counts.get(day) || 0) + 1);
+  }
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+  const start = addDays(today, -((weeks - 1) * 7 + weekday));
+  const grid = [];
+  let max = 0;
+  let total = 0;
+  let activeDays = 0;
+  for (let w = 0; w < weeks; w += 1) {
+    const column = [];
+    for (let d = 0; d < 7; d += 1) {
+      const day = addDays(start, w * 7 + d);
+      if (day > today) {
+        column.push(null);
+        continue;
+      }
+      const count = counts.get(day) || 0;
+      max = Math.max(max, count);
+      total += count;
+      if (count) activeDays += 1;
+      column.push({ day, count });
+    }
+    grid.push(column);
+  }
+  return { weeks: grid, max, total, activeDays };
+};
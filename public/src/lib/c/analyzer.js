@@ -0,0 +1,850 @@
+// Deterministic checks for the classic beginner mistakes, run locally on
+// every edit before the mentor is asked anything:
+//
+//   headers        library call or constant without its #include
+//   main           no main() to start from
+//   format         printf/scanf conversions that do not match their arguments
+//   uninitialized  a local read before anything was stored in it
+//   bounds         constant or loop-bounded indexes past the end of an array
+//   gets           any use of gets()
+//
+// Findings use the diagnostics shape ({ line, col, severity, message,
+// source: 'analyzer', rule }) so they share the editor gutter with the
+// compiler and the mentor. Syntax errors are left to the real compiler.
+
+import { parse, evaluateConstant } from './parser.js';
+import { isSource } from '../project.js';
+import {
+  INT, DOUBLE, SIZE_T, base, pointerTo, arrayOf,
+  isInteger, isFloating, isPointer, isPointerLike, isArray, isCharType, isVoid, pointee, commonType, typeToString
+} from './types.js';
+
+// Library functions: header, return type, and (for printf/scanf families)
+// which argument holds the format string.
+const CHAR_PTR = pointerTo(base('char'));
+const VOID_PTR = pointerTo(base('void'));
+const FILE_PTR = pointerTo({ kind: 'named', name: 'FILE' });
+
+const LIBRARY = {
+  'stdio.h': {
+    printf: { returns: INT, format: 0, kind: 'print' },
+    fprintf: { returns: INT, format: 1, kind: 'print' },
+    sprintf: { returns: INT, format: 1, kind: 'print' },
+    snprintf: { returns: INT, format: 2, kind: 'print' },
+    scanf: { returns: INT, format: 0, kind: 'scan' },
+    fscanf: { returns: INT, format: 1, kind: 'scan' },
+    sscanf: { returns: INT, format: 1, kind: 'scan' },
+    puts: { returns: INT }, putchar: { returns: INT }, getchar: { returns: INT },
+    fgets: { returns: CHAR_PTR }, gets: { returns: CHAR_PTR }, fputs: { returns: INT },
+    fopen: { returns: FILE_PTR }, fclose: { returns: INT }, fgetc: { returns: INT }, fputc: { returns: INT },
+    getc: { returns: INT }, putc: { returns: INT }, perror: { returns: base('void') }, fflush: { returns: INT }
+  },
+  'stdlib.h': {
+    malloc: { returns: VOID_PTR }, calloc: { returns: VOID_PTR }, realloc: { returns: VOID_PTR },
+    free: { returns: base('void') }, exit: { returns: base('void') }, abort: { returns: base('void') },
+    atoi: { returns: INT }, atol: { returns: base('long') }, atof: { returns: DOUBLE },
+    strtol: { returns: base('long') }, strtod: { returns: DOUBLE },
+    abs: { returns: INT }, labs: { returns: base('long') }, rand: { returns: INT }, srand: { returns: base('void') },
+    qsort: { returns: base('void') }, system: { returns: INT }
+  },
+  'string.h': {
+    strlen: { returns: SIZE_T }, strcpy: { returns: CHAR_PTR }, strncpy: { returns: CHAR_PTR },
+    strcat: { returns: CHAR_PTR }, strncat: { returns: CHAR_PTR }, strcmp: { returns: INT },
+    strncmp: { returns: INT }, strchr: { returns: CHAR_PTR }, strrchr: { returns: CHAR_PTR },
+    strstr: { returns: CHAR_PTR }, strtok: { returns: CHAR_PTR }, strdup: { returns: CHAR_PTR },
+    memset: { returns: VOID_PTR }, memcpy: { returns: VOID_PTR }, memmove: { returns: VOID_PTR },
+    memcmp: { returns: INT }, strcspn: { returns: SIZE_T }, strspn: { returns: SIZE_T }
+  },
+  'math.h': Object.fromEntries(
+    ['sqrt', 'pow', 'fabs', 'floor', 'ceil', 'round', 'sin', 'cos', 'tan', 'atan', 'atan2', 'exp', 'log', 'log10', 'fmod', 'hypot', 'trunc']
+      .map((name) => [name, { returns: DOUBLE }])
+  ),
+  'ctype.h': Object.fromEntries(
+    ['isdigit', 'isalpha', 'isalnum', 'isspace', 'isupper', 'islower', 'ispunct', 'isxdigit', 'toupper', 'tolower']
+      .map((name) => [name, { returns: INT }])
+  ),
+  'time.h': { time: { returns: base('long long') }, clock: { returns: base('long') }, difftime: { returns: DOUBLE } }
+};
+
+const FUNCTIONS = new Map();
+for (const [header, fns] of Object.entries(LIBRARY)) {
+  for (const [name, info] of Object.entries(fns)) FUNCTIONS.set(name, { ...info, header });
+}
+
+// Macros and constants from the standard headers (several headers may
+// provide the same one).
+const CONSTANTS = {
+  EOF: ['stdio.h'],
+  stdin: ['stdio.h'], stdout: ['stdio.h'], stderr: ['stdio.h'],
+  RAND_MAX: ['stdlib.h'], EXIT_SUCCESS: ['stdlib.h'], EXIT_FAILURE: ['stdlib.h'],
+  INT_MAX: ['limits.h'], INT_MIN: ['limits.h'], UINT_MAX: ['limits.h'], LONG_MAX: ['limits.h'],
+  LONG_MIN: ['limits.h'], CHAR_MAX: ['limits.h'], CHAR_MIN: ['limits.h'], CHAR_BIT: ['limits.h'],
+  M_PI: ['math.h'], INFINITY: ['math.h'], NAN: ['math.h'],
+  NULL: ['stddef.h', 'stdio.h', 'stdlib.h', 'string.h', 'time.h'],
+  bool: ['stdbool.h'], true: ['stdbool.h'], false: ['stdbool.h']
+};
+
+// --- Generic tree helpers ---
+
+const CHILD_KEYS = [
+  'body', 'declarators', 'init', 'test', 'consequent', 'alternate', 'update', 'discriminant', 'argument',
+  'expression', 'expressions', 'left', 'right', 'callee', 'arguments', 'object', 'index', 'elements'
+];
+
+// Depth-first visit of every node below (and including) `root`.
+const visit = (root, fn) => {
+  if (!root || typeof root !== 'object') return;
+  if (Array.isArray(root)) {
+    root.forEach((n) => visit(n, fn));
+    return;
+  }
+  if (root.type) fn(root);
+  for (const key of CHILD_KEYS) if (root[key]) visit(root[key], fn);
+};
+
+const describe = (expr) => {
+  switch (expr?.type) {
+    case 'Identifier': return expr.name;
+    case 'NumberLiteral': return expr.raw;
+    case 'Unary': return `${expr.operator}${describe(expr.argument)}`;
+    case 'Index': return `${describe(expr.object)}[${describe(expr.index)}]`;
+    case 'Member': return `${describe(expr.object)}${expr.arrow ? '->' : '.'}${expr.property}`;
+    case 'Binary': return `${describe(expr.left)} ${expr.operator} ${describe(expr.right)}`;
+    case 'Call': return `${describe(expr.callee)}(...)`;
+    case 'StringLiteral': return expr.raw.length > 20 ? `${expr.raw.slice(0, 17)}..."` : expr.raw;
+    default: return 'this argument';
+  }
+};
+
+// --- Scopes and expression types ---
+
+class Scope {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.names = new Map();
+  }
+
+  lookup(name) {
+    return this.names.get(name) || this.parent?.lookup(name) || null;
+  }
+
+  declare(symbol) {
+    this.names.set(symbol.name, symbol);
+    return symbol;
+  }
+}
+
+const makeTyper = (program, functions) => {
+  const typeOf = (expr, scope) => {
+    if (!expr) return null;
+    switch (expr.type) {
+      case 'Identifier': {
+        const symbol = scope.lookup(expr.name);
+        if (symbol) return symbol.type;
+        if (program.enumConstants.has(expr.name)) return INT;
+        const fn = functions.get(expr.name);
+        return fn ? { kind: 'function', returns: fn.returnType, params: [] } : null;
+      }
+      case 'NumberLiteral':
+        if (expr.isNull) return VOID_PTR;
+        if (expr.isFloat) return base(expr.suffix.includes('f') ? 'float' : 'double');
+        return base(expr.suffix.includes('ll') ? 'long long' : expr.suffix.includes('l') ? 'long' : 'int', expr.suffix.includes('u'));
+      case 'CharLiteral': return INT;
+      case 'StringLiteral': return arrayOf(base('char'), expr.value.length + 1);
+      case 'Unary': {
+        const t = typeOf(expr.argument, scope);
+        if (expr.operator === '&') return t ? pointerTo(t) : null;
+        if (expr.operator === '*') return pointee(t);
+        if (expr.operator === '!') return INT;
+        return commonType(t, t);
+      }
+      case 'Update': return typeOf(expr.argument, scope);
+      case 'Binary': {
+        if (['==', '!=', '<', '>', '<=', '>=', '&&', '||'].includes(expr.operator)) return INT;
+        const l = typeOf(expr.left, scope);
+        const r = typeOf(expr.right, scope);
+        if (expr.operator === '+' || expr.operator === '-') {
+          if (isPointerLike(l) && isPointerLike(r)) return base('long');
+          if (isPointerLike(l)) return pointerTo(pointee(l) || base('void'));
+          if (isPointerLike(r)) return pointerTo(pointee(r) || base('void'));
+        }
+        if (expr.operator === '<<' || expr.operator === '>>') return commonType(l, l);
+        return commonType(l, r);
+      }
+      case 'Assignment': return typeOf(expr.left, scope);
+      case 'Conditional': return typeOf(expr.consequent, scope) || typeOf(expr.alternate, scope);
+      case 'Comma': return typeOf(expr.expressions[expr.expressions.length - 1], scope);
+      case 'Cast': return expr.targetType;
+      case 'SizeofExpr':
+      case 'SizeofType': return SIZE_T;
+      case 'Call': {
+        if (expr.callee.type !== 'Identifier') return null;
+        const user = functions.get(expr.callee.name);
+        if (user) return user.returnType;
+        return FUNCTIONS.get(expr.callee.name)?.returns || null;
+      }
+      case 'Index': return pointee(typeOf(expr.object, scope));
+      case 'Member': {
+        let t = typeOf(expr.object, scope);
+        if (expr.arrow) t = pointee(t);
+        if (!t || t.kind !== 'struct') return null;
+        return program.structs.get(t.name)?.fields.find((f) => f.name === expr.property)?.type || null;
+      }
+      default: return null;
+    }
+  };
+  return typeOf;
+};
+
+// --- printf / scanf formats ---
+
+const PRINT_SPEC = /%([-+ #0]*)(\*|\d+)?(?:\.(\*|\d+))?(hh|h|ll|l|L|z|j|t)?([diouxXfFeEgGaAcspn%])?/g;
+const SCAN_SPEC = /%(\*)?(\d+)?(hh|h|ll|l|L|z|j|t)?(\[\^?\]?[^\]]*\]|[diouxXfFeEgGaAcspn%])?/g;
+
+// Conversions in a format string, each with the argument type it expects.
+// Returns [{ spec, conv, length, star, kind: 'int' | 'float' | 'char' | 'string' | 'pointer' | 'count' }]
+export const parseFormat = (format, mode) => {
+  const specs = [];
+  const pattern = mode === 'scan' ? SCAN_SPEC : PRINT_SPEC;
+  pattern.lastIndex = 0;
+  let m;
+  while ((m = pattern.exec(format))) {
+    const [spec] = m;
+    if (mode === 'print') {
+      const [, , width, precision, length = '', conv] = m;
+      if (conv === '%') continue;
+      // A '*' width or precision takes an extra int argument first.
+      if (width === '*') specs.push({ spec, conv: '*', length: '', kind: 'int', widthArg: true });
+      if (precision === '*') specs.push({ spec, conv: '*', length: '', kind: 'int', widthArg: true });
+      specs.push({ spec, conv: conv || null, length, kind: kindOf(conv) });
+    } else {
+      const [, suppress, , length = '', conv] = m;
+      if (conv === '%') continue;
+      if (suppress) continue;
+      specs.push({ spec, conv: conv || null, length, kind: conv && conv.startsWith('[') ? 'string' : kindOf(conv) });
+    }
+  }
+  return specs;
+};
+
+const kindOf = (conv) => {
+  if (!conv) return null;
+  if ('diouxX'.includes(conv)) return 'int';
+  if ('fFeEgGaA'.includes(conv)) return 'float';
+  if (conv === 'c') return 'char';
+  if (conv === 's') return 'string';
+  if (conv === 'p') return 'pointer';
+  return 'count';
+};
+
+// The integer type a scanf conversion writes through its pointer.
+const scanIntegerTarget = (length) =>
+  ({ hh: 'char', h: 'short', l: 'long', ll: 'long long', z: 'long', j: 'long long', t: 'long' })[length] || 'int';
+
+const scanFloatTarget = (length) => (length === 'l' ? 'double' : length === 'L' ? 'long double' : 'float');
+
+const checkPrintArg = (spec, type, name) => {
+  if (!type || type.kind === 'named') return null;
+  const shown = `\`${name}\` is ${typeToString(type)}`;
+  switch (spec.kind) {
+    case 'int':
+    case 'char':
+      if (isFloating(type)) return `\`${spec.spec}\` expects an integer but ${shown}; the bits will be misread. Use \`%f\` or cast.`;
+      if (isPointerLike(type) && spec.kind === 'int') return `\`${spec.spec}\` expects an integer but ${shown}. Use \`%p\` for addresses or \`%s\` for strings.`;
+      if (isInteger(type) && spec.kind === 'int' && (spec.length === 'll') !== (type.name === 'long long')) {
+        return `\`${spec.spec}\` and ${shown} differ in size; use ${type.name === 'long long' ? '`%lld`' : '`%d`'}.`;
+      }
+      return null;
+    case 'float':
+      if (isInteger(type)) return `\`${spec.spec}\` expects a double but ${shown}; it will not be converted. Cast it, e.g. \`(double)${name}\`.`;
+      if (isPointerLike(type)) return `\`${spec.spec}\` expects a double but ${shown}.`;
+      return null;
+    case 'string':
+      if (!isPointerLike(type)) return `\`%s\` expects a string (char *) but ${shown}${isInteger(type) ? '; use `%c` for a single character or `%d` for a number' : ''}.`;
+      if (pointee(type)?.kind === 'base' && !isCharType(pointee(type)) && !isVoid(pointee(type))) {
+        return `\`%s\` expects a char string but ${shown}.`;
+      }
+      return null;
+    case 'pointer':
+      if (!isPointerLike(type)) return `\`%p\` expects a pointer but ${shown}.`;
+      return null;
+    default:
+      return null;
+  }
+};
+
+const checkScanArg = (spec, type, arg) => {
+  if (!type || type.kind === 'named') return null;
+  const name = describe(arg);
+  if (!isPointerLike(type)) {
+    return arg.type === 'Identifier'
+      ? `\`scanf\` needs the address of \`${name}\` to store into it: write \`&${name}\`.`
+      : `\`${spec.spec}\` needs a pointer, but \`${name}\` is ${typeToString(type)}.`;
+  }
+  const target = pointee(type);
+  if (!target || target.kind !== 'base' || target.name === 'void') return null;
+
+  if (spec.kind === 'string') {
+    return isCharType(target) || isArray(target) ? null : `\`${spec.spec}\` reads a string into a char array, but \`${name}\` points to ${typeToString(target)}.`;
+  }
+  if (spec.kind === 'char') {
+    return isCharType(target) ? null : `\`%c\` stores one char, but \`${name}\` points to ${typeToString(target)}.`;
+  }
+  if (spec.kind === 'int') {
+    const expected = scanIntegerTarget(spec.length);
+    if (isFloating(target)) {
+      return `\`${spec.spec}\` reads an integer, but \`${name}\` points to a ${target.name}; use \`${target.name === 'double' ? '%lf' : target.name === 'float' ? '%f' : '%Lf'}\`.`;
+    }
+    if (target.name !== expected) return `\`${spec.spec}\` stores ${expected === 'int' ? 'an int' : `a ${expected}`}, but \`${name}\` points to ${typeToString(target)}.`;
+    return null;
+  }
+  if (spec.kind === 'float') {
+    const expected = scanFloatTarget(spec.length);
+    if (isInteger(target)) return `\`${spec.spec}\` reads a floating-point number, but \`${name}\` points to ${typeToString(target)}; use \`%d\`.`;
+    if (target.name !== expected) {
+      const fix = target.name === 'double' ? '%lf' : target.name === 'float' ? '%f' : '%Lf';
+      return `\`${spec.spec}\` stores a ${expected}, but \`${name}\` points to a ${target.name}; use \`${fix}\`.`;
+    }
+  }
+  return null;
+};
+
+// --- The analyzer ---
+
+const definesMain = (program) => program.body.some((item) => item.type === 'FunctionDef' && item.name === 'main' && !item.file);
+
+const severityRank = { error: 0, warning: 1, info: 2 };
+
+// One translation unit. Options:
+//   resolveInclude(name)  text of a project header for #include "name"
+//   requireMain           report a missing main() (off for multi-file projects)
+// Code spliced in from project headers is not reported here; the header
+// is analyzed on its own.
+export const analyze = (source, { resolveInclude = null, requireMain = true } = {}) => {
+  if (!source || !source.trim()) return [];
+  const program = parse(source, { resolveInclude });
+  const findings = [];
+  const seen = new Set();
+  const report = (node, severity, rule, message) => {
+    if (node.file) return;
+    const key = `${node.line}|${rule}|${message}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    findings.push({ line: node.line, col: node.col || null, severity, message, source: 'analyzer', rule });
+  };
+
+  const functions = new Map();
+  const globals = new Scope();
+  for (const item of program.body) {
+    if (item.type === 'FunctionDef') functions.set(item.name, item);
+    if (item.type === 'Declaration') {
+      for (const d of item.declarators) {
+        if (!d.name) continue;
+        if (d.type.kind === 'function') {
+          if (!functions.has(d.name)) functions.set(d.name, { name: d.name, returnType: d.type.returns, prototype: true });
+        } else {
+          globals.declare({ name: d.name, type: d.type, line: d.line, global: true });
+        }
+      }
+    }
+  }
+  const typeOf = makeTyper(program, functions);
+  const included = new Set(program.includes.map((i) => i.name.toLowerCase()));
+
+  // main
+  if (requireMain && !definesMain(program) && !program.errors.length) {
+    report({ line: 1, col: null }, 'error', 'main', 'There is no `main` function, so the program has nowhere to start.');
+  }
+
+  // Headers: report each missing header once, at its first use.
+  const missing = new Map();
+  const needHeader = (node, name, headers, what) => {
+    if (headers.some((h) => included.has(h)) || missing.has(headers[0])) return;
+    missing.set(headers[0], true);
+    report(node, 'error', 'headers', `\`${name}\` ${what} \`#include <${headers[0]}>\`, which is missing.`);
+  };
+
+  // --- Per-function typed walk: headers, formats, bounds, gets ---
+
+  const checkFormatCall = (call, info, scope) => {
+    const formatArg = call.arguments[info.format];
+    if (!formatArg || formatArg.type !== 'StringLiteral') return;
+    const specs = parseFormat(formatArg.value, info.kind);
+    const args = call.arguments.slice(info.format + 1);
+    const fn = call.callee.name;
+
+    for (const spec of specs) {
+      if (!spec.conv) report(formatArg, 'warning', 'format', `\`${spec.spec}\` in the ${fn} format is incomplete or unknown.`);
+    }
+    const counted = specs.filter((s) => s.conv);
+    if (args.length < counted.length) {
+      report(call, 'warning', 'format',
+        `The ${fn} format has ${counted.length} conversion(s) but only ${args.length} value(s) follow; the missing ones are garbage (undefined behavior).`);
+    } else if (args.length > counted.length) {
+      report(call, 'warning', 'format', `${fn} gets ${args.length} value(s) but its format only uses ${counted.length}; the extra ones are ignored.`);
+    }
+
+    counted.forEach((spec, i) => {
+      const arg = args[i];
+      if (!arg) return;
+      const type = typeOf(arg, scope);
+      const message = info.kind === 'scan' ? checkScanArg(spec, type, arg) : checkPrintArg(spec, type, describe(arg));
+      if (message) report(arg, 'warning', 'format', message);
+    });
+  };
+
+  const arrayInfo = (expr, scope) => {
+    if (expr.type !== 'Identifier') return null;
+    const symbol = scope.lookup(expr.name);
+    return symbol && isArray(symbol.type) && symbol.type.size != null ? symbol : null;
+  };
+
+  // Index = loopVar + offset, with a constant offset.
+  const loopOffset = (index, loop) => {
+    if (index.type === 'Identifier' && index.name === loop.name) return 0;
+    if (index.type === 'Binary' && (index.operator === '+' || index.operator === '-')) {
+      if (index.left.type === 'Identifier' && index.left.name === loop.name) {
+        const c = evaluateConstant(index.right, program);
+        if (c != null) return index.operator === '+' ? c : -c;
+      }
+      if (index.operator === '+' && index.right.type === 'Identifier' && index.right.name === loop.name) {
+        return evaluateConstant(index.left, program);
+      }
+    }
+    return null;
+  };
+
+  const checkIndex = (expr, scope, loops) => {
+    const array = arrayInfo(expr.object, scope);
+    if (!array) return;
+    const size = array.type.size;
+    const constant = evaluateConstant(expr.index, program);
+    if (constant != null) {
+      if (constant >= size || constant < 0) {
+        report(expr, 'error', 'bounds',
+          `\`${describe(expr)}\` is out of bounds: \`${array.name}\` has ${size} element(s), so valid indexes are 0 to ${size - 1}.`);
+      }
+      return;
+    }
+    for (const loop of loops) {
+      const offset = loopOffset(expr.index, loop);
+      if (offset == null || scope.lookup(loop.name) !== loop.symbol) continue;
+      const high = loop.max + offset;
+      const low = loop.min + offset;
+      if (high >= size) {
+        report(expr, 'warning', 'bounds',
+          `Off by one: ${loop.reason}, so \`${describe(expr)}\` reaches \`${array.name}[${high}]\`, but \`${array.name}\` only has indexes 0 to ${size - 1}.`);
+      } else if (low < 0) {
+        report(expr, 'warning', 'bounds', `\`${describe(expr)}\` reaches \`${array.name}[${low}]\`, before the start of the array.`);
+      }
+    }
+  };
+
+  // Constant-bounded counting loop: for (i = a; i < b; i++) or the reverse.
+  const countingLoop = (stmt, scope) => {
+    let name = null;
+    let start = null;
+    const { init, test, update } = stmt;
+    if (init?.type === 'Declaration' && init.declarators.length === 1) {
+      name = init.declarators[0].name;
+      start = evaluateConstant(init.declarators[0].init, program);
+    } else if (init?.type === 'Assignment' && init.operator === '=' && init.left.type === 'Identifier') {
+      name = init.left.name;
+      start = evaluateConstant(init.right, program);
+    }
+    if (!name || start == null || test?.type !== 'Binary' || !update) return null;
+
+    let step = 0;
+    const target = update.type === 'Update' ? update.argument : update.type === 'Assignment' ? update.left : null;
+    if (target?.type !== 'Identifier' || target.name !== name) return null;
+    if (update.type === 'Update') step = update.operator === '++' ? 1 : -1;
+    else if (update.operator === '+=' || update.operator === '-=') {
+      const c = evaluateConstant(update.right, program);
+      if (c === 1) step = update.operator === '+=' ? 1 : -1;
+    }
+    if (!step) return null;
+
+    // Normalise "N > i" to "i < N".
+    const flip = { '<': '>', '>': '<', '<=': '>=', '>=': '<=' };
+    let op = test.operator;
+    let bound;
+    if (test.left.type === 'Identifier' && test.left.name === name) bound = evaluateConstant(test.right, program);
+    else if (test.right.type === 'Identifier' && test.right.name === name) {
+      bound = evaluateConstant(test.left, program);
+      op = flip[op];
+    }
+    if (bound == null || !op) return null;
+
+    if (step > 0 && (op === '<' || op === '<=')) {
+      return { name, min: start, max: op === '<' ? bound - 1 : bound, reason: `the loop runs while \`${name} ${op} ${bound}\`` };
+    }
+    if (step < 0 && (op === '>' || op === '>=')) {
+      return { name, min: op === '>' ? bound + 1 : bound, max: start, reason: `the loop starts at \`${name} = ${start}\`` };
+    }
+    return null;
+  };
+
+  const assignsTo = (body, name) => {
+    let found = false;
+    visit(body, (n) => {
+      if ((n.type === 'Assignment' && n.left.type === 'Identifier' && n.left.name === name) ||
+          (n.type === 'Update' && n.argument.type === 'Identifier' && n.argument.name === name) ||
+          (n.type === 'Unary' && n.operator === '&' && n.argument.type === 'Identifier' && n.argument.name === name)) {
+        found = true;
+      }
+    });
+    return found;
+  };
+
+  const walkExpr = (expr, scope, loops) => {
+    visit(expr, (n) => {
+      if (n.type === 'Call' && n.callee.type === 'Identifier') {
+        const name = n.callee.name;
+        const lib = FUNCTIONS.get(name);
+        if (lib && !functions.has(name) && !scope.lookup(name)) {
+          needHeader(n, name, [lib.header], 'needs');
+          if (lib.format !== undefined) checkFormatCall(n, lib, scope);
+        }
+        if (name === 'gets' && !functions.has('gets')) {
+          report(n, 'error', 'gets', '`gets` cannot limit how much it reads, so long input overflows the buffer; it was removed in C11. Use `fgets(buf, sizeof buf, stdin)` instead.');
+        }
+      } else if (n.type === 'Identifier' && CONSTANTS[n.name] && !scope.lookup(n.name) && !program.macros.has(n.name)) {
+        needHeader(n, n.name, CONSTANTS[n.name], 'comes from');
+      } else if (n.type === 'NumberLiteral' && (n.isNull || n.raw === 'true' || n.raw === 'false')) {
+        needHeader(n, n.raw, CONSTANTS[n.raw], 'comes from');
+      } else if (n.type === 'Index') {
+        checkIndex(n, scope, loops);
+      }
+    });
+  };
+
+  const declare = (scope, d, decl) => {
+    if (!d.name) return;
+    if (d.type.kind === 'array' && d.type.size != null && isCharType(d.type.of) && d.init?.type === 'StringLiteral') {
+      const length = d.init.value.length;
+      if (length >= d.type.size) {
+        report(d, 'warning', 'bounds',
+          `\`${d.name}\` has room for ${d.type.size} char(s) but "${d.init.value}" needs ${length + 1} including the terminating '\\0'; make the array at least ${length + 1} long.`);
+      }
+    }
+    scope.declare({ name: d.name, type: d.type, line: d.line, static: decl.storage === 'static' || decl.storage === 'extern' });
+  };
+
+  const walkStmt = (stmt, scope, loops) => {
+    if (!stmt) return;
+    switch (stmt.type) {
+      case 'Compound': {
+        const inner = new Scope(scope);
+        stmt.body.forEach((s) => walkStmt(s, inner, loops));
+        return;
+      }
+      case 'Declaration':
+        for (const d of stmt.declarators) {
+          if (d.init) walkExpr(d.init, scope, loops);
+          if (d.type.sizeExpr) walkExpr(d.type.sizeExpr, scope, loops);
+          declare(scope, d, stmt);
+        }
+        return;
+      case 'For': {
+        const inner = new Scope(scope);
+        if (stmt.init?.type === 'Declaration') walkStmt(stmt.init, inner, loops);
+        else walkExpr(stmt.init, inner, loops);
+        walkExpr(stmt.test, inner, loops);
+        walkExpr(stmt.update, inner, loops);
+        const loop = countingLoop(stmt, inner);
+        const nested = loop && !assignsTo(stmt.body, loop.name)
+          ? [...loops, { ...loop, symbol: inner.lookup(loop.name) }]
+          : loops;
+        walkStmt(stmt.body, inner, nested);
+        return;
+      }
+      case 'If':
+        walkExpr(stmt.test, scope, loops);
+        walkStmt(stmt.consequent, scope, loops);
+        walkStmt(stmt.alternate, scope, loops);
+        return;
+      case 'While':
+      case 'DoWhile':
+        walkExpr(stmt.test, scope, loops);
+        walkStmt(stmt.body, scope, loops);
+        return;
+      case 'Switch':
+        walkExpr(stmt.discriminant, scope, loops);
+        walkStmt(stmt.body, scope, loops);
+        return;
+      case 'Label':
+        walkStmt(stmt.body, scope, loops);
+        return;
+      case 'Return':
+        walkExpr(stmt.argument, scope, loops);
+        return;
+      case 'ExpressionStatement':
+        walkExpr(stmt.expression, scope, loops);
+        return;
+      default:
+    }
+  };
+
+  for (const item of program.body) {
+    if (item.type === 'Declaration') {
+      for (const d of item.declarators) {
+        if (d.init) walkExpr(d.init, globals, []);
+        if (d.type.kind !== 'function') declare(globals, d, item);
+      }
+    }
+  }
+  for (const item of program.body) {
+    if (item.type !== 'FunctionDef') continue;
+    const scope = new Scope(globals);
+    for (const p of item.params || []) if (p.name) scope.declare({ name: p.name, type: p.type, line: p.line, param: true });
+    walkStmt(item.body, scope, []);
+    checkUninitialized(item, globals, report);
+  }
+
+  return findings.sort((a, b) => a.line - b.line || severityRank[a.severity] - severityRank[b.severity]);
+};
+
+// Every file of a project (lib/project.js), each finding tagged with its
+// `file`. Quoted includes resolve to the project's own headers, and main()
+// only has to exist in one of the .c files.
+export const analyzeProject = (files) => {
+  const contents = new Map(files.map((f) => [f.name, f.content]));
+  const resolveInclude = (name) => contents.get(name) ?? null;
+  const findings = files.flatMap((f) =>
+    analyze(f.content, { resolveInclude, requireMain: false }).map((finding) => ({ ...finding, file: f.name }))
+  );
+
+  const sources = files.filter((f) => isSource(f.name));
+  const parsed = sources.map((f) => parse(f.content, { resolveInclude }));
+  const hasCode = files.some((f) => f.content.trim());
+  if (hasCode && !parsed.some(definesMain) && parsed.every((program) => !program.errors.length)) {
+    findings.unshift({
+      line: 1,
+      col: null,
+      severity: 'error',
+      message: sources.length
+        ? `None of the .c files defines \`main\`, so the program has nowhere to start.`
+        : 'The project has no .c file, so there is nothing to compile.',
+      source: 'analyzer',
+      rule: 'main',
+      file: (sources[0] || files[0]).name
+    });
+  }
+  return findings;
+};
+
+// What a project's code uses, for achievements (lib/achievements.js):
+//   pointers   declares a pointer (variable, parameter or struct field;
+//              main's argv does not count) and dereferences or takes an
+//              address with it
+//   recursion  some function calls itself, directly or through others
+// Files that do not parse count as using neither.
+export const programFeatures = (files) => {
+  const contents = new Map(files.map((f) => [f.name, f.content]));
+  const resolveInclude = (name) => contents.get(name) ?? null;
+  const programs = files
+    .filter((f) => isSource(f.name) && f.content.trim())
+    .map((f) => parse(f.content, { resolveInclude }))
+    .filter((program) => !program.errors.length);
+
+  let declaresPointer = false;
+  let usesPointer = false;
+  const calls = new Map();
+  for (const program of programs) {
+    for (const struct of program.structs.values()) {
+      if (struct.fields?.some((field) => isPointer(field.type))) declaresPointer = true;
+    }
+    for (const item of program.body) {
+      if (item.type === 'FunctionDef' && item.name !== 'main' && item.params?.some((param) => isPointer(param.type))) {
+        declaresPointer = true;
+      }
+      visit(item.type === 'FunctionDef' ? item.body : item, (node) => {
+        if (node.type === 'Declaration' && node.declarators.some((d) => isPointer(d.type))) declaresPointer = true;
+        if ((node.type === 'Unary' && (node.operator === '*' || node.operator === '&')) || (node.type === 'Member' && node.arrow)) {
+          usesPointer = true;
+        }
+      });
+      if (item.type === 'FunctionDef' && !item.file) {
+        const callees = calls.get(item.name) || new Set();
+        visit(item.body, (node) => {
+          if (node.type === 'Call' && node.callee.type === 'Identifier') callees.add(node.callee.name);
+        });
+        calls.set(item.name, callees);
+      }
+    }
+  }
+
+  // A function is recursive if it can reach itself in the call graph.
+  const reaches = (from, target, seen = new Set()) => [...(calls.get(from) || [])].some((name) =>
+    name === target || (!seen.has(name) && seen.add(name) && reaches(name, target, seen)));
+  const recursion = [...calls.keys()].some((name) => reaches(name, name));
+
+  return { pointers: declaresPointer && usesPointer, recursion };
+};
+
+// --- Definite assignment ---
+//
+// A forward pass over one function tracking which uninitialized locals have
+// definitely been stored to. `null` stands for unreachable code (after
+// return/break), which satisfies everything. Taking a variable's address
+// (`&x`, as scanf does) counts as a store.
+
+const intersect = (a, b) => {
+  if (a === null) return b;
+  if (b === null) return a;
+  return new Set([...a].filter((x) => b.has(x)));
+};
+
+const isInfinite = (test) => !test || (test.type === 'NumberLiteral' && test.value !== 0);
+
+const checkUninitialized = (fn, globals, report) => {
+  const jumps = []; // stack of { breaks: [state] } for loops and switches
+
+  const read = (symbol, node, state) => {
+    if (!symbol?.tracked || state === null || state.has(symbol) || symbol.reported) return;
+    symbol.reported = true;
+    report(node, 'warning', 'uninitialized',
+      `\`${symbol.name}\` may be used before it is given a value (it is declared on line ${symbol.line} without an initializer).`);
+  };
+
+  const add = (state, symbol) => {
+    if (state === null || !symbol?.tracked) return state;
+    const next = new Set(state);
+    next.add(symbol);
+    return next;
+  };
+
+  const expr = (e, scope, state) => {
+    if (!e) return state;
+    switch (e.type) {
+      case 'Identifier':
+        read(scope.lookup(e.name), e, state);
+        return state;
+      case 'Assignment': {
+        if (e.left.type === 'Identifier') {
+          const symbol = scope.lookup(e.left.name);
+          if (e.operator !== '=') read(symbol, e.left, state);
+          return add(expr(e.right, scope, state), symbol);
+        }
+        return expr(e.right, scope, expr(e.left, scope, state));
+      }
+      case 'Unary':
+        if (e.operator === '&' && e.argument.type === 'Identifier') return add(state, scope.lookup(e.argument.name));
+        return expr(e.argument, scope, state);
+      case 'Update':
+        return expr(e.argument, scope, state);
+      case 'Binary': {
+        const left = expr(e.left, scope, state);
+        if (e.operator === '&&' || e.operator === '||') {
+          expr(e.right, scope, left);
+          return left;
+        }
+        return expr(e.right, scope, left);
+      }
+      case 'Conditional': {
+        const test = expr(e.test, scope, state);
+        return intersect(expr(e.consequent, scope, test), expr(e.alternate, scope, test));
+      }
+      case 'Comma':
+        return e.expressions.reduce((s, x) => expr(x, scope, s), state);
+      case 'Call':
+        return e.arguments.reduce((s, x) => expr(x, scope, s), expr(e.callee, scope, state));
+      case 'Index':
+        return expr(e.index, scope, expr(e.object, scope, state));
+      case 'Member':
+        return expr(e.object, scope, state);
+      case 'Cast':
+        return expr(e.argument, scope, state);
+      case 'InitList':
+        return e.elements.reduce((s, x) => expr(x, scope, s), state);
+      default:
+        return state; // literals, sizeof (unevaluated)
+    }
+  };
+
+  const loop = (scope, state, test, body, { testFirst, update }) => {
+    jumps.push({ breaks: [] });
+    const entry = testFirst ? expr(test, scope, state) : state;
+    const afterBody = stmt(body, scope, entry);
+    const afterUpdate = update ? expr(update, scope, afterBody === null ? entry : afterBody) : afterBody;
+    const exit = testFirst ? entry : expr(test, scope, afterUpdate === null ? entry : afterUpdate);
+    const { breaks } = jumps.pop();
+    if (isInfinite(test)) return breaks.reduce(intersect, null);
+    return breaks.reduce(intersect, exit);
+  };
+
+  const stmt = (s, scope, state) => {
+    if (!s) return state;
+    switch (s.type) {
+      case 'Compound': {
+        const inner = new Scope(scope);
+        return s.body.reduce((st, x) => stmt(x, inner, st), state);
+      }
+      case 'Declaration': {
+        let st = state;
+        for (const d of s.declarators) {
+          if (!d.name) continue;
+          if (d.init) st = expr(d.init, scope, st);
+          const scalar = d.type.kind === 'base' || d.type.kind === 'pointer' || d.type.kind === 'enum';
+          const symbol = scope.declare({
+            name: d.name,
+            line: d.line,
+            tracked: scalar && !d.init && !s.storage
+          });
+          if (d.init) st = add(st, symbol);
+        }
+        return st;
+      }
+      case 'ExpressionStatement':
+        return expr(s.expression, scope, state);
+      case 'If': {
+        const test = expr(s.test, scope, state);
+        return intersect(stmt(s.consequent, scope, test), s.alternate ? stmt(s.alternate, scope, test) : test);
+      }
+      case 'While':
+        return loop(scope, state, s.test, s.body, { testFirst: true });
+      case 'DoWhile':
+        return loop(scope, state, s.test, s.body, { testFirst: false });
+      case 'For': {
+        const inner = new Scope(scope);
+        const init = s.init?.type === 'Declaration' ? stmt(s.init, inner, state) : expr(s.init, inner, state);
+        return loop(inner, init, s.test, s.body, { testFirst: true, update: s.update });
+      }
+      case 'Switch': {
+        const entry = expr(s.discriminant, scope, state);
+        jumps.push({ breaks: [] });
+        const inner = new Scope(scope);
+        const body = s.body?.type === 'Compound' ? s.body.body : [s.body];
+        let st = entry;
+        let hasDefault = false;
+        for (const x of body) {
+          if (x?.type === 'Case' || x?.type === 'Default') {
+            hasDefault ||= x.type === 'Default';
+            st = intersect(st, entry) ?? entry;
+            continue;
+          }
+          st = stmt(x, inner, st);
+        }
+        const { breaks } = jumps.pop();
+        return [st, ...breaks, ...(hasDefault ? [] : [entry])].reduce(intersect, null);
+      }
+      case 'Break':
+        jumps[jumps.length - 1]?.breaks.push(state);
+        return null;
+      case 'Continue':
+      case 'Goto':
+        return null;
+      case 'Return':
+        expr(s.argument, scope, state);
+        return null;
+      case 'Label':
+        return stmt(s.body, scope, state);
+      default:
+        return state;
+    }
+  };
+
+  const scope = new Scope(globals);
+  for (const p of fn.params || []) if (p.name) scope.declare({ name: p.name, line: p.line });
+  stmt(fn.body, scope, new Set());
+};
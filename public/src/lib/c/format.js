@@ -0,0 +1,310 @@
+// printf and scanf for lib/c/interpreter.js, following the C library's
+// rules for the conversions beginners use. Strings here are byte strings
+// (one char per byte), as they are in the interpreter's memory.
+
+const PRINTF_SPEC = /%([-+ #0]*)(\*|\d+)?(?:\.(\*|\d*))?(hh|h|ll|l|j|z|t|L)?([diouxXeEfFgGaAcspn%])/g;
+
+const pad = (text, { left, zero, width }, sign = '') => {
+  const length = sign.length + text.length;
+  if (!width || length >= width) return sign + text;
+  if (left) return sign + text + ' '.repeat(width - length);
+  if (zero) return sign + '0'.repeat(width - length) + text;
+  return ' '.repeat(width - length) + sign + text;
+};
+
+// Integer bit width for a length modifier (ILP32: long is 32 bits).
+const INTEGER_BITS = { hh: 8, h: 16, ll: 64, j: 64, L: 64 };
+const bitsFor = (length) => INTEGER_BITS[length] || 32;
+
+const toBigInt = (value) => (typeof value === 'bigint' ? value : BigInt(Math.trunc(Number.isFinite(value) ? value : 0)));
+
+// --- Decimal rounding ---
+// Number#toFixed and #toExponential round exact ties away from zero; glibc
+// rounds the exact binary value half to even, so 0.125 prints as 0.12 with
+// %.2f and 2.5 as 2 with %.0f. These work on that exact value instead.
+
+// A finite, non-negative double as mantissa * 2^exponent.
+const exactParts = (value) => {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, value);
+  const bits = view.getBigUint64(0);
+  const biased = Number((bits >> 52n) & 0x7ffn);
+  const fraction = bits & 0xfffffffffffffn;
+  return { mantissa: biased ? fraction | (1n << 52n) : fraction, exponent: (biased || 1) - 1075 };
+};
+
+// value * 10^power, rounded half to even.
+const roundScaled = ({ mantissa, exponent }, power) => {
+  let num = mantissa;
+  let den = 1n;
+  if (exponent >= 0) num <<= BigInt(exponent);
+  else den <<= BigInt(-exponent);
+  if (power >= 0) num *= 10n ** BigInt(power);
+  else den *= 10n ** BigInt(-power);
+  const quotient = num / den;
+  const twice = (num % den) * 2n;
+  return twice > den || (twice === den && quotient % 2n === 1n) ? quotient + 1n : quotient;
+};
+
+const cFixed = (value, precision) => {
+  const digits = roundScaled(exactParts(value), precision).toString().padStart(precision + 1, '0');
+  return precision ? `${digits.slice(0, -precision)}.${digits.slice(-precision)}` : digits;
+};
+
+// { digits, exponent }: precision + 1 significant digits and the power of
+// ten of the first one, as %e rounds them.
+const exponentialParts = (value, precision) => {
+  if (value === 0) return { digits: '0'.repeat(precision + 1), exponent: 0 };
+  const parts = exactParts(value);
+  let exponent = Number(value.toExponential().split('e')[1]);
+  for (;;) {
+    const digits = roundScaled(parts, precision - exponent).toString();
+    if (digits.length > precision + 1) exponent += 1;
+    else if (digits.length < precision + 1) exponent -= 1;
+    else return { digits, exponent };
+  }
+};
+
+// C prints the exponent with at least two digits: 1.5e+00.
+const cExponential = (value, precision) => {
+  const { digits, exponent } = exponentialParts(value, precision);
+  const mantissa = precision ? `${digits[0]}.${digits.slice(1)}` : digits;
+  return `${mantissa}e${exponent < 0 ? '-' : '+'}${String(Math.abs(exponent)).padStart(2, '0')}`;
+};
+
+const stripZeros = (text) => {
+  const [mantissa, exponent] = text.split('e');
+  const trimmed = mantissa.includes('.') ? mantissa.replace(/0+$/, '').replace(/\.$/, '') : mantissa;
+  return exponent === undefined ? trimmed : `${trimmed}e${exponent}`;
+};
+
+export const formatFloat = (value, conversion, precision, alternate = false) => {
+  const lower = conversion.toLowerCase();
+  if (!Number.isFinite(value)) {
+    const text = Number.isNaN(value) ? 'nan' : 'inf';
+    return conversion === lower ? text : text.toUpperCase();
+  }
+  const abs = Math.abs(value);
+  let text;
+  if (lower === 'f') {
+    text = cFixed(abs, precision ?? 6);
+    if (alternate && precision === 0) text += '.';
+  } else if (lower === 'e' || lower === 'a') {
+    text = cExponential(abs, precision ?? 6);
+    if (alternate && precision === 0) text = text.replace('e', '.e');
+  } else {
+    const p = precision === 0 ? 1 : precision ?? 6;
+    const { exponent } = exponentialParts(abs, p - 1);
+    text = exponent >= -4 && exponent < p ? cFixed(abs, p - 1 - exponent) : cExponential(abs, p - 1);
+    if (!alternate) text = stripZeros(text);
+  }
+  return conversion === lower ? text : text.toUpperCase();
+};
+
+// `nextArg(kind)` returns the next argument: a number (or BigInt) for
+// 'int' and 'double', a byte string for 'string'. Returns the output.
+export const formatPrintf = (format, nextArg) => {
+  let out = '';
+  let last = 0;
+  PRINTF_SPEC.lastIndex = 0;
+  for (let m; (m = PRINTF_SPEC.exec(format)); ) {
+    out += format.slice(last, m.index);
+    last = PRINTF_SPEC.lastIndex;
+    const [, flags, widthText, precisionText, length, conversion] = m;
+    if (conversion === '%') {
+      out += '%';
+      continue;
+    }
+    const spec = { left: flags.includes('-'), zero: flags.includes('0') && !flags.includes('-'), width: 0 };
+    if (widthText === '*') {
+      const width = Number(nextArg('int'));
+      spec.width = Math.abs(width);
+      if (width < 0) spec.left = true;
+    } else if (widthText) {
+      spec.width = Number(widthText);
+    }
+    let precision = null;
+    if (precisionText === '*') {
+      const p = Number(nextArg('int'));
+      precision = p < 0 ? null : p;
+    } else if (precisionText !== undefined) {
+      precision = Number(precisionText || 0);
+    }
+    const signFor = (negative) => (negative ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '');
+
+    switch (conversion) {
+      case 'd':
+      case 'i': {
+        const bits = bitsFor(length);
+        const value = BigInt.asIntN(bits, toBigInt(nextArg('int')));
+        let digits = (value < 0n ? -value : value).toString();
+        if (precision !== null) digits = precision === 0 && value === 0n ? '' : digits.padStart(precision, '0');
+        out += pad(digits, { ...spec, zero: spec.zero && precision === null }, signFor(value < 0n));
+        break;
+      }
+      case 'u':
+      case 'o':
+      case 'x':
+      case 'X': {
+        const value = BigInt.asUintN(bitsFor(length), toBigInt(nextArg('int')));
+        const radix = conversion === 'u' ? 10 : conversion === 'o' ? 8 : 16;
+        let digits = value.toString(radix);
+        if (conversion === 'X') digits = digits.toUpperCase();
+        if (precision !== null) digits = precision === 0 && value === 0n ? '' : digits.padStart(precision, '0');
+        let prefix = '';
+        if (flags.includes('#') && value !== 0n) {
+          if (conversion === 'o' && !digits.startsWith('0')) digits = `0${digits}`;
+          if (conversion === 'x') prefix = '0x';
+          if (conversion === 'X') prefix = '0X';
+        }
+        out += pad(digits, { ...spec, zero: spec.zero && precision === null }, prefix);
+        break;
+      }
+      case 'c':
+        out += pad(String.fromCharCode(Number(nextArg('int')) & 0xff), { ...spec, zero: false });
+        break;
+      case 's': {
+        const text = nextArg('string');
+        out += pad(precision === null ? text : text.slice(0, precision), { ...spec, zero: false });
+        break;
+      }
+      case 'p':
+        out += pad(`0x${(Number(nextArg('int')) >>> 0).toString(16)}`, { ...spec, zero: false });
+        break;
+      case 'n':
+        nextArg('int');
+        break;
+      default: {
+        const value = Number(nextArg('double'));
+        const text = formatFloat(value, conversion, precision, flags.includes('#'));
+        out += pad(text, { ...spec, zero: spec.zero && Number.isFinite(value) }, signFor(value < 0 || Object.is(value, -0)));
+      }
+    }
+  }
+  return out + format.slice(last);
+};
+
+const SPACE = /\s/;
+const INTEGER_PATTERNS = {
+  d: /^[+-]?\d+/,
+  u: /^[+-]?\d+/,
+  i: /^[+-]?(0[xX][0-9a-fA-F]+|0[0-7]*|[1-9]\d*)/,
+  x: /^[+-]?(0[xX])?[0-9a-fA-F]+/,
+  X: /^[+-]?(0[xX])?[0-9a-fA-F]+/,
+  o: /^[+-]?[0-7]+/
+};
+const FLOAT_PATTERN = /^[+-]?(inf(inity)?|nan|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/i;
+
+const parseInteger = (text, conversion) => {
+  const negative = text.startsWith('-');
+  const digits = text.replace(/^[+-]/, '');
+  let value;
+  if (conversion === 'x' || conversion === 'X') value = BigInt(`0x${digits.replace(/^0[xX]/, '') || '0'}`);
+  else if (conversion === 'o') value = BigInt(`0o${digits}`);
+  else if (conversion === 'i' && /^0[xX]/.test(digits)) value = BigInt(digits);
+  else if (conversion === 'i' && /^0[0-7]+$/.test(digits)) value = BigInt(`0o${digits.slice(1)}`);
+  else value = BigInt(digits);
+  return negative ? -value : value;
+};
+
+// Read `input` from `pos` as scanf would. Returns { assigned: [{ conversion,
+// length, value }], count, pos, eof } where `value` is a BigInt for integer
+// conversions, a number for floats and a byte string for %s, %c and %[.
+// `eof` is set when the input ran out before the first conversion, i.e.
+// when scanf would return EOF.
+export const scanFormat = (format, input, pos = 0) => {
+  const assigned = [];
+  let count = 0;
+  let converted = false;
+  let i = 0;
+  const skipSpace = () => {
+    while (pos < input.length && SPACE.test(input[pos])) pos++;
+  };
+  const result = (eof = false) => ({ assigned, count, pos, eof: eof && !converted });
+
+  while (i < format.length) {
+    const ch = format[i];
+    if (SPACE.test(ch)) {
+      skipSpace();
+      i++;
+      continue;
+    }
+    if (ch !== '%' || format[i + 1] === '%') {
+      if (ch === '%') {
+        skipSpace();
+        i++;
+      }
+      if (pos >= input.length) return result(true);
+      if (input[pos] !== ch) return result();
+      pos++;
+      i++;
+      continue;
+    }
+
+    const m = format.slice(i).match(/^%(\*)?(\d+)?(hh|h|ll|l|j|z|t|L)?([diouxXeEfFgGaAcsn[])/);
+    if (!m) return result();
+    i += m[0].length;
+    const [, suppress, widthText, length = '', conversion] = m;
+    const width = widthText ? Number(widthText) : Infinity;
+    let value;
+
+    if (conversion === 'n') {
+      value = BigInt(pos);
+    } else if (conversion === 'c') {
+      const n = widthText ? width : 1;
+      if (pos >= input.length) return result(true);
+      if (pos + n > input.length) return result();
+      value = input.slice(pos, pos + n);
+      pos += n;
+    } else if (conversion === '[') {
+      const close = format.indexOf(']', format[i] === '^' ? i + 2 : i + 1);
+      if (close === -1) return result();
+      const negate = format[i] === '^';
+      const set = format.slice(negate ? i + 1 : i, close);
+      i = close + 1;
+      const inSet = (c) => {
+        for (let k = 0; k < set.length; k++) {
+          if (set[k + 1] === '-' && k + 2 < set.length) {
+            if (c >= set[k] && c <= set[k + 2]) return true;
+            k += 2;
+          } else if (set[k] === c) {
+            return true;
+          }
+        }
+        return false;
+      };
+      if (pos >= input.length) return result(true);
+      let end = pos;
+      while (end < input.length && end - pos < width && inSet(input[end]) !== negate) end++;
+      if (end === pos) return result();
+      value = input.slice(pos, end);
+      pos = end;
+    } else {
+      skipSpace();
+      if (pos >= input.length) return result(true);
+      const rest = input.slice(pos, width === Infinity ? undefined : pos + width);
+      if (conversion === 's') {
+        const word = rest.match(/^\S+/)[0];
+        value = word;
+        pos += word.length;
+      } else if ('eEfFgGaA'.includes(conversion)) {
+        const number = rest.match(FLOAT_PATTERN);
+        if (!number) return result();
+        value = parseFloat(number[0].replace(/^([+-]?)inf(inity)?$/i, '$1Infinity'));
+        pos += number[0].length;
+      } else {
+        const number = rest.match(INTEGER_PATTERNS[conversion] || INTEGER_PATTERNS.d);
+        if (!number) return result();
+        value = parseInteger(number[0], conversion);
+        pos += number[0].length;
+      }
+    }
+
+    if (conversion !== 'n') converted = true;
+    if (!suppress) {
+      assigned.push({ conversion, length, value });
+      if (conversion !== 'n') count++;
+    }
+  }
+  return result();
+};
@@ -0,0 +1,29 @@
+// Tests for printf formatting. Run with `node --test public/src`.
+// Expected strings are what glibc prints for the same calls.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatPrintf } from './format.js';
+
+const printf = (format, ...args) => formatPrintf(format, () => args.shift());
+
+describe('printf floating point', () => {
+  it('rounds exact ties half to even, as glibc does', () => {
+    assert.equal(printf('[%.2f] [%.0f] [%.1f] [%.0f] [%.1f]', 0.125, 2.5, 3.25, 3.5, 0.05), '[0.12] [2] [3.2] [4] [0.1]');
+    assert.equal(printf('[%.1e] [%.0e]', 2.25, 2.5), '[2.2e+00] [2e+00]');
+  });
+
+  it('rounds the exact binary value, not the shortest decimal', () => {
+    assert.equal(printf('[%.2f] [%.3f]', 2.675, 1.0005), '[2.67] [1.000]');
+    assert.equal(printf('[%f] [%.2e]', 1e23, 1e23), '[99999999999999991611392.000000] [1.00e+23]');
+  });
+
+  it('formats %g', () => {
+    assert.equal(printf('[%g] [%.3g] [%g] [%g] [%g]', 0.0001234, 999.5, 100000, 1e6, 2.5), '[0.0001234] [1e+03] [100000] [1e+06] [2.5]');
+  });
+
+  it('applies flags and widths', () => {
+    assert.equal(printf('[%#.0f] [%#.0e] [%8.3f] [%-8.1f|] [%08.2f]', 2, 3, -3.14159, 2.25, -1.005), '[2.] [3.e+00] [  -3.142] [2.2     |] [-0001.00]');
+    assert.equal(printf('[%e]', 0), '[0.000000e+00]');
+  });
+});
@@ -0,0 +1,1767 @@
+// Step-through interpreter for the execution visualizer. It walks the tree
+// from lib/c/parser.js over a byte-addressed memory laid out like the
+// wasm32 build (ILP32 sizes from lib/c/types.js), so arrays, pointer
+// arithmetic, structs and the heap behave like the compiled program, and
+// records a snapshot before every statement. A pointer remembers the block
+// it was made from, so walking it past that block is reported even when
+// the address lands in a neighbouring variable.
+//
+// traceProgram(files, { stdin, args, maxSteps }) -> {
+//   status: 'ok' | 'error' | 'limit' | 'unsupported',
+//   error: { message, line, file } | null,
+//   exitCode, stdout,
+//   steps: [Step]
+// }
+//
+// Step: { line, file, event: 'line' | 'return' | 'error', returnValue?,
+//   stdout (length of the output so far), frames: [Frame], globals: [Variable], heap: [HeapBlock] }
+// Frame: { id, name, line, file, variables: [Variable] }     outermost call first
+// Variable: { name, type, address, value: View }
+// HeapBlock: { id, address, size, label, type, freed, line, value: View | null }
+// View (what the UI draws):
+//   { kind: 'scalar', address, text, uninit? }
+//   { kind: 'pointer', address, text, target, label, state: 'ok' | 'freed' | 'dangling' | 'invalid' | 'function', string? }
+//   { kind: 'array', address, elements: [View], more, string? }
+//   { kind: 'struct', address, fields: [{ name, value: View }] }
+//
+// 'error' means the program itself did something wrong (out-of-bounds
+// access, NULL dereference, use after free...); 'unsupported' means the
+// visualizer cannot run it (syntax errors, file I/O, goto...).
+
+import { parse } from './parser.js';
+import {
+  INT, CHAR, DOUBLE, SIZE_T, base, pointerTo, arrayOf, sizeOf, alignOf, commonType, typeToString,
+  isInteger, isFloating, isArithmetic, isPointer, isArray, isCharType, isVoid, pointee
+} from './types.js';
+import { formatPrintf, scanFormat } from './format.js';
+import { isSource } from '../project.js';
+
+export const MAX_STEPS = 2000;
+const MAX_OPERATIONS = 2000000;
+const MAX_DEPTH = 200;
+const MAX_SHOWN_ELEMENTS = 64;
+const MAX_VIEW_DEPTH = 4;
+
+// Address space. Everything below NULL_GUARD faults like a NULL pointer.
+const FUNCTION_BASE = 0x100; // function pointers are FUNCTION_BASE + 4 * index
+const STREAM_BASE = 0x800; // stdin, stdout, stderr
+const NULL_GUARD = 0x1000;
+const DATA_BASE = 0x1000; // globals, statics, string literals, argv
+const STACK_BASE = 0x40000;
+const HEAP_BASE = 0x100000;
+const MEMORY_SIZE = 0x200000;
+
+const STREAMS = { stdin: STREAM_BASE, stdout: STREAM_BASE + 4, stderr: STREAM_BASE + 8 };
+const FILE_PTR = pointerTo({ kind: 'named', name: 'FILE' });
+const VOID_PTR = pointerTo(base('void'));
+const CHAR_PTR = pointerTo(CHAR);
+const LONG_LONG = base('long long');
+const VOID = base('void');
+
+// Something the program did wrong, or something the visualizer cannot do.
+class TraceError extends Error {
+  constructor(message, node, status = 'error') {
+    super(message);
+    this.node = node;
+    this.status = status;
+  }
+}
+
+class LimitReached extends Error {}
+
+class ExitSignal {
+  constructor(code) {
+    this.code = code;
+  }
+}
+
+// Macros from the standard headers that the parser leaves as identifiers.
+const BUILTIN_CONSTANTS = {
+  EOF: [INT, -1],
+  EXIT_SUCCESS: [INT, 0],
+  EXIT_FAILURE: [INT, 1],
+  RAND_MAX: [INT, 0x7fff],
+  CHAR_MIN: [INT, -128],
+  CHAR_MAX: [INT, 127],
+  SHRT_MIN: [INT, -32768],
+  SHRT_MAX: [INT, 32767],
+  INT_MIN: [INT, -0x80000000],
+  INT_MAX: [INT, 0x7fffffff],
+  UINT_MAX: [base('int', true), 0xffffffff],
+  LONG_MIN: [base('long'), -0x80000000],
+  LONG_MAX: [base('long'), 0x7fffffff],
+  LLONG_MAX: [LONG_LONG, 0x7fffffffffffffffn],
+  LLONG_MIN: [LONG_LONG, -0x8000000000000000n],
+  M_PI: [DOUBLE, Math.PI],
+  M_E: [DOUBLE, Math.E]
+};
+
+const BREAK = { signal: 'break' };
+const CONTINUE = { signal: 'continue' };
+
+const hex = (address) => `0x${(address >>> 0).toString(16)}`;
+const alignUp = (n, align) => Math.ceil(n / align) * align;
+
+const toBytes = (text) => {
+  let bytes = '';
+  for (const ch of text) {
+    const code = ch.codePointAt(0);
+    bytes += code < 0x100 ? ch : String.fromCharCode(...new TextEncoder().encode(ch));
+  }
+  return bytes;
+};
+
+// Wrap an integer to the width and signedness of `type`. 64-bit values are
+// BigInts so long long arithmetic stays exact.
+const wrapInteger = (value, type) => {
+  const size = sizeOf(type) || 4;
+  const unsigned = Boolean(type.unsigned);
+  if (size >= 8) {
+    const big = typeof value === 'bigint' ? value : BigInt(Math.trunc(Number.isFinite(value) ? value : 0));
+    return unsigned ? BigInt.asUintN(64, big) : BigInt.asIntN(64, big);
+  }
+  let n = typeof value === 'bigint' ? Number(BigInt.asIntN(32, value)) : Math.trunc(Number.isFinite(value) ? value : 0);
+  if (size === 4) return unsigned ? n >>> 0 : n | 0;
+  const bits = size * 8;
+  n &= (1 << bits) - 1;
+  return !unsigned && n >= 1 << (bits - 1) ? n - (1 << bits) : n;
+};
+
+const is64 = (type) => isInteger(type) && sizeOf(type) >= 8;
+
+// Integers are Numbers, or BigInts for 64-bit types.
+const isZero = (value) => value === 0 || value === 0n;
+const sameInteger = (a, b) => (typeof a === typeof b ? a === b : BigInt(a) === BigInt(b));
+
+// Convert a value between types as an assignment or cast would.
+const castValue = (value, to) => {
+  if (!to || to.kind === 'struct' || to.kind === 'array') return value;
+  if (isVoid(to)) return 0;
+  if (isFloating(to)) {
+    const n = Number(value);
+    return to.name === 'float' ? Math.fround(n) : n;
+  }
+  if (to.kind === 'base' && to.name === 'bool') return isZero(value) ? 0 : 1;
+  if (to.kind === 'pointer' || to.kind === 'named' || to.kind === 'function') return wrapInteger(value, SIZE_T);
+  return wrapInteger(value, to.kind === 'enum' ? INT : to);
+};
+
+// Usual arithmetic conversions, including unsigned winning at equal width.
+const arithmeticType = (a, b) => {
+  const common = commonType(a.kind === 'enum' ? INT : a, b.kind === 'enum' ? INT : b) || INT;
+  if (isInteger(common) && (a.unsigned || b.unsigned) && sizeOf(a) === sizeOf(common) && sizeOf(b) === sizeOf(common)) {
+    return { ...common, unsigned: true };
+  }
+  return common;
+};
+
+const promote = (type) => (isInteger(type) && (sizeOf(type) < 4 || type.kind === 'enum') ? INT : type);
+
+// Byte offsets of a struct's fields, the way types.js sizes them.
+const layoutStruct = (def, structs) => {
+  let offset = 0;
+  return def.fields.map((field) => {
+    const size = sizeOf(field.type, structs) ?? 0;
+    const align = alignOf(field.type, structs);
+    const at = def.union ? 0 : alignUp(offset, align);
+    offset = def.union ? Math.max(offset, size) : at + size;
+    return { ...field, offset: at };
+  });
+};
+
+// Snapshot-friendly rendering of numbers.
+const formatNumber = (value, type) => {
+  if (isFloating(type)) {
+    if (!Number.isFinite(value)) return String(value);
+    const text = Number(value.toPrecision(type.name === 'float' ? 7 : 15)).toString();
+    return /[.e]/.test(text) || !Number.isFinite(value) ? text : `${text}.0`;
+  }
+  if (type.kind === 'base' && type.name === 'bool') return value ? 'true' : 'false';
+  if (isCharType(type)) {
+    const code = Number(value) & 0xff;
+    const shown = { 0: '\\0', 10: '\\n', 9: '\\t', 13: '\\r', 39: "\\'", 92: '\\\\' }[code];
+    if (shown) return `'${shown}'`;
+    return code >= 32 && code < 127 ? `'${String.fromCharCode(code)}'` : String(value);
+  }
+  return String(value);
+};
+
+export const traceProgram = (files, { stdin = '', args = [], maxSteps = MAX_STEPS } = {}) => {
+  const steps = [];
+  const decoder = new TextDecoder();
+  let stdout = '';
+  let exitCode = null;
+
+  const finish = (status, error = null) => ({ status, error, exitCode, stdout, steps });
+
+  // --- Parse every source file of the project ---
+  const contents = new Map(files.map((f) => [f.name, f.content]));
+  const resolveInclude = (name) => contents.get(name) ?? null;
+  const structs = new Map();
+  const enumConstants = new Map();
+  const functions = new Map();
+  const globalDeclarations = [];
+  for (const file of files.filter((f) => isSource(f.name))) {
+    const program = parse(file.content, { resolveInclude });
+    if (program.errors.length) {
+      const e = program.errors[0];
+      return finish('unsupported', {
+        message: `Fix the syntax error first: ${e.message}`,
+        line: e.line,
+        file: e.file || file.name
+      });
+    }
+    for (const [name, def] of program.structs) structs.set(name, def);
+    for (const [name, value] of program.enumConstants) enumConstants.set(name, value);
+    for (const item of program.body) {
+      const fileName = item.file || file.name;
+      if (item.type === 'FunctionDef') {
+        if (!functions.has(item.name)) functions.set(item.name, { def: item, file: fileName });
+      } else {
+        globalDeclarations.push({ declaration: item, file: fileName });
+      }
+    }
+  }
+  const main = functions.get('main');
+  if (!main) return finish('unsupported', { message: 'There is no `main` function to start from.', line: 1, file: null });
+  const functionList = [...functions.values()];
+
+  // --- Memory ---
+  const memory = new Uint8Array(MEMORY_SIZE);
+  const view = new DataView(memory.buffer);
+  const written = new Uint8Array(MEMORY_SIZE);
+  const liveBlocks = [];
+  const deadBlocks = [];
+  const heapBlocks = [];
+  let nextBlockId = 1;
+  let dataTop = DATA_BASE;
+  let stackTop = STACK_BASE;
+  let heapTop = HEAP_BASE;
+  let operations = 0;
+
+  // region: 'global' | 'stack' | 'heap' | 'literal'
+  const allocate = (region, size, type, name, node) => {
+    const align = region === 'heap' ? 8 : Math.max(1, alignOf(type, structs));
+    let address;
+    if (region === 'stack') {
+      address = alignUp(stackTop, align);
+      if (address + size > HEAP_BASE) throw new TraceError('Stack overflow: the local variables no longer fit on the stack.', node);
+      stackTop = address + Math.max(size, 1);
+    } else if (region === 'heap') {
+      address = alignUp(heapTop, align);
+      if (address + size > MEMORY_SIZE) return null;
+      heapTop = address + Math.max(size, 1);
+    } else {
+      address = alignUp(dataTop, align);
+      if (address + size > STACK_BASE) throw new TraceError('The program has more global data than the visualizer can hold.', node, 'unsupported');
+      dataTop = address + Math.max(size, 1);
+    }
+    memory.fill(0, address, address + size);
+    written.fill(region === 'global' || region === 'literal' ? 1 : 0, address, address + size);
+    const block = { id: nextBlockId++, address, size, type, name, region, line: node?.line ?? null, live: true };
+    // A new stack variable reuses the addresses of ones that went away.
+    for (let i = deadBlocks.length - 1; i >= 0; i--) {
+      const dead = deadBlocks[i];
+      if (dead.region === 'stack' && dead.address < address + size && address < dead.address + dead.size) deadBlocks.splice(i, 1);
+    }
+    liveBlocks.push(block);
+    if (region === 'heap') {
+      block.name = `heap #${heapBlocks.length + 1}`;
+      heapBlocks.push(block);
+    }
+    return block;
+  };
+
+  const release = (block, reason) => {
+    block.live = false;
+    block.reason = reason;
+    liveBlocks.splice(liveBlocks.lastIndexOf(block), 1);
+    if (block.region === 'stack' || block.region === 'heap') deadBlocks.push(block);
+  };
+
+  const blockAt = (address) => {
+    for (let i = liveBlocks.length - 1; i >= 0; i--) {
+      const b = liveBlocks[i];
+      if (address >= b.address && address < b.address + Math.max(b.size, 1)) return b;
+    }
+    return null;
+  };
+
+  const deadBlockAt = (address) =>
+    deadBlocks.findLast((b) => address >= b.address && address < b.address + Math.max(b.size, 1)) || null;
+
+  const blockName = (block) => {
+    if (block.region === 'heap') return `${block.name.replace('heap', 'heap block')} (allocated on line ${block.line})`;
+    if (block.region === 'literal') return 'a string literal';
+    return `\`${block.name}\``;
+  };
+
+  const elementInfo = (block) => {
+    if (!isArray(block.type)) return null;
+    const size = sizeOf(block.type.of, structs);
+    return size ? { size, count: block.type.size ?? Math.floor(block.size / size) } : null;
+  };
+
+  // Why an access of `size` bytes at `address` is not allowed.
+  const badAccess = (address, size, write, node) => {
+    const verb = write ? 'write' : 'read';
+    if (address < NULL_GUARD) {
+      return new TraceError(
+        address === 0
+          ? `NULL pointer dereference: the program tries to ${verb} through a pointer that is NULL.`
+          : `Invalid memory ${verb} at ${hex(address)}, right next to NULL. Is the pointer initialized?`,
+        node
+      );
+    }
+    const inside = blockAt(address);
+    if (inside) {
+      return new TraceError(
+        `Out-of-bounds ${verb}: ${size} bytes starting at ${labelFor(address)} run past the end of ${blockName(inside)} (${inside.size} bytes).`,
+        node
+      );
+    }
+    const dead = deadBlockAt(address);
+    if (dead) {
+      return new TraceError(
+        dead.region === 'heap'
+          ? `Use after free: ${blockName(dead)} was already freed.`
+          : `Dangling pointer: \`${dead.name}\` no longer exists because ${dead.reason}.`,
+        node
+      );
+    }
+    const near = liveBlocks.findLast((b) => b.region !== 'literal' && address >= b.address - 256 && address < b.address + b.size + 256);
+    if (near) return outOfBounds(near, address, write, node);
+    return new TraceError(`Invalid memory ${verb} at ${hex(address)}: it is not inside any variable or allocated block. Is the pointer initialized?`, node);
+  };
+
+  const outOfBounds = (block, address, write, node) => {
+    const verb = write ? 'write' : 'read';
+    const element = elementInfo(block);
+    if (element && (address - block.address) % element.size === 0) {
+      const index = (address - block.address) / element.size;
+      return new TraceError(
+        `Out-of-bounds ${verb}: index ${index} of ${blockName(block)}, which has ${element.count} element${element.count === 1 ? '' : 's'} (valid indexes are 0 to ${element.count - 1}).`,
+        node
+      );
+    }
+    const where = address < block.address ? 'before the start' : 'past the end';
+    return new TraceError(`Out-of-bounds ${verb}: ${hex(address)} is ${where} of ${blockName(block)}.`, node);
+  };
+
+  // `a[i]` must stay inside the array `a` points into, even when the
+  // address happens to land in a neighbouring variable.
+  const checkOrigin = (lv, write, node) => {
+    const { origin } = lv;
+    if (!origin?.live) return;
+    const size = sizeOf(lv.type, structs) || 1;
+    if (lv.address < origin.address || lv.address + size > origin.address + origin.size) {
+      throw outOfBounds(origin, lv.address, write, node);
+    }
+  };
+
+  const checkAccess = (address, size, write, node) => {
+    const block = address >= NULL_GUARD ? blockAt(address) : null;
+    if (!block || address + size > block.address + block.size) throw badAccess(address, size, write, node);
+    if (write && block.region === 'literal') {
+      throw new TraceError('String literals are read-only: copy the text into a `char` array before changing it.', node);
+    }
+    return block;
+  };
+
+  const readScalar = (address, type) => {
+    if (type.kind === 'pointer' || type.kind === 'named' || type.kind === 'function') return view.getUint32(address, true);
+    if (type.kind === 'enum') return view.getInt32(address, true);
+    switch (type.name) {
+      case 'bool': return memory[address] ? 1 : 0;
+      case 'char': return type.unsigned ? view.getUint8(address) : view.getInt8(address);
+      case 'short': return type.unsigned ? view.getUint16(address, true) : view.getInt16(address, true);
+      case 'long long': return type.unsigned ? view.getBigUint64(address, true) : view.getBigInt64(address, true);
+      case 'float': return view.getFloat32(address, true);
+      case 'double':
+      case 'long double': return view.getFloat64(address, true);
+      default: return type.unsigned ? view.getUint32(address, true) : view.getInt32(address, true);
+    }
+  };
+
+  const writeScalar = (address, type, value) => {
+    if (type.kind === 'pointer' || type.kind === 'named' || type.kind === 'function') return view.setUint32(address, Number(value) >>> 0, true);
+    if (type.kind === 'enum') return view.setInt32(address, Number(value) | 0, true);
+    switch (type.name) {
+      case 'bool':
+      case 'char': return view.setUint8(address, Number(value) & 0xff);
+      case 'short': return view.setUint16(address, Number(value) & 0xffff, true);
+      case 'long long': return view.setBigUint64(address, BigInt.asUintN(64, BigInt(value)), true);
+      case 'float': return view.setFloat32(address, Number(value), true);
+      case 'double':
+      case 'long double': return view.setFloat64(address, Number(value), true);
+      default: return view.setUint32(address, Number(value) >>> 0, true);
+    }
+  };
+
+  const sizeOfType = (type, node) => {
+    const size = sizeOf(type, structs);
+    if (size == null) {
+      throw new TraceError(`The size of \`${typeToString(type)}\` is not known here.`, node, 'unsupported');
+    }
+    return size;
+  };
+
+  const load = (address, type, node) => {
+    if (type.kind === 'struct') {
+      const size = sizeOfType(type, node);
+      checkAccess(address, size, false, node);
+      return memory.slice(address, address + size);
+    }
+    checkAccess(address, sizeOfType(type, node), false, node);
+    return readScalar(address, type);
+  };
+
+  // Pointers stored into the start of an untyped heap block give the block its type.
+  const inferHeapType = (pointerType, value) => {
+    const block = Number(value) >= HEAP_BASE ? blockAt(Number(value)) : null;
+    if (!block || block.type || block.address !== Number(value) || block.region !== 'heap') return;
+    const element = pointee(pointerType);
+    const size = element && !isVoid(element) ? sizeOf(element, structs) : null;
+    if (!size) return;
+    const count = Math.floor(block.size / size);
+    block.type = count > 1 ? arrayOf(element, count) : element;
+  };
+
+  // The block each stored pointer was made from, with the value it was
+  // stored as: a slot overwritten some other way (memcpy, a struct copy, a
+  // new variable at the same address) no longer matches and is ignored.
+  const pointerOrigins = new Map();
+  const originAt = (address, value) => {
+    const entry = pointerOrigins.get(address);
+    return entry && entry.value === value ? entry.origin : null;
+  };
+
+  const store = (address, type, value, node, origin = null) => {
+    const size = sizeOfType(type, node);
+    checkAccess(address, size, true, node);
+    if (type.kind === 'struct') memory.set(value.subarray(0, size), address);
+    else writeScalar(address, type, value);
+    written.fill(1, address, address + size);
+    if (isPointer(type)) {
+      inferHeapType(type, value);
+      if (origin) pointerOrigins.set(address, { origin, value: readScalar(address, type) });
+      else pointerOrigins.delete(address);
+    }
+  };
+
+  const writeBytes = (address, bytes, node) => {
+    if (!bytes.length) return;
+    checkAccess(address, bytes.length, true, node);
+    for (let i = 0; i < bytes.length; i++) memory[address + i] = bytes.charCodeAt(i) & 0xff;
+    written.fill(1, address, address + bytes.length);
+  };
+
+  const readBytes = (address, length, node) => {
+    if (!length) return '';
+    checkAccess(address, length, false, node);
+    let bytes = '';
+    for (let i = 0; i < length; i++) bytes += String.fromCharCode(memory[address + i]);
+    return bytes;
+  };
+
+  // A NUL-terminated string, as a byte string.
+  const readString = (address, node) => {
+    const block = checkAccess(address, 1, false, node);
+    const end = block.address + block.size;
+    let bytes = '';
+    for (let a = address; a < end; a++) {
+      if (memory[a] === 0) return bytes;
+      bytes += String.fromCharCode(memory[a]);
+    }
+    throw new TraceError(
+      `The string in ${blockName(block)} has no terminating '\\0', so reading it runs past the end. Leave room for the '\\0'.`,
+      node
+    );
+  };
+
+  const literals = new Map();
+  const stringLiteral = (node) => {
+    if (!literals.has(node)) {
+      const bytes = toBytes(node.value);
+      const block = allocate('literal', bytes.length + 1, arrayOf(CHAR, bytes.length + 1), JSON.stringify(node.value), node);
+      for (let i = 0; i < bytes.length; i++) memory[block.address + i] = bytes.charCodeAt(i);
+      literals.set(node, block.address);
+    }
+    return literals.get(node);
+  };
+
+  // --- Output ---
+  let stdinBytes = toBytes(stdin);
+  let stdinPos = 0;
+  const writeOut = (bytes) => {
+    stdout += decoder.decode(Uint8Array.from(bytes, (c) => c.charCodeAt(0)), { stream: true });
+  };
+
+  // --- Variables and frames ---
+  const globals = new Map();
+  const globalList = [];
+  const staticLocals = new Map();
+  const callStack = [];
+  let frameIds = 0;
+  const currentFrame = () => callStack[callStack.length - 1];
+
+  const lookup = (name) => {
+    const frame = currentFrame();
+    if (frame) {
+      for (let i = frame.scopes.length - 1; i >= 0; i--) {
+        const v = frame.scopes[i].get(name);
+        if (v) return v;
+      }
+    }
+    return globals.get(name) || null;
+  };
+
+  const bind = (variable) => {
+    const frame = currentFrame();
+    if (frame) frame.scopes[frame.scopes.length - 1].set(variable.name, variable);
+    else {
+      globals.set(variable.name, variable);
+      globalList.push(variable);
+    }
+  };
+
+  const enterScope = () => {
+    const frame = currentFrame();
+    frame.scopes.push(new Map());
+    return stackTop;
+  };
+
+  const leaveScope = (savedTop, reason) => {
+    const scope = currentFrame().scopes.pop();
+    for (const v of scope.values()) if (!v.static) release(v.block, reason);
+    stackTop = savedTop;
+  };
+
+  // --- Snapshots ---
+
+  const functionAt = (address) => {
+    const index = (address - FUNCTION_BASE) / 4;
+    return Number.isInteger(index) && index >= 0 && index < functionList.length ? functionList[index] : null;
+  };
+
+  // Where an address points, e.g. "arr[2]", "p->next" style paths as "node.next".
+  const pathIn = (type, offset) => {
+    if (isArray(type)) {
+      const size = sizeOf(type.of, structs) || 1;
+      const index = Math.floor(offset / size);
+      return `[${index}]${pathIn(type.of, offset - index * size)}`;
+    }
+    if (type.kind === 'struct' && structs.has(type.name)) {
+      const fields = layoutStruct(structs.get(type.name), structs);
+      const field = fields.findLast((f) => f.offset <= offset);
+      if (field && offset > 0) return `.${field.name}${pathIn(field.type, offset - field.offset)}`;
+    }
+    return offset > 0 ? `+${offset}` : '';
+  };
+
+  function labelFor(address) {
+    const fn = functionAt(address);
+    if (fn) return `function ${fn.def.name}`;
+    const block = blockAt(address) || deadBlockAt(address);
+    if (block) {
+      const offset = address - block.address;
+      if (!block.type && offset) return `${block.name}+${offset}`;
+      return `${block.name}${pathIn(block.type, offset)}`;
+    }
+    // One past the end of an array is a valid pointer, just not dereferenceable.
+    const before = blockAt(address - 1);
+    if (before && address === before.address + before.size) {
+      const element = elementInfo(before);
+      return element ? `${before.name}[${element.count}] (one past the end)` : `end of ${before.name}`;
+    }
+    return hex(address);
+  }
+
+  const pointerState = (value) => {
+    if (functionAt(value)) return 'function';
+    if (blockAt(value)) return 'ok';
+    const before = blockAt(value - 1);
+    if (before && before.address + before.size === value) return 'ok';
+    const dead = deadBlockAt(value);
+    if (dead) return dead.region === 'heap' ? 'freed' : 'dangling';
+    return 'invalid';
+  };
+
+  const isWritten = (address, size) => {
+    for (let i = 0; i < size; i++) if (!written[address + i]) return false;
+    return true;
+  };
+
+  const stringPreview = (address) => {
+    const block = blockAt(address);
+    if (!block) return null;
+    let text = '';
+    for (let a = address; a < block.address + block.size; a++) {
+      if (memory[a] === 0) return text;
+      if (!written[a]) return null;
+      text += String.fromCharCode(memory[a]);
+      if (text.length > 40) return `${text}…`;
+    }
+    return null;
+  };
+
+  const describeValue = (address, type, depth = 0) => {
+    if (isArray(type)) {
+      const count = type.size ?? 0;
+      const size = sizeOf(type.of, structs) || 1;
+      const shown = Math.min(count, MAX_SHOWN_ELEMENTS);
+      const elements = [];
+      if (depth < MAX_VIEW_DEPTH) {
+        for (let i = 0; i < shown; i++) elements.push(describeValue(address + i * size, type.of, depth + 1));
+      }
+      const result = { kind: 'array', address, elements, more: count - elements.length };
+      if (isCharType(type.of)) {
+        const text = stringPreview(address);
+        if (text != null) result.string = text;
+      }
+      return result;
+    }
+    if (type.kind === 'struct') {
+      const def = structs.get(type.name);
+      if (!def || depth >= MAX_VIEW_DEPTH) return { kind: 'scalar', address, text: '{…}' };
+      return {
+        kind: 'struct',
+        address,
+        fields: layoutStruct(def, structs).map((f) => ({ name: f.name, value: describeValue(address + f.offset, f.type, depth + 1) }))
+      };
+    }
+    const size = sizeOf(type, structs) || 4;
+    if (!isWritten(address, size)) return { kind: 'scalar', address, text: '?', uninit: true };
+    const value = readScalar(address, type);
+    if (type.kind === 'pointer') {
+      if (value === 0) return { kind: 'pointer', address, text: 'NULL', target: null, label: null, state: 'ok' };
+      const result = { kind: 'pointer', address, text: hex(value), target: value, label: labelFor(value), state: pointerState(value) };
+      if (result.state === 'ok' && isCharType(type.to)) {
+        const text = stringPreview(value);
+        if (text != null) result.string = text;
+      }
+      return result;
+    }
+    if (type.kind === 'named') return { kind: 'scalar', address, text: hex(value) };
+    return { kind: 'scalar', address, text: type.kind === 'enum' ? enumName(value) : formatNumber(value, type) };
+  };
+
+  const enumName = (value) => {
+    for (const [name, v] of enumConstants) if (v === value) return `${name} (${value})`;
+    return String(value);
+  };
+
+  const describeVariable = (v) => ({ name: v.name, type: typeToString(v.type), address: v.address, value: describeValue(v.address, v.type) });
+
+  const describeHeap = () => heapBlocks.map((block) => ({
+    id: block.id,
+    address: block.address,
+    size: block.size,
+    label: block.name,
+    type: block.type ? typeToString(block.type) : null,
+    freed: !block.live,
+    line: block.line,
+    value: block.live && block.type ? describeValue(block.address, block.type) : null
+  }));
+
+  const snapshot = (node, event = 'line', extra = {}) => {
+    if (event !== 'error' && steps.length >= maxSteps) throw new LimitReached();
+    const frame = currentFrame();
+    const file = node?.file || frame?.file || null;
+    if (frame && node) {
+      frame.line = node.line;
+      frame.lineFile = file;
+    }
+    steps.push({
+      line: node?.line ?? null,
+      file,
+      event,
+      ...extra,
+      stdout: stdout.length,
+      frames: callStack.map((f) => ({
+        id: f.id,
+        name: f.name,
+        line: f.line,
+        file: f.lineFile,
+        variables: f.scopes.flatMap((scope) => [...scope.values()]).map(describeVariable)
+      })),
+      globals: globalList.map(describeVariable),
+      heap: describeHeap()
+    });
+  };
+
+  const tick = () => {
+    if (++operations > MAX_OPERATIONS) throw new LimitReached();
+  };
+
+  // --- Types of expressions (for sizeof and &) ---
+
+  const fieldOf = (structType, name, node) => {
+    const def = structType?.kind === 'struct' ? structs.get(structType.name) : null;
+    if (!def) throw new TraceError(`\`.${name}\` is used on something that is not a known struct.`, node, 'unsupported');
+    const field = layoutStruct(def, structs).find((f) => f.name === name);
+    if (!field) throw new TraceError(`\`${typeToString(structType)}\` has no field \`${name}\`.`, node, 'unsupported');
+    return field;
+  };
+
+  const staticType = (node) => {
+    switch (node.type) {
+      case 'Identifier': {
+        const v = lookup(node.name);
+        if (v) return v.type;
+        if (enumConstants.has(node.name)) return INT;
+        const fn = functions.get(node.name);
+        return fn ? functionType(fn.def) : INT;
+      }
+      case 'NumberLiteral': return node.isFloat ? (node.suffix.includes('f') ? base('float') : DOUBLE) : literalType(node);
+      case 'CharLiteral': return INT;
+      case 'StringLiteral': return arrayOf(CHAR, toBytes(node.value).length + 1);
+      case 'Index': return pointee(staticType(node.object)) || pointee(staticType(node.index)) || INT;
+      case 'Member': {
+        const objectType = node.arrow ? pointee(staticType(node.object)) : staticType(node.object);
+        return fieldOf(objectType, node.property, node).type;
+      }
+      case 'Unary':
+        if (node.operator === '*') return pointee(staticType(node.argument)) || INT;
+        if (node.operator === '&') return pointerTo(staticType(node.argument));
+        if (node.operator === '!') return INT;
+        return promote(staticType(node.argument));
+      case 'Cast': return node.targetType;
+      case 'SizeofType':
+      case 'SizeofExpr': return SIZE_T;
+      case 'Call': {
+        const callee = node.callee.type === 'Identifier' ? functions.get(node.callee.name) : null;
+        return callee ? callee.def.returnType : INT;
+      }
+      case 'Assignment':
+      case 'Update': return staticType(node.left || node.argument);
+      case 'Conditional': return staticType(node.consequent);
+      case 'Comma': return staticType(node.expressions[node.expressions.length - 1]);
+      case 'Binary': {
+        if (['<', '>', '<=', '>=', '==', '!=', '&&', '||'].includes(node.operator)) return INT;
+        const left = staticType(node.left);
+        const right = staticType(node.right);
+        if (isPointer(left) || isArray(left)) return node.operator === '-' && (isPointer(right) || isArray(right)) ? INT : pointerTo(pointee(left));
+        if (isPointer(right) || isArray(right)) return pointerTo(pointee(right));
+        return isArithmetic(left) && isArithmetic(right) ? arithmeticType(left, right) : INT;
+      }
+      default: return INT;
+    }
+  };
+
+  const literalType = (node) => {
+    const unsigned = node.suffix?.includes('u');
+    const longs = (node.suffix?.match(/l/g) || []).length;
+    if (longs >= 2 || Math.abs(node.value) > 0xffffffff) return base('long long', unsigned);
+    if (longs === 1) return base('long', unsigned);
+    if (node.value > 0x7fffffff) return base(/^0[xX0-7]/.test(node.raw) ? 'int' : 'long long', /^0[xX0-7]/.test(node.raw) || unsigned);
+    return base('int', unsigned);
+  };
+
+  const functionType = (def) => ({ kind: 'function', returns: def.returnType, params: (def.params || []).map((p) => p.type), variadic: def.variadic });
+
+  // --- Expressions ---
+
+  // `origin` is the block a pointer value was made from, when known.
+  const rvalue = (type, value, origin = null) => (origin ? { type, value, origin } : { type, value });
+
+  // Short source form of an array expression for messages, e.g. `l->items`.
+  const sourceText = (node) => {
+    switch (node.type) {
+      case 'Identifier': return node.name;
+      case 'Member': return `${sourceText(node.object)}${node.arrow ? '->' : '.'}${node.property}`;
+      case 'Index': return `${sourceText(node.object)}[${node.index.type === 'NumberLiteral' || node.index.type === 'Identifier' ? sourceText(node.index) : '…'}]`;
+      case 'NumberLiteral': return node.raw;
+      case 'Unary': return `${node.operator}${sourceText(node.argument)}`;
+      default: return '…';
+    }
+  };
+
+  // Arrays decay to a pointer to their first element; functions to a pointer to themselves.
+  const decayed = (lv) => {
+    if (isArray(lv.type)) return rvalue(pointerTo(lv.type.of), lv.address, blockAt(lv.address));
+    if (lv.type.kind === 'function') return rvalue(pointerTo(lv.type), lv.address);
+    return null;
+  };
+
+  const loadLvalue = (lv, node) => {
+    const pointer = decayed(lv);
+    if (pointer) return pointer;
+    checkOrigin(lv, false, node);
+    const value = load(lv.address, lv.type, node);
+    return rvalue(lv.type, value, isPointer(lv.type) ? originAt(lv.address, value) : null);
+  };
+
+  const lvalue = (node) => {
+    tick();
+    switch (node.type) {
+      case 'Identifier': {
+        const v = lookup(node.name);
+        if (v) return { address: v.address, type: v.type };
+        const fn = functions.get(node.name);
+        if (fn) return { address: FUNCTION_BASE + 4 * functionList.indexOf(fn), type: functionType(fn.def) };
+        throw new TraceError(`\`${node.name}\` is not declared.`, node, 'unsupported');
+      }
+      case 'Unary':
+        if (node.operator === '*') {
+          const ptr = evaluate(node.argument);
+          if (!isPointer(ptr.type)) throw new TraceError('`*` is used on something that is not a pointer.', node, 'unsupported');
+          return { address: Number(ptr.value), type: ptr.type.to, origin: ptr.origin };
+        }
+        break;
+      case 'Index': {
+        // Indexing an array (not a pointer) is bounded by that array, even
+        // inside a struct or a row of a 2D array.
+        let origin = null;
+        if (isArray(staticType(node.object))) {
+          const array = lvalue(node.object);
+          origin = { address: array.address, size: sizeOfType(array.type, node), type: array.type, name: sourceText(node.object), region: 'stack', live: true };
+        }
+        let object = origin ? rvalue(pointerTo(origin.type.of), origin.address) : evaluate(node.object);
+        let index = evaluate(node.index);
+        if (!isPointer(object.type)) [object, index] = [index, object];
+        if (!isPointer(object.type)) throw new TraceError('`[]` is used on something that is not an array or pointer.', node, 'unsupported');
+        const element = object.type.to;
+        const start = Number(object.value);
+        if (!origin) origin = object.origin || (start >= NULL_GUARD ? blockAt(start) : null);
+        return { address: start + Number(index.value) * sizeOfType(element, node), type: element, origin };
+      }
+      case 'Member': {
+        let base_;
+        if (node.arrow) {
+          const ptr = evaluate(node.object);
+          if (!isPointer(ptr.type)) throw new TraceError('`->` is used on something that is not a pointer.', node, 'unsupported');
+          base_ = { address: Number(ptr.value), type: ptr.type.to, origin: ptr.origin };
+        } else {
+          base_ = lvalue(node.object);
+        }
+        const field = fieldOf(base_.type, node.property, node);
+        return { address: base_.address + field.offset, type: field.type, origin: base_.origin };
+      }
+      case 'StringLiteral': {
+        const address = stringLiteral(node);
+        return { address, type: arrayOf(CHAR, toBytes(node.value).length + 1) };
+      }
+      default:
+        break;
+    }
+    throw new TraceError('This expression cannot be assigned to or have its address taken.', node, 'unsupported');
+  };
+
+  const truthy = (rv) => !isZero(rv.value);
+
+  const arithmetic = (operator, left, right, node) => {
+    const type = arithmeticType(left.type, right.type);
+    const a = castValue(left.value, type);
+    const b = castValue(right.value, type);
+    if (['<', '>', '<=', '>=', '==', '!='].includes(operator)) {
+      // Both sides have the same type after the casts above.
+      const result = { '<': a < b, '>': a > b, '<=': a <= b, '>=': a >= b, '==': a === b, '!=': a !== b }[operator];
+      return rvalue(INT, result ? 1 : 0);
+    }
+    if (isFloating(type)) {
+      if (!['+', '-', '*', '/'].includes(operator)) throw new TraceError(`\`${operator}\` needs integer operands.`, node, 'unsupported');
+      const result = { '+': a + b, '-': a - b, '*': a * b, '/': a / b }[operator];
+      return rvalue(type, castValue(result, type));
+    }
+    if ((operator === '/' || operator === '%') && isZero(b)) {
+      throw new TraceError(`Division by zero: the right side of \`${operator}\` is 0.`, node);
+    }
+    if (is64(type)) {
+      const result = {
+        '+': () => a + b, '-': () => a - b, '*': () => a * b, '/': () => a / b, '%': () => a % b,
+        '&': () => a & b, '|': () => a | b, '^': () => a ^ b
+      }[operator]();
+      return rvalue(type, castValue(result, type));
+    }
+    let result;
+    switch (operator) {
+      case '+': result = a + b; break;
+      case '-': result = a - b; break;
+      case '*': result = Math.imul(a, b); break;
+      case '/': result = Math.trunc(a / b); break;
+      case '%': result = a % b; break;
+      case '&': result = a & b; break;
+      case '|': result = a | b; break;
+      case '^': result = a ^ b; break;
+      default: throw new TraceError(`Unknown operator \`${operator}\`.`, node, 'unsupported');
+    }
+    return rvalue(type, castValue(result, type));
+  };
+
+  const shift = (operator, left, right) => {
+    const type = promote(left.type);
+    const a = castValue(left.value, type);
+    const count = Number(right.value);
+    if (is64(type)) {
+      const result = operator === '<<' ? a << BigInt(count) : a >> BigInt(count);
+      return rvalue(type, castValue(result, type));
+    }
+    const result = operator === '<<' ? a << count : type.unsigned ? a >>> count : a >> count;
+    return rvalue(type, castValue(result, type));
+  };
+
+  const binary = (operator, left, right, node) => {
+    const lp = isPointer(left.type);
+    const rp = isPointer(right.type);
+    if (lp || rp) {
+      if (['<', '>', '<=', '>=', '==', '!='].includes(operator)) {
+        return arithmetic(operator, rvalue(SIZE_T, castValue(left.value, SIZE_T)), rvalue(SIZE_T, castValue(right.value, SIZE_T)), node);
+      }
+      if (lp && rp && operator === '-') {
+        const size = sizeOf(left.type.to, structs) || 1;
+        return rvalue(INT, Math.trunc((Number(left.value) - Number(right.value)) / size));
+      }
+      if ((operator === '+' || operator === '-') && !(rp && operator === '-')) {
+        const [ptr, offset] = lp ? [left, right] : [right, left];
+        const size = isVoid(ptr.type.to) ? 1 : sizeOfType(ptr.type.to, node);
+        const delta = Number(offset.value) * size;
+        return rvalue(ptr.type, castValue(Number(ptr.value) + (operator === '-' ? -delta : delta), SIZE_T), ptr.origin);
+      }
+      throw new TraceError(`\`${operator}\` cannot be used with a pointer here.`, node, 'unsupported');
+    }
+    if (!isArithmetic(left.type) || !isArithmetic(right.type)) {
+      throw new TraceError(`\`${operator}\` needs numbers on both sides.`, node, 'unsupported');
+    }
+    if (operator === '<<' || operator === '>>') return shift(operator, left, right);
+    return arithmetic(operator, left, right, node);
+  };
+
+  const assign = (lv, value, node, origin = null) => {
+    checkOrigin(lv, true, node);
+    const kept = isPointer(lv.type) ? origin : null;
+    store(lv.address, lv.type, value, node, kept);
+    return rvalue(lv.type, value, kept);
+  };
+
+  const convertFor = (rv, type, node) => {
+    if (type.kind === 'struct') {
+      if (rv.type.kind !== 'struct') throw new TraceError(`A \`${typeToString(rv.type)}\` cannot be stored in a \`${typeToString(type)}\`.`, node, 'unsupported');
+      return rv.value;
+    }
+    if (rv.type.kind === 'struct') throw new TraceError(`A struct cannot be converted to \`${typeToString(type)}\`.`, node, 'unsupported');
+    return castValue(rv.value, type);
+  };
+
+  function evaluate(node) {
+    tick();
+    switch (node.type) {
+      case 'NumberLiteral': {
+        const type = node.isFloat ? (node.suffix.includes('f') ? base('float') : DOUBLE) : literalType(node);
+        return rvalue(type, castValue(node.value, type));
+      }
+      case 'CharLiteral':
+        return rvalue(INT, node.value);
+      case 'StringLiteral': {
+        const address = stringLiteral(node);
+        return rvalue(CHAR_PTR, address, blockAt(address));
+      }
+      case 'Identifier': {
+        if (!lookup(node.name)) {
+          if (enumConstants.has(node.name)) return rvalue(INT, enumConstants.get(node.name));
+          if (STREAMS[node.name] !== undefined) return rvalue(FILE_PTR, STREAMS[node.name]);
+          if (BUILTIN_CONSTANTS[node.name]) return rvalue(...BUILTIN_CONSTANTS[node.name]);
+        }
+        return loadLvalue(lvalue(node), node);
+      }
+      case 'Index':
+      case 'Member':
+        return loadLvalue(lvalue(node), node);
+      case 'Unary': {
+        if (node.operator === '&') {
+          const lv = lvalue(node.argument);
+          return rvalue(pointerTo(lv.type), lv.address, lv.address >= NULL_GUARD ? blockAt(lv.address) : null);
+        }
+        if (node.operator === '*') {
+          const lv = lvalue(node);
+          if (lv.type.kind === 'function') return rvalue(pointerTo(lv.type), lv.address);
+          return loadLvalue(lv, node);
+        }
+        const arg = evaluate(node.argument);
+        if (node.operator === '!') return rvalue(INT, truthy(arg) ? 0 : 1);
+        if (!isArithmetic(arg.type)) throw new TraceError(`\`${node.operator}\` needs a number.`, node, 'unsupported');
+        const type = promote(arg.type);
+        const value = castValue(arg.value, type);
+        if (node.operator === '+') return rvalue(type, value);
+        if (node.operator === '-') return rvalue(type, castValue(-value, type));
+        if (isFloating(type)) throw new TraceError('`~` needs an integer.', node, 'unsupported');
+        return rvalue(type, castValue(~value, type));
+      }
+      case 'Binary': {
+        if (node.operator === '&&' || node.operator === '||') {
+          const left = truthy(evaluate(node.left));
+          if (node.operator === '&&' ? !left : left) return rvalue(INT, left ? 1 : 0);
+          return rvalue(INT, truthy(evaluate(node.right)) ? 1 : 0);
+        }
+        return binary(node.operator, evaluate(node.left), evaluate(node.right), node);
+      }
+      case 'Assignment': {
+        const lv = lvalue(node.left);
+        if (isArray(lv.type)) throw new TraceError('Arrays cannot be assigned with `=`; copy the elements (or use strcpy for strings).', node, 'unsupported');
+        if (node.operator === '=') {
+          const right = evaluate(node.right);
+          return assign(lv, convertFor(right, lv.type, node), node, right.origin);
+        }
+        const current = loadLvalue(lv, node);
+        const result = binary(node.operator.slice(0, -1), current, evaluate(node.right), node);
+        return assign(lv, convertFor(result, lv.type, node), node, result.origin);
+      }
+      case 'Update': {
+        const lv = lvalue(node.argument);
+        checkOrigin(lv, true, node);
+        const old = load(lv.address, lv.type, node);
+        const delta = node.operator === '++' ? 1 : -1;
+        let next;
+        if (isPointer(lv.type)) next = castValue(old + delta * (isVoid(lv.type.to) ? 1 : sizeOfType(lv.type.to, node)), SIZE_T);
+        else next = castValue(typeof old === 'bigint' ? old + BigInt(delta) : old + delta, lv.type);
+        const origin = isPointer(lv.type) ? originAt(lv.address, old) : null;
+        store(lv.address, lv.type, next, node, origin);
+        return rvalue(lv.type, node.prefix ? next : old, origin);
+      }
+      case 'Conditional':
+        return evaluate(truthy(evaluate(node.test)) ? node.consequent : node.alternate);
+      case 'Comma': {
+        let result;
+        for (const e of node.expressions) result = evaluate(e);
+        return result;
+      }
+      case 'Cast': {
+        const value = evaluate(node.argument);
+        if (isVoid(node.targetType)) return rvalue(VOID, 0);
+        return rvalue(node.targetType, convertFor(value, node.targetType, node), isPointer(node.targetType) ? value.origin : null);
+      }
+      case 'SizeofType':
+        return rvalue(SIZE_T, sizeOfType(node.argType, node));
+      case 'SizeofExpr':
+        return rvalue(SIZE_T, sizeOfType(staticType(node.argument), node));
+      case 'Call':
+        return call(node);
+      case 'InitList':
+        throw new TraceError('Compound literals are not supported by the visualizer.', node, 'unsupported');
+      default:
+        throw new TraceError(`The visualizer cannot evaluate this ${node.type} expression.`, node, 'unsupported');
+    }
+  }
+
+  // --- Initialization ---
+
+  const isAggregate = (type) => isArray(type) || type.kind === 'struct';
+
+  // Fill `type` at `address` from list.items[list.index...], with C's brace elision.
+  const fillFromList = (address, type, list, node) => {
+    if (isArray(type)) {
+      const size = sizeOfType(type.of, node);
+      for (let i = 0; list.index < list.items.length && (type.size == null || i < type.size); i++) {
+        const item = list.items[list.index];
+        if (i > 0 && item.designator && !('index' in item.designator)) return;
+        if (item.designator?.index) i = Number(evaluate(item.designator.index).value);
+        if (type.size != null && i >= type.size) throw new TraceError(`Too many initializers: the array only has ${type.size} elements.`, item);
+        fillElement(address + i * size, type.of, list, node);
+      }
+      return;
+    }
+    if (type.kind === 'struct') {
+      const fields = layoutStruct(structs.get(type.name) || { fields: [] }, structs);
+      for (let i = 0; list.index < list.items.length && i < fields.length; i++) {
+        const item = list.items[list.index];
+        if (item.designator?.field) {
+          i = fields.findIndex((f) => f.name === item.designator.field);
+          if (i === -1) throw new TraceError(`\`${typeToString(type)}\` has no field \`${item.designator.field}\`.`, item, 'unsupported');
+        } else if (i > 0 && item.designator) {
+          return;
+        }
+        fillElement(address + fields[i].offset, fields[i].type, list, node);
+        if (type.union) return;
+      }
+      return;
+    }
+    fillElement(address, type, list, node);
+  };
+
+  const fillElement = (address, type, list, node) => {
+    const item = list.items[list.index];
+    if (item.type === 'InitList' && !item.compoundType) {
+      list.index++;
+      fillFromList(address, type, { items: item.elements, index: 0 }, item);
+    } else if (isAggregate(type) && !(item.type === 'StringLiteral' && isArray(type))) {
+      fillFromList(address, type, list, node);
+    } else {
+      list.index++;
+      initialize(address, type, item);
+    }
+  };
+
+  const initialize = (address, type, init) => {
+    if (init.type === 'InitList' && !init.compoundType) {
+      const size = sizeOfType(type, init);
+      checkAccess(address, size, true, init);
+      memory.fill(0, address, address + size);
+      written.fill(1, address, address + size);
+      fillFromList(address, type, { items: init.elements, index: 0 }, init);
+      return;
+    }
+    if (init.type === 'StringLiteral' && isArray(type)) {
+      const bytes = toBytes(init.value);
+      const size = sizeOfType(type, init);
+      if (bytes.length > size) throw new TraceError(`The string "${init.value}" does not fit in ${size} chars.`, init);
+      checkAccess(address, size, true, init);
+      memory.fill(0, address, address + size);
+      written.fill(1, address, address + size);
+      writeBytes(address, bytes, init);
+      return;
+    }
+    const value = evaluate(init);
+    store(address, type, convertFor(value, type, init), init, value.origin);
+  };
+
+  const declare = (declaration, region) => {
+    for (const d of declaration.declarators) {
+      if (!d.name || d.type.kind === 'function' || declaration.storage === 'typedef') continue;
+      if (declaration.storage === 'extern' && !d.init) continue;
+      let type = d.type;
+      if (isArray(type) && type.size == null && type.sizeExpr) {
+        const count = Number(evaluate(type.sizeExpr).value);
+        if (!(count > 0)) throw new TraceError(`Array \`${d.name}\` would have ${count} elements; its size must be positive.`, declaration);
+        type = { ...type, size: count };
+      }
+      if (region === 'global' && globals.has(d.name)) continue; // declared by another file or a header
+      const isStatic = region === 'stack' && declaration.storage === 'static';
+      let variable = isStatic ? staticLocals.get(d) : null;
+      const created = !variable;
+      if (created) {
+        const size = sizeOfType(type, declaration);
+        const block = allocate(isStatic ? 'global' : region, size, type, d.name, declaration);
+        variable = { name: d.name, type, address: block.address, block, static: isStatic || region === 'global' };
+        if (isStatic) staticLocals.set(d, variable);
+      }
+      // As in C, the name is in scope inside its own initializer:
+      // `struct node *n = malloc(sizeof *n);`
+      bind(variable);
+      if (created && d.init) initialize(variable.address, type, d.init);
+    }
+  };
+
+  // --- Statements ---
+
+  const stepAt = (node) => snapshot(node);
+
+  const execList = (statements) => {
+    for (const statement of statements) {
+      const result = execute(statement);
+      if (result) return result;
+    }
+    return null;
+  };
+
+  const inScope = (run) => {
+    const saved = enterScope();
+    const result = run();
+    leaveScope(saved, 'the block it was declared in has ended');
+    return result;
+  };
+
+  // Runs a loop body; returns 'break', 'continue' or a completion to propagate.
+  const loopBody = (body) => {
+    const result = execute(body);
+    if (result === BREAK) return 'break';
+    if (!result || result === CONTINUE) return 'continue';
+    return result;
+  };
+
+  function execute(node) {
+    tick();
+    switch (node.type) {
+      case 'Compound':
+        return inScope(() => execList(node.body));
+      case 'Empty':
+      case 'Case':
+      case 'Default':
+        return null;
+      case 'Label':
+        return execute(node.body);
+      case 'Declaration':
+        stepAt(node);
+        declare(node, 'stack');
+        return null;
+      case 'ExpressionStatement':
+        stepAt(node);
+        evaluate(node.expression);
+        return null;
+      case 'If':
+        stepAt(node);
+        if (truthy(evaluate(node.test))) return execute(node.consequent);
+        return node.alternate ? execute(node.alternate) : null;
+      case 'While':
+        for (;;) {
+          stepAt(node);
+          if (!truthy(evaluate(node.test))) return null;
+          const result = loopBody(node.body);
+          if (result === 'break') return null;
+          if (result !== 'continue') return result;
+        }
+      case 'DoWhile':
+        for (;;) {
+          const result = loopBody(node.body);
+          if (result === 'break') return null;
+          if (result !== 'continue') return result;
+          stepAt(node.test);
+          if (!truthy(evaluate(node.test))) return null;
+        }
+      case 'For':
+        return inScope(() => {
+          stepAt(node);
+          if (node.init?.type === 'Declaration') declare(node.init, 'stack');
+          else if (node.init) evaluate(node.init);
+          for (let first = true; ; first = false) {
+            if (!first) stepAt(node);
+            if (node.test && !truthy(evaluate(node.test))) return null;
+            const result = loopBody(node.body);
+            if (result === 'break') return null;
+            if (result !== 'continue') return result;
+            if (node.update) evaluate(node.update);
+          }
+        });
+      case 'Switch': {
+        stepAt(node);
+        const value = evaluate(node.discriminant);
+        const body = node.body.type === 'Compound' ? node.body.body : [node.body];
+        let start = body.findIndex((s) => s.type === 'Case' && sameInteger(s.value ?? evaluate(s.test).value, value.value));
+        if (start === -1) start = body.findIndex((s) => s.type === 'Default');
+        if (start === -1) return null;
+        const result = inScope(() => execList(body.slice(start)));
+        return result === BREAK ? null : result;
+      }
+      case 'Break':
+        stepAt(node);
+        return BREAK;
+      case 'Continue':
+        stepAt(node);
+        return CONTINUE;
+      case 'Return': {
+        stepAt(node);
+        const value = node.argument ? evaluate(node.argument) : null;
+        return { signal: 'return', value, node };
+      }
+      case 'Goto':
+        throw new TraceError('`goto` is not supported by the visualizer.', node, 'unsupported');
+      default:
+        throw new TraceError(`The visualizer cannot run this ${node.type} statement.`, node, 'unsupported');
+    }
+  }
+
+  // --- Calls ---
+
+  const callFunction = (fn, args, node) => {
+    const { def } = fn;
+    const params = def.params || [];
+    if (callStack.length >= MAX_DEPTH) {
+      throw new TraceError(`Stack overflow: more than ${MAX_DEPTH} nested calls. Is a recursive function missing its base case?`, node);
+    }
+    if (args.length < params.length || (args.length > params.length && !def.variadic && params.length)) {
+      throw new TraceError(`\`${def.name}\` takes ${params.length} argument${params.length === 1 ? '' : 's'} but is called with ${args.length}.`, node);
+    }
+    if (def.variadic) throw new TraceError(`Variadic functions like \`${def.name}\` are not supported by the visualizer.`, node, 'unsupported');
+
+    const frame = { id: ++frameIds, name: def.name, file: fn.file, line: def.line, lineFile: fn.file, scopes: [new Map()] };
+    const savedTop = stackTop;
+    callStack.push(frame);
+    params.forEach((param, i) => {
+      const value = convertFor(args[i], param.type, node);
+      const block = allocate('stack', sizeOfType(param.type, def), param.type, param.name || `(arg ${i + 1})`, def);
+      store(block.address, param.type, value, def, args[i].origin);
+      if (param.name) frame.scopes[0].set(param.name, { name: param.name, type: param.type, address: block.address, block });
+      else release(block, 'it was unnamed');
+    });
+
+    const completion = execList(def.body.body);
+    const returned = completion?.signal === 'return' ? completion.value : null;
+    const returnType = def.returnType;
+    let result = rvalue(returnType, 0);
+    if (returned && !isVoid(returnType)) result = rvalue(returnType, convertFor(returned, returnType, completion.node), returned.origin);
+    if (isVoid(returnType)) result = rvalue(VOID, 0);
+    const shown = isVoid(returnType) ? null : returned ? describeReturn(result) : '(no return value)';
+    snapshot(completion?.node || { line: def.body.endLine, file: def.body.file }, 'return', shown ? { returnValue: shown } : {});
+
+    while (frame.scopes.length) {
+      for (const v of frame.scopes.pop().values()) if (!v.static) release(v.block, `\`${def.name}\` has returned`);
+    }
+    stackTop = savedTop;
+    callStack.pop();
+    return result;
+  };
+
+  const describeReturn = (rv) => {
+    if (rv.type.kind === 'struct') return `{…} (${typeToString(rv.type)})`;
+    if (isPointer(rv.type)) return rv.value ? `${hex(rv.value)} → ${labelFor(rv.value)}` : 'NULL';
+    return formatNumber(rv.value, rv.type);
+  };
+
+  const call = (node) => {
+    const { callee } = node;
+    let fn = null;
+    if (callee.type === 'Identifier' && !lookup(callee.name)) {
+      fn = functions.get(callee.name);
+      if (!fn) {
+        const builtin = LIBRARY[callee.name];
+        if (!builtin) {
+          throw new TraceError(`\`${callee.name}\` has no definition the visualizer can run.`, node, 'unsupported');
+        }
+        return builtin(node.arguments, node);
+      }
+    } else {
+      const target = evaluate(callee);
+      fn = functionAt(Number(target.value));
+      if (!fn) throw new TraceError(`Calling through a pointer that does not point to a function (${hex(Number(target.value))}).`, node);
+    }
+    const args = node.arguments.map(evaluate);
+    return callFunction(fn, args, node);
+  };
+
+  // --- The C library subset ---
+
+  const evalArgs = (argNodes, count, name, node) => {
+    if (argNodes.length < count) throw new TraceError(`\`${name}\` needs ${count} argument${count === 1 ? '' : 's'}.`, node);
+    return argNodes.map(evaluate);
+  };
+  const num = (rv) => Number(rv.value);
+  const addr = (rv) => Number(rv.value) >>> 0;
+
+  const printfTo = (format, args, node) => {
+    let next = 0;
+    return formatPrintf(format, (kind) => {
+      const arg = args[next++];
+      if (!arg) throw new TraceError('printf has more conversions (%…) than arguments.', node);
+      if (kind === 'string') return readString(addr(arg), node);
+      if (kind === 'double') return Number(arg.value);
+      return typeof arg.value === 'bigint' ? arg.value : isFloating(arg.type) ? Math.trunc(arg.value) : arg.value;
+    });
+  };
+
+  const INTEGER_TYPES = {
+    hh: CHAR, h: base('short'), '': INT, l: base('long'), ll: LONG_LONG, j: LONG_LONG, z: SIZE_T, t: INT
+  };
+
+  const scanInto = (input, format, targets, node, advance) => {
+    const result = scanFormat(format, input, 0);
+    advance(result.pos);
+    result.assigned.forEach((item, i) => {
+      const target = targets[i];
+      if (!target || !isPointer(target.type)) {
+        throw new TraceError('scanf needs the address of a variable for each value it reads, e.g. `&x` (arrays of char need no `&`).', node);
+      }
+      const address = addr(target);
+      if (item.conversion === 's' || item.conversion === '[') writeBytes(address, `${item.value}\0`, node);
+      else if (item.conversion === 'c') writeBytes(address, item.value, node);
+      else if ('eEfFgGaA'.includes(item.conversion)) {
+        const type = item.length === 'l' ? DOUBLE : item.length === 'L' ? base('long double') : base('float');
+        store(address, type, castValue(item.value, type), node);
+      } else {
+        const type = INTEGER_TYPES[item.length] || INT;
+        const unsigned = 'uxXo'.includes(item.conversion) ? { ...type, unsigned: true } : type;
+        store(address, unsigned, castValue(item.value, unsigned), node);
+      }
+    });
+    return rvalue(INT, result.eof ? -1 : result.count);
+  };
+
+  const readStdinLine = (max) => {
+    if (stdinPos >= stdinBytes.length) return null;
+    const newline = stdinBytes.indexOf('\n', stdinPos);
+    const end = Math.min(newline === -1 ? stdinBytes.length : newline + 1, stdinPos + max);
+    const line = stdinBytes.slice(stdinPos, end);
+    stdinPos = end;
+    return line;
+  };
+
+  const mathFunction = (name, fn, arity = 1) => (argNodes, node) => {
+    const args = evalArgs(argNodes, arity, name, node);
+    return rvalue(DOUBLE, fn(...args.map(num)));
+  };
+
+  const charClass = (name, test) => (argNodes, node) => {
+    const [c] = evalArgs(argNodes, 1, name, node);
+    return rvalue(INT, test(String.fromCharCode(num(c) & 0xff)) ? 1 : 0);
+  };
+
+  const heapAllocate = (size, node) => {
+    const block = allocate('heap', size, null, null, node);
+    return block ? block.address : 0;
+  };
+
+  const freeBlock = (address, node) => {
+    if (address === 0) return;
+    const block = blockAt(address);
+    if (!block || block.region !== 'heap') {
+      const dead = deadBlockAt(address);
+      if (dead?.region === 'heap') throw new TraceError(`Double free: ${blockName(dead)} was already freed.`, node);
+      throw new TraceError(`free() was given ${labelFor(address)}, which did not come from malloc/calloc/realloc.`, node);
+    }
+    if (block.address !== address) {
+      throw new TraceError(`free() must be given the pointer malloc returned, not ${labelFor(address)} inside the block.`, node);
+    }
+    release(block, 'it was freed');
+  };
+
+  let randomState = 1;
+
+  const LIBRARY = {
+    printf: (argNodes, node) => {
+      const [format, ...rest] = evalArgs(argNodes, 1, 'printf', node);
+      const text = printfTo(readString(addr(format), node), rest, node);
+      writeOut(text);
+      return rvalue(INT, text.length);
+    },
+    fprintf: (argNodes, node) => {
+      const [stream, format, ...rest] = evalArgs(argNodes, 2, 'fprintf', node);
+      const text = printfTo(readString(addr(format), node), rest, node);
+      if (addr(stream) === STREAMS.stdout) writeOut(text);
+      else if (addr(stream) !== STREAMS.stderr) throw new TraceError('File output is not supported by the visualizer.', node, 'unsupported');
+      return rvalue(INT, text.length);
+    },
+    sprintf: (argNodes, node) => {
+      const [buffer, format, ...rest] = evalArgs(argNodes, 2, 'sprintf', node);
+      const text = printfTo(readString(addr(format), node), rest, node);
+      writeBytes(addr(buffer), `${text}\0`, node);
+      return rvalue(INT, text.length);
+    },
+    snprintf: (argNodes, node) => {
+      const [buffer, size, format, ...rest] = evalArgs(argNodes, 3, 'snprintf', node);
+      const text = printfTo(readString(addr(format), node), rest, node);
+      if (num(size) > 0) writeBytes(addr(buffer), `${text.slice(0, num(size) - 1)}\0`, node);
+      return rvalue(INT, text.length);
+    },
+    puts: (argNodes, node) => {
+      const [s] = evalArgs(argNodes, 1, 'puts', node);
+      writeOut(`${readString(addr(s), node)}\n`);
+      return rvalue(INT, 0);
+    },
+    putchar: (argNodes, node) => {
+      const [c] = evalArgs(argNodes, 1, 'putchar', node);
+      writeOut(String.fromCharCode(num(c) & 0xff));
+      return rvalue(INT, num(c) & 0xff);
+    },
+    fputs: (argNodes, node) => {
+      const [s, stream] = evalArgs(argNodes, 2, 'fputs', node);
+      if (addr(stream) === STREAMS.stdout) writeOut(readString(addr(s), node));
+      return rvalue(INT, 0);
+    },
+    fputc: (argNodes, node) => {
+      const [c, stream] = evalArgs(argNodes, 2, 'fputc', node);
+      if (addr(stream) === STREAMS.stdout) writeOut(String.fromCharCode(num(c) & 0xff));
+      return rvalue(INT, num(c) & 0xff);
+    },
+    scanf: (argNodes, node) => {
+      const [format, ...targets] = evalArgs(argNodes, 1, 'scanf', node);
+      return scanInto(stdinBytes.slice(stdinPos), readString(addr(format), node), targets, node, (n) => { stdinPos += n; });
+    },
+    fscanf: (argNodes, node) => {
+      const [stream, format, ...targets] = evalArgs(argNodes, 2, 'fscanf', node);
+      if (addr(stream) !== STREAMS.stdin) throw new TraceError('File input is not supported by the visualizer.', node, 'unsupported');
+      return scanInto(stdinBytes.slice(stdinPos), readString(addr(format), node), targets, node, (n) => { stdinPos += n; });
+    },
+    sscanf: (argNodes, node) => {
+      const [source, format, ...targets] = evalArgs(argNodes, 2, 'sscanf', node);
+      return scanInto(readString(addr(source), node), readString(addr(format), node), targets, node, () => {});
+    },
+    getchar: () => rvalue(INT, stdinPos < stdinBytes.length ? stdinBytes.charCodeAt(stdinPos++) : -1),
+    fgets: (argNodes, node) => {
+      const [buffer, size, stream] = evalArgs(argNodes, 3, 'fgets', node);
+      if (addr(stream) !== STREAMS.stdin) throw new TraceError('File input is not supported by the visualizer.', node, 'unsupported');
+      const line = readStdinLine(num(size) - 1);
+      if (line === null) return rvalue(CHAR_PTR, 0);
+      writeBytes(addr(buffer), `${line}\0`, node);
+      return rvalue(CHAR_PTR, addr(buffer));
+    },
+    gets: (argNodes, node) => {
+      const [buffer] = evalArgs(argNodes, 1, 'gets', node);
+      const line = readStdinLine(Infinity);
+      if (line === null) return rvalue(CHAR_PTR, 0);
+      writeBytes(addr(buffer), `${line.replace(/\n$/, '')}\0`, node);
+      return rvalue(CHAR_PTR, addr(buffer));
+    },
+
+    malloc: (argNodes, node) => {
+      const [size] = evalArgs(argNodes, 1, 'malloc', node);
+      const address = heapAllocate(num(size), node);
+      return rvalue(VOID_PTR, address, address && blockAt(address));
+    },
+    calloc: (argNodes, node) => {
+      const [count, size] = evalArgs(argNodes, 2, 'calloc', node);
+      const address = heapAllocate(num(count) * num(size), node);
+      if (address) written.fill(1, address, address + num(count) * num(size));
+      return rvalue(VOID_PTR, address, address && blockAt(address));
+    },
+    realloc: (argNodes, node) => {
+      const [ptr, size] = evalArgs(argNodes, 2, 'realloc', node);
+      const old = addr(ptr) ? blockAt(addr(ptr)) : null;
+      if (addr(ptr) && (!old || old.region !== 'heap' || old.address !== addr(ptr))) freeBlock(addr(ptr), node);
+      const address = heapAllocate(num(size), node);
+      if (address && old) {
+        const keep = Math.min(old.size, num(size));
+        memory.copyWithin(address, old.address, old.address + keep);
+        written.set(written.slice(old.address, old.address + keep), address);
+        const block = blockAt(address);
+        if (old.type) {
+          const element = isArray(old.type) ? old.type.of : old.type;
+          const count = Math.floor(num(size) / (sizeOf(element, structs) || 1));
+          block.type = count > 1 ? arrayOf(element, count) : element;
+        }
+        release(old, 'it was moved by realloc');
+      }
+      return rvalue(VOID_PTR, address, address && blockAt(address));
+    },
+    free: (argNodes, node) => {
+      const [ptr] = evalArgs(argNodes, 1, 'free', node);
+      freeBlock(addr(ptr), node);
+      return rvalue(VOID, 0);
+    },
+
+    strlen: (argNodes, node) => {
+      const [s] = evalArgs(argNodes, 1, 'strlen', node);
+      return rvalue(SIZE_T, readString(addr(s), node).length);
+    },
+    strcpy: (argNodes, node) => {
+      const [dest, src] = evalArgs(argNodes, 2, 'strcpy', node);
+      writeBytes(addr(dest), `${readString(addr(src), node)}\0`, node);
+      return rvalue(CHAR_PTR, addr(dest));
+    },
+    strncpy: (argNodes, node) => {
+      const [dest, src, n] = evalArgs(argNodes, 3, 'strncpy', node);
+      const text = readString(addr(src), node).slice(0, num(n));
+      writeBytes(addr(dest), text.padEnd(num(n), '\0'), node);
+      return rvalue(CHAR_PTR, addr(dest));
+    },
+    strcat: (argNodes, node) => {
+      const [dest, src] = evalArgs(argNodes, 2, 'strcat', node);
+      const start = addr(dest) + readString(addr(dest), node).length;
+      writeBytes(start, `${readString(addr(src), node)}\0`, node);
+      return rvalue(CHAR_PTR, addr(dest));
+    },
+    strncat: (argNodes, node) => {
+      const [dest, src, n] = evalArgs(argNodes, 3, 'strncat', node);
+      const start = addr(dest) + readString(addr(dest), node).length;
+      writeBytes(start, `${readString(addr(src), node).slice(0, num(n))}\0`, node);
+      return rvalue(CHAR_PTR, addr(dest));
+    },
+    strcmp: (argNodes, node) => {
+      const [a, b] = evalArgs(argNodes, 2, 'strcmp', node);
+      const x = readString(addr(a), node);
+      const y = readString(addr(b), node);
+      return rvalue(INT, x === y ? 0 : x < y ? -1 : 1);
+    },
+    strncmp: (argNodes, node) => {
+      const [a, b, n] = evalArgs(argNodes, 3, 'strncmp', node);
+      const x = readString(addr(a), node).slice(0, num(n));
+      const y = readString(addr(b), node).slice(0, num(n));
+      return rvalue(INT, x === y ? 0 : x < y ? -1 : 1);
+    },
+    strchr: (argNodes, node) => {
+      const [s, c] = evalArgs(argNodes, 2, 'strchr', node);
+      const text = `${readString(addr(s), node)}\0`;
+      const index = text.indexOf(String.fromCharCode(num(c) & 0xff));
+      return rvalue(CHAR_PTR, index === -1 ? 0 : addr(s) + index);
+    },
+    strrchr: (argNodes, node) => {
+      const [s, c] = evalArgs(argNodes, 2, 'strrchr', node);
+      const text = `${readString(addr(s), node)}\0`;
+      const index = text.lastIndexOf(String.fromCharCode(num(c) & 0xff));
+      return rvalue(CHAR_PTR, index === -1 ? 0 : addr(s) + index);
+    },
+    strstr: (argNodes, node) => {
+      const [haystack, needle] = evalArgs(argNodes, 2, 'strstr', node);
+      const index = readString(addr(haystack), node).indexOf(readString(addr(needle), node));
+      return rvalue(CHAR_PTR, index === -1 ? 0 : addr(haystack) + index);
+    },
+    strspn: (argNodes, node) => {
+      const [s, accept] = evalArgs(argNodes, 2, 'strspn', node);
+      const set = readString(addr(accept), node);
+      const text = readString(addr(s), node);
+      let n = 0;
+      while (n < text.length && set.includes(text[n])) n++;
+      return rvalue(SIZE_T, n);
+    },
+    strcspn: (argNodes, node) => {
+      const [s, reject] = evalArgs(argNodes, 2, 'strcspn', node);
+      const set = readString(addr(reject), node);
+      const text = readString(addr(s), node);
+      let n = 0;
+      while (n < text.length && !set.includes(text[n])) n++;
+      return rvalue(SIZE_T, n);
+    },
+    strdup: (argNodes, node) => {
+      const [s] = evalArgs(argNodes, 1, 'strdup', node);
+      const text = readString(addr(s), node);
+      const address = heapAllocate(text.length + 1, node);
+      if (address) {
+        writeBytes(address, `${text}\0`, node);
+        blockAt(address).type = arrayOf(CHAR, text.length + 1);
+      }
+      return rvalue(CHAR_PTR, address);
+    },
+    memset: (argNodes, node) => {
+      const [dest, c, n] = evalArgs(argNodes, 3, 'memset', node);
+      writeBytes(addr(dest), String.fromCharCode(num(c) & 0xff).repeat(num(n)), node);
+      return rvalue(VOID_PTR, addr(dest));
+    },
+    memcpy: (argNodes, node) => {
+      const [dest, src, n] = evalArgs(argNodes, 3, 'memcpy', node);
+      writeBytes(addr(dest), readBytes(addr(src), num(n), node), node);
+      return rvalue(VOID_PTR, addr(dest));
+    },
+    memmove: (argNodes, node) => LIBRARY.memcpy(argNodes, node),
+    memcmp: (argNodes, node) => {
+      const [a, b, n] = evalArgs(argNodes, 3, 'memcmp', node);
+      const x = readBytes(addr(a), num(n), node);
+      const y = readBytes(addr(b), num(n), node);
+      return rvalue(INT, x === y ? 0 : x < y ? -1 : 1);
+    },
+
+    abs: (argNodes, node) => rvalue(INT, castValue(Math.abs(num(evalArgs(argNodes, 1, 'abs', node)[0])), INT)),
+    labs: (argNodes, node) => rvalue(base('long'), castValue(Math.abs(num(evalArgs(argNodes, 1, 'labs', node)[0])), base('long'))),
+    atoi: (argNodes, node) => {
+      const [s] = evalArgs(argNodes, 1, 'atoi', node);
+      const m = readString(addr(s), node).match(/^\s*([+-]?\d+)/);
+      return rvalue(INT, castValue(m ? Number(m[1]) : 0, INT));
+    },
+    atof: (argNodes, node) => {
+      const [s] = evalArgs(argNodes, 1, 'atof', node);
+      return rvalue(DOUBLE, parseFloat(readString(addr(s), node)) || 0);
+    },
+    rand: () => {
+      randomState = (Math.imul(randomState, 1103515245) + 12345) >>> 0;
+      return rvalue(INT, (randomState >>> 16) & 0x7fff);
+    },
+    srand: (argNodes, node) => {
+      randomState = num(evalArgs(argNodes, 1, 'srand', node)[0]) >>> 0;
+      return rvalue(VOID, 0);
+    },
+    time: (argNodes, node) => {
+      const [out] = argNodes.length ? evalArgs(argNodes, 1, 'time', node) : [];
+      const now = BigInt(Math.floor(Date.now() / 1000));
+      if (out && addr(out)) store(addr(out), LONG_LONG, now, node);
+      return rvalue(LONG_LONG, now);
+    },
+    exit: (argNodes, node) => {
+      throw new ExitSignal(num(evalArgs(argNodes, 1, 'exit', node)[0]));
+    },
+    abort: (argNodes, node) => {
+      throw new TraceError('The program called abort().', node);
+    },
+    assert: (argNodes, node) => {
+      const [condition] = evalArgs(argNodes, 1, 'assert', node);
+      if (!truthy(condition)) throw new TraceError('Assertion failed.', node);
+      return rvalue(VOID, 0);
+    },
+    qsort: (argNodes, node) => {
+      const [array, count, size, compare] = evalArgs(argNodes, 4, 'qsort', node);
+      const fn = functionAt(addr(compare));
+      if (!fn) throw new TraceError('qsort needs a comparison function.', node);
+      const n = num(count);
+      const width = num(size);
+      const start = addr(array);
+      // Insertion sort by adjacent swaps: every comparison sees two elements in place.
+      for (let i = 1; i < n; i++) {
+        for (let j = i - 1; j >= 0; j--) {
+          const a = start + j * width;
+          const b = a + width;
+          if (num(callFunction(fn, [rvalue(VOID_PTR, a), rvalue(VOID_PTR, b)], node)) <= 0) break;
+          const first = readBytes(a, width, node);
+          writeBytes(a, readBytes(b, width, node), node);
+          writeBytes(b, first, node);
+        }
+      }
+      return rvalue(VOID, 0);
+    },
+
+    sqrt: mathFunction('sqrt', Math.sqrt),
+    pow: mathFunction('pow', Math.pow, 2),
+    fabs: mathFunction('fabs', Math.abs),
+    floor: mathFunction('floor', Math.floor),
+    ceil: mathFunction('ceil', Math.ceil),
+    round: mathFunction('round', (x) => Math.sign(x) * Math.round(Math.abs(x))),
+    trunc: mathFunction('trunc', Math.trunc),
+    sin: mathFunction('sin', Math.sin),
+    cos: mathFunction('cos', Math.cos),
+    tan: mathFunction('tan', Math.tan),
+    exp: mathFunction('exp', Math.exp),
+    log: mathFunction('log', Math.log),
+    log2: mathFunction('log2', Math.log2),
+    log10: mathFunction('log10', Math.log10),
+    fmod: mathFunction('fmod', (a, b) => a % b, 2),
+    hypot: mathFunction('hypot', Math.hypot, 2),
+    fmin: mathFunction('fmin', Math.min, 2),
+    fmax: mathFunction('fmax', Math.max, 2),
+
+    isdigit: charClass('isdigit', (c) => /[0-9]/.test(c)),
+    isalpha: charClass('isalpha', (c) => /[A-Za-z]/.test(c)),
+    isalnum: charClass('isalnum', (c) => /[A-Za-z0-9]/.test(c)),
+    isspace: charClass('isspace', (c) => /[ \t\n\v\f\r]/.test(c)),
+    isupper: charClass('isupper', (c) => /[A-Z]/.test(c)),
+    islower: charClass('islower', (c) => /[a-z]/.test(c)),
+    ispunct: charClass('ispunct', (c) => /[!-/:-@[-`{-~]/.test(c)),
+    isxdigit: charClass('isxdigit', (c) => /[0-9A-Fa-f]/.test(c)),
+    toupper: (argNodes, node) => {
+      const c = num(evalArgs(argNodes, 1, 'toupper', node)[0]);
+      return rvalue(INT, c >= 97 && c <= 122 ? c - 32 : c);
+    },
+    tolower: (argNodes, node) => {
+      const c = num(evalArgs(argNodes, 1, 'tolower', node)[0]);
+      return rvalue(INT, c >= 65 && c <= 90 ? c + 32 : c);
+    }
+  };
+
+  // --- Run ---
+
+  const errorLocation = (node) => ({ line: node?.line ?? null, file: node?.file || currentFrame()?.file || main.file });
+
+  try {
+    for (const { declaration, file } of globalDeclarations) {
+      try {
+        declare(declaration, 'global');
+      } catch (err) {
+        if (err instanceof TraceError && !err.node?.file) err.node = { ...err.node, file };
+        throw err;
+      }
+    }
+
+    const mainParams = main.def.params || [];
+    const mainArgs = [];
+    if (mainParams.length) {
+      const words = ['main', ...args].map((a) => toBytes(String(a)));
+      const pointers = words.map((word) => {
+        const block = allocate('global', word.length + 1, arrayOf(CHAR, word.length + 1), 'argv string', main.def);
+        writeBytes(block.address, `${word}\0`, main.def);
+        return block.address;
+      });
+      const argv = allocate('global', 4 * (words.length + 1), arrayOf(CHAR_PTR, words.length + 1), 'argv', main.def);
+      pointers.forEach((p, i) => store(argv.address + 4 * i, CHAR_PTR, p, main.def));
+      store(argv.address + 4 * words.length, CHAR_PTR, 0, main.def);
+      mainArgs.push(rvalue(INT, words.length), rvalue(pointerTo(CHAR_PTR), argv.address));
+    }
+    const result = callFunction(main, mainArgs.slice(0, mainParams.length), main.def);
+    exitCode = Number(result.value) & 0xff;
+  } catch (err) {
+    stdout += decoder.decode();
+    if (err instanceof ExitSignal) {
+      exitCode = err.code & 0xff;
+      return finish('ok');
+    }
+    if (err instanceof LimitReached) {
+      const message = steps.length >= maxSteps
+        ? `Stopped after ${maxSteps} steps; the visualizer shows the start of long runs only.`
+        : `Stopped: the program was still running after ${MAX_OPERATIONS.toLocaleString('en-US')} operations. Is there an infinite loop?`;
+      return finish('limit', { message, line: currentFrame()?.line ?? null, file: currentFrame()?.lineFile ?? null });
+    }
+    if (err instanceof TraceError) {
+      const location = errorLocation(err.node);
+      snapshot(location.line ? { line: location.line, file: location.file } : null, 'error', { message: err.message });
+      return finish(err.status, { message: err.message, ...location });
+    }
+    if (err instanceof RangeError) {
+      return finish('unsupported', { message: 'This program nests too deeply for the visualizer.', line: null, file: null });
+    }
+    throw err;
+  }
+  stdout += decoder.decode();
+  return finish('ok');
+};
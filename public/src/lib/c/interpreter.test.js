@@ -0,0 +1,163 @@
+// Regression tests for the step interpreter. Run with `node --test public/src`.
+// Expected outputs are for the ILP32 model the app compiles for (see
+// types.js), which is what gcc -m32 prints.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { traceProgram } from './interpreter.js';
+
+const run = (content, options) => traceProgram([{ name: 'main.c', content }], options);
+
+const expectOutput = (content, stdout, options) => {
+  const result = run(content, options);
+  assert.equal(result.error?.message ?? null, null);
+  assert.equal(result.status, 'ok');
+  assert.equal(result.stdout, stdout);
+};
+
+describe('declarations', () => {
+  it('puts a variable in scope inside its own initializer', () => {
+    expectOutput(`#include <stdio.h>
+#include <stdlib.h>
+
+struct node {
+    int value;
+    struct node *next;
+};
+
+int main(void) {
+    struct node *n = malloc(sizeof *n);
+    n->value = 7;
+    n->next = NULL;
+    int *xs = malloc(3 * sizeof(*xs));
+    xs[2] = 5;
+    int size = sizeof size;
+    printf("%d %d %d\\n", n->value, xs[2], size);
+    free(xs);
+    free(n);
+    return 0;
+}
+`, '7 5 4\n');
+  });
+
+  it('initializes a static local once', () => {
+    expectOutput(`#include <stdio.h>
+
+int next(void) {
+    static int id = 100;
+    return id++;
+}
+
+int main(void) {
+    next();
+    printf("%d\\n", next());
+    return 0;
+}
+`, '101\n');
+  });
+});
+
+describe('comparisons and truth values', () => {
+  it('compares 64-bit and mixed values, and converts to bool', () => {
+    expectOutput(`#include <stdio.h>
+#include <stdbool.h>
+
+int main(void) {
+    long long big = 5000000000LL;
+    switch (big / 1000000000LL) {
+    case 5:
+        printf("five\\n");
+        break;
+    default:
+        printf("other\\n");
+    }
+    bool b = 0.5;
+    bool z = 0;
+    long long zero = 0;
+    printf("%d %d %d\\n", b, z, !zero);
+    printf("%d %d\\n", big == 5000000000LL, 3.0 != 3);
+    if (big) printf("nonzero\\n");
+    return 0;
+}
+`, 'five\n1 0 1\n1 0\nnonzero\n');
+  });
+
+  it('stops on division by zero', () => {
+    const result = run(`int main(void) {
+    long long zero = 0;
+    return (int)(10 / zero);
+}
+`);
+    assert.equal(result.status, 'error');
+    assert.match(result.error.message, /Division by zero/);
+  });
+});
+
+describe('data model', () => {
+  it('uses ILP32 sizes', () => {
+    expectOutput(`#include <stdio.h>
+
+int main(void) {
+    printf("%zu %zu %zu %zu\\n", sizeof(int), sizeof(long), sizeof(int *), sizeof(long long));
+    unsigned long big = 4294967295UL;
+    big = big + 1;
+    printf("%lu\\n", big);
+    return 0;
+}
+`, '4 4 4 8\n0\n');
+  });
+});
+
+describe('pointer bounds', () => {
+  it('reports a read one past the end through a pointer', () => {
+    const result = run(`#include <stdio.h>
+
+int main(void) {
+    int a[3] = {1, 2, 3};
+    int b = 9;
+    int *p = a + 3;
+    printf("%d", *p);
+    return b;
+}
+`);
+    assert.equal(result.status, 'error');
+    assert.match(result.error.message, /Out-of-bounds read: index 3 of `a`/);
+  });
+
+  it('follows a pointer through assignments, calls and struct copies', () => {
+    expectOutput(`#include <stdio.h>
+
+struct span { int *start; int *end; };
+
+int *last(int *p, int n) { return p + n - 1; }
+
+int main(void) {
+    int a[4] = {1, 2, 3, 4};
+    struct span s = { a, a + 4 }, t;
+    t = s;
+    int total = 0;
+    for (int *p = t.start; p < t.end; p++) total += *p;
+    printf("%d %d\\n", total, *last(a, 4));
+    return 0;
+}
+`, '10 4\n');
+  });
+
+  it('reports walking a pointer past a heap block into the next one', () => {
+    const result = run(`#include <stdlib.h>
+
+int main(void) {
+    int *xs = malloc(2 * sizeof(int));
+    int *ys = malloc(2 * sizeof(int));
+    int *p = xs;
+    p += 2;
+    *p = 1;
+    free(xs);
+    free(ys);
+    return 0;
+}
+`);
+    assert.equal(result.status, 'error');
+    assert.match(result.error.message, /Out-of-bounds write/);
+  });
+});
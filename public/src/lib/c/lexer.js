@@ -0,0 +1,149 @@
+// C tokenizer. Never throws: unknown characters become 'invalid' tokens so
+// half-typed code can still be highlighted.
+//
+// Token: { type, value, start, end, line, col }
+//   type: 'keyword' | 'identifier' | 'number' | 'string' | 'char' | 'punct' |
+//         'preprocessor' | 'comment' | 'whitespace' | 'invalid'
+// With { trivia: false } whitespace and comments are dropped (for parsing).
+
+export const C_KEYWORDS = new Set([
+  'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double',
+  'else', 'enum', 'extern', 'float', 'for', 'goto', 'if', 'inline', 'int', 'long',
+  'register', 'restrict', 'return', 'short', 'signed', 'sizeof', 'static', 'struct',
+  'switch', 'typedef', 'union', 'unsigned', 'void', 'volatile', 'while',
+  '_Bool', '_Complex', '_Imaginary', 'bool', 'true', 'false', 'NULL'
+]);
+
+// Longest first so ">>=" wins over ">>" and ">".
+const PUNCTUATORS = [
+  '...', '<<=', '>>=',
+  '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+  '*=', '/=', '%=', '+=', '-=', '&=', '^=', '|=', '##',
+  '[', ']', '(', ')', '{', '}', '.', '&', '*', '+', '-', '~', '!', '/', '%',
+  '<', '>', '^', '|', '?', ':', ';', '=', ',', '#'
+];
+
+const isIdentStart = (ch) => /[A-Za-z_]/.test(ch);
+const isIdentPart = (ch) => /[A-Za-z0-9_]/.test(ch);
+const isDigit = (ch) => ch >= '0' && ch <= '9';
+
+export const tokenize = (source, { trivia = true } = {}) => {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let col = 1;
+  let atLineStart = true; // only whitespace seen since the last newline
+
+  const push = (type, start) => {
+    const value = source.slice(start, i);
+    if (trivia || (type !== 'whitespace' && type !== 'comment')) {
+      tokens.push({ type, value, start, end: i, line, col });
+    }
+    // Advance line/col over the consumed text.
+    for (const ch of value) {
+      if (ch === '\n') {
+        line++;
+        col = 1;
+      } else {
+        col++;
+      }
+    }
+  };
+
+  // Scan a quoted literal; stops at the closing quote or end of line.
+  const scanQuoted = (quote) => {
+    i++;
+    while (i < source.length && source[i] !== quote && source[i] !== '\n') {
+      if (source[i] === '\\' && i + 1 < source.length) i++;
+      i++;
+    }
+    if (source[i] === quote) i++;
+  };
+
+  while (i < source.length) {
+    const start = i;
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      while (i < source.length && /\s/.test(source[i])) {
+        if (source[i] === '\n') atLineStart = true;
+        i++;
+      }
+      push('whitespace', start);
+      continue;
+    }
+
+    if (ch === '/' && source[i + 1] === '/') {
+      while (i < source.length && source[i] !== '\n') i++;
+      push('comment', start);
+      continue;
+    }
+
+    if (ch === '/' && source[i + 1] === '*') {
+      const close = source.indexOf('*/', i + 2);
+      i = close === -1 ? source.length : close + 2;
+      push('comment', start);
+      continue;
+    }
+
+    if (ch === '#' && atLineStart) {
+      // Whole directive, honouring backslash line continuations.
+      while (i < source.length && source[i] !== '\n') {
+        if (source[i] === '\\' && source[i + 1] === '\n') i++;
+        i++;
+      }
+      atLineStart = false;
+      push('preprocessor', start);
+      continue;
+    }
+
+    atLineStart = false;
+
+    if (isIdentStart(ch)) {
+      while (i < source.length && isIdentPart(source[i])) i++;
+      // Wide/unicode string and char prefixes: L"..", u8"..", U'..'
+      if (/^(L|u8|u|U)$/.test(source.slice(start, i)) && (source[i] === '"' || source[i] === "'")) {
+        const quote = source[i];
+        scanQuoted(quote);
+        push(quote === '"' ? 'string' : 'char', start);
+        continue;
+      }
+      push(C_KEYWORDS.has(source.slice(start, i)) ? 'keyword' : 'identifier', start);
+      continue;
+    }
+
+    if (isDigit(ch) || (ch === '.' && isDigit(source[i + 1] || ''))) {
+      if (ch === '0' && /[xX]/.test(source[i + 1] || '')) {
+        i += 2;
+        while (i < source.length && /[0-9a-fA-F]/.test(source[i])) i++;
+      } else {
+        while (i < source.length && (isDigit(source[i]) || source[i] === '.')) i++;
+        if (/[eE]/.test(source[i] || '') && /[0-9+-]/.test(source[i + 1] || '')) {
+          i += 2;
+          while (i < source.length && isDigit(source[i])) i++;
+        }
+      }
+      while (i < source.length && /[uUlLfF]/.test(source[i])) i++;
+      push('number', start);
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      scanQuoted(ch);
+      push(ch === '"' ? 'string' : 'char', start);
+      continue;
+    }
+
+    const punct = PUNCTUATORS.find((p) => source.startsWith(p, i));
+    if (punct) {
+      i += punct.length;
+      push('punct', start);
+      continue;
+    }
+
+    i++;
+    push('invalid', start);
+  }
+
+  return tokens;
+};
@@ -0,0 +1,876 @@
+// Recursive-descent parser for the C that students write: functions,
+// structs/unions/enums, typedefs, the full expression grammar and every
+// statement form. It is tolerant by design: a syntax error is recorded and
+// the parser skips to the next statement, so half-typed code still yields
+// a useful tree for lib/c/analyzer.js.
+//
+// The preprocessor is approximated: #include lines are recorded, object-
+// and function-like #define macros are expanded (no # or ##), and other
+// directives are ignored.
+//
+// parse(source, { resolveInclude }) -> {
+//   type: 'Program', body: [FunctionDef | Declaration], includes: [{ name, system, line, file }],
+//   macros: Map, structs: Map<name, { fields: [{ name, type }], union }>,
+//   enumConstants: Map<name, number>, errors: [{ line, col, message }]
+// }
+//
+// Every node carries the `line` and `col` of its first token, and `file`
+// when that token came from an included project header. See the parse*
+// functions below for each node's fields.
+
+import { tokenize } from './lexer.js';
+import { base, pointerTo, arrayOf, sizeOf } from './types.js';
+
+// Typedef names from the standard headers the parser should know about.
+const BUILTIN_TYPEDEFS = {
+  size_t: base('long', true),
+  ssize_t: base('long'),
+  ptrdiff_t: base('long'),
+  intptr_t: base('long'),
+  uintptr_t: base('long', true),
+  int8_t: base('char'),
+  uint8_t: base('char', true),
+  int16_t: base('short'),
+  uint16_t: base('short', true),
+  int32_t: base('int'),
+  uint32_t: base('int', true),
+  int64_t: base('long long'),
+  uint64_t: base('long long', true),
+  time_t: base('long long'),
+  clock_t: base('long'),
+  FILE: { kind: 'named', name: 'FILE' },
+  va_list: { kind: 'named', name: 'va_list' }
+};
+
+const STORAGE = new Set(['typedef', 'extern', 'static', 'auto', 'register']);
+const QUALIFIERS = new Set(['const', 'volatile', 'restrict', 'inline']);
+const TYPE_WORDS = new Set(['void', 'char', 'short', 'int', 'long', 'float', 'double', 'signed', 'unsigned', '_Bool', 'bool', '_Complex']);
+
+const ASSIGN_OPS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+
+// Binary operators by precedence, loosest first.
+const BINARY_LEVELS = [
+  ['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']
+];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '0': '\0', a: '\x07', b: '\b', f: '\f', v: '\v', '\\': '\\', '\'': '\'', '"': '"', '?': '?' };
+
+// Decode the body of a string or char literal (without its quotes).
+export const decodeEscapes = (text) => {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== '\\' || i + 1 >= text.length) {
+      out += text[i];
+      continue;
+    }
+    const next = text[++i];
+    if (next === 'x') {
+      const hex = text.slice(i + 1).match(/^[0-9a-fA-F]+/);
+      out += String.fromCharCode(hex ? parseInt(hex[0], 16) & 0xff : 0);
+      i += hex ? hex[0].length : 0;
+    } else if (/[0-7]/.test(next)) {
+      const oct = text.slice(i).match(/^[0-7]{1,3}/)[0];
+      out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+      i += oct.length - 1;
+    } else {
+      out += ESCAPES[next] ?? next;
+    }
+  }
+  return out;
+};
+
+const literalBody = (raw) => raw.replace(/^(L|u8|u|U)?(["'])/, '').replace(/["']$/, '');
+
+class SyntaxError_ extends Error {
+  constructor(message, token) {
+    super(message);
+    this.token = token;
+  }
+}
+
+// --- Preprocessing ---
+
+const DIRECTIVE = /^#\s*(\w+)\s*(.*)$/s;
+
+const parseDefine = (text, line) => {
+  const m = text.match(/^([A-Za-z_]\w*)(\(([^)]*)\))?\s*(.*)$/s);
+  if (!m) return null;
+  const body = tokenize(m[4].replace(/\\\n/g, ' '), { trivia: false });
+  return {
+    name: m[1],
+    params: m[2] ? m[3].split(',').map((p) => p.trim()).filter(Boolean) : null,
+    body,
+    text: m[4].trim(),
+    line
+  };
+};
+
+// Relocate macro body tokens to the place they are used.
+const at = (tokens, site) =>
+  tokens.map((t) => ({ ...t, line: site.line, col: site.col, start: site.start, end: site.end, file: site.file }));
+
+const expandTokens = (tokens, macros, hidden = new Set()) => {
+  const out = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const macro = token.type === 'identifier' && !hidden.has(token.value) ? macros.get(token.value) : null;
+    if (!macro || macro.body.some((t) => t.value === '#' || t.value === '##')) {
+      out.push(token);
+      continue;
+    }
+
+    if (!macro.params) {
+      out.push(...expandTokens(at(macro.body, token), macros, new Set([...hidden, macro.name])));
+      continue;
+    }
+
+    // Function-like: needs an argument list right after the name.
+    if (tokens[i + 1]?.value !== '(') {
+      out.push(token);
+      continue;
+    }
+    const args = [[]];
+    let depth = 0;
+    let j = i + 2;
+    for (; j < tokens.length; j++) {
+      const v = tokens[j].value;
+      if (v === '(' ) depth++;
+      if (v === ')' && depth-- === 0) break;
+      if (v === ',' && depth === 0 && tokens[j].type === 'punct') args.push([]);
+      else args[args.length - 1].push(tokens[j]);
+    }
+    const body = [];
+    for (const t of macro.body) {
+      const index = t.type === 'identifier' ? macro.params.indexOf(t.value) : -1;
+      if (index !== -1) body.push(...(args[index] || []));
+      else body.push(t);
+    }
+    out.push(...expandTokens(at(body, token), macros, new Set([...hidden, macro.name])));
+    i = j;
+  }
+  return out;
+};
+
+// `resolveInclude(name)` returns the text of a project header for
+// `#include "name"` (or null). Its declarations and macros are spliced in
+// with their tokens tagged `file: name`, so the including file sees them but
+// nodes built from them can be told apart.
+const preprocess = (source, resolveInclude, file = null, seen = new Set()) => {
+  const includes = [];
+  const macros = new Map();
+  const tokens = [];
+  let pending = [];
+
+  const flush = () => {
+    tokens.push(...expandTokens(pending, macros));
+    pending = [];
+  };
+
+  for (const token of tokenize(source, { trivia: false })) {
+    if (file) token.file = file;
+    if (token.type !== 'preprocessor') {
+      pending.push(token);
+      continue;
+    }
+    flush();
+    const m = token.value.match(DIRECTIVE);
+    if (!m) continue;
+    const [, directive, rest] = m;
+    if (directive === 'include') {
+      const inc = rest.match(/^\s*([<"])([^>"]+)[>"]/);
+      if (inc) includes.push({ name: inc[2].trim(), system: inc[1] === '<', line: token.line, file });
+      const text = inc && inc[1] === '"' && !seen.has(inc[2].trim()) ? resolveInclude?.(inc[2].trim()) : null;
+      if (text != null) {
+        seen.add(inc[2].trim());
+        const header = preprocess(text, resolveInclude, inc[2].trim(), seen);
+        tokens.push(...header.tokens);
+        includes.push(...header.includes);
+        for (const [name, macro] of header.macros) macros.set(name, macro);
+      }
+    } else if (directive === 'define') {
+      const macro = parseDefine(rest, token.line);
+      if (macro) macros.set(macro.name, macro);
+    } else if (directive === 'undef') {
+      macros.delete(rest.trim());
+    }
+  }
+  flush();
+  return { tokens, includes, macros };
+};
+
+// --- Constant expressions ---
+
+// Evaluate an integer constant expression, or null when it is not one.
+export const evaluateConstant = (node, program) => {
+  if (!node) return null;
+  const ev = (n) => evaluateConstant(n, program);
+  switch (node.type) {
+    case 'NumberLiteral': return node.value;
+    case 'CharLiteral': return node.value;
+    case 'Identifier': return program?.enumConstants?.get(node.name) ?? null;
+    case 'SizeofType': return sizeOf(node.argType, program?.structs);
+    case 'Cast': return ev(node.argument);
+    case 'Unary': {
+      const v = ev(node.argument);
+      if (v == null) return null;
+      switch (node.operator) {
+        case '-': return -v;
+        case '+': return v;
+        case '~': return ~v;
+        case '!': return v ? 0 : 1;
+        default: return null;
+      }
+    }
+    case 'Binary': {
+      const l = ev(node.left);
+      const r = ev(node.right);
+      if (l == null || r == null) return null;
+      switch (node.operator) {
+        case '+': return l + r;
+        case '-': return l - r;
+        case '*': return l * r;
+        case '/': return r === 0 ? null : Math.trunc(l / r);
+        case '%': return r === 0 ? null : l % r;
+        case '<<': return l << r;
+        case '>>': return l >> r;
+        case '&': return l & r;
+        case '|': return l | r;
+        case '^': return l ^ r;
+        case '<': return Number(l < r);
+        case '>': return Number(l > r);
+        case '<=': return Number(l <= r);
+        case '>=': return Number(l >= r);
+        case '==': return Number(l === r);
+        case '!=': return Number(l !== r);
+        case '&&': return Number(Boolean(l && r));
+        case '||': return Number(Boolean(l || r));
+        default: return null;
+      }
+    }
+    case 'Conditional': {
+      const t = ev(node.test);
+      return t == null ? null : t ? ev(node.consequent) : ev(node.alternate);
+    }
+    default: return null;
+  }
+};
+
+// --- Parser ---
+
+export const parse = (source, { resolveInclude = null } = {}) => {
+  const { tokens, includes, macros } = preprocess(source, resolveInclude);
+  const program = {
+    type: 'Program',
+    body: [],
+    includes,
+    macros,
+    structs: new Map(),
+    enumConstants: new Map(),
+    errors: []
+  };
+  const typedefs = new Map(Object.entries(BUILTIN_TYPEDEFS));
+  const EOF = { type: 'eof', value: '', line: (tokens[tokens.length - 1]?.line || 1), col: 1 };
+  let pos = 0;
+  let anonymousStructs = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset] || EOF;
+  const next = () => tokens[pos++] || EOF;
+  const is = (value, offset = 0) => {
+    const t = peek(offset);
+    return t.value === value && (t.type === 'punct' || t.type === 'keyword');
+  };
+  const accept = (value) => (is(value) ? next() : null);
+  const expect = (value, what = `'${value}'`) => {
+    if (is(value)) return next();
+    const t = peek();
+    throw new SyntaxError_(`Expected ${what} but found ${t.type === 'eof' ? 'end of file' : `'${t.value}'`}.`, t);
+  };
+  const node = (type, token, fields) =>
+    token.file ? { type, line: token.line, col: token.col, file: token.file, ...fields } : { type, line: token.line, col: token.col, ...fields };
+
+  const startsType = (t = peek()) =>
+    (t.type === 'keyword' && (TYPE_WORDS.has(t.value) || STORAGE.has(t.value) || QUALIFIERS.has(t.value) ||
+      t.value === 'struct' || t.value === 'union' || t.value === 'enum')) ||
+    (t.type === 'identifier' && typedefs.has(t.value));
+
+  // --- Types ---
+
+  const parseStructBody = (name, union) => {
+    const fields = [];
+    expect('{');
+    while (!is('}') && peek().type !== 'eof') {
+      const spec = parseSpecifiers();
+      if (!spec) throw new SyntaxError_('Expected a field declaration.', peek());
+      do {
+        if (is(';')) break;
+        const d = parseDeclarator(spec.type);
+        if (accept(':')) parseConditional(); // bit-field width
+        fields.push({ name: d.name, type: d.type, line: d.line });
+      } while (accept(','));
+      expect(';');
+    }
+    expect('}');
+    program.structs.set(name, { fields, union });
+  };
+
+  const parseEnumBody = () => {
+    expect('{');
+    let value = 0;
+    while (!is('}') && peek().type !== 'eof') {
+      const nameToken = next();
+      if (nameToken.type !== 'identifier') throw new SyntaxError_('Expected an enumerator name.', nameToken);
+      if (accept('=')) value = evaluateConstant(parseConditional(), program) ?? value;
+      program.enumConstants.set(nameToken.value, value);
+      value += 1;
+      if (!accept(',')) break;
+    }
+    expect('}');
+  };
+
+  // Declaration specifiers: storage class, qualifiers and the base type.
+  // Returns { type, storage, isConst } or null if none are present.
+  const parseSpecifiers = () => {
+    let storage = null;
+    let isConst = false;
+    let words = [];
+    let type = null;
+    const start = pos;
+
+    for (;;) {
+      const t = peek();
+      if (t.type === 'keyword' && STORAGE.has(t.value)) {
+        storage = next().value;
+      } else if (t.type === 'keyword' && QUALIFIERS.has(t.value)) {
+        if (next().value === 'const') isConst = true;
+      } else if (t.type === 'keyword' && TYPE_WORDS.has(t.value)) {
+        words.push(next().value);
+      } else if (t.type === 'keyword' && (t.value === 'struct' || t.value === 'union')) {
+        next();
+        const union = t.value === 'union';
+        const name = peek().type === 'identifier' ? next().value : `(anonymous ${++anonymousStructs})`;
+        if (is('{')) parseStructBody(name, union);
+        type = { kind: 'struct', name, union };
+      } else if (t.type === 'keyword' && t.value === 'enum') {
+        next();
+        const name = peek().type === 'identifier' ? next().value : null;
+        if (is('{')) parseEnumBody();
+        type = { kind: 'enum', name };
+      } else if (t.type === 'identifier' && typedefs.has(t.value) && !type && !words.length) {
+        type = typedefs.get(next().value);
+      } else {
+        break;
+      }
+    }
+
+    if (pos === start) return null;
+    if (!type) {
+      const unsigned = words.includes('unsigned');
+      const w = words.filter((x) => x !== 'signed' && x !== 'unsigned' && x !== '_Complex');
+      const longs = w.filter((x) => x === 'long').length;
+      let name = 'int';
+      if (w.includes('void')) name = 'void';
+      else if (w.includes('_Bool') || w.includes('bool')) name = 'bool';
+      else if (w.includes('char')) name = 'char';
+      else if (w.includes('short')) name = 'short';
+      else if (w.includes('float')) name = 'float';
+      else if (w.includes('double')) name = longs ? 'long double' : 'double';
+      else if (longs >= 2) name = 'long long';
+      else if (longs === 1) name = 'long';
+      type = base(name, unsigned);
+    }
+    return { type, storage, isConst };
+  };
+
+  const parseParams = () => {
+    const params = [];
+    let variadic = false;
+    expect('(');
+    if (is('void') && is(')', 1)) {
+      next();
+    } else {
+      while (!is(')') && peek().type !== 'eof') {
+        if (accept('...')) {
+          variadic = true;
+          break;
+        }
+        const paramToken = peek();
+        const spec = parseSpecifiers();
+        if (!spec) throw new SyntaxError_('Expected a parameter type.', peek());
+        const d = parseDeclarator(spec.type, { abstract: true });
+        // Array parameters are really pointers.
+        const type = d.type.kind === 'array' ? pointerTo(d.type.of) : d.type;
+        params.push({ name: d.name, type, line: paramToken.line, col: paramToken.col });
+        if (!accept(',')) break;
+      }
+    }
+    expect(')');
+    return { params, variadic };
+  };
+
+  // Declarator parts: pointers, a name (or nested declarator) and array /
+  // function suffixes, returned as derivations applied from the base type out.
+  const parseDeclaratorParts = (abstract) => {
+    let pointers = 0;
+    while (accept('*')) {
+      pointers++;
+      while (peek().type === 'keyword' && QUALIFIERS.has(peek().value)) next();
+    }
+
+    let inner = null;
+    let nameToken = null;
+    if (is('(') && (is('*', 1) || is('(', 1))) {
+      next();
+      inner = parseDeclaratorParts(abstract);
+      expect(')');
+    } else if (peek().type === 'identifier') {
+      nameToken = next();
+    } else if (!abstract) {
+      throw new SyntaxError_(`Expected a name but found '${peek().value || 'end of file'}'.`, peek());
+    }
+
+    const suffixes = [];
+    for (;;) {
+      if (is('[')) {
+        next();
+        const sizeExpr = is(']') ? null : parseAssignment();
+        expect(']');
+        suffixes.push({ kind: 'array', sizeExpr });
+      } else if (is('(')) {
+        const { params, variadic } = parseParams();
+        suffixes.push({ kind: 'function', params, variadic });
+      } else {
+        break;
+      }
+    }
+
+    const ops = [
+      ...Array.from({ length: pointers }, () => ({ kind: 'pointer' })),
+      ...suffixes.reverse(),
+      ...(inner ? inner.ops : [])
+    ];
+    const first = inner ? inner.token : nameToken;
+    return { name: inner ? inner.name : nameToken?.value ?? null, token: first || peek(), ops };
+  };
+
+  const applyOps = (baseType, ops) => ops.reduce((type, op) => {
+    if (op.kind === 'pointer') return pointerTo(type);
+    if (op.kind === 'array') {
+      const size = op.sizeExpr ? evaluateConstant(op.sizeExpr, program) : null;
+      return { ...arrayOf(type, size), sizeExpr: op.sizeExpr };
+    }
+    return { kind: 'function', returns: type, params: op.params.map((p) => p.type), variadic: op.variadic, paramList: op.params };
+  }, baseType);
+
+  const parseDeclarator = (baseType, { abstract = false } = {}) => {
+    const parts = parseDeclaratorParts(abstract);
+    return { name: parts.name, type: applyOps(baseType, parts.ops), line: parts.token.line, col: parts.token.col };
+  };
+
+  const parseTypeName = () => {
+    const spec = parseSpecifiers();
+    if (!spec) throw new SyntaxError_('Expected a type.', peek());
+    return parseDeclarator(spec.type, { abstract: true }).type;
+  };
+
+  // --- Expressions ---
+
+  const parseInitializer = () => {
+    if (!is('{')) return parseAssignment();
+    const open = next();
+    const elements = [];
+    while (!is('}') && peek().type !== 'eof') {
+      // Designators (.x = / [0] =) are accepted and kept on the element.
+      let designator = null;
+      if (is('.') && peek(1).type === 'identifier') {
+        next();
+        designator = { field: next().value };
+        expect('=');
+      } else if (is('[')) {
+        next();
+        designator = { index: parseConditional() };
+        expect(']');
+        expect('=');
+      }
+      const value = parseInitializer();
+      elements.push(designator ? { ...value, designator } : value);
+      if (!accept(',')) break;
+    }
+    expect('}');
+    return node('InitList', open, { elements });
+  };
+
+  const parsePrimary = () => {
+    const t = peek();
+    if (t.type === 'identifier' || (t.type === 'keyword' && (t.value === 'NULL' || t.value === 'true' || t.value === 'false'))) {
+      next();
+      if (t.value === 'NULL') return node('NumberLiteral', t, { value: 0, raw: 'NULL', isFloat: false, isNull: true });
+      if (t.value === 'true' || t.value === 'false') return node('NumberLiteral', t, { value: t.value === 'true' ? 1 : 0, raw: t.value, isFloat: false });
+      return node('Identifier', t, { name: t.value });
+    }
+    if (t.type === 'number') {
+      next();
+      const raw = t.value;
+      const clean = raw.replace(/[uUlL]+$/, '');
+      const isFloat = !/^0[xX]/.test(raw) && /[.eE]/.test(clean.replace(/[fF]$/, '')) ;
+      const value = isFloat
+        ? parseFloat(clean.replace(/[fF]$/, ''))
+        : /^0[xX]/.test(clean) ? parseInt(clean, 16) : /^0\d/.test(clean) ? parseInt(clean, 8) : parseInt(clean, 10);
+      return node('NumberLiteral', t, {
+        value,
+        raw,
+        isFloat,
+        suffix: (raw.match(/[uUlLfF]+$/) || [''])[0].toLowerCase()
+      });
+    }
+    if (t.type === 'char') {
+      next();
+      const decoded = decodeEscapes(literalBody(t.value));
+      const code = decoded.charCodeAt(0) || 0;
+      return node('CharLiteral', t, { value: code > 127 ? code - 256 : code, raw: t.value });
+    }
+    if (t.type === 'string') {
+      // Adjacent literals concatenate: "ab" "cd" -> "abcd".
+      let value = '';
+      let raw = '';
+      while (peek().type === 'string') {
+        const s = next();
+        value += decodeEscapes(literalBody(s.value));
+        raw += s.value;
+      }
+      return node('StringLiteral', t, { value, raw });
+    }
+    if (is('(')) {
+      next();
+      const expr = parseExpression();
+      expect(')');
+      return expr;
+    }
+    throw new SyntaxError_(t.type === 'eof' ? 'Unexpected end of file.' : `Unexpected '${t.value}'.`, t);
+  };
+
+  const parsePostfix = () => {
+    let expr = parsePrimary();
+    for (;;) {
+      const t = peek();
+      if (is('[')) {
+        next();
+        const index = parseExpression();
+        expect(']');
+        expr = node('Index', t, { object: expr, index, line: expr.line, col: expr.col });
+      } else if (is('(')) {
+        next();
+        const args = [];
+        while (!is(')') && peek().type !== 'eof') {
+          args.push(parseAssignment());
+          if (!accept(',')) break;
+        }
+        expect(')');
+        expr = node('Call', t, { callee: expr, arguments: args, line: expr.line, col: expr.col });
+      } else if (is('.') || is('->')) {
+        next();
+        const name = next();
+        if (name.type !== 'identifier') throw new SyntaxError_('Expected a field name.', name);
+        expr = node('Member', t, { object: expr, property: name.value, arrow: t.value === '->', line: expr.line, col: expr.col });
+      } else if (is('++') || is('--')) {
+        next();
+        expr = node('Update', t, { operator: t.value, prefix: false, argument: expr, line: expr.line, col: expr.col });
+      } else {
+        return expr;
+      }
+    }
+  };
+
+  const parseUnary = () => {
+    const t = peek();
+    if (is('++') || is('--')) {
+      next();
+      return node('Update', t, { operator: t.value, prefix: true, argument: parseUnary() });
+    }
+    if (['-', '+', '!', '~', '*', '&'].some((op) => is(op))) {
+      next();
+      return node('Unary', t, { operator: t.value, argument: parseCast() });
+    }
+    if (is('sizeof')) {
+      next();
+      if (is('(') && startsType(peek(1))) {
+        next();
+        const argType = parseTypeName();
+        expect(')');
+        return node('SizeofType', t, { argType });
+      }
+      return node('SizeofExpr', t, { argument: parseUnary() });
+    }
+    return parsePostfix();
+  };
+
+  const parseCast = () => {
+    const t = peek();
+    if (is('(') && startsType(peek(1))) {
+      next();
+      const targetType = parseTypeName();
+      expect(')');
+      if (is('{')) return { ...parseInitializer(), compoundType: targetType }; // compound literal
+      return node('Cast', t, { targetType, argument: parseCast() });
+    }
+    return parseUnary();
+  };
+
+  const parseBinary = (level) => {
+    if (level >= BINARY_LEVELS.length) return parseCast();
+    let left = parseBinary(level + 1);
+    for (;;) {
+      const t = peek();
+      if (t.type !== 'punct' || !BINARY_LEVELS[level].includes(t.value)) return left;
+      next();
+      const right = parseBinary(level + 1);
+      left = node('Binary', t, { operator: t.value, left, right, line: left.line, col: left.col, opLine: t.line, opCol: t.col });
+    }
+  };
+
+  const parseConditional = () => {
+    const test = parseBinary(0);
+    if (!is('?')) return test;
+    const t = next();
+    const consequent = parseExpression();
+    expect(':');
+    const alternate = parseConditional();
+    return node('Conditional', t, { test, consequent, alternate, line: test.line, col: test.col });
+  };
+
+  function parseAssignment() {
+    const left = parseConditional();
+    const t = peek();
+    if (t.type === 'punct' && ASSIGN_OPS.has(t.value)) {
+      next();
+      const right = parseAssignment();
+      return node('Assignment', t, { operator: t.value, left, right, line: left.line, col: left.col });
+    }
+    return left;
+  }
+
+  function parseExpression() {
+    const first = parseAssignment();
+    if (!is(',')) return first;
+    const expressions = [first];
+    while (accept(',')) expressions.push(parseAssignment());
+    return node('Comma', first, { expressions });
+  }
+
+  // --- Declarations ---
+
+  // After the specifiers: one or more declarators with optional initializers.
+  const parseDeclarationRest = (spec, startToken) => {
+    const declarators = [];
+    if (!is(';')) {
+      do {
+        const d = parseDeclarator(spec.type);
+        const init = accept('=') ? parseInitializer() : null;
+        // int a[] = {1, 2, 3}; / char s[] = "hi"; take their size from the initializer.
+        if (d.type.kind === 'array' && d.type.size == null && init) {
+          const size = init.type === 'InitList' ? init.elements.length : init.type === 'StringLiteral' ? init.value.length + 1 : null;
+          d.type = { ...d.type, size };
+        }
+        if (spec.storage === 'typedef' && d.name) typedefs.set(d.name, d.type);
+        declarators.push({ ...d, init });
+      } while (accept(','));
+    }
+    expect(';');
+    return node('Declaration', startToken, { storage: spec.storage, isConst: spec.isConst, declarators });
+  };
+
+  // --- Statements ---
+
+  const parseCompound = () => {
+    const open = expect('{');
+    const body = [];
+    while (!is('}') && peek().type !== 'eof') {
+      const stmt = parseStatementSafely();
+      if (stmt) body.push(stmt);
+    }
+    const close = expect('}');
+    return node('Compound', open, { body, endLine: close.line });
+  };
+
+  const parseStatement = () => {
+    const t = peek();
+
+    if (is('{')) return parseCompound();
+    if (is(';')) {
+      next();
+      return node('Empty', t, {});
+    }
+
+    if (t.type === 'identifier' && is(':', 1) && !typedefs.has(t.value)) {
+      next();
+      next();
+      return node('Label', t, { name: t.value, body: parseStatement() });
+    }
+
+    if (startsType()) {
+      const spec = parseSpecifiers();
+      return parseDeclarationRest(spec, t);
+    }
+
+    if (t.type === 'keyword') {
+      switch (t.value) {
+        case 'if': {
+          next();
+          expect('(');
+          const test = parseExpression();
+          expect(')');
+          const consequent = parseStatement();
+          const alternate = accept('else') ? parseStatement() : null;
+          return node('If', t, { test, consequent, alternate });
+        }
+        case 'while': {
+          next();
+          expect('(');
+          const test = parseExpression();
+          expect(')');
+          return node('While', t, { test, body: parseStatement() });
+        }
+        case 'do': {
+          next();
+          const body = parseStatement();
+          expect('while');
+          expect('(');
+          const test = parseExpression();
+          expect(')');
+          expect(';');
+          return node('DoWhile', t, { body, test });
+        }
+        case 'for': {
+          next();
+          expect('(');
+          let init = null;
+          if (startsType()) {
+            init = parseDeclarationRest(parseSpecifiers(), peek());
+          } else {
+            if (!is(';')) init = parseExpression();
+            expect(';');
+          }
+          const test = is(';') ? null : parseExpression();
+          expect(';');
+          const update = is(')') ? null : parseExpression();
+          expect(')');
+          return node('For', t, { init, test, update, body: parseStatement() });
+        }
+        case 'switch': {
+          next();
+          expect('(');
+          const discriminant = parseExpression();
+          expect(')');
+          return node('Switch', t, { discriminant, body: parseStatement() });
+        }
+        case 'case': {
+          next();
+          const test = parseConditional();
+          expect(':');
+          return node('Case', t, { test, value: evaluateConstant(test, program) });
+        }
+        case 'default':
+          next();
+          expect(':');
+          return node('Default', t, {});
+        case 'return': {
+          next();
+          const argument = is(';') ? null : parseExpression();
+          expect(';');
+          return node('Return', t, { argument });
+        }
+        case 'break':
+        case 'continue':
+          next();
+          expect(';');
+          return node(t.value === 'break' ? 'Break' : 'Continue', t, {});
+        case 'goto': {
+          next();
+          const label = next();
+          expect(';');
+          return node('Goto', t, { label: label.value });
+        }
+        default:
+          break;
+      }
+    }
+
+    const expression = parseExpression();
+    expect(';', "';'");
+    return node('ExpressionStatement', t, { expression });
+  };
+
+  // Skip to a likely statement boundary after a syntax error.
+  const recover = (stopAtBrace) => {
+    let depth = 0;
+    while (peek().type !== 'eof') {
+      const t = next();
+      if (t.value === '{') depth++;
+      else if (t.value === '}') {
+        if (depth === 0 && stopAtBrace) {
+          pos--;
+          return;
+        }
+        depth--;
+        if (depth <= 0) return;
+      } else if (t.value === ';' && depth <= 0) return;
+    }
+  };
+
+  const reportError = (err) => {
+    if (!(err instanceof SyntaxError_)) throw err;
+    program.errors.push({ line: err.token.line, col: err.token.col, file: err.token.file || null, message: err.message });
+  };
+
+  const parseStatementSafely = () => {
+    const start = pos;
+    try {
+      return parseStatement();
+    } catch (err) {
+      reportError(err);
+      if (pos === start) next();
+      recover(true);
+      return null;
+    }
+  };
+
+  const parseExternal = () => {
+    const t = peek();
+    const spec = parseSpecifiers() || (t.type === 'identifier' && is('(', 1) ? { type: base('int'), storage: null, isConst: false } : null);
+    if (!spec) throw new SyntaxError_(`Unexpected '${t.value}' at file scope.`, t);
+    if (is(';')) {
+      next();
+      return node('Declaration', t, { storage: spec.storage, isConst: spec.isConst, declarators: [] });
+    }
+
+    const save = pos;
+    const d = parseDeclarator(spec.type);
+    if (d.type.kind === 'function' && is('{')) {
+      const body = parseCompound();
+      return node('FunctionDef', t, {
+        name: d.name,
+        returnType: d.type.returns,
+        params: d.type.paramList,
+        variadic: d.type.variadic,
+        storage: spec.storage,
+        nameLine: d.line,
+        body
+      });
+    }
+    pos = save;
+    const decl = parseDeclarationRest(spec, t);
+    return decl;
+  };
+
+  while (peek().type !== 'eof') {
+    const start = pos;
+    try {
+      program.body.push(parseExternal());
+    } catch (err) {
+      reportError(err);
+      if (pos === start) next();
+      recover(false);
+    }
+  }
+
+  return program;
+};
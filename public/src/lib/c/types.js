@@ -0,0 +1,113 @@
+// C type representation shared by the parser and the analyzer.
+//
+// Type:
+//   { kind: 'base', name, unsigned }   name: 'void' | 'bool' | 'char' | 'short' | 'int' | 'long' |
+//                                             'long long' | 'float' | 'double' | 'long double'
+//   { kind: 'pointer', to }
+//   { kind: 'array', of, size }        size: number, or null when unknown / unsized
+//   { kind: 'struct', name, union }    fields live in the program's struct table
+//   { kind: 'enum', name }
+//   { kind: 'function', returns, params: [Type], variadic }
+//   { kind: 'named', name }            typedef names the parser could not resolve (FILE, size_t...)
+//
+// Sizes follow the ILP32 model of the wasm32 clang the app compiles with:
+// int, long and pointers are 4 bytes, long long is 8. Programs that depend
+// on it (`sizeof(long)`, `1L << 40`) print something different from gcc on
+// x86-64, which is LP64.
+
+export const base = (name, unsigned = false) => ({ kind: 'base', name, unsigned });
+export const pointerTo = (to) => ({ kind: 'pointer', to });
+export const arrayOf = (of, size = null) => ({ kind: 'array', of, size });
+
+export const INT = base('int');
+export const CHAR = base('char');
+export const DOUBLE = base('double');
+export const SIZE_T = base('long', true);
+
+const INTEGER_NAMES = new Set(['bool', 'char', 'short', 'int', 'long', 'long long']);
+const FLOAT_NAMES = new Set(['float', 'double', 'long double']);
+
+export const isInteger = (t) => Boolean(t) && ((t.kind === 'base' && INTEGER_NAMES.has(t.name)) || t.kind === 'enum');
+export const isFloating = (t) => Boolean(t) && t.kind === 'base' && FLOAT_NAMES.has(t.name);
+export const isArithmetic = (t) => isInteger(t) || isFloating(t);
+export const isPointer = (t) => Boolean(t) && t.kind === 'pointer';
+export const isArray = (t) => Boolean(t) && t.kind === 'array';
+// Arrays and functions decay to pointers in most expressions.
+export const isPointerLike = (t) => isPointer(t) || isArray(t) || (Boolean(t) && t.kind === 'function');
+export const isCharType = (t) => Boolean(t) && t.kind === 'base' && t.name === 'char';
+export const isVoid = (t) => Boolean(t) && t.kind === 'base' && t.name === 'void';
+
+// What a pointer or array points at (null otherwise).
+export const pointee = (t) => (isPointer(t) ? t.to : isArray(t) ? t.of : null);
+
+export const decay = (t) => (isArray(t) ? pointerTo(t.of) : t && t.kind === 'function' ? pointerTo(t) : t);
+
+export const typeToString = (t) => {
+  if (!t) return '?';
+  switch (t.kind) {
+    case 'base': return `${t.unsigned ? 'unsigned ' : ''}${t.name}`;
+    case 'pointer': return t.to.kind === 'function' ? `${typeToString(t.to.returns)} (*)(...)` : `${typeToString(t.to)} *`;
+    case 'array': return `${typeToString(t.of)} [${t.size ?? ''}]`;
+    case 'struct': return `${t.union ? 'union' : 'struct'} ${t.name || '(anonymous)'}`;
+    case 'enum': return `enum ${t.name || '(anonymous)'}`;
+    case 'function': return `${typeToString(t.returns)} (${t.params.map(typeToString).join(', ')})`;
+    case 'named': return t.name;
+    default: return '?';
+  }
+};
+
+const BASE_SIZES = {
+  void: 1, bool: 1, char: 1, short: 2, int: 4, long: 4, 'long long': 8,
+  float: 4, double: 8, 'long double': 16
+};
+
+// Alignment = size for scalars; structs align to their widest member.
+export const alignOf = (t, structs = new Map()) => {
+  if (!t) return 1;
+  if (t.kind === 'array') return alignOf(t.of, structs);
+  if (t.kind === 'struct') {
+    const def = structs.get(t.name);
+    return def ? Math.max(1, ...def.fields.map((f) => alignOf(f.type, structs))) : 4;
+  }
+  return Math.min(sizeOf(t, structs), 8) || 1;
+};
+
+// Byte size, or null for incomplete types.
+export const sizeOf = (t, structs = new Map()) => {
+  if (!t) return null;
+  switch (t.kind) {
+    case 'base': return BASE_SIZES[t.name] ?? 4;
+    case 'pointer':
+    case 'enum': return 4;
+    case 'array': {
+      const element = sizeOf(t.of, structs);
+      return t.size == null || element == null ? null : element * t.size;
+    }
+    case 'struct': {
+      const def = structs.get(t.name);
+      if (!def) return null;
+      let size = 0;
+      for (const field of def.fields) {
+        const fieldSize = sizeOf(field.type, structs) ?? 0;
+        const align = alignOf(field.type, structs);
+        if (t.union) size = Math.max(size, fieldSize);
+        else size = Math.ceil(size / align) * align + fieldSize;
+      }
+      const align = alignOf(t, structs);
+      return Math.ceil(size / align) * align;
+    }
+    case 'named': return 4;
+    default: return null;
+  }
+};
+
+// Usual arithmetic conversions, simplified: the "wider" of two operands.
+const RANK = ['bool', 'char', 'short', 'int', 'long', 'long long', 'float', 'double', 'long double'];
+export const commonType = (a, b) => {
+  if (!isArithmetic(a) || !isArithmetic(b)) return null;
+  const ra = a.kind === 'enum' ? RANK.indexOf('int') : RANK.indexOf(a.name);
+  const rb = b.kind === 'enum' ? RANK.indexOf('int') : RANK.indexOf(b.name);
+  const wider = ra >= rb ? a : b;
+  if (RANK.indexOf(wider.name) < RANK.indexOf('int')) return INT; // integer promotion
+  return wider.kind === 'enum' ? INT : wider;
+};
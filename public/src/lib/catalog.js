@@ -0,0 +1,35 @@
+// Bundled challenge catalog (data/challengeCatalog.json). It ships with the
+// app, so daily challenges work without a model or a network connection.
+//
+// The file is versioned: bump "version" whenever a challenge's tests change
+// so history from an older catalog can be told apart. Challenge ids are
+// stable across versions and are what the scheduler keys progress on.
+
+import catalogData from '../data/challengeCatalog.json';
+import { normalizeChallenge, DIFFICULTIES } from './challenges.js';
+
+export const CATALOG_VERSION = catalogData.version;
+
+// [{ id, label, aliases }] in curriculum order.
+export const TOPICS = catalogData.topics;
+
+const TOPIC_IDS = new Map();
+for (const topic of TOPICS) {
+  TOPIC_IDS.set(topic.id, topic.id);
+  TOPIC_IDS.set(topic.label.toLowerCase(), topic.id);
+  for (const alias of topic.aliases || []) TOPIC_IDS.set(alias.toLowerCase(), topic.id);
+}
+
+// Map free-form topic names ("Bit operations", "bitwise") to a catalog
+// topic id, or null when the topic is not part of the curriculum.
+export const topicId = (name) => (name ? TOPIC_IDS.get(String(name).trim().toLowerCase()) || null : null);
+
+export const topicLabel = (id) => TOPICS.find((t) => t.id === id)?.label || id;
+
+export const CATALOG = catalogData.challenges
+  .map((raw) => ({ ...normalizeChallenge(raw), source: 'catalog', catalogVersion: CATALOG_VERSION }))
+  .sort((a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty));
+
+export const findCatalogChallenge = (id) => CATALOG.find((c) => c.id === id) || null;
+
+export const catalogByTopic = (id) => CATALOG.filter((c) => c.topic === id);
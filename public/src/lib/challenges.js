@@ -0,0 +1,116 @@
+// Structured coding challenges and grading.
+//
+// Challenge:
+//   { id, title, description, difficulty: 'easy' | 'medium' | 'hard', topic,
+//     starterCode, tests: [{ id, stdin, args, expectedOutput, hidden }] }
+
+import { runProgram } from '../runtime/runC.js';
+import { outputsMatch } from '../runtime/outputDiff.js';
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// JSON schema handed to providers that support structured output.
+export const CHALLENGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    description: { type: 'string' },
+    difficulty: { type: 'string', enum: DIFFICULTIES },
+    topic: { type: 'string' },
+    starterCode: { type: 'string' },
+    tests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          stdin: { type: 'string' },
+          args: { type: 'array', items: { type: 'string' } },
+          expectedOutput: { type: 'string' },
+          hidden: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+export class ChallengeFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChallengeFormatError';
+  }
+}
+
+// Validate and fill defaults for a challenge from any source (model, catalog).
+export const normalizeChallenge = (raw, { id } = {}) => {
+  if (!raw || typeof raw !== 'object') throw new ChallengeFormatError('Challenge is not an object.');
+  const { title, description } = raw;
+  if (typeof title !== 'string' || !title.trim()) throw new ChallengeFormatError('Challenge has no title.');
+  if (typeof description !== 'string' || !description.trim()) throw new ChallengeFormatError('Challenge has no description.');
+
+  const tests = (Array.isArray(raw.tests) ? raw.tests : [])
+    .filter((t) => t && typeof t.expectedOutput === 'string')
+    .map((t, i) => ({
+      id: t.id || `t${i + 1}`,
+      stdin: typeof t.stdin === 'string' ? t.stdin : '',
+      args: Array.isArray(t.args) ? t.args.map(String) : [],
+      expectedOutput: t.expectedOutput,
+      hidden: Boolean(t.hidden)
+    }));
+  if (!tests.length) throw new ChallengeFormatError('Challenge has no test cases.');
+
+  return {
+    id: raw.id || id || `gen-${Date.now().toString(36)}`,
+    title: title.trim(),
+    description: description.trim(),
+    difficulty: DIFFICULTIES.includes(raw.difficulty) ? raw.difficulty : 'easy',
+    topic: typeof raw.topic === 'string' && raw.topic.trim() ? raw.topic.trim().toLowerCase() : 'general',
+    starterCode: typeof raw.starterCode === 'string' ? raw.starterCode : '',
+    tests
+  };
+};
+
+// Models sometimes wrap JSON in a ```json fence despite JSON mode.
+export const parseChallengeResponse = (text) => {
+  const stripped = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
+  let raw;
+  try {
+    raw = JSON.parse(stripped);
+  } catch (e) {
+    throw new ChallengeFormatError('The challenge was not valid JSON.');
+  }
+  return normalizeChallenge(raw);
+};
+
+// Hidden tests never expose their input or expected output to the UI.
+export const visibleTests = (challenge) => challenge.tests.filter((t) => !t.hidden);
+
+// Run the student's code against every test case.
+// Resolves with { passed, status, compileError, cases: [{ id, hidden, passed, status, stdout, expectedOutput, stdin, args }] }
+export const gradeSolution = async (code, challenge, run = runProgram) => {
+  const outcome = await run(code, challenge.tests.map((t) => ({ stdin: t.stdin, args: t.args })));
+
+  const cases = challenge.tests.map((test, i) => {
+    const result = outcome.results[i];
+    const passed = Boolean(result && result.status === 'ok' && outputsMatch(test.expectedOutput, result.stdout));
+    const visible = !test.hidden;
+    return {
+      id: test.id,
+      hidden: test.hidden,
+      passed,
+      status: result ? result.status : outcome.status,
+      stdout: visible && result ? result.stdout : null,
+      stderr: visible && result ? result.stderr : null,
+      expectedOutput: visible ? test.expectedOutput : null,
+      stdin: visible ? test.stdin : null,
+      args: visible ? test.args : null
+    };
+  });
+
+  return {
+    passed: outcome.status === 'ok' && cases.every((c) => c.passed),
+    status: outcome.status,
+    compileError: outcome.status === 'compile_error' ? outcome.stderr : null,
+    runtimeError: outcome.status === 'unavailable' ? outcome.stderr : null,
+    cases
+  };
+};
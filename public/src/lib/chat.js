@@ -0,0 +1,69 @@
+// Follow-up questions on a review.
+//
+// The model gets the whole thread as multi-turn messages: the original
+// review request (program, input, analyzer findings), the review it wrote,
+// what the program really printed, then every earlier question and answer,
+// then the new question.
+//
+// Turn: { id, question, quote, answer, error, at }
+// Quote: { file, fromLine, toLine, text } — a code range the student selected.
+
+const MAX_QUOTE_LINES = 40;
+
+// Keep a long selection readable and the request small.
+export const trimQuote = (quote) => {
+  const lines = quote.text.split('\n');
+  if (lines.length <= MAX_QUOTE_LINES) return quote;
+  return {
+    ...quote,
+    toLine: quote.fromLine + MAX_QUOTE_LINES - 1,
+    text: lines.slice(0, MAX_QUOTE_LINES).join('\n')
+  };
+};
+
+export const quoteLabel = (quote) =>
+  `${quote.file ? `${quote.file}, ` : ''}${quote.fromLine === quote.toLine ? `line ${quote.fromLine}` : `lines ${quote.fromLine}–${quote.toLine}`}`;
+
+export const formatQuestion = ({ question, quote }) => {
+  if (!quote) return question;
+  return [
+    `About this code (${quoteLabel(quote)}, as it is in the editor now):`,
+    '```c',
+    quote.text,
+    '```',
+    '',
+    question
+  ].join('\n');
+};
+
+// What the program really printed, so answers about "why does it print X"
+// start from the truth rather than from the review's prediction.
+const executionNote = (execution) => {
+  if (!execution || execution.status === 'running') return null;
+  if (execution.status === 'compile_error') return `It did not compile:\n\`\`\`text\n${execution.stderr}\n\`\`\``;
+  if (execution.status !== 'ok' && execution.status !== 'runtime_error') return null;
+  const parts = [`When it was actually run, it printed:\n\`\`\`text\n${execution.stdout || '(nothing)'}\n\`\`\``];
+  if (execution.status === 'runtime_error') parts.push(`and exited with code ${execution.exitCode}.`);
+  return parts.join('\n');
+};
+
+// Everything before the new question; send the question itself as the
+// final user message (formatQuestion).
+export const buildChatHistory = ({ reviewRequest, review, execution, turns }) => {
+  const messages = [
+    { role: 'user', text: reviewRequest },
+    { role: 'assistant', text: review }
+  ];
+  const note = executionNote(execution);
+  if (note) {
+    messages.push(
+      { role: 'user', text: `For reference: ${note}` },
+      { role: 'assistant', text: 'Noted. What would you like to know about it?' }
+    );
+  }
+  for (const turn of turns) {
+    if (!turn.answer) continue; // failed or stopped turns are not replayed
+    messages.push({ role: 'user', text: formatQuestion(turn) }, { role: 'assistant', text: turn.answer });
+  }
+  return messages;
+};
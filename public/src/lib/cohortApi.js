@@ -0,0 +1,56 @@
+// Client for classes (public/api/cohorts.js). The joined class is cached
+// so the assigned daily challenge is still there offline.
+
+import { request } from './streakApi.js';
+
+const COHORTS_KEY = 'techchat_cohorts';
+
+const post = (body) => request('/api/cohorts', { method: 'POST', body: JSON.stringify(body) });
+
+// { joined, teaching } as last seen, or null.
+export const readCachedCohorts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(COHORTS_KEY));
+  } catch (e) {
+    return null;
+  }
+};
+
+const cache = (cohorts) => {
+  if (cohorts) localStorage.setItem(COHORTS_KEY, JSON.stringify(cohorts));
+  else localStorage.removeItem(COHORTS_KEY);
+  return cohorts;
+};
+
+export const clearCachedCohorts = () => cache(null);
+
+export const fetchCohorts = async () => cache(await request('/api/cohorts'));
+
+export const createCohort = async (name) => {
+  await post({ action: 'create', name });
+  return fetchCohorts();
+};
+
+export const joinCohort = async (code, name) => {
+  await post({ action: 'join', code, name });
+  return fetchCohorts();
+};
+
+export const leaveCohort = async () => {
+  await post({ action: 'leave' });
+  return fetchCohorts();
+};
+
+export const deleteCohort = async (cohortId) => {
+  await post({ action: 'delete', cohortId });
+  return fetchCohorts();
+};
+
+// `challenge` is a catalog challenge (lib/catalog.js).
+export const assignChallenge = async (cohortId, challenge) => {
+  const { cohort } = await post({ action: 'assign', cohortId, challengeId: challenge.id, title: challenge.title, topic: challenge.topic });
+  await fetchCohorts();
+  return cohort;
+};
+
+export const fetchDashboard = (cohortId) => request(`/api/cohorts?dashboard=${encodeURIComponent(cohortId)}`);
@@ -0,0 +1,174 @@
+// Cohort dashboard numbers, computed by the serverless API (api/cohorts.js)
+// from each member's streak state, settings and submission log, and turned
+// into CSV in the browser. Pure: the caller passes the clock.
+//
+// Member: { id, name, joinedAt, streak, settings, submissions }, where
+// `submissions` is the server log (newest first, see api/submissions.js).
+
+import { dayInTimeZone, daysBetween, effectiveStreak, normalizeStreak, DEFAULT_STREAK_SETTINGS } from './streak.js';
+import { categoryLabel } from './errorCategories.js';
+
+// Windows for the activity numbers, in days.
+const ACTIVITY_DAYS = 7;
+const HOURS_DAYS = 14;
+const CATEGORY_DAYS = 14;
+// A broken streak stops being news after this many days.
+const RECENT_BREAK_DAYS = 7;
+
+const hourInTimeZone = (date, timeZone) =>
+  Number(new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(date));
+
+// When the student actually submitted: replays from the offline queue
+// carry the original time.
+const submittedAt = (entry) => new Date(entry.claimedAt || entry.at);
+
+// Upper median, so it stays a whole hour / day count.
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// null, or { level: 'broken' | 'due' | 'inactive', message }.
+const riskFor = (state, today) => {
+  if (!state.lastDay) return { level: 'inactive', message: 'No submissions yet' };
+  const missed = daysBetween(state.lastDay, today) - 1;
+  const alive = effectiveStreak(state, today) > 0;
+  if (!alive && state.current >= 2) {
+    const ago = missed - state.freezes;
+    if (ago <= RECENT_BREAK_DAYS) return { level: 'broken', message: `${state.current}-day streak broke ${ago === 1 ? 'yesterday' : `${ago} days ago`}` };
+  }
+  if (alive && missed >= 0 && missed === state.freezes && state.current >= 2) {
+    return { level: 'due', message: `Must submit today to keep a ${state.current}-day streak` };
+  }
+  return null;
+};
+
+const assignmentStatus = (log, assignment) => {
+  if (!assignment) return null;
+  const attempts = log.filter((e) => e.challengeId === assignment.challengeId && e.at >= assignment.assignedAt);
+  if (attempts.some((e) => e.passed)) return 'passed';
+  return attempts.length ? 'attempted' : 'not started';
+};
+
+export const cohortDashboard = (members, { now, assignment = null }) => {
+  const hours = Array(24).fill(0);
+  const challenges = new Map();
+  const categories = new Map();
+
+  const students = members.map((member) => {
+    const state = normalizeStreak(member.streak);
+    const { timeZone } = { ...DEFAULT_STREAK_SETTINGS, ...member.settings };
+    const today = dayInTimeZone(now, timeZone);
+    const log = member.submissions || [];
+    const recent = (days) => log.filter((e) => e.day && daysBetween(e.day, today) < days);
+
+    const ownHours = [];
+    for (const entry of recent(HOURS_DAYS)) {
+      const hour = hourInTimeZone(submittedAt(entry), timeZone);
+      hours[hour] += 1;
+      ownHours.push(hour);
+    }
+
+    // Oldest first, so "first try" means the first logged attempt.
+    for (const entry of [...log].reverse()) {
+      if (!entry.challengeId) continue;
+      const c = challenges.get(entry.challengeId) || { challengeId: entry.challengeId, attempts: 0, tried: new Set(), passed: new Set(), firstTry: new Set() };
+      if (!c.tried.has(member.id) && entry.passed) c.firstTry.add(member.id);
+      c.attempts += 1;
+      c.tried.add(member.id);
+      if (entry.passed) c.passed.add(member.id);
+      challenges.set(entry.challengeId, c);
+    }
+
+    const ownCategories = new Map();
+    for (const entry of recent(CATEGORY_DAYS)) {
+      for (const id of entry.categories || []) {
+        ownCategories.set(id, (ownCategories.get(id) || 0) + 1);
+        const c = categories.get(id) || { id, submissions: 0, students: new Set() };
+        c.submissions += 1;
+        c.students.add(member.id);
+        categories.set(id, c);
+      }
+    }
+
+    const challengeEntries = log.filter((e) => e.challengeId);
+    return {
+      id: member.id,
+      name: member.name,
+      joinedAt: member.joinedAt,
+      streak: effectiveStreak(state, today),
+      longest: state.longest,
+      freezes: state.freezes,
+      lastDay: state.lastDay,
+      lastSubmittedAt: log[0] ? submittedAt(log[0]).toISOString() : null,
+      submittedToday: state.lastDay === today,
+      recentSubmissions: recent(ACTIVITY_DAYS).length,
+      usualHour: median(ownHours),
+      attempts: challengeEntries.length,
+      passes: challengeEntries.filter((e) => e.passed).length,
+      assignment: assignmentStatus(log, assignment),
+      risk: riskFor(state, today),
+      categories: [...ownCategories].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([id]) => id)
+    };
+  });
+
+  const streaks = students.map((s) => s.streak);
+  return {
+    generatedAt: now.toISOString(),
+    assignment,
+    summary: {
+      students: students.length,
+      activeToday: students.filter((s) => s.submittedToday).length,
+      atRisk: students.filter((s) => s.risk && s.risk.level !== 'inactive').length,
+      averageStreak: streaks.length ? Math.round((10 * streaks.reduce((a, b) => a + b, 0)) / streaks.length) / 10 : 0,
+      medianStreak: median(streaks) ?? 0
+    },
+    students,
+    hours,
+    challenges: [...challenges.values()]
+      .map((c) => ({
+        challengeId: c.challengeId,
+        attempts: c.attempts,
+        students: c.tried.size,
+        passedStudents: c.passed.size,
+        passRate: c.passed.size / c.tried.size,
+        firstTryRate: c.firstTry.size / c.tried.size
+      }))
+      .sort((a, b) => b.students - a.students),
+    categories: [...categories.values()]
+      .map((c) => ({ id: c.id, submissions: c.submissions, students: c.students.size }))
+      .sort((a, b) => b.students - a.students || b.submissions - a.submissions)
+  };
+};
+
+// An assignment is the daily challenge for its day; a day of slack covers
+// students in time zones ahead of or behind the instructor.
+export const isCurrentAssignment = (assignment, today) =>
+  Boolean(assignment) && daysBetween(assignment.day, today) <= 1 && daysBetween(assignment.day, today) >= -1;
+
+const CSV_COLUMNS = [
+  ['Name', (s) => s.name],
+  ['Current streak', (s) => s.streak],
+  ['Longest streak', (s) => s.longest],
+  ['Last streak day', (s) => s.lastDay || ''],
+  ['Last submission', (s) => s.lastSubmittedAt || ''],
+  [`Submissions (${ACTIVITY_DAYS} days)`, (s) => s.recentSubmissions],
+  ['Usual hour', (s) => (s.usualHour === null ? '' : `${String(s.usualHour).padStart(2, '0')}:00`)],
+  ['Challenge attempts', (s) => s.attempts],
+  ['Challenges passed', (s) => s.passes],
+  ['Assigned challenge', (s) => s.assignment || ''],
+  ['At risk', (s) => s.risk?.message || ''],
+  ['Common errors', (s) => s.categories.map(categoryLabel).join('; ')]
+];
+
+// Names are typed by students: keep spreadsheets from running them as formulas.
+const csvCell = (value) => {
+  const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const dashboardCsv = (dashboard) =>
+  [CSV_COLUMNS.map(([title]) => title), ...dashboard.students.map((s) => CSV_COLUMNS.map(([, get]) => get(s)))]
+    .map((row) => row.map(csvCell).join(','))
+    .join('\r\n');
@@ -0,0 +1,75 @@
+// Line-level diagnostics for the editor gutter, collected from the mentor
+// review, the real compiler output and the local static analyzer.
+//
+// Diagnostic: { line, col, severity: 'error' | 'warning' | 'info', message, source, file }
+// `file` is the project file the line belongs to, or null when the source
+// did not say (single-file programs, untagged mentor notes).
+
+// The mentor prompt asks for issues to be tagged as "Line N (error): ...",
+// or "list.c Line N (error): ..." in multi-file projects.
+const REVIEW_TAG = /(?:\b([A-Za-z_][\w-]*\.[ch])\b[\s,:]*)?\bLines?\s+(\d+)(?:\s*[-–]\s*\d+)?\s*\((error|warning|ub|undefined behavior|bug|note)\)\s*:?\s*(.+)/i;
+
+// clang / gcc: "/project/main.c:6:5: error: use of undeclared identifier 'x'"
+const COMPILER_LINE = /^(?:[^:\s]*\/)?([^/:\s]+\.[ch]):(\d+):(\d+):\s*(fatal error|error|warning|note):\s*(.+)$/;
+
+const stripMarkdown = (text) => text.replace(/\*\*|__|`/g, '').replace(/\s+$/, '');
+
+const reviewSeverity = (tag) => {
+  const t = tag.toLowerCase();
+  if (t === 'error') return 'error';
+  if (t === 'note') return 'info';
+  return 'warning'; // warning, UB, bug
+};
+
+export const parseReviewDiagnostics = (reviewText) => {
+  if (!reviewText) return [];
+  const out = [];
+  for (const rawLine of reviewText.split('\n')) {
+    const match = stripMarkdown(rawLine).match(REVIEW_TAG);
+    if (match) {
+      out.push({
+        line: parseInt(match[2], 10),
+        col: null,
+        severity: reviewSeverity(match[3]),
+        message: match[4].trim(),
+        source: 'mentor',
+        file: match[1] || null
+      });
+    }
+  }
+  return out;
+};
+
+// Whether the mentor flagged undefined behavior anywhere in a review.
+export const reviewFlagsUB = (reviewText) =>
+  Boolean(reviewText) && reviewText.split('\n').some((line) => /^(ub|undefined behavior)$/i.test(stripMarkdown(line).match(REVIEW_TAG)?.[3] || ''));
+
+export const parseCompilerDiagnostics = (stderr) => {
+  if (!stderr) return [];
+  const out = [];
+  for (const rawLine of stderr.split('\n')) {
+    const match = rawLine.match(COMPILER_LINE);
+    if (match) {
+      out.push({
+        line: parseInt(match[2], 10),
+        col: parseInt(match[3], 10),
+        severity: match[4] === 'note' ? 'info' : match[4].includes('error') ? 'error' : 'warning',
+        message: match[5].trim(),
+        source: 'compiler',
+        file: match[1]
+      });
+    }
+  }
+  return out;
+};
+
+// Compiler findings first (they are facts), then the analyzer's
+// (lib/c/analyzer.js), then the mentor's, sorted by line.
+export const collectDiagnostics = (reviewText, execution, findings = []) => {
+  const compiler = parseCompilerDiagnostics([execution?.stderr, execution?.warnings].filter(Boolean).join('\n'));
+  const all = [...compiler, ...findings, ...parseReviewDiagnostics(reviewText)];
+  return all
+    .map((d, i) => ({ ...d, order: i }))
+    .sort((a, b) => a.line - b.line || a.order - b.order)
+    .map(({ order, ...d }) => d);
+};
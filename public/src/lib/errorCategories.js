@@ -0,0 +1,54 @@
+// Error categories for the cohort dashboard. A review is reduced to the
+// categories of the problems it flagged; only these ids leave the browser
+// (with the submission's code hash), never the code or the review.
+//
+// Sources: the mentor's tagged issues ("Line N (error): ...", see
+// lib/diagnostics.js), matched by keyword in the order below, and the
+// local analyzer's rules.
+
+import { parseReviewDiagnostics } from './diagnostics.js';
+
+export const ERROR_CATEGORIES = [
+  { id: 'compile', label: 'Does not compile', pattern: /compil|syntax|undeclared|expected ['"`;]|missing semicolon|unknown type/i },
+  { id: 'headers', label: 'Missing #include', pattern: /#include|implicit(ly)? declar|header/i },
+  { id: 'format', label: 'printf/scanf formats', pattern: /format|specifier|%[-+ #0-9.]*(l{0,2}[diufcsxp]|lf)\b/i },
+  { id: 'input', label: 'Reading input', pattern: /\bgets\b|scanf|missing &|address-of|fgets|newline left/i },
+  { id: 'uninitialized', label: 'Uninitialized variables', pattern: /uninitiali[sz]ed|not (been )?initiali[sz]ed|garbage|indeterminate/i },
+  { id: 'off-by-one', label: 'Off-by-one loops', pattern: /off[- ]by[- ]one|<=\s*\w*(len|size|n)\b|one (too many|past)/i },
+  { id: 'bounds', label: 'Array bounds', pattern: /out[- ]of[- ]bounds|past the end|beyond the (end|array)|buffer overflow|overrun|index \S+ (is )?(too large|invalid)/i },
+  { id: 'memory', label: 'malloc / free', pattern: /memory leak|leak|double free|use[- ]after[- ]free|\bfree\(|\bmalloc\b|\bcalloc\b|\brealloc\b/i },
+  { id: 'strings', label: 'Strings', pattern: /null terminator|'\\0'|nul[- ]terminat|\bstr(cpy|cat|len|cmp)\b|string/i },
+  { id: 'pointers', label: 'Pointers & NULL', pattern: /null|dangling|derefer|pointer/i },
+  { id: 'integer-division', label: 'Integer division', pattern: /integer division|truncat/i },
+  { id: 'overflow', label: 'Integer overflow', pattern: /overflow|too large for|wrap(s|ped)? around/i },
+  { id: 'loops', label: 'Loop logic', pattern: /infinite loop|never (ends|terminates|stops)|loop condition|never runs/i },
+  { id: 'logic', label: 'Other logic errors', pattern: /./ }
+];
+
+export const ERROR_CATEGORY_IDS = ERROR_CATEGORIES.map((c) => c.id);
+
+export const categoryLabel = (id) => ERROR_CATEGORIES.find((c) => c.id === id)?.label || id;
+
+const ANALYZER_CATEGORIES = {
+  headers: 'headers',
+  main: 'compile',
+  format: 'format',
+  uninitialized: 'uninitialized',
+  bounds: 'bounds',
+  gets: 'input'
+};
+
+const categorize = (message) => ERROR_CATEGORIES.find((c) => c.pattern.test(message)).id;
+
+// Distinct category ids for one submission. Mentor notes (info) are not
+// problems and are left out.
+export const categorizeReview = (reviewText, findings = []) => {
+  const ids = new Set();
+  for (const d of parseReviewDiagnostics(reviewText)) {
+    if (d.severity !== 'info') ids.add(categorize(d.message));
+  }
+  for (const f of findings) {
+    if (ANALYZER_CATEGORIES[f.rule]) ids.add(ANALYZER_CATEGORIES[f.rule]);
+  }
+  return ERROR_CATEGORY_IDS.filter((id) => ids.has(id));
+};
@@ -0,0 +1,84 @@
+// Hint mode: the student predicts the output before seeing the review, then
+// unlocks hints one level at a time.
+//
+// Session (stored on the history record as `hintSession`):
+//   { guesses: [{ text, match, lines, missing, levelAtGuess, at }], level, hints, revealed, target, startedAt }
+// `level` is the highest hint unlocked (0 = none, 4 = full answer), `hints`
+// the mentor's { concept, line: { number, file, hint }, trace } once fetched,
+// `target` whether guesses were scored against the 'actual' output or the
+// mentor's 'predicted' one.
+
+import { diffLines, outputsMatch } from '../runtime/outputDiff.js';
+
+export const HINT_LEVELS = [
+  { level: 1, label: 'Concept', description: 'Which C idea decides the output' },
+  { level: 2, label: 'Relevant line', description: 'Where to look in the code' },
+  { level: 3, label: 'Partial trace', description: 'The first few steps, worked through' },
+  { level: 4, label: 'Full answer', description: 'The complete review and real output' }
+];
+
+export const FULL_ANSWER_LEVEL = 4;
+
+// Each hint unlocked before the last guess lowers the score's ceiling.
+const HINT_MULTIPLIER = [1, 0.85, 0.7, 0.5, 0];
+
+export const newHintSession = () => ({
+  guesses: [],
+  level: 0,
+  hints: null,
+  revealed: false,
+  target: null,
+  startedAt: new Date().toISOString()
+});
+
+// How well a guess matches the expected output, line by line.
+// Returns { match: 0-100, exact, lines: [{ text, ok }], missing } where
+// `lines` marks each guessed line without revealing the expected text.
+export const scoreGuess = (guess, expected) => {
+  if (outputsMatch(guess, expected)) {
+    return { match: 100, exact: true, lines: guess.replace(/\s+$/, '').split('\n').map((text) => ({ text, ok: true })), missing: 0 };
+  }
+  const ops = diffLines(guess, expected);
+  const same = ops.filter((op) => op.type === 'same').length;
+  const guessed = ops.filter((op) => op.type !== 'added').length;
+  const wanted = ops.filter((op) => op.type !== 'removed').length;
+  return {
+    match: Math.round((200 * same) / Math.max(1, guessed + wanted)),
+    exact: false,
+    lines: ops.filter((op) => op.type !== 'added').map((op) => ({ text: op.text, ok: op.type === 'same' })),
+    missing: ops.filter((op) => op.type === 'added').length
+  };
+};
+
+// Final score for a session: the last guess's match, capped by the hints
+// that were unlocked before it was made.
+export const sessionScore = (session) => {
+  const last = session.guesses[session.guesses.length - 1];
+  if (!last) return 0;
+  return Math.round(last.match * HINT_MULTIPLIER[last.levelAtGuess ?? session.level]);
+};
+
+// The model's JSON hints, with anything missing left out.
+export const parseHints = (json) => {
+  const data = JSON.parse(json);
+  const line = Number.isInteger(data?.line?.number) && data.line.number > 0
+    ? { number: data.line.number, file: data.line.file || null, hint: String(data.line.hint || '') }
+    : null;
+  return {
+    concept: typeof data?.concept === 'string' ? data.concept : null,
+    line,
+    trace: typeof data?.trace === 'string' ? data.trace : null
+  };
+};
+
+export const HINTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    concept: { type: 'string' },
+    line: {
+      type: 'object',
+      properties: { number: { type: 'integer' }, file: { type: 'string' }, hint: { type: 'string' } }
+    },
+    trace: { type: 'string' }
+  }
+};
@@ -0,0 +1,196 @@
+// IndexedDB-backed archive of every submission. Records look like:
+//   { id, createdAt, code, stdin, argsText, review, execution, day, verified, autoFixes, error }
+// `day` is the server-verified streak day when known; `autoFixes` holds the
+// { before, after, at, explanations } entries applied while drafting this
+// submission. Challenge attempts also carry `challenge` and `grade`, and
+// reviews that were discussed keep the answered `followUps` (lib/chat.js).
+// Reviews done in hint mode keep the guesses and hint level in
+// `hintSession` (lib/hints.js).
+// `queued` marks submissions waiting in the offline queue. Multi-file
+// projects are stored in `code` in their serialized form (lib/project.js).
+//
+// For account sync (lib/sync.js) every record also has a `syncId` shared by
+// all devices, an `updatedAt` bumped on each change and a `dirty` flag
+// until the server has the change. Deleting a synced record leaves a
+// { syncId, deletedAt } tombstone to be pushed.
+//
+// The same database holds the offline submission queue (see
+// lib/offlineQueue.js for what the entries mean).
+
+const DB_NAME = 'techchat';
+const DB_VERSION = 3;
+const STORE = 'submissions';
+const QUEUE_STORE = 'queue';
+const TOMBSTONE_STORE = 'deleted';
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(TOMBSTONE_STORE)) {
+          db.createObjectStore(TOMBSTONE_STORE, { keyPath: 'syncId' });
+        }
+        const store = request.transaction.objectStore(STORE);
+        if (!store.indexNames.contains('syncId')) {
+          store.createIndex('syncId', 'syncId');
+          // Records from before sync get their ids now.
+          store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            cursor.update({ ...cursor.value, syncId: crypto.randomUUID(), updatedAt: cursor.value.createdAt, dirty: true });
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, fn, name = STORE) => {
+  const db = await openDB();
+  return fn(db.transaction(name, mode).objectStore(name));
+};
+
+// "YYYY-MM-DD" in the browser's own time zone.
+export const localDay = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Local calendar day for records the server never confirmed.
+export const submissionDay = (record) => record.day || localDay(new Date(record.createdAt));
+
+export const addSubmission = (record) => {
+  const createdAt = new Date().toISOString();
+  return withStore('readwrite', (store) => promisify(store.add({
+    createdAt,
+    review: null,
+    execution: null,
+    day: null,
+    verified: false,
+    autoFixes: [],
+    ...record,
+    syncId: crypto.randomUUID(),
+    updatedAt: createdAt,
+    dirty: true
+  })));
+};
+
+export const updateSubmission = (id, patch) =>
+  withStore('readwrite', async (store) => {
+    const existing = await promisify(store.get(id));
+    if (!existing) return null;
+    const next = { ...existing, ...patch, id, updatedAt: new Date().toISOString(), dirty: true };
+    await promisify(store.put(next));
+    return next;
+  });
+
+export const getSubmission = (id) => withStore('readonly', (store) => promisify(store.get(id)));
+
+// Newest first.
+export const listSubmissions = () =>
+  withStore('readonly', async (store) => {
+    const all = await promisify(store.index('createdAt').getAll());
+    return all.reverse();
+  });
+
+export const getLatestSubmission = () =>
+  withStore('readonly', (store) => new Promise((resolve, reject) => {
+    const request = store.index('createdAt').openCursor(null, 'prev');
+    request.onsuccess = () => resolve(request.result ? request.result.value : null);
+    request.onerror = () => reject(request.error);
+  }));
+
+export const deleteSubmission = async (id) => {
+  const existing = await getSubmission(id);
+  await withStore('readwrite', (store) => promisify(store.delete(id)));
+  if (existing?.syncId) {
+    await withStore('readwrite', (store) => promisify(store.put({ syncId: existing.syncId, deletedAt: new Date().toISOString() })), TOMBSTONE_STORE);
+  }
+};
+
+// --- Sync (see lib/sync.js) ---
+
+export const listDirtySubmissions = () =>
+  withStore('readonly', async (store) => (await promisify(store.getAll())).filter((r) => r.dirty));
+
+const findBySyncId = (store, syncId) => promisify(store.index('syncId').get(syncId));
+
+// The server has this version; later edits keep the record dirty.
+export const markSynced = (id, updatedAt) =>
+  withStore('readwrite', async (store) => {
+    const existing = await promisify(store.get(id));
+    if (existing && existing.updatedAt === updatedAt) await promisify(store.put({ ...existing, dirty: false }));
+  });
+
+// Stores a record pulled from another device unless this device has a newer
+// unsynced change to it. Device-local fields (`id`, `queued`) stay as they were.
+export const saveSyncedSubmission = (record) =>
+  withStore('readwrite', async (store) => {
+    const existing = await findBySyncId(store, record.syncId);
+    if (existing?.dirty && existing.updatedAt >= record.updatedAt) return;
+    const next = { ...record, queued: existing?.queued || false, dirty: false };
+    if (existing) next.id = existing.id;
+    else delete next.id;
+    await promisify(store.put(next));
+  });
+
+export const deleteSyncedSubmission = (syncId) =>
+  withStore('readwrite', async (store) => {
+    const existing = await findBySyncId(store, syncId);
+    if (existing) await promisify(store.delete(existing.id));
+  });
+
+// Everything needs pushing again, e.g. after signing in to an account.
+export const markAllDirty = () =>
+  withStore('readwrite', async (store) => {
+    for (const record of await promisify(store.getAll())) {
+      if (!record.dirty) await promisify(store.put({ ...record, dirty: true }));
+    }
+  });
+
+// Drops every record and pending deletion, e.g. when the account they
+// belong to signs out of this device. The offline queue is kept.
+export const clearHistory = async () => {
+  await withStore('readwrite', (store) => promisify(store.clear()));
+  await withStore('readwrite', (store) => promisify(store.clear()), TOMBSTONE_STORE);
+};
+
+export const listTombstones = () => withStore('readonly', (store) => promisify(store.getAll()), TOMBSTONE_STORE);
+
+export const clearTombstone = (syncId) => withStore('readwrite', (store) => promisify(store.delete(syncId)), TOMBSTONE_STORE);
+
+// --- Offline queue ---
+
+export const enqueue = (entry) => withStore('readwrite', (store) => promisify(store.add(entry)), QUEUE_STORE);
+
+// Oldest first (ids are auto-incremented).
+export const listQueue = () => withStore('readonly', (store) => promisify(store.getAll()), QUEUE_STORE);
+
+export const updateQueued = (id, patch) =>
+  withStore('readwrite', async (store) => {
+    const existing = await promisify(store.get(id));
+    if (!existing) return null;
+    const next = { ...existing, ...patch, id };
+    await promisify(store.put(next));
+    return next;
+  }, QUEUE_STORE);
+
+export const dequeue = (id) => withStore('readwrite', (store) => promisify(store.delete(id)), QUEUE_STORE);
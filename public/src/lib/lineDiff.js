@@ -0,0 +1,71 @@
+// Line diffing shared by the output comparison and the auto-fix review.
+
+// LCS diff of two line arrays.
+// Returns [{ type: 'same' | 'removed' | 'added', text }].
+export const diffSequences = (a, b) => {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ type: 'removed', text: a[i++] });
+    } else {
+      out.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) out.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) out.push({ type: 'added', text: b[j++] });
+  return out;
+};
+
+// Group a diff of two texts into alternating unchanged runs and change hunks:
+//   { type: 'same', lines }
+//   { type: 'change', id, oldStart, oldLines, newLines }   (oldStart is 1-based)
+export const buildHunks = (before, after) => {
+  const ops = diffSequences(before.split('\n'), after.split('\n'));
+  const segments = [];
+  let oldLine = 1;
+  let nextId = 1;
+
+  for (const op of ops) {
+    const last = segments[segments.length - 1];
+    if (op.type === 'same') {
+      if (last?.type === 'same') last.lines.push(op.text);
+      else segments.push({ type: 'same', lines: [op.text] });
+      oldLine++;
+      continue;
+    }
+
+    let hunk = last;
+    if (last?.type !== 'change') {
+      hunk = { type: 'change', id: nextId++, oldStart: oldLine, oldLines: [], newLines: [] };
+      segments.push(hunk);
+    }
+    if (op.type === 'removed') {
+      hunk.oldLines.push(op.text);
+      oldLine++;
+    } else {
+      hunk.newLines.push(op.text);
+    }
+  }
+
+  return segments;
+};
+
+// Rebuild the text, taking the new lines only for accepted hunk ids.
+export const applyHunks = (segments, acceptedIds) =>
+  segments
+    .flatMap((s) => (s.type === 'same' ? s.lines : acceptedIds.has(s.id) ? s.newLines : s.oldLines))
+    .join('\n');
@@ -0,0 +1,57 @@
+// Reviews of code that was already reviewed are served from a small cache
+// in localStorage instead of asking the model again. Entries are keyed by a
+// SHA-256 of the provider, model, system prompt and the caller's key (for
+// reviews: the normalized code and its input), so changing any of them
+// misses.
+
+const CACHE_KEY = 'techchat_review_cache';
+const MAX_ENTRIES = 40;
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Whitespace that cannot change the review: line endings, trailing spaces
+// and trailing blank lines. Line numbers stay put.
+export const normalizeCode = (code) =>
+  code.replace(/\r\n?/g, '\n').split('\n').map((line) => line.replace(/[ \t]+$/, '')).join('\n').replace(/\n+$/, '');
+
+export const reviewCacheKey = (code, { stdin = '', args = [] } = {}) =>
+  JSON.stringify([normalizeCode(code), stdin, args]);
+
+const digest = async (text) => {
+  const bytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const cacheHash = ({ provider, model, system, key }) => digest(JSON.stringify([provider, model, system, key]));
+
+const readEntries = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const writeEntries = (entries) => {
+  let kept = Object.entries(entries).sort(([, a], [, b]) => b.at - a.at).slice(0, MAX_ENTRIES);
+  // Out of storage: drop the older half and try again.
+  while (kept.length) {
+    try {
+      localStorage.setItem(CACHE_KEY, JSON.stringify(Object.fromEntries(kept)));
+      return;
+    } catch (e) {
+      kept = kept.slice(0, Math.floor(kept.length / 2));
+    }
+  }
+  localStorage.removeItem(CACHE_KEY);
+};
+
+export const readCached = (hash, now = Date.now()) => {
+  const entry = readEntries()[hash];
+  return entry && now - entry.at < MAX_AGE_MS ? entry.text : null;
+};
+
+export const writeCached = (hash, text, now = Date.now()) => {
+  writeEntries({ ...readEntries(), [hash]: { text, at: now } });
+};
+
+export const clearCache = () => localStorage.removeItem(CACHE_KEY);
@@ -0,0 +1,135 @@
+// One error type for every provider, so callers can branch on `code`
+// instead of parsing provider-specific messages.
+
+export const LLM_ERROR_CODES = {
+  CONFIG: 'config',           // missing key / model / base URL
+  NETWORK: 'network',         // fetch itself failed (offline, CORS, DNS)
+  AUTH: 'auth',               // 401 / 403
+  RATE_LIMIT: 'rate_limit',   // 429, worth retrying
+  QUOTA: 'quota',             // 429 that will not clear soon (billing, daily quota)
+  CLIENT_QUOTA: 'client_quota', // this app's own request budget (quota.js)
+  BAD_REQUEST: 'bad_request', // other 4xx
+  SERVER: 'server',           // 5xx
+  SAFETY: 'safety',           // response blocked by the provider's filters
+  NO_CANDIDATES: 'no_candidates', // 200 OK without a single candidate / choice
+  EMPTY: 'empty_response'     // a candidate, but no text in it
+};
+
+// `detail` is the provider's own reason where it gives one (block reason,
+// finish reason); `retryAfterMs` how long a 429/503 asked us to wait.
+export class LLMError extends Error {
+  constructor(code, message, { provider, status, cause, retryAfterMs, detail } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    if (retryAfterMs !== undefined) this.retryAfterMs = retryAfterMs;
+    if (detail) this.detail = detail;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Gemini answers a bad key with 400 "API key not valid".
+const INVALID_KEY = /api[ _-]?key.*(not valid|invalid)|invalid.*api[ _-]?key|incorrect api key/i;
+
+// A 429 that retrying will not fix: OpenAI's insufficient_quota, or a
+// Gemini QuotaFailure on a per-day limit.
+const isHardQuota = (body) => {
+  const error = body?.error;
+  if (error?.code === 'insufficient_quota' || error?.type === 'insufficient_quota') return true;
+  return (error?.details || []).some((d) =>
+    (d.violations || []).some((v) => /PerDay|per.day/i.test(`${v.quotaId || ''} ${v.description || ''}`)));
+};
+
+// Retry-After header (seconds), or Gemini's RetryInfo.retryDelay ("23s").
+const retryAfterFrom = (headers, body) => {
+  const header = Number(headers?.get?.('retry-after'));
+  if (header > 0) return header * 1000;
+  const delay = (body?.error?.details || []).find((d) => d.retryDelay)?.retryDelay;
+  const seconds = parseFloat(delay);
+  return seconds > 0 ? seconds * 1000 : undefined;
+};
+
+export const errorFromStatus = (provider, status, detail = '', { body, headers } = {}) => {
+  let code = LLM_ERROR_CODES.BAD_REQUEST;
+  if (status === 401 || status === 403 || (status === 400 && INVALID_KEY.test(detail))) code = LLM_ERROR_CODES.AUTH;
+  else if (status === 429) code = isHardQuota(body) ? LLM_ERROR_CODES.QUOTA : LLM_ERROR_CODES.RATE_LIMIT;
+  else if (status >= 500) code = LLM_ERROR_CODES.SERVER;
+  return new LLMError(code, `${provider} API error ${status}${detail ? `: ${detail}` : ''}`, {
+    provider,
+    status,
+    retryAfterMs: status === 429 || status === 503 ? retryAfterFrom(headers, body) : undefined
+  });
+};
+
+// Transient failures the request layer (createClient in index.js) retries
+// with backoff.
+export const isRetryable = (err) =>
+  err instanceof LLMError && (err.code === LLM_ERROR_CODES.RATE_LIMIT || err.code === LLM_ERROR_CODES.SERVER);
+
+// fetch() wrapper that turns transport failures and non-2xx responses into
+// LLMErrors. Returns the Response so streaming callers can read the body.
+export const fetchOK = async (provider, url, init) => {
+  let res;
+  try {
+    res = await fetch(url, init);
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new LLMError(LLM_ERROR_CODES.NETWORK, `Could not reach ${provider}.`, { provider, cause: err });
+  }
+
+  if (!res.ok) {
+    let detail = '';
+    let body = null;
+    try {
+      body = await res.json();
+      detail = body?.error?.message || body?.error || '';
+    } catch (e) {
+      // Non-JSON error body; the status code is enough.
+    }
+    throw errorFromStatus(provider, res.status, typeof detail === 'string' ? detail : '', { body, headers: res.headers });
+  }
+
+  return res;
+};
+
+export const fetchJSON = async (provider, url, init) => (await fetchOK(provider, url, init)).json();
+
+export const isAbortError = (err) => err?.name === 'AbortError';
+
+// Short, user-facing explanation for an error thrown by the provider layer.
+export const describeLLMError = (err, fallback) => {
+  if (isAbortError(err)) return 'Stopped.';
+  if (!(err instanceof LLMError)) return fallback;
+  switch (err.code) {
+    case LLM_ERROR_CODES.CONFIG:
+      return `${err.message} Open Settings to finish configuring the model provider.`;
+    case LLM_ERROR_CODES.NETWORK:
+      return `${err.message} Please check your internet connection (or that the local server is running).`;
+    case LLM_ERROR_CODES.AUTH:
+      return err.status === 400
+        ? 'The API key is not valid. Check the key in Settings.'
+        : 'The API key was rejected. Check the key in Settings.';
+    case LLM_ERROR_CODES.RATE_LIMIT:
+      return err.attempts > 1
+        ? `The model provider is still rate limiting requests after ${err.attempts} tries. Wait a minute and try again.`
+        : 'The model provider is rate limiting requests. Wait a moment and try again.';
+    case LLM_ERROR_CODES.QUOTA:
+      return 'The API key has used up its quota. Check the plan and billing with the provider, or switch providers in Settings.';
+    case LLM_ERROR_CODES.CLIENT_QUOTA:
+      return err.message;
+    case LLM_ERROR_CODES.SERVER:
+      return err.attempts > 1
+        ? `The model provider kept failing (${err.attempts} tries). Try again shortly.`
+        : 'The model provider is having problems right now. Try again shortly.';
+    case LLM_ERROR_CODES.SAFETY:
+      return `The provider's safety filters blocked this ${err.detail ? `response (${err.detail})` : 'response'}. Rewording comments or string literals in the code may help.`;
+    case LLM_ERROR_CODES.NO_CANDIDATES:
+      return `The model returned no answer at all${err.detail ? ` (finish reason: ${err.detail})` : ''}. Try submitting again.`;
+    case LLM_ERROR_CODES.EMPTY:
+      return 'The model returned an empty response. Try submitting again.';
+    default:
+      return fallback;
+  }
+};
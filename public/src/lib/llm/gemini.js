@@ -0,0 +1,98 @@
+import { LLMError, LLM_ERROR_CODES, fetchJSON, fetchOK } from './errors.js';
+import { readSSE } from './stream.js';
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Gemini's responseSchema uses upper-case OpenAPI type names.
+const toGeminiSchema = (schema) => {
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type') out.type = String(value).toUpperCase();
+    else if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toGeminiSchema(v)]));
+    } else if (key === 'items') out.items = toGeminiSchema(value);
+    else if (key === 'additionalProperties') continue;
+    else out[key] = value;
+  }
+  return out;
+};
+
+// finishReasons that mean the content was withheld.
+const BLOCKED = new Set(['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION', 'IMAGE_SAFETY']);
+
+// Text of one generateContent response (or one streamed chunk of it). A
+// streamed response may have chunks without candidates (usage metadata),
+// so only a complete response must have one.
+const chunkText = (id, data, { complete = true } = {}) => {
+  if (data.promptFeedback?.blockReason) {
+    const reason = data.promptFeedback.blockReason;
+    throw new LLMError(LLM_ERROR_CODES.SAFETY, `Prompt blocked: ${reason}`, { provider: id, detail: reason });
+  }
+  const candidate = data.candidates?.[0];
+  if (!candidate) {
+    if (!complete) return '';
+    throw new LLMError(LLM_ERROR_CODES.NO_CANDIDATES, 'The response had no candidates.', { provider: id });
+  }
+  if (BLOCKED.has(candidate.finishReason)) {
+    throw new LLMError(LLM_ERROR_CODES.SAFETY, `Response blocked: ${candidate.finishReason}`, { provider: id, detail: candidate.finishReason });
+  }
+  const text = candidate.content?.parts?.map((p) => p.text || '').join('') || '';
+  if (!text && complete && candidate.finishReason && candidate.finishReason !== 'STOP') {
+    throw new LLMError(LLM_ERROR_CODES.NO_CANDIDATES, `The candidate had no content (${candidate.finishReason}).`, { provider: id, detail: candidate.finishReason });
+  }
+  return text;
+};
+
+export const createGeminiProvider = ({ apiKey = '', model }) => {
+  const id = 'gemini';
+
+  // With `onText`, uses streamGenerateContent and reports the accumulated
+  // text after every chunk; the promise still resolves with the full text.
+  const generate = async ({ system, messages, json = false, schema, search = false, signal, onText }) => {
+    if (!model) throw new LLMError(LLM_ERROR_CODES.CONFIG, 'No Gemini model selected.', { provider: id });
+
+    const payload = {
+      contents: messages.map((m) => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: m.text }]
+      })),
+      systemInstruction: { parts: [{ text: system }] }
+    };
+
+    if (search) {
+      payload.tools = [{ google_search: {} }];
+    }
+
+    if (json) {
+      payload.generationConfig = { responseMimeType: 'application/json' };
+      if (schema) payload.generationConfig.responseSchema = toGeminiSchema(schema);
+    }
+
+    const init = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal
+    };
+
+    let text = '';
+    if (onText) {
+      const res = await fetchOK(id, `${BASE_URL}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, init);
+      await readSSE(res, (data) => {
+        const piece = chunkText(id, data, { complete: false });
+        if (piece) {
+          text += piece;
+          onText(text);
+        }
+      });
+    } else {
+      text = chunkText(id, await fetchJSON(id, `${BASE_URL}/models/${model}:generateContent?key=${apiKey}`, init));
+    }
+
+    if (!text) throw new LLMError(LLM_ERROR_CODES.EMPTY, 'No response generated.', { provider: id });
+    return text;
+  };
+
+  return { id, supportsSearch: true, generate };
+};
@@ -0,0 +1,129 @@
+// Provider registry and locally stored provider settings.
+//
+// Every adapter is a factory returning
+//   { id, supportsSearch, generate({ system, messages, json, schema, search, signal, onText }) => Promise<string> }
+// where `messages` is [{ role: 'user' | 'assistant', text }]. Passing
+// `onText(accumulatedText)` switches the adapter to its streaming endpoint.
+// Adapters throw LLMError (see errors.js) for anything that goes wrong, and
+// let the AbortError from `signal` propagate untouched.
+//
+// The app calls adapters through createClient, which adds the review cache
+// (cache.js), the client-side quota (quota.js) and retries (retry.js).
+
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createOllamaProvider } from './ollama.js';
+import { createMockProvider } from './mock.js';
+import { LLMError, LLM_ERROR_CODES } from './errors.js';
+import { withRetry } from './retry.js';
+import { takeQuota } from './quota.js';
+import { cacheHash, readCached, writeCached } from './cache.js';
+
+export { LLMError, LLM_ERROR_CODES, describeLLMError, isAbortError } from './errors.js';
+export { reviewCacheKey, clearCache } from './cache.js';
+export { quotaUsage, CLIENT_QUOTA } from './quota.js';
+
+export const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    create: createGeminiProvider,
+    defaultModel: 'gemini-2.5-flash-preview-09-2025',
+    needsKey: true,
+    needsBaseUrl: false
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    create: createOpenAIProvider,
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    needsKey: true,
+    needsBaseUrl: true
+  },
+  ollama: {
+    label: 'Local (Ollama)',
+    create: createOllamaProvider,
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434',
+    needsKey: false,
+    needsBaseUrl: true
+  },
+  mock: {
+    label: 'Mock (offline, for testing)',
+    create: createMockProvider,
+    defaultModel: 'mock',
+    needsKey: false,
+    needsBaseUrl: false
+  }
+};
+
+const SETTINGS_KEY = 'techchat_llm_settings';
+
+export const defaultSettingsFor = (providerId) => ({
+  provider: providerId,
+  model: PROVIDERS[providerId].defaultModel,
+  apiKey: '',
+  baseUrl: PROVIDERS[providerId].defaultBaseUrl || ''
+});
+
+// Gemini with an environment-injected key stays the out-of-the-box default.
+export const DEFAULT_LLM_SETTINGS = defaultSettingsFor('gemini');
+
+export const loadLLMSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (stored && PROVIDERS[stored.provider]) return { ...defaultSettingsFor(stored.provider), ...stored };
+  } catch (e) {
+    console.warn("Ignoring corrupt provider settings", e);
+  }
+  return DEFAULT_LLM_SETTINGS;
+};
+
+export const saveLLMSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const createProvider = (settings) => {
+  const entry = PROVIDERS[settings.provider];
+  if (!entry) {
+    throw new LLMError(LLM_ERROR_CODES.CONFIG, `Unknown provider "${settings.provider}".`, { provider: settings.provider });
+  }
+  return entry.create(settings);
+};
+
+// Same generate() as an adapter, plus:
+//   cacheKey   serve and store the reply under this key (see cache.js)
+//   fresh      skip the cache lookup, but still store the new reply
+//   validate(text) => boolean  only replies that pass are stored, and a
+//              cached reply that no longer passes is asked for again
+//   onCached() called when the reply came from the cache
+//   onRetry({ attempt, delayMs, error }) called before each backoff wait
+// A streamed reply is not retried once text has reached `onText`.
+export const createClient = (settings, provider = createProvider(settings)) => {
+  const metered = PROVIDERS[settings.provider]?.needsKey;
+
+  const generate = async ({ cacheKey, fresh = false, validate = () => true, onCached, onRetry, ...request }) => {
+    const hash = cacheKey && (await cacheHash({ provider: settings.provider, model: settings.model, system: request.system, key: cacheKey }));
+    const cached = hash && !fresh ? readCached(hash) : null;
+    if (cached && validate(cached)) {
+      request.onText?.(cached);
+      onCached?.();
+      return cached;
+    }
+
+    if (metered) takeQuota(provider.id);
+    let streamed = false;
+    const onText = request.onText && ((text) => {
+      streamed = true;
+      request.onText(text);
+    });
+    const text = await withRetry(() => provider.generate({ ...request, onText }), {
+      signal: request.signal,
+      onRetry,
+      canRetry: () => !streamed
+    });
+    if (hash && validate(text)) writeCached(hash, text);
+    return text;
+  };
+
+  return { id: provider.id, supportsSearch: provider.supportsSearch, generate };
+};
@@ -0,0 +1,98 @@
+import { LLMError, LLM_ERROR_CODES } from './errors.js';
+
+// Deterministic, offline provider for tests and UI work without a key.
+// Pass `responder(request) => string` to script exact replies; otherwise a
+// canned reply is picked from the shape of the system prompt.
+
+const lastUserText = (messages) =>
+  [...messages].reverse().find((m) => m.role === 'user')?.text || '';
+
+const defaultResponder = ({ system, messages, json }) => {
+  if (json) {
+    if (system.includes('current_utc_date')) {
+      return JSON.stringify({ current_utc_date: new Date().toISOString().split('T')[0] });
+    }
+    if (system.includes('"concept"')) {
+      return JSON.stringify({
+        concept: 'Think about which values each variable holds as the loop runs. (mock provider)',
+        line: { number: 1, file: '', hint: 'Start reading here. (mock provider)' },
+        trace: 'Step 1: the program starts in `main`. (mock provider)'
+      });
+    }
+    if (system.includes('starterCode')) {
+      return JSON.stringify({
+        title: 'Sum Two Numbers',
+        description: 'Read two integers from stdin and print their sum followed by a newline.',
+        difficulty: 'easy',
+        topic: 'io',
+        starterCode: '#include <stdio.h>\n\nint main(void) {\n    return 0;\n}\n',
+        tests: [
+          { stdin: '2 3\n', args: [], expectedOutput: '5\n', hidden: false },
+          { stdin: '-4 4\n', args: [], expectedOutput: '0\n', hidden: false },
+          { stdin: '2147483000 647\n', args: [], expectedOutput: '2147483647\n', hidden: true }
+        ]
+      });
+    }
+    if (system.includes('"changes"')) {
+      // Auto-fix explanations: one per "Change N (at line L):" in the request.
+      const ids = [...lastUserText(messages).matchAll(/^Change (\d+)/gm)].map((m) => Number(m[1]));
+      return JSON.stringify({
+        changes: ids.map((id) => ({ id, explanation: 'This change was explained by the mock provider; no model was called.' }))
+      });
+    }
+    return '{}';
+  }
+
+  if (system.includes('### Predicted Output') || system.includes('Predicted Output')) {
+    return [
+      '### Predicted Output',
+      '```',
+      '(mock provider: no prediction)',
+      '```',
+      '### Explanation',
+      '- This review was produced by the mock provider; no model was called.',
+      '### Improvements or Variations',
+      '- Choose a real provider in Settings to get actual feedback.'
+    ].join('\n');
+  }
+
+  if (system.includes('follow-up questions')) {
+    return '- This answer was produced by the mock provider; no model was called.';
+  }
+
+  if (system.includes('corrected C code')) {
+    // Auto-fix: hand the code back unchanged.
+    return lastUserText(messages);
+  }
+
+  return 'Write a program that prints the first 10 Fibonacci numbers, one per line.';
+};
+
+export const createMockProvider = ({ responder, latencyMs = 0 } = {}) => {
+  const id = 'mock';
+  const calls = [];
+
+  const generate = async (request) => {
+    calls.push(request);
+    if (latencyMs) await new Promise((resolve) => setTimeout(resolve, latencyMs));
+    if (request.signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+
+    const text = await (responder || defaultResponder)(request);
+    if (!text) throw new LLMError(LLM_ERROR_CODES.EMPTY, 'No response generated.', { provider: id });
+
+    if (request.onText) {
+      // Replay line by line so streaming UIs can be exercised offline.
+      const lines = text.split(/(?<=\n)/);
+      let sent = '';
+      for (const line of lines) {
+        if (request.signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+        sent += line;
+        request.onText(sent);
+        if (latencyMs) await new Promise((resolve) => setTimeout(resolve, latencyMs / lines.length));
+      }
+    }
+    return text;
+  };
+
+  return { id, supportsSearch: true, generate, calls };
+};
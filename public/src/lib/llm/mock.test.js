@@ -0,0 +1,126 @@
+// Tests for the mock provider, and the prompt templates and validation
+// driven through it. Run with `node --test public/src`.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockProvider } from './mock.js';
+import { createClient } from './index.js';
+import { LLM_ERROR_CODES } from './errors.js';
+import { PROMPTS, promptTemplate } from '../prompts/templates.js';
+import { validateResponse, askValidated } from '../prompts/validate.js';
+
+const ask = (provider, system, text, options = {}) =>
+  provider.generate({ system, messages: [{ role: 'user', text }], ...options });
+
+describe('mock provider', () => {
+  it('answers every current prompt in the format it asks for', async () => {
+    const provider = createMockProvider();
+    for (const id of Object.keys(PROMPTS)) {
+      const template = promptTemplate(id);
+      const reply = await ask(provider, template.system, 'int main(void) { return 0; }', { json: template.format === 'json' });
+      const result = validateResponse(template, reply);
+      assert.ok(result.ok && !result.repaired, `${id}: ${result.problems.join(' ')}`);
+    }
+  });
+
+  it('hands auto-fix code back unchanged', async () => {
+    const code = '#include <stdio.h>\nint main(void) { return 0; }';
+    assert.equal(await ask(createMockProvider(), promptTemplate('autofix').system, code), code);
+  });
+
+  it('explains each auto-fix change it is given', async () => {
+    const reply = await ask(createMockProvider(), promptTemplate('autofix-explain').system, 'Changes:\nChange 1 (at line 3):\n\nChange 2 (at line 7):', { json: true });
+    assert.deepEqual(JSON.parse(reply).changes.map((c) => c.id), [1, 2]);
+  });
+
+  it('records every request', async () => {
+    const provider = createMockProvider({ responder: () => 'ok' });
+    await ask(provider, 'system', 'hello');
+    assert.equal(provider.calls.length, 1);
+    assert.equal(provider.calls[0].messages[0].text, 'hello');
+  });
+
+  it('streams the reply line by line', async () => {
+    const provider = createMockProvider({ responder: () => 'one\ntwo\nthree' });
+    const seen = [];
+    const text = await ask(provider, 'system', 'hi', { onText: (t) => seen.push(t) });
+    assert.equal(text, 'one\ntwo\nthree');
+    assert.deepEqual(seen, ['one\n', 'one\ntwo\n', 'one\ntwo\nthree']);
+  });
+
+  it('fails an empty reply with EMPTY', async () => {
+    const provider = createMockProvider({ responder: () => '' });
+    await assert.rejects(ask(provider, 'system', 'hi'), { code: LLM_ERROR_CODES.EMPTY });
+  });
+
+  it('stops on abort', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(ask(createMockProvider(), 'system', 'hi', { signal: controller.signal }), { name: 'AbortError' });
+  });
+
+  it('works through createClient', async () => {
+    const client = createClient({ provider: 'mock', model: 'mock' }, createMockProvider({ responder: () => 'reply' }));
+    assert.equal(await client.generate({ system: 'system', messages: [{ role: 'user', text: 'hi' }] }), 'reply');
+  });
+
+  it('caches only replies that pass validate', async () => {
+    const store = new Map();
+    globalThis.localStorage = {
+      getItem: (k) => store.get(k) ?? null,
+      setItem: (k, v) => store.set(k, v),
+      removeItem: (k) => store.delete(k)
+    };
+    try {
+      const replies = ['bad', 'good', 'other'];
+      const provider = createMockProvider({ responder: () => replies.shift() });
+      const client = createClient({ provider: 'mock', model: 'mock' }, provider);
+      const request = { system: 'system', messages: [{ role: 'user', text: 'hi' }], cacheKey: 'k', validate: (t) => t === 'good' };
+      assert.equal(await client.generate(request), 'bad');
+      assert.equal(await client.generate(request), 'good');
+      let cached = false;
+      assert.equal(await client.generate({ ...request, onCached: () => { cached = true; } }), 'good');
+      assert.equal(cached, true);
+      assert.equal(provider.calls.length, 2);
+    } finally {
+      delete globalThis.localStorage;
+    }
+  });
+});
+
+describe('askValidated with the mock provider', () => {
+  const template = promptTemplate('mentor');
+  const good = '### Predicted Output\n```text\n3\n```\n### Explanation\n- x\n### Improvements or Variations\n- y';
+
+  // Sends the correction as a follow-up turn, like the app does.
+  const asker = (provider) => (retry) => provider.generate({
+    system: template.system,
+    messages: retry
+      ? [{ role: 'user', text: 'review' }, { role: 'assistant', text: retry.previous }, { role: 'user', text: retry.correction }]
+      : [{ role: 'user', text: 'review' }]
+  });
+
+  it('repairs a reply without asking again', async () => {
+    const provider = createMockProvider({ responder: () => good.replace('### Explanation', '**Explanation:**') });
+    const result = await askValidated(template, asker(provider));
+    assert.deepEqual([result.ok, result.repaired, result.reasks], [true, true, 0]);
+    assert.equal(provider.calls.length, 1);
+  });
+
+  it('re-asks with the problems listed', async () => {
+    const replies = ['### Predicted Output\nthree\n### Explanation\n- x', good];
+    const provider = createMockProvider({ responder: () => replies.shift() });
+    const result = await askValidated(template, asker(provider));
+    assert.deepEqual([result.ok, result.reasks], [true, 1]);
+    const correction = provider.calls[1].messages[2].text;
+    assert.match(correction, /Improvements or Variations/);
+    assert.match(correction, /fenced code block/);
+  });
+
+  it('gives up after the allowed re-asks', async () => {
+    const provider = createMockProvider({ responder: () => 'no sections at all' });
+    const result = await askValidated(template, asker(provider), { reasks: 2 });
+    assert.equal(result.ok, false);
+    assert.equal(provider.calls.length, 3);
+  });
+});
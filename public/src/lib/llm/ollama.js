@@ -0,0 +1,49 @@
+import { LLMError, LLM_ERROR_CODES, fetchJSON, fetchOK } from './errors.js';
+import { readNDJSON } from './stream.js';
+
+// Local Ollama-style server (POST /api/chat). No key required.
+export const createOllamaProvider = ({ model, baseUrl }) => {
+  const id = 'ollama';
+
+  const generate = async ({ system, messages, json = false, schema, signal, onText }) => {
+    if (!model) throw new LLMError(LLM_ERROR_CODES.CONFIG, 'No local model selected.', { provider: id });
+    if (!baseUrl) throw new LLMError(LLM_ERROR_CODES.CONFIG, 'No local server URL set.', { provider: id });
+
+    const payload = {
+      model,
+      stream: Boolean(onText),
+      messages: [
+        { role: 'system', content: system },
+        ...messages.map((m) => ({ role: m.role, content: m.text }))
+      ]
+    };
+    if (json) payload.format = schema || 'json';
+
+    const url = `${baseUrl.replace(/\/+$/, '')}/api/chat`;
+    const init = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal
+    };
+
+    let text = '';
+    if (onText) {
+      await readNDJSON(await fetchOK(id, url, init), (data) => {
+        if (data.error) throw new LLMError(LLM_ERROR_CODES.SERVER, data.error, { provider: id });
+        const piece = data.message?.content;
+        if (piece) {
+          text += piece;
+          onText(text);
+        }
+      });
+    } else {
+      text = (await fetchJSON(id, url, init)).message?.content || '';
+    }
+
+    if (!text) throw new LLMError(LLM_ERROR_CODES.EMPTY, 'No response generated.', { provider: id });
+    return text;
+  };
+
+  return { id, supportsSearch: false, generate };
+};
@@ -0,0 +1,58 @@
+import { LLMError, LLM_ERROR_CODES, fetchJSON, fetchOK } from './errors.js';
+import { readSSE } from './stream.js';
+
+// Any server that speaks the OpenAI /chat/completions protocol
+// (OpenAI itself, OpenRouter, Groq, LM Studio, vLLM, ...).
+export const createOpenAIProvider = ({ apiKey = '', model, baseUrl }) => {
+  const id = 'openai';
+
+  const generate = async ({ system, messages, json = false, signal, onText }) => {
+    if (!model) throw new LLMError(LLM_ERROR_CODES.CONFIG, 'No model selected.', { provider: id });
+    if (!baseUrl) throw new LLMError(LLM_ERROR_CODES.CONFIG, 'No API base URL set.', { provider: id });
+
+    const payload = {
+      model,
+      messages: [
+        { role: 'system', content: system },
+        ...messages.map((m) => ({ role: m.role, content: m.text }))
+      ]
+    };
+    if (json) payload.response_format = { type: 'json_object' };
+    if (onText) payload.stream = true;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const init = { method: 'POST', headers, body: JSON.stringify(payload), signal };
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    const checkFinish = (choice) => {
+      if (choice?.finish_reason === 'content_filter') {
+        throw new LLMError(LLM_ERROR_CODES.SAFETY, 'Response blocked by content filter.', { provider: id, detail: 'content_filter' });
+      }
+    };
+
+    let text = '';
+    if (onText) {
+      await readSSE(await fetchOK(id, url, init), (data) => {
+        const choice = data.choices?.[0];
+        checkFinish(choice);
+        const piece = choice?.delta?.content;
+        if (piece) {
+          text += piece;
+          onText(text);
+        }
+      });
+    } else {
+      const choice = (await fetchJSON(id, url, init)).choices?.[0];
+      if (!choice) throw new LLMError(LLM_ERROR_CODES.NO_CANDIDATES, 'The response had no choices.', { provider: id });
+      checkFinish(choice);
+      text = choice?.message?.content || '';
+    }
+
+    if (!text) throw new LLMError(LLM_ERROR_CODES.EMPTY, 'No response generated.', { provider: id });
+    return text;
+  };
+
+  return { id, supportsSearch: false, generate };
+};
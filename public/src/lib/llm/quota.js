@@ -0,0 +1,50 @@
+// Client-side request budget for providers billed per key, so a stuck
+// button or a retry loop cannot burn through a student's API quota. Counts
+// requests (not retries or cache hits) in this browser, per minute and per
+// day, in localStorage.
+
+import { LLMError, LLM_ERROR_CODES } from './errors.js';
+
+export const CLIENT_QUOTA = { perMinute: 10, perDay: 250 };
+
+const QUOTA_KEY = 'techchat_llm_quota';
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const readTimes = (now) => {
+  try {
+    const times = JSON.parse(localStorage.getItem(QUOTA_KEY));
+    return Array.isArray(times) ? times.filter((t) => now - t < DAY_MS) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const wait = (ms) => {
+  if (ms < MINUTE_MS) return `${Math.ceil(ms / 1000)} seconds`;
+  if (ms < 60 * MINUTE_MS) return `${Math.ceil(ms / MINUTE_MS)} minutes`;
+  return `${Math.ceil(ms / (60 * MINUTE_MS))} hours`;
+};
+
+// { minute, day, limits } for the Settings screen.
+export const quotaUsage = (now = Date.now(), limits = CLIENT_QUOTA) => {
+  const times = readTimes(now);
+  return { minute: times.filter((t) => now - t < MINUTE_MS).length, day: times.length, limits };
+};
+
+// Records one request, or throws CLIENT_QUOTA if either window is full.
+export const takeQuota = (provider, now = Date.now(), limits = CLIENT_QUOTA) => {
+  const times = readTimes(now);
+  const lastMinute = times.filter((t) => now - t < MINUTE_MS);
+  if (times.length >= limits.perDay) {
+    throw new LLMError(LLM_ERROR_CODES.CLIENT_QUOTA,
+      `You have used this app's ${limits.perDay} model requests for today. More are available in ${wait(times[0] + DAY_MS - now)}.`,
+      { provider, retryAfterMs: times[0] + DAY_MS - now });
+  }
+  if (lastMinute.length >= limits.perMinute) {
+    throw new LLMError(LLM_ERROR_CODES.CLIENT_QUOTA,
+      `That's ${limits.perMinute} model requests in a minute, this app's limit. Try again in ${wait(lastMinute[0] + MINUTE_MS - now)}.`,
+      { provider, retryAfterMs: lastMinute[0] + MINUTE_MS - now });
+  }
+  localStorage.setItem(QUOTA_KEY, JSON.stringify([...times, now]));
+};
@@ -0,0 +1,44 @@
+// Exponential backoff for transient provider errors (429 rate limits and
+// 5xx). Waits 1s, 2s, 4s (±20% jitter) unless the provider said how long
+// to wait; a wait longer than MAX_WAIT_MS is not worth holding the UI for.
+
+import { isRetryable } from './errors.js';
+
+export const RETRY_DEFAULTS = { retries: 3, baseDelayMs: 1000, maxWaitMs: 20000 };
+
+export const backoffDelay = (attempt, { baseDelayMs = RETRY_DEFAULTS.baseDelayMs } = {}, random = Math.random) =>
+  Math.round(baseDelayMs * 2 ** (attempt - 1) * (0.8 + 0.4 * random()));
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+// Calls `attempt(n)` (n from 1) until it resolves, fails with something not
+// retryable, or runs out of retries. `canRetry()` lets the caller veto a
+// retry, e.g. once streamed text is already on screen. `onRetry({ attempt,
+// delayMs, error })` fires before each wait. The error that finally escapes
+// carries `attempts`.
+export const withRetry = async (attempt, { signal, onRetry, canRetry = () => true, ...options } = {}) => {
+  const { retries, maxWaitMs } = { ...RETRY_DEFAULTS, ...options };
+  for (let n = 1; ; n += 1) {
+    try {
+      return await attempt(n);
+    } catch (err) {
+      const delayMs = err?.retryAfterMs ?? backoffDelay(n, options);
+      if (n > retries || !isRetryable(err) || delayMs > maxWaitMs || !canRetry()) {
+        if (err && typeof err === 'object') err.attempts = n;
+        throw err;
+      }
+      onRetry?.({ attempt: n, delayMs, error: err });
+      await sleep(delayMs, signal);
+    }
+  }
+};
@@ -0,0 +1,43 @@
+// Readers for the two streaming wire formats the adapters deal with:
+// Server-Sent Events (Gemini, OpenAI-compatible) and newline-delimited JSON
+// (Ollama). Both call `onLine` once per complete payload line.
+
+const readLines = async (response, onLine) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      if (onLine(line) === false) {
+        reader.cancel();
+        return;
+      }
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) onLine(buffer);
+};
+
+// Calls onEvent with each `data:` payload (parsed as JSON). Stops at `[DONE]`.
+export const readSSE = (response, onEvent) =>
+  readLines(response, (line) => {
+    if (!line.startsWith('data:')) return true;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return false;
+    if (data) onEvent(JSON.parse(data));
+    return true;
+  });
+
+export const readNDJSON = (response, onEvent) =>
+  readLines(response, (line) => {
+    if (line.trim()) onEvent(JSON.parse(line));
+    return true;
+  });
@@ -0,0 +1,233 @@
+// Minimal Markdown parser for mentor responses. It produces a plain tree
+// that components/Markdown.jsx turns into React elements, so no model
+// output is ever injected as HTML.
+//
+// Blocks:  heading | paragraph | code | list | blockquote | hr
+// Inlines: text | code | strong | em | link
+//
+// Tolerates streaming: an unterminated ``` fence swallows the rest of the
+// text as code instead of breaking the layout.
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const BULLET = /^(\s*)([-*+])\s+(.*)$/;
+const ORDERED = /^(\s*)(\d{1,9})[.)]\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+const listMarker = (line) => {
+  const bullet = line.match(BULLET);
+  if (bullet) return { ordered: false, indent: indentOf(bullet[1]), text: bullet[3] };
+  const ordered = line.match(ORDERED);
+  if (ordered) return { ordered: true, indent: indentOf(ordered[1]), text: ordered[3], start: parseInt(ordered[2], 10) };
+  return null;
+};
+
+const startsBlock = (line) =>
+  FENCE.test(line) || HEADING.test(line) || HR.test(line) || QUOTE.test(line) || listMarker(line);
+
+export const parseMarkdown = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+      const closed = i < lines.length;
+      i++; // skip closing fence
+      blocks.push({ type: 'code', lang: fence[2].toLowerCase(), text: body.join('\n'), closed });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (HR.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && QUOTE.test(lines[i])) body.push(lines[i++].match(QUOTE)[1]);
+      blocks.push({ type: 'blockquote', children: parseMarkdown(body.join('\n')) });
+      continue;
+    }
+
+    const marker = listMarker(line);
+    if (marker) {
+      const list = { type: 'list', ordered: marker.ordered, start: marker.start || 1, items: [] };
+      let itemLines = null;
+
+      while (i < lines.length) {
+        const current = lines[i];
+        const m = listMarker(current);
+        if (m && m.indent <= marker.indent && m.ordered === marker.ordered) {
+          if (itemLines) list.items.push(parseMarkdown(itemLines.join('\n')));
+          itemLines = [m.text];
+          i++;
+        } else if (!current.trim()) {
+          // A blank line ends the list unless the next line continues it.
+          const next = lines[i + 1] || '';
+          if (next.trim() && (indentOf(next) > marker.indent || (listMarker(next)?.indent ?? -1) === marker.indent)) {
+            itemLines.push('');
+            i++;
+          } else {
+            break;
+          }
+        } else if (indentOf(current) > marker.indent) {
+          // Nested content: strip up to the item's content indent.
+          itemLines.push(current.replace(new RegExp(`^\\s{0,${marker.indent + 4}}`), ''));
+          i++;
+        } else if (!startsBlock(current)) {
+          itemLines.push(current.trim()); // lazy continuation
+          i++;
+        } else {
+          break;
+        }
+      }
+      if (itemLines) list.items.push(parseMarkdown(itemLines.join('\n')));
+      blocks.push(list);
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) para.push(lines[i++].trim());
+    blocks.push({ type: 'paragraph', text: para.join('\n') });
+  }
+
+  return blocks;
+};
+
+// Only http(s) and mailto links are kept; anything else renders as text.
+export const safeHref = (href) => (/^(https?:|mailto:)/i.test(href.trim()) ? href.trim() : null);
+
+export const parseInline = (text) => {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '\\' && /[\\`*_[\]()#+\-.!>]/.test(text[i + 1] || '')) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === '`') {
+      const ticks = text.slice(i).match(/^`+/)[0];
+      const close = text.indexOf(ticks, i + ticks.length);
+      if (close !== -1) {
+        flush();
+        nodes.push({ type: 'code', text: text.slice(i + ticks.length, close).replace(/^ (.*) $/, '$1') });
+        i = close + ticks.length;
+        continue;
+      }
+    }
+
+    if ((ch === '*' || ch === '_') && text[i + 1] === ch) {
+      const marker = ch + ch;
+      const close = text.indexOf(marker, i + 2);
+      if (close > i + 2) {
+        flush();
+        nodes.push({ type: 'strong', children: parseInline(text.slice(i + 2, close)) });
+        i = close + 2;
+        continue;
+      }
+    }
+
+    if ((ch === '*' || ch === '_') && text[i + 1] && !/\s/.test(text[i + 1])) {
+      // Skip intra-word underscores like snake_case_names.
+      const intraWord = ch === '_' && /\w/.test(text[i - 1] || '');
+      const close = text.indexOf(ch, i + 1);
+      if (!intraWord && close > i + 1 && !/\s/.test(text[close - 1])) {
+        flush();
+        nodes.push({ type: 'em', children: parseInline(text.slice(i + 1, close)) });
+        i = close + 1;
+        continue;
+      }
+    }
+
+    if (ch === '[') {
+      const link = text.slice(i).match(/^\[([^\]]+)\]\(([^)\s]+)\)/);
+      if (link) {
+        flush();
+        const href = safeHref(link[2]);
+        nodes.push(href
+          ? { type: 'link', href, children: parseInline(link[1]) }
+          : { type: 'text', text: link[1] });
+        i += link[0].length;
+        continue;
+      }
+    }
+
+    buffer += ch;
+    i++;
+  }
+
+  flush();
+  return nodes;
+};
+
+const KNOWN_SECTIONS = [/predicted output/i, /actual output/i, /explanation/i, /improvements?/i];
+
+// Split a review into its top-level "### Title" sections. Headings inside
+// code fences never split, and when the known section titles are present,
+// any other "###" heading stays inside the current section's content.
+export const splitSections = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const candidates = [];
+  let fence = null;
+
+  lines.forEach((line, index) => {
+    const f = line.match(FENCE);
+    if (f) {
+      if (!fence) fence = f[1];
+      else if (line.trim().startsWith(fence)) fence = null;
+      return;
+    }
+    if (!fence) {
+      const h = line.match(/^\s{0,3}###\s+(.+?)\s*#*\s*$/);
+      if (h) candidates.push({ index, title: h[1].replace(/\*\*/g, '').trim() });
+    }
+  });
+
+  const known = candidates.filter((c) => KNOWN_SECTIONS.some((re) => re.test(c.title)));
+  const splits = known.length ? known : candidates;
+
+  const sections = [];
+  const preamble = lines.slice(0, splits.length ? splits[0].index : lines.length).join('\n').trim();
+  if (preamble) sections.push({ title: null, body: preamble });
+
+  splits.forEach((split, n) => {
+    const end = n + 1 < splits.length ? splits[n + 1].index : lines.length;
+    sections.push({ title: split.title, body: lines.slice(split.index + 1, end).join('\n').trim() });
+  });
+
+  return sections;
+};
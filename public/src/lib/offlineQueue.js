@@ -0,0 +1,84 @@
+// Offline submission queue.
+//
+// When the mentor or the streak server cannot be reached, the submission is
+// parked in IndexedDB together with a pending date claim: `claimedAt`, the
+// moment the student pressed Submit. Once the browser is back online the
+// queue is replayed oldest first, so the streak server sees the days in the
+// order they happened and can bridge them into the streak.
+//
+// Entry: { id, historyId, code, stdin, argsText, challengeId, passed,
+//          categories, claimedAt, needsReview, needsStreak }
+// `categories` (lib/errorCategories.js) come from the review, so entries
+// reviewed during the replay get theirs from the `review` callback.
+
+import { enqueue, listQueue, updateQueued, dequeue, updateSubmission } from './historyStore.js';
+import { recordSubmission, isOfflineError } from './streakApi.js';
+
+export const queueSubmission = async ({ historyId = null, code, stdin = '', argsText = '', challengeId = null, passed = false, categories = [], claimedAt, needsReview = true, needsStreak = true }) => {
+  const id = await enqueue({ historyId, code, stdin, argsText, challengeId, passed, categories, claimedAt, needsReview, needsStreak });
+  if (historyId) await updateSubmission(historyId, { queued: true });
+  return id;
+};
+
+export const countQueued = async () => (await listQueue()).length;
+
+let replaying = null;
+
+// Replay every queued entry: `review(entry)` resolves with { text,
+// categories, promptVersion } for entries still waiting on a review.
+// Entries queued while a replay runs join the end of it. Stops at the first
+// entry that cannot be delivered (still offline, or the model failed) and
+// leaves it and everything after it queued. A claim the server refuses is
+// dropped and noted on the history record instead of blocking the queue.
+// Resolves with { replayed, remaining, streak } where `streak` is the last
+// server response, if any.
+export const replayQueue = ({ review }) => {
+  if (!replaying) {
+    replaying = replay(review).finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
+
+const noteOnHistory = (historyId, patch) =>
+  historyId ? updateSubmission(historyId, patch).catch((err) => console.warn("Could not update submission history", err)) : null;
+
+const replay = async (review) => {
+  let replayed = 0;
+  let streak = null;
+
+  for (let entries = await listQueue(); entries.length; entries = await listQueue()) {
+    for (let entry of entries) {
+      try {
+        if (entry.needsReview) {
+          const { text, categories, promptVersion } = await review(entry);
+          await noteOnHistory(entry.historyId, { review: text, promptVersion, error: null });
+          entry = await updateQueued(entry.id, { needsReview: false, categories });
+        }
+        if (entry.needsStreak) {
+          try {
+            streak = await recordSubmission(entry.code, {
+              challengeId: entry.challengeId,
+              passed: entry.passed,
+              categories: entry.categories,
+              claimedAt: entry.claimedAt
+            });
+            await noteOnHistory(entry.historyId, { day: streak.day, verified: true });
+          } catch (err) {
+            if (isOfflineError(err) || !(err.status >= 400 && err.status < 500)) throw err;
+            await noteOnHistory(entry.historyId, { error: err.message });
+          }
+        }
+      } catch (err) {
+        console.warn("Offline queue paused", err);
+        return { replayed, remaining: await countQueued(), streak };
+      }
+      await dequeue(entry.id);
+      await noteOnHistory(entry.historyId, { queued: false });
+      replayed += 1;
+    }
+  }
+
+  return { replayed, remaining: 0, streak };
+};
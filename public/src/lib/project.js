@@ -0,0 +1,107 @@
+// Multi-file C projects.
+//
+// A project is a flat list of .c / .h files: [{ name, content }]. Everywhere
+// a single program string used to travel (history, the streak server, the
+// offline queue, auto-fix) the project travels as one text with a marker
+// line before each file:
+//
+//   // ===== FILE: list.h =====
+//   ...
+//   // ===== FILE: main.c =====
+//   ...
+//
+// A project that is just main.c is stored as its plain contents, so
+// single-file submissions look exactly as they always did.
+
+export const DEFAULT_FILE = 'main.c';
+
+const MARKER = /^\/\/ ={3,} FILE: (\S+) ={3,}[ \t]*$/;
+const FILE_NAME = /^[A-Za-z_][A-Za-z0-9_-]*\.[ch]$/;
+const MAX_FILE_NAME = 40;
+export const MAX_FILES = 12;
+
+export const fileMarker = (name) => `// ===== FILE: ${name} =====`;
+
+export const isHeader = (name) => name.endsWith('.h');
+export const isSource = (name) => name.endsWith('.c');
+
+// Headers first, then sources, each alphabetically — the order files are
+// shown in the tree and sent to the mentor.
+export const sortFiles = (files) =>
+  [...files].sort((a, b) => Number(isSource(a.name)) - Number(isSource(b.name)) || a.name.localeCompare(b.name));
+
+export const serializeProject = (files) => {
+  if (files.length === 1 && files[0].name === DEFAULT_FILE) return files[0].content;
+  return sortFiles(files).map((f) => `${fileMarker(f.name)}\n${f.content.replace(/\n$/, '')}`).join('\n');
+};
+
+// Inverse of serializeProject. Text without markers is a lone main.c; text
+// before the first marker (a model that added a preamble) is dropped unless
+// it is all there is.
+export const parseProject = (text = '') => {
+  const lines = text.split('\n');
+  const files = [];
+  let current = null;
+  for (const line of lines) {
+    const match = line.match(MARKER);
+    if (match) {
+      current = { name: match[1], lines: [] };
+      files.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  if (!files.length) return [{ name: DEFAULT_FILE, content: text }];
+
+  // Later duplicates win, matching how a reader would apply the text top-down.
+  const byName = new Map(files.map((f) => [f.name, { name: f.name, content: f.lines.join('\n') }]));
+  return [...byName.values()];
+};
+
+export const isMultiFile = (files) => files.length > 1 || files[0]?.name !== DEFAULT_FILE;
+
+// The file that defines main(), for diagnostics that do not name a file.
+export const mainFile = (files) =>
+  files.find((f) => isSource(f.name) && /\bmain\s*\(/.test(f.content))?.name ||
+  files.find((f) => isSource(f.name))?.name ||
+  files[0]?.name;
+
+// Returns an error message, or null if `name` can be used. `current` is the
+// file being renamed (it may keep its own name).
+export const validateFileName = (name, files, current = null) => {
+  if (!name) return 'Enter a file name.';
+  if (name.length > MAX_FILE_NAME) return `Keep file names under ${MAX_FILE_NAME} characters.`;
+  if (!FILE_NAME.test(name)) return 'Use a name like list.c or list.h (letters, digits, _ or -).';
+  if (name !== current && files.some((f) => f.name === name)) return `${name} already exists.`;
+  return null;
+};
+
+export const HEADER_TEMPLATE = (name) => {
+  const guard = name.replace(/[^A-Za-z0-9]/g, '_').toUpperCase();
+  return `#ifndef ${guard}\n#define ${guard}\n\n\n\n#endif /* ${guard} */\n`;
+};
+
+export const SOURCE_TEMPLATE = (name, files) => {
+  const header = name.replace(/\.c$/, '.h');
+  return files.some((f) => f.name === header) ? `#include "${header}"\n\n` : '';
+};
+
+// Turn the entries of an imported zip into a project: only .c / .h files
+// are kept, folders are flattened, and anything that cannot be a project
+// file is reported back by name.
+export const projectFromEntries = (entries) => {
+  const files = [];
+  const skipped = [];
+  for (const entry of entries) {
+    const name = entry.name.split('/').pop();
+    if (name.startsWith('.') || entry.name.startsWith('__MACOSX/')) continue;
+    if (files.length >= MAX_FILES || validateFileName(name, files)) skipped.push(entry.name);
+    else files.push({ name, content: entry.content.replace(/\r\n/g, '\n') });
+  }
+  return { files, skipped };
+};
+
+// True when both file lists hold exactly the same file names (an auto-fix
+// must not drop, add or rename files).
+export const hasSameFiles = (a, b) =>
+  a.length === b.length && a.every((f) => b.some((g) => g.name === f.name));
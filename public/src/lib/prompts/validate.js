@@ -0,0 +1,154 @@
+// Checks a model reply against its prompt's format (lib/prompts/templates.js),
+// repairs what can be repaired without the model, and otherwise re-asks
+// with the problems spelled out.
+//
+// validateResponse(template, text) -> { ok, text, repaired, problems: [string] }
+// `text` is the repaired reply; `problems` what is still wrong with it.
+
+import { splitSections, parseMarkdown } from '../markdown.js';
+import { REVIEW_SECTIONS } from './templates.js';
+
+const FENCED = /```[\w-]*[ \t]*\n([\s\S]*?)\n?```/g;
+
+// A whole reply wrapped in one ```markdown / ```json fence. An unlabelled
+// fence only counts if there are no others inside it.
+const unwrapFence = (text) => {
+  const m = text.trim().match(/^```(markdown|md|json)?[ \t]*\n([\s\S]*?)\n?```$/i);
+  return m && (m[1] || !m[2].includes('```')) ? m[2] : text;
+};
+
+// --- ### sections ---
+
+const SECTION_PATTERNS = [/^predicted output/i, /^explanation/i, /^improvements?\b/i];
+
+const sectionIndex = (title) => SECTION_PATTERNS.findIndex((re) => re.test(title.replace(/[*_:]/g, '').trim()));
+
+const HEADING = /^\s{0,3}#{1,6}\s*(.+?)\s*#*\s*$/;
+const BOLD_LINE = /^\s*(?:\*\*|__)(.+?)(?:\*\*|__)\s*:?\s*$/;
+
+// "## Predicted Output", "#### Explanation:" or a bold "**Explanation**" line
+// become "### ..." headings; a one-line preamble ("Sure! Here's the
+// review:") is dropped.
+const repairSections = (text) => {
+  let fence = false;
+  const lines = unwrapFence(text).replace(/\r\n/g, '\n').split('\n').map((line) => {
+    if (/^\s*```/.test(line)) {
+      fence = !fence;
+      return line;
+    }
+    const title = !fence && (line.match(HEADING) || line.match(BOLD_LINE))?.[1];
+    const index = title ? sectionIndex(title) : -1;
+    return index === -1 ? line : `### ${REVIEW_SECTIONS[index]}`;
+  });
+  const first = lines.findIndex((line) => line.startsWith('### '));
+  const preamble = first > 0 ? lines.slice(0, first).filter((line) => line.trim()) : [];
+  if (preamble.length === 1 && preamble[0].length <= 120) return lines.slice(first).join('\n').trim();
+  return lines.join('\n').trim();
+};
+
+const checkSections = (text) => {
+  const problems = [];
+  const titles = splitSections(text).filter((s) => s.title).map((s) => sectionIndex(s.title));
+  const found = REVIEW_SECTIONS.filter((_, i) => titles.includes(i));
+  for (const name of REVIEW_SECTIONS) {
+    if (!found.includes(name)) problems.push(`The "### ${name}" section is missing.`);
+  }
+  const known = titles.filter((i) => i !== -1);
+  if (problems.length === 0 && known.some((i, n) => n > 0 && i < known[n - 1])) {
+    problems.push(`The sections must come in this order: ${REVIEW_SECTIONS.join(', ')}.`);
+  }
+  const predicted = splitSections(text).find((s) => s.title && sectionIndex(s.title) === 0);
+  if (predicted) {
+    const hasBlock = parseMarkdown(predicted.body).some((b) => b.type === 'code' && b.closed);
+    if (!hasBlock && !/no output/i.test(predicted.body)) {
+      problems.push('The Predicted Output section needs the exact output in a fenced code block, or "No output (does not compile)".');
+    }
+  }
+  return problems;
+};
+
+// --- raw code ---
+
+// A sentence rather than a line of C: starts with a capitalized word,
+// has a few words, and does not end like a statement or block.
+const isProse = (line) => {
+  const t = line.trim();
+  return /^[A-Z][a-z']*[,:]?(\s+\S+){2,}/.test(t) && !/[;{}),]\s*$/.test(t) && !/^(#|\/\/|\/\*|\*)/.test(t);
+};
+
+// Pull the code out of fences, then trim sentences before and after it.
+const repairCode = (text) => {
+  const blocks = [...text.matchAll(FENCED)].map((m) => m[1]);
+  let lines = (blocks.length ? blocks.join('\n') : text).replace(/\r\n/g, '\n').split('\n');
+  while (lines.length && (!lines[0].trim() || isProse(lines[0]))) lines = lines.slice(1);
+  while (lines.length && (!lines[lines.length - 1].trim() || isProse(lines[lines.length - 1]))) lines = lines.slice(0, -1);
+  return lines.join('\n');
+};
+
+const checkCode = (text) => {
+  const problems = [];
+  if (!text.trim()) problems.push('The reply contains no code.');
+  if (text.includes('```')) problems.push('The code must not be wrapped in Markdown code fences.');
+  const lines = text.split('\n').filter((line) => line.trim());
+  if (lines.length && (isProse(lines[0]) || isProse(lines[lines.length - 1]))) {
+    problems.push('The reply must contain only C code, with no explanations before or after it.');
+  }
+  return problems;
+};
+
+// --- JSON ---
+
+// Fences, text around the object, and trailing commas.
+const repairJSON = (text) => {
+  const unwrapped = unwrapFence(text).trim();
+  const start = unwrapped.indexOf('{');
+  const end = unwrapped.lastIndexOf('}');
+  if (start === -1 || end < start) return unwrapped;
+  return unwrapped.slice(start, end + 1).replace(/,(\s*[}\]])/g, '$1');
+};
+
+const checkJSON = (text, template) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return ['The reply is not valid JSON.'];
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return ['The reply must be a single JSON object.'];
+  return template.required.filter((key) => data[key] === undefined || data[key] === null)
+    .map((key) => `The JSON object is missing "${key}".`);
+};
+
+const FORMATS = {
+  sections: { repair: repairSections, check: checkSections },
+  code: { repair: repairCode, check: checkCode },
+  json: { repair: repairJSON, check: checkJSON },
+  text: { repair: (text) => text.trim(), check: (text) => (text.trim() ? [] : ['The reply is empty.']) }
+};
+
+export const validateResponse = (template, text) => {
+  const format = FORMATS[template.format];
+  if (!format.check(text, template).length) return { ok: true, text, repaired: false, problems: [] };
+  const repaired = format.repair(text);
+  const problems = format.check(repaired, template);
+  return { ok: !problems.length, text: repaired, repaired: true, problems };
+};
+
+// The follow-up turn sent when a reply could not be repaired.
+export const correctionRequest = (problems) =>
+  `Your reply did not follow the required format:\n${problems.map((p) => `- ${p}`).join('\n')}\n\nReply again with the complete answer, in exactly the required format and nothing else.`;
+
+// Ask, check, repair, and re-ask up to `reasks` times. `ask(retry)` makes
+// the request: `retry` is null the first time, then { previous, correction }
+// (the bad reply and the message to send after it). Resolves with the last
+// validation result plus `reasks` used; a reply that is still invalid is
+// returned as is and left to the caller.
+export const askValidated = async (template, ask, { reasks = 1 } = {}) => {
+  let result = validateResponse(template, await ask(null));
+  let used = 0;
+  while (!result.ok && used < reasks) {
+    used += 1;
+    result = validateResponse(template, await ask({ previous: result.text, correction: correctionRequest(result.problems) }));
+  }
+  return { ...result, reasks: used };
+};
@@ -0,0 +1,29 @@
+// Installability and offline support: registers the service worker that
+// caches the app shell (public/sw.js). Browsers without service workers
+// simply run online-only.
+
+// Worker scripts only load when first used, so they are named here to be
+// cached along with the rest.
+const WORKER_URLS = [
+  new URL('../runtime/cRunner.worker.js', import.meta.url).href,
+  new URL('../runtime/tracer.worker.js', import.meta.url).href
+];
+
+// Everything this page has loaded so far: its modules, the challenge
+// catalog, icons.
+const loadedUrls = () => [
+  ...performance.getEntriesByType('resource').map((entry) => entry.name),
+  ...WORKER_URLS
+];
+
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker
+    .register('/sw.js')
+    .catch((err) => console.warn("Service worker registration failed", err));
+  // On the first launch the modules loaded before the worker existed; it
+  // fetches them into its cache once it is active.
+  navigator.serviceWorker.ready
+    .then((registration) => registration.active.postMessage({ type: 'cache-urls', urls: loadedUrls() }))
+    .catch((err) => console.warn("Could not hand the loaded files to the service worker", err));
+};
@@ -0,0 +1,87 @@
+// Builds the user message sent to the mentor for a review, so the program,
+// its stdin, its argv and the static analyzer's findings always reach the
+// model in the same shape.
+
+import { parseProject, isMultiFile, sortFiles } from './project.js';
+
+// Split an argv line the way a shell would for simple cases:
+// whitespace-separated, with '...' and "..." grouping and \ escapes.
+export const parseArgs = (line) => {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let hasToken = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === '\\' && quote === '"' && i + 1 < line.length) current += line[++i];
+      else current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      hasToken = true;
+    } else if (ch === '\\' && i + 1 < line.length) {
+      current += line[++i];
+      hasToken = true;
+    } else if (/\s/.test(ch)) {
+      if (hasToken) args.push(current);
+      current = '';
+      hasToken = false;
+    } else {
+      current += ch;
+      hasToken = true;
+    }
+  }
+  if (hasToken) args.push(current);
+  return args;
+};
+
+export const hasInput = ({ stdin = '', args = [] } = {}) => stdin.length > 0 || args.length > 0;
+
+// "Line 9 (warning): ..." — the same tag format the mentor is asked to use,
+// prefixed with the file name in multi-file projects.
+export const formatFindings = (findings, multiFile = false) =>
+  findings.map((f) => `- ${multiFile && f.file ? `${f.file} ` : ''}Line ${f.line} (${f.severity}): ${f.message}`).join('\n');
+
+// `code` may be a serialized project (lib/project.js); each file then gets
+// its own block so line numbers stay per file.
+const programSection = (files) => {
+  if (!isMultiFile(files)) return ['## Program', '```c', files[0].content, '```'];
+  const sections = [
+    '## Program',
+    `A project of ${files.length} files, compiled and linked together (every .c file is compiled; headers are found next to them). Line numbers count from 1 in each file.`
+  ];
+  for (const file of sortFiles(files)) sections.push('', `File: ${file.name}`, '```c', file.content, '```');
+  return sections;
+};
+
+export const buildReviewRequest = (code, input = {}, findings = []) => {
+  const { stdin = '', args = [] } = input;
+  const files = parseProject(code);
+  const sections = [
+    ...programSection(files),
+    '',
+    '## Input'
+  ];
+
+  if (!hasInput(input)) {
+    sections.push('No stdin and no command-line arguments.');
+  } else {
+    sections.push(`Command-line arguments (argv[1..]): ${JSON.stringify(args)}`);
+    if (stdin.length > 0) {
+      sections.push('Standard input (exact bytes, fed to the program as-is):', '```text', stdin, '```');
+    } else {
+      sections.push('Standard input: empty (EOF immediately).');
+    }
+  }
+
+  sections.push('', '## Static analysis');
+  if (findings.length) {
+    sections.push('Deterministic checks on this exact code found:', formatFindings(findings, isMultiFile(files)));
+  } else {
+    sections.push('No issues found by the deterministic checks.');
+  }
+
+  return sections.join('\n');
+};
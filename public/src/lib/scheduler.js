@@ -0,0 +1,135 @@
+// Spaced-repetition scheduler for the daily challenge.
+//
+// Each catalog topic is a "card" in an SM-2 style model. Graded challenge
+// attempts from the local history are replayed per topic and per day: a
+// clean pass grows the review interval, a pass after failed attempts grows
+// it less, and a day without a pass resets it and lowers the topic's ease.
+// The daily pick is the most-struggled topic that is due, otherwise the
+// next topic in curriculum order, otherwise the topic due soonest.
+
+import { addDays } from './streak.js';
+import { submissionDay } from './historyStore.js';
+import { CATALOG, TOPICS, topicId } from './catalog.js';
+import { DIFFICULTIES } from './challenges.js';
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// SM-2 recall quality for one topic on one day.
+const QUALITY = { clean: 5, recovered: 3, failed: 1 };
+
+const newTopicState = (topic) => ({
+  topic,
+  reps: 0,       // consecutive successful review days
+  ease: INITIAL_EASE,
+  interval: 0,   // days until the next review
+  due: null,     // "YYYY-MM-DD"; null until first attempted
+  lastDay: null,
+  attempts: 0,
+  passes: 0,
+  lapses: 0      // days that ended without a pass
+});
+
+const review = (state, day, quality) => {
+  const next = { ...state, lastDay: day };
+  if (quality >= QUALITY.recovered) {
+    next.reps += 1;
+    next.interval = next.reps === 1 ? 1 : next.reps === 2 ? 3 : Math.round(state.interval * state.ease);
+  } else {
+    next.reps = 0;
+    next.interval = 1;
+    next.lapses += 1;
+  }
+  const miss = 5 - quality;
+  next.ease = Math.max(MIN_EASE, state.ease + 0.1 - miss * (0.08 + miss * 0.02));
+  next.due = addDays(day, next.interval);
+  return next;
+};
+
+// Graded attempts (history records with `challenge` and `grade`) whose topic
+// belongs to the curriculum, oldest first.
+const gradedAttempts = (history) =>
+  history
+    .filter((r) => r.challenge && r.grade && topicId(r.challenge.topic))
+    .map((r) => ({
+      topic: topicId(r.challenge.topic),
+      challengeId: r.challenge.id,
+      passed: Boolean(r.grade.passed),
+      day: submissionDay(r),
+      at: r.createdAt
+    }))
+    .sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+
+// Replay history into per-topic state.
+// Returns { topics: Map<topicId, state>, passed: Set<challengeId>, lastAttempt: Map<challengeId, at> }
+export const topicProgress = (history) => {
+  const topics = new Map(TOPICS.map((t) => [t.id, newTopicState(t.id)]));
+  const passed = new Set();
+  const lastAttempt = new Map();
+
+  // Collapse each topic's attempts on a given day into one review.
+  const days = new Map();
+  for (const attempt of gradedAttempts(history)) {
+    const key = `${attempt.topic}|${attempt.day}`;
+    if (!days.has(key)) days.set(key, { topic: attempt.topic, day: attempt.day, failedFirst: false, passed: false });
+    const entry = days.get(key);
+    if (!entry.passed && !attempt.passed) entry.failedFirst = true;
+    if (attempt.passed) entry.passed = true;
+
+    const state = topics.get(attempt.topic);
+    state.attempts += 1;
+    if (attempt.passed) {
+      state.passes += 1;
+      passed.add(attempt.challengeId);
+    }
+    lastAttempt.set(attempt.challengeId, attempt.at);
+  }
+
+  for (const { topic, day, failedFirst, passed: dayPassed } of days.values()) {
+    const quality = !dayPassed ? QUALITY.failed : failedFirst ? QUALITY.recovered : QUALITY.clean;
+    const { attempts, passes } = topics.get(topic);
+    topics.set(topic, { ...review(topics.get(topic), day, quality), attempts, passes });
+  }
+
+  return { topics, passed, lastAttempt };
+};
+
+// Harder exercises unlock as a topic is reviewed successfully.
+const targetDifficulty = (state) => Math.min(DIFFICULTIES.length - 1, Math.floor(state.reps / 2));
+
+const chooseChallenge = (topic, state, { passed, lastAttempt }, catalog) => {
+  const target = targetDifficulty(state);
+  const candidates = catalog.filter((c) => c.topic === topic);
+  return candidates
+    .map((c) => ({
+      challenge: c,
+      solved: passed.has(c.id),
+      distance: Math.abs(DIFFICULTIES.indexOf(c.difficulty) - target),
+      seen: lastAttempt.get(c.id) || ''
+    }))
+    .sort((a, b) => a.solved - b.solved || a.distance - b.distance || (a.seen < b.seen ? -1 : a.seen > b.seen ? 1 : 0))[0]?.challenge || null;
+};
+
+// Pick today's challenge. `today` is a "YYYY-MM-DD" day.
+// Returns { challenge, topic, reason: 'review' | 'new' | 'practice', state } or null for an empty catalog.
+export const pickDailyChallenge = (history, today, catalog = CATALOG) => {
+  const progress = topicProgress(history);
+  const states = TOPICS
+    .map((t) => progress.topics.get(t.id))
+    .filter((s) => catalog.some((c) => c.topic === s.topic));
+  if (!states.length) return null;
+
+  const due = states
+    .filter((s) => s.due && s.due <= today)
+    .sort((a, b) => a.ease - b.ease || (a.due < b.due ? -1 : a.due > b.due ? 1 : 0));
+  const unseen = states.filter((s) => !s.due);
+  const upcoming = [...states].sort((a, b) => (a.due < b.due ? -1 : a.due > b.due ? 1 : 0));
+
+  const [state, reason] = due.length ? [due[0], 'review'] : unseen.length ? [unseen[0], 'new'] : [upcoming[0], 'practice'];
+  return {
+    challenge: chooseChallenge(state.topic, state, progress, catalog),
+    topic: state.topic,
+    reason,
+    state
+  };
+};
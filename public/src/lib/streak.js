@@ -0,0 +1,165 @@
+// Pure streak rules, shared by the serverless API (authoritative) and the
+// client (display only). Days are "YYYY-MM-DD" strings in the student's
+// chosen time zone; nothing in this module reads the clock itself.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MAX_FROZEN_DAYS_KEPT = 30;
+
+export const EMPTY_STREAK = {
+  current: 0,
+  longest: 0,
+  lastDay: null,
+  freezes: 0,
+  frozenDays: [],
+  rescuedOn: null // the day whose grace window credited the day before it
+};
+
+export const DEFAULT_STREAK_RULES = {
+  freezeEveryDays: 7, // earn one freeze token per N consecutive days
+  maxFreezes: 2       // tokens stop accumulating at this many
+};
+
+export const DEFAULT_STREAK_SETTINGS = {
+  timeZone: 'UTC',
+  graceHours: 0 // submissions this soon after midnight may rescue yesterday
+};
+
+export const MAX_GRACE_HOURS = 4;
+
+// Older records only had { current, lastDay }.
+export const normalizeStreak = (state) => ({ ...EMPTY_STREAK, ...state, longest: Math.max(state?.longest || 0, state?.current || 0) });
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Calendar day of an instant as seen in `timeZone`.
+export const dayInTimeZone = (date, timeZone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+};
+
+export const utcDay = (date) => dayInTimeZone(date, 'UTC');
+
+// Whole calendar days from one day string to another (negative if earlier).
+export const daysBetween = (fromDay, toDay) =>
+  Math.round((Date.parse(`${toDay}T00:00:00Z`) - Date.parse(`${fromDay}T00:00:00Z`)) / DAY_MS);
+
+export const addDays = (day, n) => new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().split('T')[0];
+
+// Which day a submission at `now` should be credited to. Normally the local
+// day; within `graceHours` after local midnight it is credited to yesterday
+// instead, but only if yesterday has not been credited yet. Once this
+// window has rescued yesterday, the rest of the window also goes to
+// yesterday, so one sitting across midnight never counts for two days.
+export const resolveSubmissionDay = (state, now, { timeZone, graceHours } = DEFAULT_STREAK_SETTINGS) => {
+  const today = dayInTimeZone(now, timeZone);
+  if (!graceHours) return today;
+
+  const graceDay = dayInTimeZone(new Date(now.getTime() - graceHours * 60 * 60 * 1000), timeZone);
+  if (graceDay === today) return today;
+  if (state.rescuedOn === today) return graceDay;
+  if (state.lastDay && daysBetween(state.lastDay, graceDay) <= 0) return today;
+  return graceDay;
+};
+
+const earnFreezes = (state, rules) => {
+  if (!rules.freezeEveryDays || state.current % rules.freezeEveryDays !== 0) return state.freezes;
+  return Math.min(rules.maxFreezes, state.freezes + 1);
+};
+
+// Returns the new state and whether this submission counted for a new day.
+// Missed days are bridged with freeze tokens when there are enough of them;
+// otherwise the streak restarts at 1. Pass `rescuedOn`, the submission's
+// local day, when the grace period credited `day` instead of it.
+export const applySubmission = (prevState, day, rules = DEFAULT_STREAK_RULES, { rescuedOn = null } = {}) => {
+  const state = normalizeStreak(prevState);
+
+  if (!state.lastDay) {
+    const next = { ...state, current: 1, lastDay: day, rescuedOn };
+    next.freezes = earnFreezes(next, rules);
+    next.longest = Math.max(state.longest, 1);
+    return { state: next, counted: true, freezesUsed: 0 };
+  }
+
+  const gap = daysBetween(state.lastDay, day);
+  if (gap <= 0) {
+    // Same day (or a clock that went backwards): nothing changes.
+    return { state, counted: false, freezesUsed: 0 };
+  }
+
+  const missed = gap - 1;
+  let next;
+  let freezesUsed = 0;
+
+  if (missed === 0) {
+    next = { ...state, current: state.current + 1, lastDay: day };
+  } else if (missed <= state.freezes) {
+    freezesUsed = missed;
+    const frozen = Array.from({ length: missed }, (_, i) => addDays(state.lastDay, i + 1));
+    next = {
+      ...state,
+      current: state.current + 1,
+      lastDay: day,
+      freezes: state.freezes - missed,
+      frozenDays: [...state.frozenDays, ...frozen].slice(-MAX_FROZEN_DAYS_KEPT)
+    };
+  } else {
+    next = { ...state, current: 1, lastDay: day };
+  }
+
+  next.freezes = earnFreezes(next, rules);
+  next.longest = Math.max(state.longest, next.current);
+  next.rescuedOn = rescuedOn;
+  return { state: next, counted: true, freezesUsed };
+};
+
+// The streak as of `today`: alive while the missed days since the last
+// submission (not counting today, which can still be saved) are covered
+// by freeze tokens.
+export const effectiveStreak = (prevState, today) => {
+  const state = normalizeStreak(prevState);
+  if (!state.lastDay) return 0;
+  const missed = daysBetween(state.lastDay, today) - 1;
+  return missed <= state.freezes ? state.current : 0;
+};
+
+// The days the current run was credited for, oldest first, rebuilt from the
+// state alone (frozen days were bridged, not credited).
+export const runDays = (prevState) => {
+  const state = normalizeStreak(prevState);
+  if (!state.lastDay) return [];
+  const frozen = new Set(state.frozenDays);
+  const days = [];
+  for (let day = state.lastDay; days.length < state.current; day = addDays(day, -1)) {
+    if (!frozen.has(day)) days.push(day);
+  }
+  return days.reverse();
+};
+
+// Combines the streaks of two devices that are now one account. Each side is
+// { state, days } where `days` are the days its submission log counted. The
+// union of all credited days is replayed through applySubmission, so a day
+// submitted on both devices counts once and each device's days can fill the
+// other's gaps. `longest` never goes down.
+export const mergeStreaks = (a, b, rules = DEFAULT_STREAK_RULES) => {
+  const days = new Set([...runDays(a.state), ...a.days, ...runDays(b.state), ...b.days]);
+  let state = EMPTY_STREAK;
+  for (const day of [...days].sort()) {
+    state = applySubmission(state, day, rules).state;
+  }
+  const longest = Math.max(state.longest, normalizeStreak(a.state).longest, normalizeStreak(b.state).longest);
+  return { ...state, longest };
+};
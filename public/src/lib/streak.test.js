@@ -0,0 +1,212 @@
+// Unit tests for the streak rules. Run with `node --test public/src`.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EMPTY_STREAK,
+  resolveSubmissionDay,
+  applySubmission,
+  effectiveStreak,
+  runDays,
+  mergeStreaks
+} from './streak.js';
+
+const RULES = { freezeEveryDays: 7, maxFreezes: 2 };
+
+// Submit on each day in order, starting from `state`.
+const submitDays = (days, state = EMPTY_STREAK, rules = RULES) =>
+  days.reduce((s, day) => applySubmission(s, day, rules).state, state);
+
+const consecutive = (first, n) => Array.from({ length: n }, (_, i) => {
+  const d = new Date(`${first}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + i);
+  return d.toISOString().slice(0, 10);
+});
+
+describe('resolveSubmissionDay', () => {
+  const india = { timeZone: 'Asia/Kolkata', graceHours: 0 };
+
+  it('uses the local calendar day, not the UTC one', () => {
+    // 19:00 UTC is 00:30 the next day in India (UTC+5:30).
+    assert.equal(resolveSubmissionDay(EMPTY_STREAK, new Date('2024-03-10T19:00:00Z'), india), '2024-03-11');
+    assert.equal(resolveSubmissionDay(EMPTY_STREAK, new Date('2024-03-10T18:29:00Z'), india), '2024-03-10');
+    assert.equal(
+      resolveSubmissionDay(EMPTY_STREAK, new Date('2024-03-11T03:00:00Z'), { timeZone: 'America/Los_Angeles', graceHours: 0 }),
+      '2024-03-10'
+    );
+  });
+
+  it('defaults to UTC', () => {
+    assert.equal(resolveSubmissionDay(EMPTY_STREAK, new Date('2024-03-10T23:59:00Z')), '2024-03-10');
+  });
+
+  describe('grace period', () => {
+    const settings = { timeZone: 'Asia/Kolkata', graceHours: 2 };
+    const justAfterMidnight = new Date('2024-03-10T19:00:00Z'); // 00:30 on the 11th in India
+
+    it('credits yesterday when yesterday is still open', () => {
+      const state = { ...EMPTY_STREAK, current: 3, lastDay: '2024-03-09' };
+      assert.equal(resolveSubmissionDay(state, justAfterMidnight, settings), '2024-03-10');
+    });
+
+    it('credits yesterday for a first submission', () => {
+      assert.equal(resolveSubmissionDay(EMPTY_STREAK, justAfterMidnight, settings), '2024-03-10');
+    });
+
+    it('credits today when yesterday was already credited', () => {
+      const state = { ...EMPTY_STREAK, current: 3, lastDay: '2024-03-10' };
+      assert.equal(resolveSubmissionDay(state, justAfterMidnight, settings), '2024-03-11');
+    });
+
+    it('counts two submissions in one grace window once', () => {
+      const before = { ...EMPTY_STREAK, current: 3, longest: 3, lastDay: '2024-03-09' };
+      const first = resolveSubmissionDay(before, justAfterMidnight, settings);
+      const { state } = applySubmission(before, first, RULES, { rescuedOn: '2024-03-11' });
+      assert.equal(state.current, 4);
+
+      const minutesLater = new Date('2024-03-10T19:20:00Z'); // 00:50 on the 11th
+      const second = resolveSubmissionDay(state, minutesLater, settings);
+      assert.equal(second, '2024-03-10');
+      assert.equal(applySubmission(state, second, RULES).counted, false);
+
+      // The next day is credited once the window has closed.
+      assert.equal(resolveSubmissionDay(state, new Date('2024-03-10T21:00:00Z'), settings), '2024-03-11');
+    });
+
+    it('ends after graceHours', () => {
+      const state = { ...EMPTY_STREAK, current: 3, lastDay: '2024-03-09' };
+      // 02:30 on the 11th in India.
+      assert.equal(resolveSubmissionDay(state, new Date('2024-03-10T21:00:00Z'), settings), '2024-03-11');
+    });
+  });
+});
+
+describe('applySubmission', () => {
+  it('starts a streak at 1', () => {
+    const { state, counted, freezesUsed } = applySubmission(EMPTY_STREAK, '2024-03-10', RULES);
+    assert.deepEqual(
+      { current: state.current, longest: state.longest, lastDay: state.lastDay, counted, freezesUsed },
+      { current: 1, longest: 1, lastDay: '2024-03-10', counted: true, freezesUsed: 0 }
+    );
+  });
+
+  it('counts a day once', () => {
+    const first = applySubmission(EMPTY_STREAK, '2024-03-10', RULES).state;
+    const again = applySubmission(first, '2024-03-10', RULES);
+    assert.equal(again.counted, false);
+    assert.deepEqual(again.state, first);
+    assert.equal(applySubmission(first, '2024-03-09', RULES).counted, false);
+  });
+
+  it('extends on consecutive days', () => {
+    const state = submitDays(consecutive('2024-03-10', 5));
+    assert.equal(state.current, 5);
+    assert.equal(state.lastDay, '2024-03-14');
+  });
+
+  it('earns a freeze every freezeEveryDays, up to maxFreezes', () => {
+    assert.equal(submitDays(consecutive('2024-03-01', 6)).freezes, 0);
+    assert.equal(submitDays(consecutive('2024-03-01', 7)).freezes, 1);
+    assert.equal(submitDays(consecutive('2024-03-01', 14)).freezes, 2);
+    assert.equal(submitDays(consecutive('2024-03-01', 21)).freezes, 2);
+  });
+
+  it('bridges missed days with freezes', () => {
+    const before = submitDays(consecutive('2024-03-01', 14)); // ends 03-14 with 2 freezes
+    const { state, counted, freezesUsed } = applySubmission(before, '2024-03-17', RULES);
+    assert.equal(counted, true);
+    assert.equal(freezesUsed, 2);
+    assert.equal(state.current, 15);
+    assert.equal(state.freezes, 0);
+    assert.deepEqual(state.frozenDays, ['2024-03-15', '2024-03-16']);
+  });
+
+  it('restarts when the gap is larger than the freezes', () => {
+    const before = submitDays(consecutive('2024-03-01', 7)); // 1 freeze
+    const { state, freezesUsed } = applySubmission(before, '2024-03-10', RULES);
+    assert.equal(freezesUsed, 0);
+    assert.equal(state.current, 1);
+    assert.equal(state.freezes, 1);
+  });
+
+  it('keeps the longest streak across a restart', () => {
+    const state = submitDays(['2024-03-20', '2024-03-21'], submitDays(consecutive('2024-03-01', 5)));
+    assert.equal(state.current, 2);
+    assert.equal(state.longest, 5);
+  });
+
+  it('reads old records that only had current and lastDay', () => {
+    const { state } = applySubmission({ current: 4, lastDay: '2024-03-10' }, '2024-03-11', RULES);
+    assert.equal(state.current, 5);
+    assert.equal(state.longest, 5);
+    assert.deepEqual(state.frozenDays, []);
+  });
+});
+
+describe('effectiveStreak', () => {
+  const state = { ...EMPTY_STREAK, current: 5, longest: 5, lastDay: '2024-03-10', freezes: 1 };
+
+  it('is 0 without submissions', () => {
+    assert.equal(effectiveStreak(EMPTY_STREAK, '2024-03-10'), 0);
+  });
+
+  it('stays alive today and tomorrow, which can still be saved', () => {
+    assert.equal(effectiveStreak(state, '2024-03-10'), 5);
+    assert.equal(effectiveStreak({ ...state, freezes: 0 }, '2024-03-11'), 5);
+  });
+
+  it('stays alive while freezes cover the missed days', () => {
+    assert.equal(effectiveStreak(state, '2024-03-12'), 5);
+    assert.equal(effectiveStreak(state, '2024-03-13'), 0);
+    assert.equal(effectiveStreak({ ...state, freezes: 0 }, '2024-03-12'), 0);
+  });
+});
+
+describe('runDays', () => {
+  it('is empty without submissions', () => {
+    assert.deepEqual(runDays(EMPTY_STREAK), []);
+  });
+
+  it('lists the credited days, oldest first, skipping frozen ones', () => {
+    const state = applySubmission(submitDays(consecutive('2024-03-01', 14)), '2024-03-17', RULES).state;
+    const days = runDays(state);
+    assert.equal(days.length, 15);
+    assert.equal(days[0], '2024-03-01');
+    assert.deepEqual(days.slice(-2), ['2024-03-14', '2024-03-17']);
+    assert.ok(!days.includes('2024-03-15'));
+  });
+});
+
+describe('mergeStreaks', () => {
+  it('counts a day submitted on both devices once', () => {
+    const a = submitDays(consecutive('2024-03-01', 3));
+    const b = submitDays(consecutive('2024-03-02', 3));
+    const merged = mergeStreaks({ state: a, days: [] }, { state: b, days: [] }, RULES);
+    assert.equal(merged.current, 4);
+    assert.equal(merged.lastDay, '2024-03-04');
+  });
+
+  it("fills one device's gaps with the other's days", () => {
+    const a = submitDays(['2024-03-01', '2024-03-02', '2024-03-05']);
+    const b = submitDays(['2024-03-03', '2024-03-04']);
+    const merged = mergeStreaks(
+      { state: a, days: ['2024-03-01', '2024-03-02', '2024-03-05'] },
+      { state: b, days: ['2024-03-03', '2024-03-04'] },
+      RULES
+    );
+    assert.equal(merged.current, 5);
+  });
+
+  it('never lowers the longest streak', () => {
+    const a = { ...submitDays(['2024-03-10']), longest: 40 };
+    const merged = mergeStreaks({ state: a, days: [] }, { state: EMPTY_STREAK, days: [] }, RULES);
+    assert.equal(merged.current, 1);
+    assert.equal(merged.longest, 40);
+  });
+
+  it('merges with an empty device', () => {
+    const merged = mergeStreaks({ state: EMPTY_STREAK, days: [] }, { state: EMPTY_STREAK, days: [] }, RULES);
+    assert.equal(merged.current, 0);
+    assert.equal(merged.lastDay, null);
+  });
+});
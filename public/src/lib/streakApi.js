@@ -0,0 +1,102 @@
+// Client for the serverless streak API (public/api). The server owns the
+// clock and the streak; the browser only keeps a device token and a
+// display cache of the last response. A signed-in device's token stands
+// for its account (see lib/account.js).
+
+const TOKEN_KEY = 'techchat_device_token';
+const CACHE_KEY = 'techchat_streak_cache';
+
+export class StreakApiError extends Error {
+  constructor(message, { status, cause } = {}) {
+    super(message);
+    this.name = 'StreakApiError';
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+const getDeviceToken = () => {
+  let token = localStorage.getItem(TOKEN_KEY);
+  if (!token) {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    token = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem(TOKEN_KEY, token);
+  }
+  return token;
+};
+
+export const sha256Hex = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Every /api call goes through here, authenticated by the device token
+// (lib/account.js and lib/sync.js use it too).
+export const request = async (path, init = {}) => {
+  let res;
+  try {
+    res = await fetch(path, {
+      ...init,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${getDeviceToken()}`,
+        ...init.headers
+      }
+    });
+  } catch (err) {
+    throw new StreakApiError('Could not reach the streak server.', { cause: err });
+  }
+
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new StreakApiError(body.error || `Streak server error ${res.status}`, { status: res.status });
+  return body;
+};
+
+// Last known server state, for painting the badge before the network answers.
+export const readCachedStreak = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY));
+  } catch (e) {
+    return null;
+  }
+};
+
+const cache = (state) => {
+  localStorage.setItem(CACHE_KEY, JSON.stringify(state));
+  return state;
+};
+
+export const fetchStreak = async () => cache(await request('/api/streak'));
+
+// A submission response only carries what the submission changed, so it
+// is merged into the cached streak rather than replacing its settings,
+// rules, today and frozen days.
+const cacheMerged = (response) => cache({ ...readCachedStreak(), ...response });
+
+// True when the request never reached the server (as opposed to the
+// server rejecting it).
+export const isOfflineError = (err) => err instanceof StreakApiError && err.status === undefined;
+
+// Records a submission; only a hash of the code leaves the browser.
+// Challenge attempts pass { challengeId, passed } and only count when passed.
+// Reviews pass the error `categories` they found (lib/errorCategories.js).
+// Replays from the offline queue pass `claimedAt`, the time the submission
+// was made; the server decides whether it still accepts that claim.
+export const recordSubmission = async (code, { challengeId, passed, claimedAt, categories } = {}) => {
+  const codeHash = await sha256Hex(code);
+  const body = { codeHash };
+  if (challengeId) Object.assign(body, { challengeId, passed: Boolean(passed) });
+  if (claimedAt) body.claimedAt = claimedAt;
+  if (categories?.length) body.categories = categories;
+  return cacheMerged(await request('/api/submissions', {
+    method: 'POST',
+    body: JSON.stringify(body)
+  }));
+};
+
+export const fetchStreakSettings = () => request('/api/settings');
+
+export const updateStreakSettings = (settings) => request('/api/settings', {
+  method: 'PUT',
+  body: JSON.stringify(settings)
+});
@@ -0,0 +1,39 @@
+// Tests for the streak API client's display cache. Run with
+// `node --test public/src`.
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchStreak, recordSubmission, readCachedStreak } from './streakApi.js';
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (k) => store.get(k) ?? null,
+  setItem: (k, v) => store.set(k, v),
+  removeItem: (k) => store.delete(k)
+};
+
+const respondWith = (body) => {
+  globalThis.fetch = async () => ({ ok: true, status: 200, json: async () => body });
+};
+
+describe('streak cache', () => {
+  beforeEach(() => store.clear());
+
+  it('replaces the cache with a full streak read', async () => {
+    respondWith({ streak: 3, today: '2024-03-10', settings: { timeZone: 'UTC' } });
+    await fetchStreak();
+    assert.deepEqual(readCachedStreak(), { streak: 3, today: '2024-03-10', settings: { timeZone: 'UTC' } });
+  });
+
+  it('merges a submission into the cached streak', async () => {
+    respondWith({ streak: 3, longest: 3, today: '2024-03-10', settings: { timeZone: 'UTC' }, rules: { maxFreezes: 2 }, frozenDays: [] });
+    await fetchStreak();
+    respondWith({ streak: 4, longest: 4, frozenDays: ['2024-03-11'], day: '2024-03-12', counted: true });
+    await recordSubmission('int main(void) { return 0; }');
+    const cached = readCachedStreak();
+    assert.equal(cached.streak, 4);
+    assert.deepEqual(cached.frozenDays, ['2024-03-11']);
+    assert.deepEqual(cached.settings, { timeZone: 'UTC' });
+    assert.deepEqual(cached.rules, { maxFreezes: 2 });
+  });
+});
@@ -0,0 +1,72 @@
+// Submission history sync for signed-in devices (see public/api/sync.js).
+//
+// Each run pushes dirty records and pending deletions in batches, then
+// applies what other devices changed since the last run. The server keeps
+// the most recently changed version of each record; a record edited here
+// and not yet pushed is never overwritten by an older remote copy.
+
+import { request } from './streakApi.js';
+import {
+  listDirtySubmissions,
+  listTombstones,
+  markSynced,
+  clearTombstone,
+  saveSyncedSubmission,
+  deleteSyncedSubmission
+} from './historyStore.js';
+
+const CURSOR_KEY = 'techchat_sync_cursor';
+const SYNCED_AT_KEY = 'techchat_synced_at';
+const BATCH = 25;
+
+// Fields that only mean something on this device.
+const toWire = ({ id, dirty, queued, ...record }) => record;
+
+export const lastSyncedAt = () => localStorage.getItem(SYNCED_AT_KEY);
+
+// Forget the cursor so the next run pulls the whole history again.
+export const resetSync = () => {
+  localStorage.removeItem(CURSOR_KEY);
+  localStorage.removeItem(SYNCED_AT_KEY);
+};
+
+let running = null;
+
+// Resolves with { pushed, pulled }. Concurrent calls share one run.
+export const syncHistory = () => {
+  if (!running) {
+    running = sync().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+};
+
+const sync = async () => {
+  const records = await listDirtySubmissions();
+  const tombstones = await listTombstones();
+  let pushed = 0;
+  let pulled = 0;
+
+  // Always at least one round trip, which also pulls.
+  do {
+    const batch = records.splice(0, BATCH);
+    const deleted = tombstones.splice(0, BATCH - batch.length);
+    const result = await request('/api/sync', {
+      method: 'POST',
+      body: JSON.stringify({ since: localStorage.getItem(CURSOR_KEY), records: batch.map(toWire), deleted })
+    });
+
+    for (const record of batch) await markSynced(record.id, record.updatedAt);
+    for (const { syncId } of deleted) await clearTombstone(syncId);
+    for (const record of result.records) await saveSyncedSubmission(record);
+    for (const { syncId } of result.deleted) await deleteSyncedSubmission(syncId);
+
+    pushed += batch.length + deleted.length;
+    pulled += result.records.length + result.deleted.length;
+    localStorage.setItem(CURSOR_KEY, result.cursor);
+  } while (records.length || tombstones.length);
+
+  localStorage.setItem(SYNCED_AT_KEY, new Date().toISOString());
+  return { pushed, pulled };
+};
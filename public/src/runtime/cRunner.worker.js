@@ -0,0 +1,91 @@
+// Web Worker that compiles and runs a single C program with clang compiled
+// to WebAssembly (via the Wasmer SDK). The main thread owns the timeout and
+// terminates this worker if the program hangs, so nothing here needs to
+// guard against infinite loops.
+
+import { init, Wasmer, Directory } from '@wasmer/sdk';
+
+// Keep runaway printf loops from flooding the UI.
+const MAX_OUTPUT_CHARS = 64 * 1024;
+
+let clangPromise = null;
+
+const loadClang = async () => {
+  if (!clangPromise) {
+    clangPromise = (async () => {
+      await init();
+      return Wasmer.fromRegistry('clang/clang');
+    })();
+  }
+  return clangPromise;
+};
+
+const clip = (text) => {
+  if (!text) return '';
+  if (text.length <= MAX_OUTPUT_CHARS) return text;
+  return text.slice(0, MAX_OUTPUT_CHARS) + '\n... [output truncated]';
+};
+
+// Message in:  { files: [{ name, content }], runs: [{ stdin, args }] }
+// Messages out: { type: 'compiled', warnings }
+//               { type: 'run', index, status, stdout, stderr, exitCode }   (one per run)
+//               { type: 'done', status, stderr, exitCode }
+// Every .c file is compiled and linked into one program (headers are found
+// next to them), once, and then executed once per entry in `runs`.
+self.onmessage = async (event) => {
+  const { files, runs = [{ stdin: '', args: [] }] } = event.data;
+
+  try {
+    const clang = await loadClang();
+
+    // 1. Compile
+    const project = new Directory();
+    for (const file of files) await project.writeFile(file.name, file.content);
+    const sources = files.filter((f) => f.name.endsWith('.c')).map((f) => `/project/${f.name}`);
+    const compile = await clang.entrypoint.run({
+      args: [...sources, '-o', '/project/main.wasm', '-Wall'],
+      mount: { '/project': project }
+    });
+    const compiled = await compile.wait();
+
+    if (!compiled.ok) {
+      self.postMessage({
+        type: 'done',
+        status: 'compile_error',
+        stderr: clip(compiled.stderr),
+        exitCode: compiled.code
+      });
+      return;
+    }
+
+    // Tell the main thread compilation is done so it can start the run timer.
+    self.postMessage({ type: 'compiled', warnings: clip(compiled.stderr) });
+
+    // 2. Run once per input
+    const binary = await project.readFile('main.wasm');
+    const program = await Wasmer.fromFile(binary);
+
+    for (let index = 0; index < runs.length; index++) {
+      const { stdin = '', args = [] } = runs[index];
+      const run = await program.entrypoint.run({ args, stdin });
+      const result = await run.wait();
+      self.postMessage({
+        type: 'run',
+        index,
+        status: result.code === 0 ? 'ok' : 'runtime_error',
+        stdout: clip(result.stdout),
+        stderr: clip(result.stderr),
+        exitCode: result.code
+      });
+    }
+
+    self.postMessage({ type: 'done', status: 'ok', stderr: '', exitCode: 0 });
+  } catch (err) {
+    self.postMessage({
+      type: 'done',
+      status: 'unavailable',
+      stderr: String(err?.message || err),
+      exitCode: null
+    });
+  }
+};
@@ -0,0 +1,28 @@
+// Helpers for comparing the mentor's predicted stdout with the real one.
+
+import { splitSections, parseMarkdown } from '../lib/markdown.js';
+import { diffSequences } from '../lib/lineDiff.js';
+
+// Pull the contents of the first fenced code block out of the
+// "### Predicted Output" section. Returns null when the mentor gave no
+// block (e.g. "No output (does not compile)").
+export const extractPredictedOutput = (reviewText) => {
+  if (!reviewText) return null;
+  const section = splitSections(reviewText).find((s) => /predicted output/i.test(s.title || ''));
+  if (!section) return null;
+  const block = parseMarkdown(section.body).find((b) => b.type === 'code' && b.closed);
+  return block ? block.text : null;
+};
+
+// Trailing whitespace and a final newline are not worth flagging to a beginner.
+const normalizeLines = (text) =>
+  text.replace(/\r\n/g, '\n').replace(/\s+$/, '').split('\n').map((l) => l.replace(/\s+$/, ''));
+
+export const outputsMatch = (predicted, actual) => {
+  if (predicted == null || actual == null) return false;
+  return normalizeLines(predicted).join('\n') === normalizeLines(actual).join('\n');
+};
+
+// Line-level diff. Returns [{ type: 'same' | 'removed' | 'added', text }],
+// where 'removed' lines were only predicted and 'added' lines only printed.
+export const diffLines = (predicted, actual) => diffSequences(normalizeLines(predicted), normalizeLines(actual));
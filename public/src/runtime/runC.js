@@ -0,0 +1,80 @@
+// Main-thread wrapper around cRunner.worker.js.
+// Each call gets a fresh worker so a timed-out program can simply be killed.
+
+import { parseProject } from '../lib/project.js';
+
+// clang.wasm is large; the first compile includes downloading it.
+const COMPILE_TIMEOUT_MS = 60000;
+const RUN_TIMEOUT_MS = 5000;
+
+// Compile `code` once and run it once per { stdin, args } in `runs`. `code`
+// may be a serialized multi-file project (see lib/project.js).
+// Resolves (never rejects) with:
+//   { status, stderr, warnings, results: [{ status, stdout, stderr, exitCode }] }
+// where status is 'ok' | 'compile_error' | 'timeout' | 'unavailable'. A run
+// that times out is reported as such and the remaining runs as 'skipped'.
+export const runProgram = (code, runs) => {
+  return new Promise((resolve) => {
+    const worker = new Worker(new URL('./cRunner.worker.js', import.meta.url), { type: 'module' });
+    const results = [];
+    let warnings = '';
+    let timer = null;
+
+    const finish = (outcome) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve({ warnings, results, ...outcome });
+    };
+
+    const startTimer = (ms, phase) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        if (phase === 'compile') {
+          finish({ status: 'timeout', stderr: `Compilation did not finish within ${ms / 1000}s.`, exitCode: null });
+          return;
+        }
+        results.push({
+          status: 'timeout',
+          stdout: '',
+          stderr: `Program was stopped after ${ms / 1000}s (possible infinite loop or waiting for input).`,
+          exitCode: null
+        });
+        while (results.length < runs.length) {
+          results.push({ status: 'skipped', stdout: '', stderr: '', exitCode: null });
+        }
+        finish({ status: 'timeout', stderr: '', exitCode: null });
+      }, ms);
+    };
+
+    worker.onmessage = (event) => {
+      const msg = event.data;
+      if (msg.type === 'compiled') {
+        warnings = msg.warnings;
+        startTimer(RUN_TIMEOUT_MS, 'run');
+      } else if (msg.type === 'run') {
+        const { type, index, ...result } = msg;
+        results[index] = result;
+        startTimer(RUN_TIMEOUT_MS, 'run');
+      } else if (msg.type === 'done') {
+        finish({ status: msg.status, stderr: msg.stderr, exitCode: msg.exitCode });
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish({ status: 'unavailable', stderr: event.message || 'The C runtime failed to start.', exitCode: null });
+    };
+
+    startTimer(COMPILE_TIMEOUT_MS, 'compile');
+    worker.postMessage({ files: parseProject(code), runs });
+  });
+};
+
+// Single run, flattened to { status, stdout, stderr, exitCode, warnings }.
+export const runC = async (code, { stdin = '', args = [] } = {}) => {
+  const outcome = await runProgram(code, [{ stdin, args }]);
+  const run = outcome.results[0];
+  if (!run) {
+    return { status: outcome.status, stdout: '', stderr: outcome.stderr, exitCode: outcome.exitCode, warnings: outcome.warnings };
+  }
+  return { ...run, warnings: outcome.warnings };
+};
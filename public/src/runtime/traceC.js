@@ -0,0 +1,25 @@
+// Main-thread wrapper around tracer.worker.js for the step-through
+// visualizer. Each call gets a fresh worker, like runC.js.
+
+import { parseProject } from '../lib/project.js';
+
+const TRACE_TIMEOUT_MS = 15000;
+
+// Resolves (never rejects) with the trace from lib/c/interpreter.js.
+// `code` may be a serialized multi-file project (see lib/project.js).
+export const traceC = (code, { stdin = '', args = [] } = {}) => {
+  return new Promise((resolve) => {
+    const worker = new Worker(new URL('./tracer.worker.js', import.meta.url), { type: 'module' });
+    const finish = (trace) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(trace);
+    };
+    const failed = (message) => finish({ status: 'unsupported', error: { message, line: null, file: null }, exitCode: null, stdout: '', steps: [] });
+    const timer = setTimeout(() => failed(`The visualizer did not finish within ${TRACE_TIMEOUT_MS / 1000}s.`), TRACE_TIMEOUT_MS);
+
+    worker.onmessage = (event) => finish(event.data);
+    worker.onerror = (event) => failed(event.message || 'The visualizer failed to start.');
+    worker.postMessage({ files: parseProject(code), stdin, args });
+  });
+};
@@ -0,0 +1,12 @@
+// Web Worker that runs lib/c/interpreter.js, so a long trace never blocks
+// typing. The interpreter bounds its own work (steps and operations); the
+// main thread still terminates this worker if it does not answer in time.
+
+import { traceProgram } from '../lib/c/interpreter.js';
+
+// Message in:  { files: [{ name, content }], stdin, args }
+// Message out: the trace (see traceProgram)
+self.onmessage = (event) => {
+  const { files, stdin, args } = event.data;
+  self.postMessage(traceProgram(files, { stdin, args }));
+};
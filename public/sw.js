@@ -0,0 +1,110 @@
+// Service worker: keeps the app shell available offline.
+//
+// - Navigations are network-first and fall back to the cached index.html,
+//   so a fresh deploy wins whenever the network is there.
+// - Other same-origin GETs (bundles, the challenge catalog, icons) are
+//   served stale-while-revalidate from a runtime cache.
+// - /api/* and cross-origin requests (model providers, the compiler
+//   package registry) always go to the network; the page queues
+//   submissions itself when they fail (see src/lib/offlineQueue.js).
+// - The first launch loads its modules before this worker exists, so none
+//   of them pass through it. Once the worker is active the page sends the
+//   URLs it loaded ({ type: 'cache-urls', urls }, see src/lib/pwa.js), and
+//   they are fetched into the runtime cache so the next launch also works
+//   offline.
+//
+// Bump VERSION to drop every cache on the next activation.
+
+const VERSION = 'v2';
+const SHELL_CACHE = `techchat-shell-${VERSION}`;
+const RUNTIME_CACHE = `techchat-runtime-${VERSION}`;
+
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/manifest.json',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/icon-maskable-512.png'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith('techchat-') && key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const isCacheable = (url) => url.origin === self.location.origin && !url.pathname.startsWith('/api/');
+
+const cacheUrls = async (urls) => {
+  const cache = await caches.open(RUNTIME_CACHE);
+  await Promise.all(urls.map(async (href) => {
+    const url = new URL(href, self.location.origin);
+    url.hash = '';
+    if (!isCacheable(url) || (await cache.match(url.href))) return;
+    try {
+      const response = await fetch(url.href);
+      if (response.ok) await cache.put(url.href, response);
+    } catch (err) {
+      // Offline again; the next launch sends the list once more.
+    }
+  }));
+};
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'cache-urls' && Array.isArray(event.data.urls)) {
+    event.waitUntil(cacheUrls(event.data.urls));
+  }
+});
+
+const networkFirstPage = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (err) {
+    return (await caches.match('/index.html')) || Response.error();
+  }
+};
+
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  if (!isCacheable(new URL(request.url))) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});